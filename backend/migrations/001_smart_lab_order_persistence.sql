@@ -0,0 +1,19 @@
+-- Migration 001: Persist Smart Lab Orders
+-- Stores every SmartLabOrder submission in portal_orders with enough context
+-- (patient, provider, eligibility) to show real status after a page reload.
+--
+-- Apply in the Supabase SQL editor (or psql) before deploying the backend.
+
+ALTER TABLE portal_orders
+    ADD COLUMN IF NOT EXISTS provider_name TEXT,
+    ADD COLUMN IF NOT EXISTS intakeq_client_id TEXT,
+    ADD COLUMN IF NOT EXISTS patient_snapshot JSONB,
+    ADD COLUMN IF NOT EXISTS eligibility_snapshot JSONB,
+    ADD COLUMN IF NOT EXISTS current_step TEXT,
+    ADD COLUMN IF NOT EXISTS processing_started_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_portal_orders_status ON portal_orders(status);
+CREATE INDEX IF NOT EXISTS idx_portal_orders_intakeq_client ON portal_orders(intakeq_client_id);
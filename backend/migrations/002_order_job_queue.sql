@@ -0,0 +1,16 @@
+-- Migration 002: Durable Order Job Queue
+-- portal_orders doubles as the automation job queue. Workers claim a 'pending'
+-- order by flipping it to 'processing' and stamping locked_by/locked_at, and
+-- failed attempts are rescheduled through next_attempt_at.
+
+ALTER TABLE portal_orders
+    ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS locked_by TEXT;
+
+ALTER TABLE portal_orders
+    ALTER COLUMN retry_count SET DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_portal_orders_queue
+    ON portal_orders(portal, status, next_attempt_at)
+    WHERE status IN ('pending', 'processing');
@@ -0,0 +1,25 @@
+-- Migration 003: Application Users and Roles
+-- Staff accounts for the lab portal. Every API route and the Socket.io
+-- handshake require a JWT issued for one of these users.
+--
+-- Roles:
+--   provider - orders labs, reviews and signs off results
+--   staff    - medical assistants / front desk; prepares orders, checks eligibility
+--   admin    - everything above plus user management and portal settings
+--
+-- Create the first admin with: node src/scripts/createUser.js --role admin ...
+
+CREATE TABLE IF NOT EXISTS app_users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'staff' CHECK (role IN ('provider', 'staff', 'admin')),
+    provider_id UUID REFERENCES providers(id),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_login_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_app_users_email ON app_users(LOWER(email));
@@ -0,0 +1,36 @@
+-- Migration 005: Result Matching
+-- Scraped results are matched to a patient (and the originating portal order) by a
+-- scoring engine. Confident matches go straight to portal_results with the score that
+-- justified them; anything ambiguous or unmatched waits in result_match_queue until
+-- someone picks the right patient in the Results page.
+
+ALTER TABLE portal_results
+    ADD COLUMN IF NOT EXISTS accession_number TEXT,
+    ADD COLUMN IF NOT EXISTS match_score INTEGER,
+    ADD COLUMN IF NOT EXISTS match_method TEXT, -- 'auto' or 'manual'
+    ADD COLUMN IF NOT EXISTS match_details JSONB,
+    ADD COLUMN IF NOT EXISTS matched_by UUID REFERENCES app_users(id);
+
+CREATE INDEX IF NOT EXISTS idx_portal_results_portal_order ON portal_results(portal_order_id);
+CREATE INDEX IF NOT EXISTS idx_portal_results_accession ON portal_results(portal, accession_number);
+
+CREATE TABLE IF NOT EXISTS result_match_queue (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    portal TEXT NOT NULL,
+    report_key TEXT NOT NULL, -- groups the analytes of one report (accession number when available)
+    patient_name TEXT,
+    patient_dob DATE,
+    accession_number TEXT,
+    result_data JSONB NOT NULL, -- everything saveResult received, replayed on resolve
+    candidates JSONB, -- scored candidate patients at the time of matching
+    reason TEXT NOT NULL CHECK (reason IN ('no_candidates', 'low_confidence', 'ambiguous')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'dismissed')),
+    resolved_patient_id UUID REFERENCES patients(id),
+    resolved_order_id UUID REFERENCES portal_orders(id),
+    resolved_by UUID REFERENCES app_users(id),
+    resolved_at TIMESTAMPTZ,
+    resolution_note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_result_match_queue_pending ON result_match_queue(status, portal, report_key);
@@ -0,0 +1,40 @@
+-- Migration 006: Idempotent Result Ingestion
+-- The results cron sees the same reports on every run. Each analyte is identified by
+-- result_key (portal | accession | test code | result date); a repeat with the same
+-- values is ignored, and a corrected/amended value updates the row in place after
+-- copying the previous values into portal_result_versions. Rows saved before this
+-- migration have no key and are left as they are.
+
+ALTER TABLE portal_results
+    ADD COLUMN IF NOT EXISTS result_key TEXT,
+    ADD COLUMN IF NOT EXISTS report_status TEXT, -- as shown by the portal: Final, Corrected, Amended...
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_portal_results_result_key ON portal_results(result_key) WHERE result_key IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS portal_result_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    result_id UUID NOT NULL REFERENCES portal_results(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    result_value TEXT,
+    result_unit TEXT,
+    reference_range TEXT,
+    result_status TEXT,
+    report_status TEXT,
+    pdf_url TEXT,
+    raw_data JSONB,
+    reviewed_by UUID,
+    reviewed_at TIMESTAMPTZ,
+    recorded_at TIMESTAMPTZ, -- when this version was first received
+    superseded_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (result_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_portal_result_versions_result ON portal_result_versions(result_id, version);
+
+-- Unmatched results are re-scraped too; keep one queue row per analyte
+ALTER TABLE result_match_queue
+    ADD COLUMN IF NOT EXISTS result_key TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_result_match_queue_result_key ON result_match_queue(result_key);
@@ -0,0 +1,8 @@
+-- Migration 007: HL7 Order Messages
+-- Every order gets an HL7 v2 ORM^O01 rendering of exactly what was ordered, kept with
+-- the order as an audit artifact and optionally written to an interface outbox folder.
+
+ALTER TABLE portal_orders
+    ADD COLUMN IF NOT EXISTS hl7_orm TEXT,
+    ADD COLUMN IF NOT EXISTS hl7_control_id TEXT,
+    ADD COLUMN IF NOT EXISTS hl7_generated_at TIMESTAMPTZ;
@@ -0,0 +1,49 @@
+-- Migration 008: Critical Result Alerts
+-- A critical result opens an alert for the ordering provider (email + Socket.io) that
+-- stays open until someone acknowledges it; unacknowledged alerts escalate to the CMO.
+-- critical_alert_events is the documentation trail: one row per step, never updated.
+
+CREATE TABLE IF NOT EXISTS critical_result_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    result_id UUID NOT NULL REFERENCES portal_results(id) ON DELETE CASCADE,
+    result_version INTEGER NOT NULL DEFAULT 1,
+    patient_id UUID REFERENCES patients(id),
+    portal_order_id UUID REFERENCES portal_orders(id),
+    provider_id UUID REFERENCES providers(id),
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'escalated', 'acknowledged')),
+    escalation_due_at TIMESTAMPTZ NOT NULL,
+    escalated_at TIMESTAMPTZ,
+    acknowledged_by UUID REFERENCES app_users(id),
+    acknowledged_at TIMESTAMPTZ,
+    acknowledgment_note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (result_id, result_version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_critical_result_alerts_status ON critical_result_alerts(status, escalation_due_at);
+CREATE INDEX IF NOT EXISTS idx_critical_result_alerts_provider ON critical_result_alerts(provider_id, status);
+
+CREATE TABLE IF NOT EXISTS critical_alert_events (
+    id BIGSERIAL PRIMARY KEY,
+    alert_id UUID NOT NULL REFERENCES critical_result_alerts(id) ON DELETE CASCADE,
+    event TEXT NOT NULL, -- created, provider_notified, notification_failed, escalated, acknowledged...
+    channel TEXT, -- email, socket
+    recipient TEXT,
+    user_id UUID REFERENCES app_users(id),
+    details JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_critical_alert_events_alert ON critical_alert_events(alert_id, created_at);
+
+-- Same append-only guarantee as audit_logs
+CREATE OR REPLACE FUNCTION prevent_critical_alert_event_changes() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'critical_alert_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS critical_alert_events_no_update ON critical_alert_events;
+CREATE TRIGGER critical_alert_events_no_update
+    BEFORE UPDATE OR DELETE ON critical_alert_events
+    FOR EACH ROW EXECUTE FUNCTION prevent_critical_alert_event_changes();
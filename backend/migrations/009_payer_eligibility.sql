@@ -0,0 +1,23 @@
+-- Migration 009: Payer-Aware Eligibility
+-- Office Ally 270/271 settings per payer, so eligibility checks are not limited to
+-- Utah Medicaid. Payers without an office_ally_payer_id fall back to the eligibility
+-- section of payorCodes.json.
+--
+-- eligibility_search holds the payer's search-option rules, e.g.
+--   { "memberIdRequired": true, "dobRequired": true, "dateQualifier": "D8", "serviceTypes": ["30"] }
+
+ALTER TABLE payers
+    ADD COLUMN IF NOT EXISTS office_ally_payer_id TEXT,
+    ADD COLUMN IF NOT EXISTS eligibility_payer_name TEXT, -- NM1*PR name sent in the 270
+    ADD COLUMN IF NOT EXISTS eligibility_search JSONB DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_payers_office_ally_payer_id ON payers(office_ally_payer_id)
+    WHERE office_ally_payer_id IS NOT NULL;
+
+-- Utah Medicaid accepts name + date of birth searches and expects an RD8 date range
+UPDATE payers
+SET office_ally_payer_id = 'UTMCD',
+    eligibility_payer_name = 'MEDICAID UTAH',
+    eligibility_search = '{"memberIdRequired": false, "dateQualifier": "RD8"}'::jsonb
+WHERE office_ally_payer_id IS NULL
+  AND name ILIKE '%utah%medicaid%';
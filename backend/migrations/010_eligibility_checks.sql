@@ -0,0 +1,33 @@
+-- Migration 010: Eligibility Check History
+-- Every 271 we receive, per patient and payer: the raw X12, the parsed summary and when it
+-- was checked. Recent checks are reused instead of asking Office Ally again (see
+-- ELIGIBILITY_CACHE_HOURS), and the history shows staff when coverage changed or lapsed.
+--
+-- Checks usually happen before the patient has a patients row (IntakeQ search on the order
+-- form), so rows are keyed by patient_key - 'LAST|FIRST|YYYY-MM-DD', the same identity the
+-- patients table is unique on - and patient_id is filled in when it is known.
+
+CREATE TABLE IF NOT EXISTS eligibility_checks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    patient_key TEXT NOT NULL,
+    patient_id UUID REFERENCES patients(id) ON DELETE SET NULL,
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    date_of_birth DATE,
+    office_ally_payer_id TEXT NOT NULL,
+    payer_name TEXT,
+    member_id TEXT,
+    is_eligible BOOLEAN NOT NULL DEFAULT false,
+    rejected BOOLEAN NOT NULL DEFAULT false,
+    plan_type TEXT, -- MANAGED_CARE, TRADITIONAL_FFS, UNKNOWN
+    coverage_start DATE,
+    coverage_end DATE,
+    summary JSONB NOT NULL, -- parsed response, as returned by EligibilityService (without rawX12)
+    raw_271 TEXT,
+    source TEXT, -- order_form, payer_check, labcorp_agent...
+    checked_by UUID REFERENCES app_users(id),
+    checked_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_eligibility_checks_lookup ON eligibility_checks(patient_key, office_ally_payer_id, checked_at DESC);
+CREATE INDEX IF NOT EXISTS idx_eligibility_checks_patient ON eligibility_checks(patient_id, checked_at DESC);
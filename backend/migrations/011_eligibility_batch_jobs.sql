@@ -0,0 +1,20 @@
+-- Migration 011: Batch Eligibility Jobs
+-- Verifies coverage for everyone with an IntakeQ appointment on a given day (usually
+-- tomorrow) in one background run. The individual 271s land in eligibility_checks as
+-- usual; the job row tracks progress and keeps the report of patients whose coverage
+-- lapsed, whose plan changed or whose address changed.
+
+CREATE TABLE IF NOT EXISTS eligibility_batch_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    appointment_date DATE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    total INTEGER NOT NULL DEFAULT 0,
+    completed INTEGER NOT NULL DEFAULT 0,
+    report JSONB,
+    error_message TEXT,
+    started_by UUID REFERENCES app_users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_eligibility_batch_jobs_created ON eligibility_batch_jobs(created_at DESC);
@@ -0,0 +1,40 @@
+-- Migration 012: IntakeQ Client Index
+-- A local copy of the IntakeQ client list so patient search doesn't download every client
+-- from IntakeQ on each keystroke. Kept current by incremental syncs (clients IntakeQ reports
+-- as updated since the last sync) on a schedule and on demand; intakeq_sync_runs records
+-- each sync and is where the next incremental sync starts from.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE IF NOT EXISTS intakeq_clients (
+    intakeq_id TEXT PRIMARY KEY,
+    first_name TEXT,
+    last_name TEXT,
+    full_name TEXT,
+    date_of_birth DATE,
+    email TEXT,
+    phone TEXT,
+    phone_digits TEXT, -- last 10 digits of phone, for search
+    patient JSONB NOT NULL, -- the patient as IntakeQService.transformPatientData returns it
+    intakeq_updated_at TIMESTAMPTZ,
+    synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_intakeq_clients_last_name ON intakeq_clients USING gin (last_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_intakeq_clients_first_name ON intakeq_clients USING gin (first_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_intakeq_clients_dob ON intakeq_clients(date_of_birth);
+CREATE INDEX IF NOT EXISTS idx_intakeq_clients_phone ON intakeq_clients(phone_digits);
+
+CREATE TABLE IF NOT EXISTS intakeq_sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    mode TEXT NOT NULL CHECK (mode IN ('full', 'incremental')),
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    updated_since TIMESTAMPTZ, -- incremental syncs: clients updated after this were fetched
+    clients_synced INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    triggered_by UUID REFERENCES app_users(id), -- NULL for scheduled syncs
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_intakeq_sync_runs_started ON intakeq_sync_runs(started_at DESC);
@@ -0,0 +1,27 @@
+-- Migration 013: Draft Lab Orders from IntakeQ
+-- IntakeQ webhooks (note locked, appointment completed) turn a treatment note that
+-- documents labs into a draft order - patient, diagnoses and the tests spotted in the
+-- note - waiting for staff to review it in SmartLabOrder. A draft becomes a real
+-- portal_orders row only when someone submits it.
+
+CREATE TABLE IF NOT EXISTS lab_order_drafts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source_key TEXT NOT NULL UNIQUE, -- 'note:<IntakeQ note ID>', so webhook retries don't duplicate drafts
+    event_type TEXT NOT NULL, -- e.g. 'NoteLocked', 'AppointmentCompleted'
+    intakeq_client_id TEXT NOT NULL,
+    intakeq_note_id TEXT,
+    intakeq_appointment_id TEXT,
+    note_date TIMESTAMPTZ,
+    practitioner_name TEXT,
+    patient_snapshot JSONB NOT NULL, -- the patient as IntakeQService returns it
+    diagnosis_codes TEXT[] NOT NULL DEFAULT '{}',
+    detected_tests JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ code, name, matchedText }]
+    note_excerpt TEXT, -- the note lines the tests were found in
+    status TEXT NOT NULL DEFAULT 'pending_review' CHECK (status IN ('pending_review', 'ordered', 'dismissed')),
+    order_id UUID REFERENCES portal_orders(id),
+    reviewed_by UUID REFERENCES app_users(id),
+    reviewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lab_order_drafts_status ON lab_order_drafts(status, created_at DESC);
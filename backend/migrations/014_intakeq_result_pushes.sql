@@ -0,0 +1,38 @@
+-- Migration 014: Results Pushed to IntakeQ
+-- Saved and reviewed results are copied into the patient's IntakeQ chart: the lab's PDF
+-- and a summary of the report's analytes, uploaded as client files. Each row is one push
+-- of one report and doubles as the log of what was sent. Requests for the same report
+-- coalesce while a push is pending; content_key (the analyte versions and sign-offs that
+-- were sent) keeps an unchanged report from being pushed twice.
+
+CREATE TABLE IF NOT EXISTS intakeq_result_pushes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    portal TEXT NOT NULL,
+    report_key TEXT NOT NULL, -- accession number, else 'order:<portal order ID>', else 'result:<result ID>'
+    trigger TEXT NOT NULL CHECK (trigger IN ('saved', 'reviewed')),
+    result_id UUID NOT NULL REFERENCES portal_results(id) ON DELETE CASCADE, -- the result that asked for the push
+    patient_id UUID REFERENCES patients(id),
+    intakeq_client_id TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'pushed', 'skipped', 'failed')),
+    content_key TEXT, -- set when pushed
+    result_ids UUID[] NOT NULL DEFAULT '{}', -- the analytes in the summary
+    pdf_status TEXT CHECK (pdf_status IN ('uploaded', 'unavailable', 'none', 'not_needed')),
+    pdf_file_name TEXT,
+    summary_file_name TEXT,
+    summary_uploaded_at TIMESTAMPTZ,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    requested_by UUID REFERENCES app_users(id), -- reviews; NULL for results saved by ingestion
+    pushed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One pending push per report and trigger; later requests join it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_intakeq_result_pushes_pending
+    ON intakeq_result_pushes(portal, report_key, trigger) WHERE status = 'pending';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_intakeq_result_pushes_content
+    ON intakeq_result_pushes(content_key) WHERE status = 'pushed';
+CREATE INDEX IF NOT EXISTS idx_intakeq_result_pushes_due ON intakeq_result_pushes(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_intakeq_result_pushes_result_ids ON intakeq_result_pushes USING gin (result_ids);
@@ -0,0 +1,65 @@
+-- Migration 015: Lab Test Catalog
+-- The orderable tests, previously the commonTests list in config/labTestCodes.json, kept in
+-- the database so admins can add, edit and retire tests from Settings. One row per test
+-- with its Labcorp and/or Quest code. Retired tests stay (past orders reference their
+-- codes) but are no longer offered; effective_from/effective_to schedule a test's start
+-- or end, both inclusive.
+
+CREATE TABLE IF NOT EXISTS lab_test_catalog (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    labcorp_code TEXT,
+    quest_code TEXT,
+    category TEXT NOT NULL DEFAULT 'Other',
+    synonyms TEXT[] NOT NULL DEFAULT '{}', -- abbreviations and names providers write in notes
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    effective_from DATE,
+    effective_to DATE,
+    updated_by UUID REFERENCES app_users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (labcorp_code IS NOT NULL OR quest_code IS NOT NULL),
+    CHECK (effective_to IS NULL OR effective_from IS NULL OR effective_to >= effective_from)
+);
+
+-- A code belongs to one active test at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lab_test_catalog_labcorp_code
+    ON lab_test_catalog(labcorp_code) WHERE is_active AND labcorp_code IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lab_test_catalog_quest_code
+    ON lab_test_catalog(quest_code) WHERE is_active AND quest_code IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_lab_test_catalog_category ON lab_test_catalog(category, name);
+
+-- Seed from config/labTestCodes.json; tests already in the catalog are left alone
+INSERT INTO lab_test_catalog (labcorp_code, name, category, synonyms)
+SELECT seed.labcorp_code, seed.name, seed.category, seed.synonyms
+FROM (VALUES
+    ('322000', 'Comprehensive Metabolic Panel (14)', 'Chemistry', ARRAY['CMP', 'comprehensive metabolic panel', 'comprehensive metabolic']::TEXT[]),
+    ('322758', 'Basic Metabolic Panel (8)', 'Chemistry', ARRAY['BMP', 'basic metabolic panel', 'chem 7']::TEXT[]),
+    ('007600', 'Complete Blood Count (CBC) With Differential', 'Hematology', ARRAY['CBC', 'complete blood count', 'CBC with diff']::TEXT[]),
+    ('330015', 'Thyroid Cascade (TSH w/ Reflex to T3/T4)', 'Endocrine', ARRAY['TSH', 'thyroid cascade', 'thyroid panel', 'thyroid function']::TEXT[]),
+    ('007573', 'Lipid Panel', 'Cardiovascular', ARRAY['lipid panel', 'lipids', 'fasting lipids', 'cholesterol panel']::TEXT[]),
+    ('001453', 'Hemoglobin A1c', 'Diabetes', ARRAY['A1c', 'HbA1c', 'hemoglobin A1c', 'glycated hemoglobin']::TEXT[]),
+    ('011776', 'Lithium', 'Drug Monitoring', ARRAY['lithium level', 'serum lithium', 'Li level']::TEXT[]),
+    ('004483', 'Valproic Acid', 'Drug Monitoring', ARRAY['valproic acid level', 'valproate level', 'VPA level', 'depakote level']::TEXT[]),
+    ('004465', 'Prolactin', 'Endocrine', ARRAY['prolactin']::TEXT[]),
+    ('017306', 'Vitamin D, 25-Hydroxy', 'Vitamin', ARRAY['vitamin D', 'vit D', '25-OH vitamin D', '25-hydroxy vitamin D']::TEXT[]),
+    ('007065', 'Vitamin B12 and Folate', 'Vitamin', ARRAY['B12', 'vitamin B12', 'folate']::TEXT[]),
+    ('039092', 'Clozapine and Metabolites', 'Drug Monitoring', ARRAY['clozapine level', 'clozaril level', 'norclozapine']::TEXT[]),
+    ('007150', 'Thiamine (Vitamin B1)', 'Vitamin', ARRAY['thiamine', 'vitamin B1']::TEXT[]),
+    ('004598', 'Ferritin', 'Iron Studies', ARRAY['ferritin']::TEXT[]),
+    ('007788', 'Urinalysis, Complete', 'Urinalysis', ARRAY['UA', 'urinalysis']::TEXT[]),
+    ('790500', 'Urine Drug Screen', 'Toxicology', ARRAY['UDS', 'urine drug screen', 'urine drug test', 'urine tox', 'drug screen']::TEXT[]),
+    ('006620', 'Pregnancy Test (hCG)', 'Pregnancy', ARRAY['hCG', 'beta hCG', 'pregnancy test', 'urine pregnancy']::TEXT[]),
+    ('006947', 'C-Reactive Protein', 'Inflammation', ARRAY['CRP', 'C-reactive protein']::TEXT[]),
+    ('004439', 'T3, Free', 'Thyroid', ARRAY['free T3', 'FT3']::TEXT[]),
+    ('004556', 'T4, Free', 'Thyroid', ARRAY['free T4', 'FT4']::TEXT[]),
+    ('004449', 'Lamotrigine', 'Drug Monitoring', ARRAY['lamotrigine level', 'lamictal level']::TEXT[]),
+    ('004501', 'Carbamazepine', 'Drug Monitoring', ARRAY['carbamazepine level', 'tegretol level']::TEXT[]),
+    ('008344', 'Hepatic Function Panel', 'Liver', ARRAY['hepatic function panel', 'hepatic panel', 'LFTs', 'LFT', 'liver function']::TEXT[]),
+    ('140435', 'HIV-1/2 Antigen and Antibodies', 'Infectious Disease', ARRAY['HIV', 'HIV screen', 'HIV test']::TEXT[]),
+    ('008472', 'Hepatitis B Surface Antigen', 'Infectious Disease', ARRAY['HBsAg', 'hepatitis B surface antigen', 'hep B']::TEXT[]),
+    ('006514', 'Hepatitis C Antibody', 'Infectious Disease', ARRAY['HCV', 'hepatitis C antibody', 'hep C']::TEXT[])
+) AS seed(labcorp_code, name, category, synonyms)
+WHERE NOT EXISTS (
+    SELECT 1 FROM lab_test_catalog existing WHERE existing.labcorp_code = seed.labcorp_code
+);
@@ -0,0 +1,57 @@
+-- Migration 016: Specimen Requirements and Patient Prep
+-- What each test needs at the draw - specimen type, tube, volume, how long it keeps - and
+-- from the patient: fasting, and timing rules such as drawing a lithium level 12 hours
+-- after the last dose. SmartLabOrder and the requisition combine them for the selected
+-- tests. Also brings over the descriptions labTestCodes.json had for some tests.
+
+ALTER TABLE lab_test_catalog ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE lab_test_catalog ADD COLUMN IF NOT EXISTS specimen_type TEXT; -- Serum, Whole blood, Urine
+ALTER TABLE lab_test_catalog ADD COLUMN IF NOT EXISTS container TEXT; -- tube or cup, e.g. 'Gold-top SST'
+ALTER TABLE lab_test_catalog ADD COLUMN IF NOT EXISTS volume TEXT;
+ALTER TABLE lab_test_catalog ADD COLUMN IF NOT EXISTS fasting TEXT NOT NULL DEFAULT 'none'
+    CHECK (fasting IN ('none', 'preferred', 'required'));
+ALTER TABLE lab_test_catalog ADD COLUMN IF NOT EXISTS fasting_hours INTEGER CHECK (fasting_hours > 0);
+ALTER TABLE lab_test_catalog ADD COLUMN IF NOT EXISTS timing TEXT; -- when to draw, e.g. relative to the last dose
+ALTER TABLE lab_test_catalog ADD COLUMN IF NOT EXISTS stability TEXT; -- how long the specimen keeps, and how
+
+-- Seed the common tests that have no requirements yet
+UPDATE lab_test_catalog catalog
+SET description = COALESCE(catalog.description, seed.description),
+    specimen_type = seed.specimen_type,
+    container = seed.container,
+    volume = seed.volume,
+    fasting = seed.fasting,
+    fasting_hours = seed.fasting_hours,
+    timing = seed.timing,
+    stability = seed.stability,
+    updated_at = NOW()
+FROM (VALUES
+    ('322000', NULL, 'Serum', 'Gold-top SST', '1 mL', 'preferred', 8, NULL, 'Room temperature 4 days; refrigerated 7 days'),
+    ('322758', NULL, 'Serum', 'Gold-top SST', '1 mL', 'preferred', 8, NULL, 'Room temperature 4 days; refrigerated 7 days'),
+    ('007600', NULL, 'Whole blood', 'Lavender-top (EDTA)', '3 mL', 'none', NULL, NULL, 'Room temperature 24 hours; refrigerated 48 hours'),
+    ('330015', 'TSH with automatic reflex testing to Free T3 and Free T4 if abnormal', 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, NULL, 'Room temperature 7 days; refrigerated 14 days'),
+    ('007573', NULL, 'Serum', 'Gold-top SST', '1 mL', 'required', 12, NULL, 'Refrigerated 7 days'),
+    ('001453', NULL, 'Whole blood', 'Lavender-top (EDTA)', '1 mL', 'none', NULL, NULL, 'Room temperature 7 days; refrigerated 14 days'),
+    ('011776', NULL, 'Serum', 'Red-top (no gel)', '1 mL', 'none', NULL, 'Draw 12 hours after the last dose, before the morning dose', 'Refrigerated 7 days'),
+    ('004483', NULL, 'Serum', 'Red-top (no gel)', '1 mL', 'none', NULL, 'Draw just before the next dose (trough)', 'Refrigerated 14 days'),
+    ('004465', NULL, 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, 'Draw at least 3 hours after waking; avoid strenuous exercise beforehand', 'Refrigerated 7 days'),
+    ('017306', NULL, 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, NULL, 'Refrigerated 14 days'),
+    ('007065', 'Combined test for Vitamin B12 and Folate levels', 'Serum', 'Gold-top SST', '1 mL', 'preferred', 8, NULL, 'Refrigerated 7 days; protect from light'),
+    ('039092', 'Clozapine, Norclozapine (N-Desmethyl Clozapine)', 'Serum', 'Red-top (no gel)', '2 mL', 'none', NULL, 'Draw 12 hours after the last dose, before the morning dose', 'Refrigerated 14 days'),
+    ('007150', 'Thiamine level - important for patients with alcohol use disorder', 'Whole blood', 'Lavender-top (EDTA)', '2 mL', 'preferred', 8, NULL, 'Freeze within 24 hours; protect from light'),
+    ('004598', NULL, 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, NULL, 'Refrigerated 7 days'),
+    ('007788', NULL, 'Urine', 'Urine cup', '10 mL', 'none', NULL, 'First morning, clean-catch midstream urine preferred', 'Refrigerated 24 hours'),
+    ('790500', NULL, 'Urine', 'Urine cup', '30 mL', 'none', NULL, NULL, 'Refrigerated 7 days'),
+    ('006620', NULL, 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, NULL, 'Refrigerated 7 days'),
+    ('006947', NULL, 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, NULL, 'Refrigerated 7 days'),
+    ('004439', NULL, 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, NULL, 'Refrigerated 7 days'),
+    ('004556', NULL, 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, NULL, 'Refrigerated 7 days'),
+    ('004449', NULL, 'Serum', 'Red-top (no gel)', '1 mL', 'none', NULL, 'Draw just before the next dose (trough)', 'Refrigerated 14 days'),
+    ('004501', NULL, 'Serum', 'Red-top (no gel)', '1 mL', 'none', NULL, 'Draw just before the next dose (trough)', 'Refrigerated 14 days'),
+    ('008344', NULL, 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, NULL, 'Refrigerated 7 days'),
+    ('140435', NULL, 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, NULL, 'Refrigerated 7 days'),
+    ('008472', NULL, 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, NULL, 'Refrigerated 7 days'),
+    ('006514', NULL, 'Serum', 'Gold-top SST', '1 mL', 'none', NULL, NULL, 'Refrigerated 7 days')
+) AS seed(labcorp_code, description, specimen_type, container, volume, fasting, fasting_hours, timing, stability)
+WHERE catalog.labcorp_code = seed.labcorp_code
+    AND catalog.specimen_type IS NULL;
@@ -0,0 +1,27 @@
+-- Migration 017: Ask-at-Order-Entry (AOE) Questions
+-- Some tests need answers at order entry: drug levels the time of the last dose and the
+-- dose, lipids whether the patient is fasting. aoe_questions holds each test's questions:
+--   [{ "id", "prompt", "type": text|number|date|datetime|yesno|select, "required",
+--      "options" (select), "placeholder", "past" (dates that can't be in the future),
+--      "portalLabel" (the field's label in the portal) }]
+-- Answers are stored on the order's test lines (portal_orders.tests_ordered[].aoeAnswers).
+
+ALTER TABLE lab_test_catalog ADD COLUMN IF NOT EXISTS aoe_questions JSONB NOT NULL DEFAULT '[]';
+
+-- Seed the common tests that have no questions yet
+UPDATE lab_test_catalog catalog
+SET aoe_questions = seed.aoe_questions,
+    updated_at = NOW()
+FROM (VALUES
+    ('011776', '[{"id": "last_dose_at", "prompt": "Date and time of last dose", "type": "datetime", "required": true, "portalLabel": "Last Dose", "past": true}, {"id": "dose", "prompt": "Current dose and schedule", "type": "text", "required": true, "placeholder": "e.g. 900 mg at bedtime", "portalLabel": "Dose"}, {"id": "collected_at", "prompt": "Collection date and time", "type": "datetime", "required": false, "portalLabel": "Collection"}]'::JSONB),
+    ('004483', '[{"id": "last_dose_at", "prompt": "Date and time of last dose", "type": "datetime", "required": true, "portalLabel": "Last Dose", "past": true}, {"id": "dose", "prompt": "Current dose and schedule", "type": "text", "required": true, "placeholder": "e.g. 900 mg at bedtime", "portalLabel": "Dose"}, {"id": "collected_at", "prompt": "Collection date and time", "type": "datetime", "required": false, "portalLabel": "Collection"}]'::JSONB),
+    ('039092', '[{"id": "last_dose_at", "prompt": "Date and time of last dose", "type": "datetime", "required": true, "portalLabel": "Last Dose", "past": true}, {"id": "dose", "prompt": "Current dose and schedule", "type": "text", "required": true, "placeholder": "e.g. 900 mg at bedtime", "portalLabel": "Dose"}, {"id": "collected_at", "prompt": "Collection date and time", "type": "datetime", "required": false, "portalLabel": "Collection"}]'::JSONB),
+    ('004501', '[{"id": "last_dose_at", "prompt": "Date and time of last dose", "type": "datetime", "required": true, "portalLabel": "Last Dose", "past": true}, {"id": "dose", "prompt": "Current dose and schedule", "type": "text", "required": true, "placeholder": "e.g. 900 mg at bedtime", "portalLabel": "Dose"}, {"id": "collected_at", "prompt": "Collection date and time", "type": "datetime", "required": false, "portalLabel": "Collection"}]'::JSONB),
+    ('004449', '[{"id": "last_dose_at", "prompt": "Date and time of last dose", "type": "datetime", "required": true, "portalLabel": "Last Dose", "past": true}, {"id": "dose", "prompt": "Current dose and schedule", "type": "text", "required": true, "placeholder": "e.g. 900 mg at bedtime", "portalLabel": "Dose"}, {"id": "collected_at", "prompt": "Collection date and time", "type": "datetime", "required": false, "portalLabel": "Collection"}]'::JSONB),
+    ('007573', '[{"id": "fasting", "prompt": "Is the patient fasting?", "type": "yesno", "required": true, "portalLabel": "Fasting"}]'::JSONB),
+    ('322000', '[{"id": "fasting", "prompt": "Is the patient fasting?", "type": "yesno", "required": false, "portalLabel": "Fasting"}]'::JSONB),
+    ('322758', '[{"id": "fasting", "prompt": "Is the patient fasting?", "type": "yesno", "required": false, "portalLabel": "Fasting"}]'::JSONB),
+    ('004465', '[{"id": "collected_at", "prompt": "Collection time (at least 3 hours after waking)", "type": "datetime", "required": false, "portalLabel": "Collection"}]'::JSONB)
+) AS seed(labcorp_code, aoe_questions)
+WHERE catalog.labcorp_code = seed.labcorp_code
+    AND catalog.aoe_questions = '[]'::JSONB;
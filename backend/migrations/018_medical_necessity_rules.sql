@@ -0,0 +1,139 @@
+-- Migration 018: Medical Necessity Rules
+-- Medicaid and Medicare deny lab claims when no diagnosis on the order supports the test
+-- (a lipid panel with only F32.A). Each row says one ICD-10 range supports one test;
+-- a test with rules needs at least one diagnosis in one of its ranges, and Medicare
+-- patients need an ABN signed for tests without one. Tests without rules aren't checked.
+-- Ranges are inclusive and compare by prefix, so 'E78' to 'E78.9' covers E78.00-E78.9.
+
+CREATE TABLE IF NOT EXISTS medical_necessity_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    test_code TEXT NOT NULL, -- Labcorp test code
+    icd10_from TEXT NOT NULL,
+    icd10_to TEXT NOT NULL,
+    description TEXT NOT NULL, -- what the range is, e.g. 'Disorders of lipoprotein metabolism'
+    example_code TEXT, -- a billable code in the range to suggest
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (test_code, icd10_from, icd10_to)
+);
+
+CREATE INDEX IF NOT EXISTS idx_medical_necessity_rules_test ON medical_necessity_rules(test_code) WHERE is_active;
+
+-- Seed the rules for the common tests
+INSERT INTO medical_necessity_rules (test_code, icd10_from, icd10_to, description, example_code)
+VALUES
+    ('007573', 'E78.00', 'E78.9', 'Disorders of lipoprotein metabolism', 'E78.5'),
+    ('007573', 'E08', 'E13', 'Diabetes mellitus', 'E11.9'),
+    ('007573', 'R73.01', 'R73.09', 'Prediabetes and abnormal glucose', 'R73.03'),
+    ('007573', 'E66', 'E66.9', 'Overweight and obesity', 'E66.9'),
+    ('007573', 'Z13.6', 'Z13.6', 'Screening for cardiovascular disorders', 'Z13.6'),
+    ('007573', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('001453', 'E08', 'E13', 'Diabetes mellitus', 'E11.9'),
+    ('001453', 'R73.01', 'R73.09', 'Prediabetes and abnormal glucose', 'R73.03'),
+    ('001453', 'Z79.4', 'Z79.4', 'Long term (current) use of insulin', 'Z79.4'),
+    ('001453', 'Z79.84', 'Z79.85', 'Long term use of oral or injectable hypoglycemics', 'Z79.84'),
+    ('001453', 'Z13.1', 'Z13.1', 'Screening for diabetes mellitus', 'Z13.1'),
+    ('001453', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('330015', 'E00', 'E07', 'Thyroid disorders', 'E03.9'),
+    ('330015', 'R53.1', 'R53.83', 'Weakness and fatigue', 'R53.83'),
+    ('330015', 'R63.4', 'R63.5', 'Abnormal weight loss or gain', 'R63.5'),
+    ('330015', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('330015', 'Z51.81', 'Z51.81', 'Therapeutic drug level monitoring', 'Z51.81'),
+    ('004439', 'E00', 'E07', 'Thyroid disorders', 'E03.9'),
+    ('004439', 'R53.1', 'R53.83', 'Weakness and fatigue', 'R53.83'),
+    ('004439', 'R63.4', 'R63.5', 'Abnormal weight loss or gain', 'R63.5'),
+    ('004439', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('004439', 'Z51.81', 'Z51.81', 'Therapeutic drug level monitoring', 'Z51.81'),
+    ('004556', 'E00', 'E07', 'Thyroid disorders', 'E03.9'),
+    ('004556', 'R53.1', 'R53.83', 'Weakness and fatigue', 'R53.83'),
+    ('004556', 'R63.4', 'R63.5', 'Abnormal weight loss or gain', 'R63.5'),
+    ('004556', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('004556', 'Z51.81', 'Z51.81', 'Therapeutic drug level monitoring', 'Z51.81'),
+    ('007600', 'D50', 'D89', 'Anemias and other blood disorders', 'D64.9'),
+    ('007600', 'R50', 'R50.9', 'Fever', 'R50.9'),
+    ('007600', 'R53.1', 'R53.83', 'Weakness and fatigue', 'R53.83'),
+    ('007600', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('007600', 'Z51.81', 'Z51.81', 'Therapeutic drug level monitoring', 'Z51.81'),
+    ('011776', 'F31', 'F31.9', 'Bipolar disorder', 'F31.9'),
+    ('011776', 'F32', 'F33.9', 'Major depressive disorder', 'F33.1'),
+    ('011776', 'F25', 'F25.9', 'Schizoaffective disorder', 'F25.9'),
+    ('011776', 'T43.591A', 'T43.596S', 'Poisoning by or adverse effect of antipsychotics', 'T43.595A'),
+    ('011776', 'Z51.81', 'Z51.81', 'Therapeutic drug level monitoring', 'Z51.81'),
+    ('011776', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('004483', 'F31', 'F31.9', 'Bipolar disorder', 'F31.9'),
+    ('004483', 'G40', 'G40.919', 'Epilepsy and seizures', 'G40.909'),
+    ('004483', 'R56', 'R56.9', 'Convulsions', 'R56.9'),
+    ('004483', 'F25', 'F25.9', 'Schizoaffective disorder', 'F25.9'),
+    ('004483', 'T42', 'T42.8X6S', 'Poisoning by or adverse effect of antiepileptics', 'T42.6X5A'),
+    ('004483', 'Z51.81', 'Z51.81', 'Therapeutic drug level monitoring', 'Z51.81'),
+    ('004483', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('004501', 'F31', 'F31.9', 'Bipolar disorder', 'F31.9'),
+    ('004501', 'G40', 'G40.919', 'Epilepsy and seizures', 'G40.909'),
+    ('004501', 'R56', 'R56.9', 'Convulsions', 'R56.9'),
+    ('004501', 'F25', 'F25.9', 'Schizoaffective disorder', 'F25.9'),
+    ('004501', 'T42', 'T42.8X6S', 'Poisoning by or adverse effect of antiepileptics', 'T42.6X5A'),
+    ('004501', 'Z51.81', 'Z51.81', 'Therapeutic drug level monitoring', 'Z51.81'),
+    ('004501', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('004449', 'F31', 'F31.9', 'Bipolar disorder', 'F31.9'),
+    ('004449', 'G40', 'G40.919', 'Epilepsy and seizures', 'G40.909'),
+    ('004449', 'R56', 'R56.9', 'Convulsions', 'R56.9'),
+    ('004449', 'F25', 'F25.9', 'Schizoaffective disorder', 'F25.9'),
+    ('004449', 'T42', 'T42.8X6S', 'Poisoning by or adverse effect of antiepileptics', 'T42.6X5A'),
+    ('004449', 'Z51.81', 'Z51.81', 'Therapeutic drug level monitoring', 'Z51.81'),
+    ('004449', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('039092', 'F20', 'F29', 'Schizophrenia and other psychotic disorders', 'F20.9'),
+    ('039092', 'F31', 'F31.9', 'Bipolar disorder', 'F31.9'),
+    ('039092', 'T43.591A', 'T43.596S', 'Poisoning by or adverse effect of antipsychotics', 'T43.595A'),
+    ('039092', 'Z51.81', 'Z51.81', 'Therapeutic drug level monitoring', 'Z51.81'),
+    ('039092', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('017306', 'E55', 'E55.9', 'Vitamin D deficiency', 'E55.9'),
+    ('017306', 'E20', 'E21.5', 'Parathyroid disorders', 'E21.3'),
+    ('017306', 'E83.50', 'E83.59', 'Disorders of calcium metabolism', 'E83.52'),
+    ('017306', 'M80', 'M81.8', 'Osteoporosis', 'M81.0'),
+    ('017306', 'N18', 'N18.9', 'Chronic kidney disease', 'N18.9'),
+    ('017306', 'K90', 'K90.9', 'Intestinal malabsorption', 'K90.9'),
+    ('007065', 'D51', 'D52.9', 'Vitamin B12 and folate deficiency anemia', 'D51.9'),
+    ('007065', 'E53.8', 'E53.8', 'Deficiency of other B vitamins', 'E53.8'),
+    ('007065', 'D64.9', 'D64.9', 'Anemia, unspecified', 'D64.9'),
+    ('007065', 'F01', 'F03.918', 'Dementia', 'F03.90'),
+    ('007065', 'R41.0', 'R41.3', 'Disorientation and memory loss', 'R41.3'),
+    ('007065', 'G62', 'G63', 'Polyneuropathy', 'G62.9'),
+    ('007065', 'F10', 'F10.99', 'Alcohol related disorders', 'F10.20'),
+    ('007065', 'K90', 'K90.9', 'Intestinal malabsorption', 'K90.9'),
+    ('007150', 'E51', 'E51.9', 'Thiamine deficiency', 'E51.9'),
+    ('007150', 'F10', 'F10.99', 'Alcohol related disorders', 'F10.20'),
+    ('007150', 'R41.0', 'R41.3', 'Disorientation and memory loss', 'R41.3'),
+    ('007150', 'R63.4', 'R63.4', 'Abnormal weight loss', 'R63.4'),
+    ('004598', 'D50', 'D50.9', 'Iron deficiency anemia', 'D50.9'),
+    ('004598', 'D64.9', 'D64.9', 'Anemia, unspecified', 'D64.9'),
+    ('004598', 'E83.10', 'E83.19', 'Disorders of iron metabolism', 'E83.119'),
+    ('004598', 'G25.81', 'G25.81', 'Restless legs syndrome', 'G25.81'),
+    ('004598', 'R53.1', 'R53.83', 'Weakness and fatigue', 'R53.83'),
+    ('004465', 'E22.1', 'E22.1', 'Hyperprolactinemia', 'E22.1'),
+    ('004465', 'E23', 'E23.7', 'Hypopituitarism and pituitary disorders', 'E23.6'),
+    ('004465', 'N64.3', 'N64.3', 'Galactorrhea', 'N64.3'),
+    ('004465', 'N91', 'N92.6', 'Absent, scanty or irregular menstruation', 'N92.6'),
+    ('004465', 'N52', 'N52.9', 'Erectile dysfunction', 'N52.9'),
+    ('004465', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('790500', 'F10', 'F19.99', 'Substance use disorders', 'F19.20'),
+    ('790500', 'Z79.891', 'Z79.891', 'Long term (current) use of opiate analgesic', 'Z79.891'),
+    ('790500', 'T40', 'T43.9', 'Poisoning by narcotics and psychotropic drugs', 'T40.2X1A'),
+    ('790500', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('006620', 'Z32.0', 'Z32.02', 'Pregnancy test', 'Z32.01'),
+    ('006620', 'N91', 'N94.9', 'Menstrual disorders', 'N92.6'),
+    ('006620', 'Z30', 'Z30.9', 'Contraceptive management', 'Z30.09'),
+    ('006620', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'),
+    ('140435', 'Z11.3', 'Z11.59', 'Screening for infectious diseases', 'Z11.4'),
+    ('140435', 'Z20.2', 'Z20.6', 'Contact with or exposure to HIV or viral hepatitis', 'Z20.6'),
+    ('140435', 'F11', 'F16.99', 'Opioid, stimulant and other drug use disorders', 'F11.20'),
+    ('140435', 'Z72.51', 'Z72.53', 'High risk sexual behavior', 'Z72.51'),
+    ('008472', 'Z11.3', 'Z11.59', 'Screening for infectious diseases', 'Z11.4'),
+    ('008472', 'Z20.2', 'Z20.6', 'Contact with or exposure to HIV or viral hepatitis', 'Z20.6'),
+    ('008472', 'F11', 'F16.99', 'Opioid, stimulant and other drug use disorders', 'F11.20'),
+    ('008472', 'Z72.51', 'Z72.53', 'High risk sexual behavior', 'Z72.51'),
+    ('006514', 'Z11.3', 'Z11.59', 'Screening for infectious diseases', 'Z11.4'),
+    ('006514', 'Z20.2', 'Z20.6', 'Contact with or exposure to HIV or viral hepatitis', 'Z20.6'),
+    ('006514', 'F11', 'F16.99', 'Opioid, stimulant and other drug use disorders', 'F11.20'),
+    ('006514', 'Z72.51', 'Z72.53', 'High risk sexual behavior', 'Z72.51')
+ON CONFLICT (test_code, icd10_from, icd10_to) DO NOTHING;
@@ -0,0 +1,65 @@
+// Audit Middleware
+// Records PHI access and order actions to the append-only audit_logs table
+
+const { insertAuditLog } = require('../services/supabase');
+
+/**
+ * Build an audit entry for a request
+ */
+function buildAuditEntry(req, { action, resourceType, resourceId, statusCode, details }) {
+    return {
+        userId: req.user?.id,
+        userEmail: req.user?.email,
+        userRole: req.user?.role,
+        action,
+        resourceType,
+        resourceId,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        details
+    };
+}
+
+/**
+ * Write an audit entry immediately (for events outside the audit() middleware, e.g. login)
+ */
+function recordAuditEvent(req, event) {
+    return insertAuditLog(buildAuditEntry(req, event));
+}
+
+/**
+ * Route middleware - audit the request once the response has been sent
+ *
+ * @param {string} action - e.g. 'patient.view', 'order.confirm'
+ * @param {string} resourceType - e.g. 'patient', 'result', 'lab_order'
+ * @param {Object} [options]
+ * @param {Function} [options.resourceId] - (req) => id; defaults to req.params.id
+ * @param {Function} [options.details] - (req) => object with extra context (search terms, filters)
+ *
+ * Handlers can set res.locals.auditResourceId for records they create.
+ */
+function audit(action, resourceType, options = {}) {
+    const getResourceId = options.resourceId || (req => req.params.id);
+
+    return (req, res, next) => {
+        res.on('finish', () => {
+            recordAuditEvent(req, {
+                action,
+                resourceType,
+                resourceId: res.locals.auditResourceId ?? getResourceId(req),
+                statusCode: res.statusCode,
+                details: options.details ? options.details(req) : undefined
+            });
+        });
+
+        next();
+    };
+}
+
+module.exports = {
+    audit,
+    recordAuditEvent
+};
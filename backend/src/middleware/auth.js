@@ -0,0 +1,171 @@
+// Authentication Middleware
+// Verifies JWT sessions on API requests and Socket.io connections, and enforces roles
+
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const { getUserById } = require('../services/supabase');
+const { recordAuditEvent } = require('./audit');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+const ROLES = {
+    PROVIDER: 'provider',
+    STAFF: 'staff',
+    ADMIN: 'admin'
+};
+
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+function getJwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return secret;
+}
+
+/**
+ * Issue a session token for a user
+ */
+function signToken(user) {
+    return jwt.sign(
+        {
+            sub: user.id,
+            email: user.email,
+            role: user.role
+        },
+        getJwtSecret(),
+        { expiresIn: TOKEN_EXPIRES_IN }
+    );
+}
+
+/**
+ * Shape of the user attached to req.user / socket.data.user
+ */
+function toSessionUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        providerId: user.provider_id || null
+    };
+}
+
+/**
+ * Verify a token and load the (still active) user it was issued to
+ */
+async function authenticateToken(token) {
+    const payload = jwt.verify(token, getJwtSecret());
+
+    // Look the user up on every request so deactivated accounts lose access immediately
+    const user = await getUserById(payload.sub);
+    if (!user || !user.is_active) {
+        throw new Error('User account is inactive');
+    }
+
+    return toSessionUser(user);
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Express middleware - require a valid session
+ */
+async function requireAuth(req, res, next) {
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        req.user = await authenticateToken(token);
+        next();
+    } catch (error) {
+        if (error.message === 'JWT_SECRET is not configured') {
+            logger.error('Cannot authenticate requests: JWT_SECRET is not configured');
+            return res.status(500).json({ error: 'Authentication is not configured' });
+        }
+
+        logger.warn(`Rejected request to ${req.originalUrl}: ${error.message}`);
+        res.status(401).json({
+            error: 'Invalid or expired session',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Express middleware - require one of the given roles (use after requireAuth)
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        if (!roles.includes(req.user.role)) {
+            logger.warn(`User ${req.user.email} (${req.user.role}) denied access to ${req.method} ${req.originalUrl}`);
+            // Routes mount audit() after requireRole, so denied attempts are recorded here
+            recordAuditEvent(req, {
+                action: 'access.denied',
+                resourceType: 'route',
+                resourceId: req.params.id,
+                statusCode: 403,
+                details: { requiredRoles: roles }
+            });
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                requiredRoles: roles
+            });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Socket.io middleware - require a valid session in the handshake
+ * Clients connect with io(url, { auth: { token } })
+ */
+async function authenticateSocket(socket, next) {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+        return next(new Error('Authentication required'));
+    }
+
+    try {
+        socket.data.user = await authenticateToken(token);
+        next();
+    } catch (error) {
+        logger.warn(`Rejected socket connection ${socket.id}: ${error.message}`);
+        next(new Error('Invalid or expired session'));
+    }
+}
+
+module.exports = {
+    ROLES,
+    signToken,
+    toSessionUser,
+    requireAuth,
+    requireRole,
+    authenticateSocket
+};
@@ -0,0 +1,131 @@
+// Audit Log Routes
+// Admin search and CSV export of the HIPAA audit trail
+
+const express = require('express');
+const router = express.Router();
+const winston = require('winston');
+const { searchAuditLogs } = require('../services/supabase');
+const { audit } = require('../middleware/audit');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+const EXPORT_BATCH_SIZE = 1000;
+const MAX_EXPORT_ROWS = 50000;
+
+const CSV_COLUMNS = [
+    ['created_at', 'Timestamp'],
+    ['user_email', 'User'],
+    ['user_role', 'Role'],
+    ['action', 'Action'],
+    ['resource_type', 'Resource Type'],
+    ['resource_id', 'Resource ID'],
+    ['method', 'Method'],
+    ['path', 'Path'],
+    ['status_code', 'Status'],
+    ['ip_address', 'IP Address'],
+    ['user_agent', 'User Agent'],
+    ['details', 'Details']
+];
+
+function parseFilters(query) {
+    return {
+        userEmail: query.user || undefined,
+        action: query.action || undefined,
+        resourceType: query.resourceType || undefined,
+        resourceId: query.resourceId || undefined,
+        from: query.from || undefined,
+        to: query.to || undefined
+    };
+}
+
+// Spreadsheets run cells starting with these as formulas; user agents, emails and details
+// of failed logins come from whoever sent the request
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * GET /api/audit
+ * Search the audit trail
+ * Query: user, action, resourceType, resourceId, from, to (ISO dates), limit, offset
+ */
+router.get('/', audit('audit.search', 'audit_log', { details: req => req.query }), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const { entries, total } = await searchAuditLogs({
+            ...parseFilters(req.query),
+            limit,
+            offset
+        });
+
+        res.json({
+            entries,
+            total,
+            limit,
+            offset
+        });
+    } catch (error) {
+        logger.error('Failed to search audit logs:', error);
+        res.status(500).json({
+            error: 'Failed to search audit logs',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/audit/export
+ * Download matching audit entries as CSV (same filters as search)
+ */
+router.get('/export', audit('audit.export', 'audit_log', { details: req => req.query }), async (req, res) => {
+    try {
+        const filters = parseFilters(req.query);
+        const rows = [];
+
+        for (let offset = 0; offset < MAX_EXPORT_ROWS; offset += EXPORT_BATCH_SIZE) {
+            const { entries } = await searchAuditLogs({ ...filters, limit: EXPORT_BATCH_SIZE, offset });
+            rows.push(...entries);
+            if (entries.length < EXPORT_BATCH_SIZE) break;
+        }
+
+        const csv = [
+            CSV_COLUMNS.map(([, header]) => header).join(','),
+            ...rows.map(row => CSV_COLUMNS.map(([key]) => toCsvValue(row[key])).join(','))
+        ].join('\r\n');
+
+        const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+        logger.info(`User ${req.user.email} exported ${rows.length} audit log entries`);
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+    } catch (error) {
+        logger.error('Failed to export audit logs:', error);
+        res.status(500).json({
+            error: 'Failed to export audit logs',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,242 @@
+// Authentication Routes
+// Login, current session, and user management
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const winston = require('winston');
+const {
+    getUserByEmail,
+    getUserById,
+    listUsers,
+    createUser,
+    updateUser
+} = require('../services/supabase');
+const {
+    ROLES,
+    signToken,
+    toSessionUser,
+    requireAuth,
+    requireRole
+} = require('../middleware/auth');
+const { audit, recordAuditEvent } = require('../middleware/audit');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 10;
+const VALID_ROLES = Object.values(ROLES);
+
+/**
+ * POST /api/auth/login
+ * Exchange email + password for a session token
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['email', 'password']
+            });
+        }
+
+        const user = await getUserByEmail(email);
+
+        // Same response for unknown email and wrong password
+        const passwordOk = user && await bcrypt.compare(password, user.password_hash);
+        if (!passwordOk || !user.is_active) {
+            logger.warn(`Failed login attempt for ${email}`);
+            recordAuditEvent(req, {
+                action: 'auth.login_failed',
+                resourceType: 'user',
+                resourceId: user?.id,
+                statusCode: 401,
+                details: { email }
+            });
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        await updateUser(user.id, { last_login_at: new Date().toISOString() });
+
+        logger.info(`User ${user.email} (${user.role}) logged in`);
+        req.user = toSessionUser(user);
+        recordAuditEvent(req, {
+            action: 'auth.login',
+            resourceType: 'user',
+            resourceId: user.id,
+            statusCode: 200
+        });
+
+        res.json({
+            success: true,
+            token: signToken(user),
+            user: toSessionUser(user)
+        });
+
+    } catch (error) {
+        logger.error('Login failed:', error);
+        res.status(500).json({
+            error: 'Login failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the user for the current session
+ */
+router.get('/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+});
+
+/**
+ * GET /api/auth/users
+ * List all users (admin only)
+ */
+router.get('/users', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const users = await listUsers();
+
+        res.json({
+            users,
+            count: users.length
+        });
+    } catch (error) {
+        logger.error('Failed to list users:', error);
+        res.status(500).json({
+            error: 'Failed to list users',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/users
+ * Create a user (admin only)
+ */
+router.post('/users', requireAuth, requireRole(ROLES.ADMIN), audit('user.create', 'user'), async (req, res) => {
+    try {
+        const { email, password, name, role, providerId } = req.body;
+
+        if (!email || !password || !name || !role) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['email', 'password', 'name', 'role']
+            });
+        }
+
+        if (!VALID_ROLES.includes(role)) {
+            return res.status(400).json({
+                error: `Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`
+            });
+        }
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        if (await getUserByEmail(email)) {
+            return res.status(409).json({ error: 'A user with that email already exists' });
+        }
+
+        const user = await createUser({
+            email,
+            passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+            name,
+            role,
+            providerId
+        });
+
+        logger.info(`User ${req.user.email} created ${role} account ${user.email}`);
+        res.locals.auditResourceId = user.id;
+
+        res.status(201).json({
+            success: true,
+            user: toSessionUser(user)
+        });
+
+    } catch (error) {
+        logger.error('Failed to create user:', error);
+        res.status(500).json({
+            error: 'Failed to create user',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/auth/users/:id
+ * Update a user's name, role, provider link, active flag or password (admin only)
+ */
+router.patch('/users/:id', requireAuth, requireRole(ROLES.ADMIN), audit('user.update', 'user'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, role, providerId, isActive, password } = req.body;
+
+        const existing = await getUserById(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (role !== undefined && !VALID_ROLES.includes(role)) {
+            return res.status(400).json({
+                error: `Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`
+            });
+        }
+
+        // Don't let an admin lock themselves out
+        if (id === req.user.id && (isActive === false || (role && role !== ROLES.ADMIN))) {
+            return res.status(400).json({ error: 'You cannot deactivate or demote your own account' });
+        }
+
+        const updates = {};
+        if (name !== undefined) updates.name = name;
+        if (role !== undefined) updates.role = role;
+        if (providerId !== undefined) updates.provider_id = providerId || null;
+        if (isActive !== undefined) updates.is_active = !!isActive;
+
+        if (password !== undefined) {
+            if (password.length < MIN_PASSWORD_LENGTH) {
+                return res.status(400).json({
+                    error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+                });
+            }
+            updates.password_hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+        }
+
+        const user = await updateUser(id, updates);
+
+        logger.info(`User ${req.user.email} updated account ${user.email}`);
+
+        res.json({
+            success: true,
+            user: toSessionUser(user)
+        });
+
+    } catch (error) {
+        logger.error('Failed to update user:', error);
+        res.status(500).json({
+            error: 'Failed to update user',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
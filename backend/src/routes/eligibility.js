@@ -0,0 +1,86 @@
+// Eligibility Routes
+// Batch eligibility verification for upcoming appointments
+
+const express = require('express');
+const router = express.Router();
+const { getEligibilityBatchJobs } = require('../services/supabase');
+const { getEligibilityBatchService } = require('../services/eligibility/eligibilityBatchService');
+const { audit } = require('../middleware/audit');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.simple(),
+    transports: [new winston.transports.Console()]
+});
+
+/**
+ * GET /api/eligibility/batch
+ * Recent batch jobs with their progress (reports are fetched one at a time)
+ */
+router.get('/batch', async (req, res) => {
+    try {
+        const jobs = await getEligibilityBatchJobs();
+        res.json({ jobs });
+    } catch (error) {
+        logger.error('Failed to list eligibility batch jobs:', error);
+        res.status(500).json({ error: 'Failed to list eligibility batch jobs' });
+    }
+});
+
+/**
+ * POST /api/eligibility/batch
+ * Verify coverage for everyone with an appointment on a day
+ * Body: date (YYYY-MM-DD, defaults to tomorrow). Responds 202 with the job; progress is
+ * pushed as 'eligibility-batch-progress' Socket.io events.
+ */
+router.post('/batch', audit('eligibility.batch', 'eligibility_batch', {
+    details: req => ({ date: req.body.date })
+}), async (req, res) => {
+    try {
+        const { date } = req.body;
+
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        }
+
+        const job = await getEligibilityBatchService().startJob({
+            appointmentDate: date,
+            user: req.user
+        });
+
+        if (!job) {
+            return res.status(409).json({ error: 'An eligibility batch is already running' });
+        }
+
+        res.locals.auditResourceId = job.id;
+        res.status(202).json({ success: true, job });
+    } catch (error) {
+        logger.error('Failed to start eligibility batch:', error);
+        res.status(500).json({
+            error: 'Failed to start eligibility batch',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/eligibility/batch/:id
+ * A batch job with its report
+ */
+router.get('/batch/:id', audit('eligibility.batch.view', 'eligibility_batch'), async (req, res) => {
+    try {
+        const [job] = await getEligibilityBatchJobs({ id: req.params.id, includeReport: true });
+
+        if (!job) {
+            return res.status(404).json({ error: 'Batch job not found' });
+        }
+
+        res.json(job);
+    } catch (error) {
+        logger.error('Failed to get eligibility batch job:', error);
+        res.status(500).json({ error: 'Failed to get eligibility batch job' });
+    }
+});
+
+module.exports = router;
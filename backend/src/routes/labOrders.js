@@ -5,8 +5,27 @@ const express = require('express');
 const router = express.Router();
 const winston = require('winston');
 const intakeqService = require('../services/intakeqService');
+const { getIntakeQClientIndex } = require('../services/intakeqClientIndex');
 const medicaidEligibilityService = require('../services/medicaidEligibilityService');
-const LabcorpAgent = require('../services/portalAgents/labcorpAgent');
+const { getEligibilityService, EligibilityRequestError } = require('../services/eligibility/eligibilityService');
+const { getPayerDirectory, isCheckable } = require('../services/eligibility/payerDirectory');
+const { getOrderQueue } = require('../services/orderQueue');
+const { exportOrderHl7 } = require('../services/hl7/orderExport');
+const { getMedicationLabSuggestions } = require('../services/medicationMonitoring');
+const { getLabTestCatalog } = require('../services/labTestCatalog');
+const { checkAnswers } = require('../services/aoeQuestions');
+const { getMedicalNecessity } = require('../services/medicalNecessity');
+const { checkDiagnosisPointers } = require('../services/diagnosisPointers');
+const {
+    upsertPatient,
+    createPortalOrder,
+    getPortalOrder,
+    getDefaultProvider,
+    getLabOrderDrafts,
+    closeLabOrderDraft,
+    getSupabase
+} = require('../services/supabase');
+const { audit } = require('../middleware/audit');
 const labTestCodes = require('../../config/labTestCodes.json');
 
 // Configure logger
@@ -23,39 +42,48 @@ const logger = winston.createLogger({
     ]
 });
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Order ids are UUIDs; anything else can't be an order, and would make the query itself fail
+router.param('orderId', (req, res, next, orderId) => {
+    if (!UUID_PATTERN.test(orderId)) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+    next();
+});
+
 /**
  * GET /api/lab-orders/search-patients
- * Search for patients in IntakeQ
- * Accepts either 'name' (searches both first and last) or 'firstName' + 'lastName'
+ * Search IntakeQ patients (the local client index once it has synced), best match first
+ * Accepts 'name' (free text: name parts, a date of birth and/or a phone number), or
+ * 'firstName' + 'lastName', plus optional 'dateOfBirth' and 'phone'
  */
-router.get('/search-patients', async (req, res) => {
+router.get('/search-patients', audit('patient.search_intakeq', 'patient', { details: req => req.query }), async (req, res) => {
     try {
-        const { name, firstName, lastName } = req.query;
-
-        // Support both search modes: single 'name' field or separate 'firstName'/'lastName'
-        let searchFirstName = firstName;
-        let searchLastName = lastName;
-
-        if (name) {
-            // Single name search - try as both first and last name
-            searchFirstName = name;
-            searchLastName = name;
-        }
+        const { name, firstName, lastName, dateOfBirth, phone } = req.query;
 
-        if (!searchFirstName && !searchLastName) {
+        if (!name && !firstName && !lastName && !dateOfBirth && !phone) {
             return res.status(400).json({
-                error: 'name or firstName is required'
+                error: 'name, firstName, lastName, dateOfBirth or phone is required'
             });
         }
 
-        logger.info(`Searching for patients: ${searchFirstName || ''} ${searchLastName || ''}`);
+        logger.info(`Searching for patients: ${name || `${firstName || ''} ${lastName || ''}`}`);
 
-        const patients = await intakeqService.searchPatients(searchFirstName, searchLastName);
+        const { patients, source, lastSyncedAt } = await getIntakeQClientIndex().search({
+            name,
+            firstName,
+            lastName,
+            dateOfBirth,
+            phone
+        });
 
         res.json({
             success: true,
             patients,
-            count: patients.length
+            count: patients.length,
+            source,
+            lastSyncedAt
         });
 
     } catch (error) {
@@ -67,13 +95,66 @@ router.get('/search-patients', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/lab-orders/intakeq-sync
+ * IntakeQ client index status: client count, last sync and recent sync runs
+ */
+router.get('/intakeq-sync', async (req, res) => {
+    try {
+        res.json(await getIntakeQClientIndex().getStatus());
+    } catch (error) {
+        logger.error('Failed to get IntakeQ sync status:', error);
+        res.status(500).json({
+            error: 'Failed to get IntakeQ sync status',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/lab-orders/intakeq-sync
+ * Sync the IntakeQ client index now. Body: full (true re-reads every client)
+ */
+router.post('/intakeq-sync', audit('intakeq.sync', 'intakeq_sync_run', {
+    details: req => ({ full: !!req.body.full })
+}), async (req, res) => {
+    try {
+        const run = await getIntakeQClientIndex().sync({
+            full: !!req.body.full,
+            user: req.user
+        });
+
+        if (!run) {
+            return res.status(409).json({ error: 'An IntakeQ sync is already running' });
+        }
+
+        res.locals.auditResourceId = run.id;
+        res.json({ success: true, run });
+    } catch (error) {
+        logger.error('IntakeQ sync failed:', error);
+        res.status(500).json({
+            error: 'IntakeQ sync failed',
+            message: error.message
+        });
+    }
+});
+
 /**
  * POST /api/lab-orders/check-eligibility
  * Check Medicaid eligibility and get demographics
+ * A check from earlier today is reused unless the body has refresh: true
  */
-router.post('/check-eligibility', async (req, res) => {
+router.post('/check-eligibility', audit('eligibility.check', 'patient', {
+    // The Medicaid ID stays in the stored details, out of the logged resource id
+    details: req => ({
+        firstName: req.body.firstName,
+        lastName: req.body.lastName,
+        dateOfBirth: req.body.dateOfBirth,
+        medicaidId: req.body.medicaidId
+    })
+}), async (req, res) => {
     try {
-        const { firstName, lastName, dateOfBirth, medicaidId, intakeqPhone } = req.body;
+        const { firstName, lastName, dateOfBirth, medicaidId, intakeqPhone, refresh } = req.body;
 
         if (!firstName || !lastName || !dateOfBirth) {
             return res.status(400).json({
@@ -88,6 +169,10 @@ router.post('/check-eligibility', async (req, res) => {
             lastName,
             dateOfBirth,
             medicaidId
+        }, {
+            source: 'order_form',
+            userId: req.user?.id,
+            refresh: !!refresh
         });
 
         // Phone number fallback logic:
@@ -104,6 +189,13 @@ router.post('/check-eligibility', async (req, res) => {
         });
 
     } catch (error) {
+        if (error instanceof EligibilityRequestError) {
+            return res.status(400).json({
+                error: error.message,
+                ...error.details
+            });
+        }
+
         logger.error('Eligibility check failed:', {
             message: error.message,
             stack: error.stack,
@@ -117,15 +209,101 @@ router.post('/check-eligibility', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/lab-orders/eligibility-payers
+ * Payers an eligibility check can be sent to, with the fields each one requires
+ */
+router.get('/eligibility-payers', async (req, res) => {
+    try {
+        const payers = await getPayerDirectory().listPayers();
+
+        res.json({
+            success: true,
+            payers: payers.map(payer => ({
+                id: payer.key,
+                name: payer.name,
+                payerType: payer.payerType,
+                officeAllyPayerId: payer.officeAllyPayerId,
+                checkable: isCheckable(payer),
+                memberIdRequired: payer.search.memberIdRequired,
+                source: payer.source
+            }))
+        });
+    } catch (error) {
+        logger.error('Failed to list eligibility payers:', error);
+        res.status(500).json({
+            error: 'Failed to list eligibility payers',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/lab-orders/check-payer-eligibility
+ * Check eligibility with any payer the patient has on file
+ * Body: firstName, lastName, dateOfBirth, memberId, and payerId (from /eligibility-payers)
+ * or payerName (the insurance company as written on the chart); refresh: true skips the cache
+ */
+router.post('/check-payer-eligibility', audit('eligibility.check', 'patient', {
+    details: req => ({
+        firstName: req.body.firstName,
+        lastName: req.body.lastName,
+        dateOfBirth: req.body.dateOfBirth,
+        memberId: req.body.memberId,
+        payerId: req.body.payerId,
+        payerName: req.body.payerName
+    })
+}), async (req, res) => {
+    try {
+        const { firstName, lastName, dateOfBirth, memberId, payerId, payerName, refresh } = req.body;
+
+        if (!payerId && !payerName) {
+            return res.status(400).json({
+                error: 'payerId or payerName is required'
+            });
+        }
+
+        const eligibilityData = await getEligibilityService().checkEligibility(
+            { firstName, lastName, dateOfBirth, memberId },
+            { payerId, payerName },
+            { source: 'payer_check', userId: req.user?.id, refresh: !!refresh }
+        );
+
+        res.json({
+            success: true,
+            ...eligibilityData
+        });
+
+    } catch (error) {
+        if (error instanceof EligibilityRequestError) {
+            return res.status(400).json({
+                error: error.message,
+                ...error.details
+            });
+        }
+
+        logger.error('Payer eligibility check failed:', error);
+        res.status(500).json({
+            error: 'Failed to check eligibility',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /api/lab-orders/available-tests
- * Get list of available lab tests
+ * Get list of available lab tests from the catalog
+ * Optional 'portal' (labcorp, the default, or quest) and 'category'
  */
-router.get('/available-tests', (req, res) => {
+router.get('/available-tests', async (req, res) => {
     try {
-        const { category } = req.query;
+        const { category, portal } = req.query;
 
-        let tests = labTestCodes.labcorp.commonTests;
+        if (portal && !['labcorp', 'quest'].includes(portal)) {
+            return res.status(400).json({ error: 'portal must be labcorp or quest' });
+        }
+
+        let tests = await getLabTestCatalog().getTests({ portal });
 
         if (category) {
             tests = tests.filter(test => test.category.toLowerCase() === category.toLowerCase());
@@ -182,7 +360,7 @@ router.get('/available-diagnoses', (req, res) => {
  * GET /api/lab-orders/patient-diagnoses/:intakeqId
  * Get patient's existing diagnoses from IntakeQ
  */
-router.get('/patient-diagnoses/:intakeqId', async (req, res) => {
+router.get('/patient-diagnoses/:intakeqId', audit('patient.view_diagnoses', 'patient', { resourceId: req => req.params.intakeqId }), async (req, res) => {
     try {
         const { intakeqId } = req.params;
 
@@ -205,18 +383,147 @@ router.get('/patient-diagnoses/:intakeqId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/lab-orders/medication-suggestions/:intakeqId
+ * Monitoring labs recommended for the patient's current medications (IntakeQ), with when
+ * each was last drawn and whether it is due
+ */
+router.get('/medication-suggestions/:intakeqId', audit('patient.view_medications', 'patient', { resourceId: req => req.params.intakeqId }), async (req, res) => {
+    try {
+        const suggestions = await getMedicationLabSuggestions(req.params.intakeqId);
+
+        res.json({
+            success: true,
+            ...suggestions
+        });
+
+    } catch (error) {
+        logger.error('Failed to get medication lab suggestions:', error);
+        res.status(500).json({
+            error: 'Failed to get medication lab suggestions',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/lab-orders/medical-necessity
+ * Check that each test is supported by one of the diagnoses it points at, with qualifying
+ * codes to add when not and whether a Medicare patient needs an ABN. Body: tests ({ code,
+ * name, diagnosisPointers? }), diagnoses (ICD-10 codes), patient (intakeqId and insurance details)
+ */
+router.post('/medical-necessity', audit('order.check_necessity', 'patient', { resourceId: req => req.body.patient?.intakeqId }), async (req, res) => {
+    try {
+        const { tests, diagnoses, patient } = req.body;
+
+        if (!Array.isArray(tests) || !Array.isArray(diagnoses)) {
+            return res.status(400).json({
+                error: 'tests and diagnoses must be lists'
+            });
+        }
+
+        const chartDiagnoses = patient?.intakeqId
+            ? await intakeqService.getPatientDiagnoses(patient.intakeqId)
+            : [];
+
+        const result = await getMedicalNecessity().check({
+            tests,
+            diagnoses,
+            patient: patient || {},
+            chartDiagnoses
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        logger.error('Failed to check medical necessity:', error);
+        res.status(500).json({
+            error: 'Failed to check medical necessity',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/lab-orders/drafts
+ * Draft orders created from IntakeQ notes. Query: status (default pending_review)
+ */
+router.get('/drafts', audit('order.draft_list', 'lab_order_draft', {
+    details: req => ({ status: req.query.status || 'pending_review' })
+}), async (req, res) => {
+    try {
+        const drafts = await getLabOrderDrafts({ status: req.query.status || 'pending_review' });
+        res.json({ drafts });
+    } catch (error) {
+        logger.error('Failed to list lab order drafts:', error);
+        res.status(500).json({
+            error: 'Failed to list lab order drafts',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/lab-orders/drafts/:id
+ * One draft order with its note excerpt and detected tests
+ */
+router.get('/drafts/:id', audit('order.draft_view', 'lab_order_draft', { resourceId: req => req.params.id }), async (req, res) => {
+    try {
+        const [draft] = await getLabOrderDrafts({ id: req.params.id });
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+        res.json({ draft });
+    } catch (error) {
+        logger.error('Failed to get lab order draft:', error);
+        res.status(500).json({
+            error: 'Failed to get lab order draft',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/lab-orders/drafts/:id/dismiss
+ * Drop a draft that shouldn't become an order
+ */
+router.post('/drafts/:id/dismiss', audit('order.draft_dismiss', 'lab_order_draft', { resourceId: req => req.params.id }), async (req, res) => {
+    try {
+        const draft = await closeLabOrderDraft(req.params.id, {
+            status: 'dismissed',
+            reviewed_by: req.user.id
+        });
+        if (!draft) {
+            return res.status(409).json({ error: 'Draft is not pending review' });
+        }
+        req.app.get('io')?.emit('lab-order-draft', { draftId: draft.id, status: draft.status });
+        res.json({ success: true, draft });
+    } catch (error) {
+        logger.error('Failed to dismiss lab order draft:', error);
+        res.status(500).json({
+            error: 'Failed to dismiss lab order draft',
+            message: error.message
+        });
+    }
+});
+
 /**
  * POST /api/lab-orders/submit
- * Submit a lab order (triggers Labcorp automation)
+ * Submit a lab order (persists it, then triggers Labcorp automation)
  */
-router.post('/submit', async (req, res) => {
+router.post('/submit', audit('order.submit', 'lab_order'), async (req, res) => {
     try {
         const {
             providerName,
             patient,
             tests,
             diagnoses,
-            useMedicaidData
+            eligibility,
+            useMedicaidData,
+            draftId
         } = req.body;
 
         // Validation
@@ -243,61 +550,107 @@ router.post('/submit', async (req, res) => {
         logger.info(`Tests: ${tests.map(t => t.name).join(', ')}`);
         logger.info(`Diagnoses: ${diagnoses.join(', ')}`);
 
-        // Map test names to Labcorp codes
-        const mappedTests = tests.map(test => {
-            const labcorpTest = labTestCodes.labcorp.commonTests.find(
-                t => t.code === test.code || t.name === test.name
-            );
+        // Map test names to Labcorp codes, check the AOE answers each test needs and the
+        // diagnoses each test points at (all of them unless the line says otherwise)
+        const catalog = getLabTestCatalog();
+        const aoeErrors = [];
+        const pointerErrors = [];
+        const mappedTests = await Promise.all(tests.map(async test => {
+            const labcorpTest = await catalog.findTest(test);
 
             if (!labcorpTest) {
-                logger.warn(`Test not found in labTestCodes: ${test.name || test.code}`);
+                logger.warn(`Test not found in lab test catalog: ${test.name || test.code}`);
+            }
+
+            const { answers, errors } = checkAnswers(labcorpTest?.aoeQuestions, test.aoeAnswers);
+            aoeErrors.push(...errors.map(error => `${labcorpTest.name}: ${error}`));
+
+            const { pointers, error: pointerError } = checkDiagnosisPointers(test.diagnosisPointers, diagnoses);
+            if (pointerError) {
+                pointerErrors.push(`${labcorpTest?.name || test.name}: ${pointerError}`);
             }
 
             return {
                 code: labcorpTest?.code || test.code,
                 name: labcorpTest?.name || test.name,
-                category: labcorpTest?.category || 'Unknown'
+                category: labcorpTest?.category || 'Unknown',
+                diagnosisPointers: pointers,
+                ...(answers.length > 0 && { aoeAnswers: answers })
             };
-        });
+        }));
 
-        // Prepare order data for automation
-        const orderData = {
-            id: `order_${Date.now()}`, // Generate unique ID
-            providerName: providerName || 'MOONLIT Provider',
-            patient: {
-                ...patient,
-                useMedicaidData: useMedicaidData !== false // Default to true
-            },
-            tests: mappedTests,
-            diagnosisCodes: diagnoses,
-            retry_count: 0,
-            createdAt: new Date().toISOString()
+        if (pointerErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Diagnosis pointers are invalid',
+                pointerErrors
+            });
+        }
+
+        if (aoeErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Order questions (AOE) are missing or invalid',
+                aoeErrors
+            });
+        }
+
+        const patientSnapshot = {
+            ...patient,
+            useMedicaidData: useMedicaidData !== false // Default to true
         };
 
-        // Get Socket.io instance from app
-        const io = req.app.get('io');
+        // Persist patient and order before any automation starts
+        const patientRecord = await upsertPatient(patient);
+        const provider = await getDefaultProvider();
+
+        // The raw 271 is large and not needed to display the order
+        const { rawX12, ...eligibilitySnapshot } = eligibility || {};
+
+        const order = await createPortalOrder({
+            patientId: patientRecord.id,
+            providerId: provider.id,
+            portal: 'labcorp',
+            testsOrdered: mappedTests,
+            diagnosisCodes: diagnoses,
+            providerName: providerName || 'MOONLIT Provider',
+            intakeqClientId: patient.intakeqId || null,
+            patientSnapshot,
+            eligibilitySnapshot: eligibility ? eligibilitySnapshot : null
+        });
+
+        // Keep an HL7 ORM^O01 copy of exactly what was ordered (never blocks the order itself)
+        try {
+            await exportOrderHl7(order, getOrderQueue().buildOrderData({ ...order, provider }));
+        } catch (error) {
+            logger.warn(`Could not generate HL7 order message for ${order.id}:`, error.message);
+        }
+
+        // An order started from an IntakeQ draft closes the draft (never blocks the order itself)
+        if (draftId) {
+            try {
+                const draft = await closeLabOrderDraft(draftId, {
+                    status: 'ordered',
+                    order_id: order.id,
+                    reviewed_by: req.user.id
+                });
+                if (draft) {
+                    req.app.get('io')?.emit('lab-order-draft', { draftId: draft.id, status: draft.status });
+                }
+            } catch (error) {
+                logger.warn(`Could not close lab order draft ${draftId}:`, error.message);
+            }
+        }
 
-        // Initialize Labcorp agent
-        const labcorpAgent = new LabcorpAgent({ io });
+        // Queue the order - a worker picks it up, retries transient failures,
+        // and resumes it if the server restarts mid-automation
+        res.locals.auditResourceId = order.id;
+        await getOrderQueue().enqueue(order.id);
 
-        // Start automation in background
-        // Return immediately with order ID, let automation run async
         res.json({
             success: true,
             message: 'Lab order submitted - automation in progress',
-            orderId: orderData.id,
-            status: 'processing'
-        });
-
-        // Process order asynchronously
-        labcorpAgent.processOrder(orderData)
-            .then(result => {
-                logger.info(`Order ${orderData.id} completed successfully:`, result);
-            })
-            .catch(error => {
-                logger.error(`Order ${orderData.id} failed:`, error.message);
-                // Email notification already sent by labcorpAgent
-            });
+            orderId: order.id,
+            status: order.status
+        });
 
     } catch (error) {
         logger.error('Failed to submit lab order:', error);
@@ -312,18 +665,46 @@ router.post('/submit', async (req, res) => {
  * GET /api/lab-orders/status/:orderId
  * Get status of a lab order automation
  */
-router.get('/status/:orderId', async (req, res) => {
+router.get('/status/:orderId', audit('order.view', 'lab_order', { resourceId: req => req.params.orderId }), async (req, res) => {
     try {
         const { orderId } = req.params;
 
-        // TODO: Query database for order status
-        // For now, return a placeholder
+        const order = await getPortalOrder(orderId);
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const patient = order.patient_snapshot || {
+            firstName: order.patient?.first_name,
+            lastName: order.patient?.last_name,
+            dateOfBirth: order.patient?.date_of_birth
+        };
 
         res.json({
             success: true,
-            orderId,
-            status: 'processing',
-            message: 'Order automation in progress - check Socket.io for real-time updates'
+            orderId: order.id,
+            portal: order.portal,
+            status: order.status,
+            currentStep: order.current_step,
+            confirmationNumber: order.confirmation_number,
+            errorMessage: order.error_message,
+            retryCount: order.retry_count,
+            providerName: order.provider_name || order.provider?.name,
+            patient,
+            tests: order.tests_ordered,
+            diagnosisCodes: order.diagnosis_codes,
+            eligibility: order.eligibility_snapshot,
+            previewUrl: order.preview_screenshot_url,
+            screenshotUrl: order.final_screenshot_url,
+            createdAt: order.created_at,
+            processingStartedAt: order.processing_started_at,
+            submittedAt: order.submitted_at,
+            completedAt: order.completed_at,
+            failedAt: order.failed_at,
+            updatedAt: order.updated_at,
+            logs: (order.automation_logs || [])
+                .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
         });
 
     } catch (error) {
@@ -335,4 +716,39 @@ router.get('/status/:orderId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/lab-orders/:orderId/hl7
+ * Download the HL7 ORM^O01 message for an order (generated on first request for older orders)
+ */
+router.get('/:orderId/hl7', audit('order.export_hl7', 'lab_order', { resourceId: req => req.params.orderId }), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const { data: order, error } = await getSupabase()
+            .from('portal_orders')
+            .select('*, patient:patients(*), provider:providers(*)')
+            .eq('id', orderId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const message = order.hl7_orm
+            || (await exportOrderHl7(order, getOrderQueue().buildOrderData(order))).message;
+
+        res.setHeader('Content-Type', 'application/hl7-v2');
+        res.setHeader('Content-Disposition', `attachment; filename="order-${orderId}.hl7"`);
+        res.send(message);
+
+    } catch (error) {
+        logger.error('Failed to export order HL7:', error);
+        res.status(500).json({
+            error: 'Failed to export order HL7',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
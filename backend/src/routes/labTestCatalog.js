@@ -0,0 +1,125 @@
+// Lab Test Catalog Routes
+// Admins add, edit and retire the orderable lab tests from Settings
+
+const express = require('express');
+const router = express.Router();
+const winston = require('winston');
+const { getLabTestCatalog, LabTestCatalogError } = require('../services/labTestCatalog');
+const { ROLES, requireRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+/**
+ * Respond with a catalog error: validation problems and missing tests as themselves, a
+ * code that was taken in the meantime as a conflict
+ */
+function sendError(res, error, message) {
+    if (error instanceof LabTestCatalogError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    if (error.code === '23505') {
+        return res.status(409).json({ error: 'Another active test already uses that code' });
+    }
+
+    logger.error(`${message}:`, error);
+    return res.status(500).json({
+        error: message,
+        message: error.message
+    });
+}
+
+/**
+ * GET /api/lab-test-catalog
+ * The whole catalog, retired and scheduled tests included
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { tests, source } = await getLabTestCatalog().listEntries();
+
+        res.json({
+            success: true,
+            tests,
+            source,
+            categories: [...new Set(tests.map(test => test.category))].sort()
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch lab test catalog');
+    }
+});
+
+/**
+ * POST /api/lab-test-catalog
+ * Add a test (admin only)
+ */
+router.post('/', requireRole(ROLES.ADMIN), audit('lab_test.create', 'lab_test', { details: req => req.body }), async (req, res) => {
+    try {
+        const test = await getLabTestCatalog().createTest(req.body, req.user.id);
+
+        logger.info(`${req.user.email} added ${test.name} to the lab test catalog`);
+        res.locals.auditResourceId = test.id;
+
+        res.status(201).json({
+            success: true,
+            test
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to add lab test');
+    }
+});
+
+/**
+ * PATCH /api/lab-test-catalog/:id
+ * Edit a test's codes, name, category, synonyms, effective dates or active flag (admin only)
+ */
+router.patch('/:id', requireRole(ROLES.ADMIN), audit('lab_test.update', 'lab_test', { details: req => req.body }), async (req, res) => {
+    try {
+        const test = await getLabTestCatalog().updateTest(req.params.id, req.body, req.user.id);
+
+        logger.info(`${req.user.email} updated ${test.name} in the lab test catalog`);
+
+        res.json({
+            success: true,
+            test
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to update lab test');
+    }
+});
+
+/**
+ * POST /api/lab-test-catalog/:id/retire
+ * Stop offering a test, today or from an optional 'effectiveTo' date (admin only)
+ */
+router.post('/:id/retire', requireRole(ROLES.ADMIN), audit('lab_test.retire', 'lab_test', { details: req => req.body }), async (req, res) => {
+    try {
+        const test = await getLabTestCatalog().retireTest(req.params.id, req.body || {}, req.user.id);
+
+        logger.info(`${req.user.email} retired ${test.name} from the lab test catalog`);
+
+        res.json({
+            success: true,
+            test
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to retire lab test');
+    }
+});
+
+module.exports = router;
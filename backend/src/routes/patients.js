@@ -4,6 +4,8 @@
 const express = require('express');
 const router = express.Router();
 const { getSupabase, upsertPatient } = require('../services/supabase');
+const { getEligibilityService } = require('../services/eligibility/eligibilityService');
+const { audit } = require('../middleware/audit');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -16,7 +18,7 @@ const logger = winston.createLogger({
  * GET /api/patients
  * Get all patients
  */
-router.get('/', async (req, res) => {
+router.get('/', audit('patient.list', 'patient'), async (req, res) => {
     try {
         const { data: patients, error } = await getSupabase()
             .from('patients')
@@ -35,11 +37,38 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/patients/search
+ * Search patients by name
+ */
+router.get('/search', audit('patient.search', 'patient', { details: req => ({ query: req.query.q }) }), async (req, res) => {
+    try {
+        const { q } = req.query;
+
+        if (!q || q.length < 2) {
+            return res.json({ patients: [] });
+        }
+
+        const { data: patients, error } = await getSupabase()
+            .from('patients')
+            .select('id, first_name, last_name, date_of_birth, medicaid_id')
+            .or(`first_name.ilike.%${q}%,last_name.ilike.%${q}%`)
+            .limit(10);
+
+        if (error) throw error;
+
+        res.json({ patients: patients || [] });
+    } catch (error) {
+        logger.error('Patient search failed:', error);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
 /**
  * GET /api/patients/:id
  * Get single patient
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', audit('patient.view', 'patient'), async (req, res) => {
     try {
         const { data: patient, error } = await getSupabase()
             .from('patients')
@@ -62,13 +91,44 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/patients/:id/eligibility
+ * Eligibility checks for a patient, newest first - shows when coverage changed or lapsed
+ */
+router.get('/:id/eligibility', audit('eligibility.history', 'patient'), async (req, res) => {
+    try {
+        const { data: patient, error } = await getSupabase()
+            .from('patients')
+            .select('id, first_name, last_name, date_of_birth')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const checks = await getEligibilityService().getHistory({
+            id: patient.id,
+            firstName: patient.first_name,
+            lastName: patient.last_name,
+            dateOfBirth: patient.date_of_birth
+        });
+
+        res.json({ checks });
+    } catch (error) {
+        logger.error('Failed to get eligibility history:', error);
+        res.status(500).json({ error: 'Failed to get eligibility history' });
+    }
+});
+
 /**
  * POST /api/patients
  * Create or update patient
  */
-router.post('/', async (req, res) => {
+router.post('/', audit('patient.upsert', 'patient'), async (req, res) => {
     try {
         const patient = await upsertPatient(req.body);
+        res.locals.auditResourceId = patient.id;
         res.json({
             success: true,
             patient: patient
@@ -79,31 +139,4 @@ router.post('/', async (req, res) => {
     }
 });
 
-/**
- * GET /api/patients/search
- * Search patients by name
- */
-router.get('/search', async (req, res) => {
-    try {
-        const { q } = req.query;
-
-        if (!q || q.length < 2) {
-            return res.json({ patients: [] });
-        }
-
-        const { data: patients, error } = await getSupabase()
-            .from('patients')
-            .select('id, first_name, last_name, date_of_birth, medicaid_id')
-            .or(`first_name.ilike.%${q}%,last_name.ilike.%${q}%`)
-            .limit(10);
-
-        if (error) throw error;
-
-        res.json({ patients: patients || [] });
-    } catch (error) {
-        logger.error('Patient search failed:', error);
-        res.status(500).json({ error: 'Search failed' });
-    }
-});
-
 module.exports = router;
\ No newline at end of file
@@ -7,11 +7,15 @@ const winston = require('winston');
 const LabcorpAgent = require('../services/portalAgents/labcorpAgent');
 const QuestAgent = require('../services/portalAgents/questAgent');
 const { getLLMHelper } = require('../services/portalAgents/llmHelper');
+const { getOrderQueue } = require('../services/orderQueue');
+const { ROLES, requireRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const {
     upsertPatient,
     createPortalOrder,
     updateOrderStatus,
     getSupabase,
+    getDefaultProvider,
     createNotification,
     logAutomation
 } = require('../services/supabase');
@@ -30,14 +34,14 @@ const logger = winston.createLogger({
     ]
 });
 
-// Active automation sessions (for preview mode)
-const activeSessions = new Map();
+// Audit options for routes keyed on :orderId
+const auditByOrderId = { resourceId: req => req.params.orderId };
 
 /**
  * POST /api/portal-automation/order
  * Submit a new order to a portal
  */
-router.post('/order', async (req, res) => {
+router.post('/order', audit('order.submit', 'lab_order'), async (req, res) => {
     try {
         const {
             portal,
@@ -69,19 +73,7 @@ router.post('/order', async (req, res) => {
         const patientRecord = await upsertPatient(patient);
 
         // Get provider (default to first provider if not specified)
-        let providerId = provider?.id;
-        if (!providerId) {
-            const { data: providers } = await getSupabase()
-                .from('providers')
-                .select('id')
-                .limit(1);
-
-            if (providers && providers.length > 0) {
-                providerId = providers[0].id;
-            } else {
-                throw new Error('No provider found in database');
-            }
-        }
+        const providerId = provider?.id || (await getDefaultProvider()).id;
 
         // Create portal order record
         const order = await createPortalOrder({
@@ -90,41 +82,19 @@ router.post('/order', async (req, res) => {
             portal: portal,
             testsOrdered: tests,
             diagnosisCodes: diagnosisCodes || [],
-            specialInstructions: specialInstructions
-        });
-
-        // Get Socket.io instance
-        const io = req.app.get('io');
-
-        // Initialize appropriate agent
-        let agent;
-        if (portal === 'labcorp') {
-            agent = new LabcorpAgent({ io });
-        } else {
-            agent = new QuestAgent({ io });
-        }
-
-        // Store session for preview confirmation
-        activeSessions.set(order.id, agent);
-
-        // Process order
-        const result = await agent.processOrder({
-            id: order.id,
-            patient: patient,
-            tests: tests,
-            diagnosisCodes: diagnosisCodes,
-            retry_count: 0
+            specialInstructions: specialInstructions,
+            patientSnapshot: patient
         });
 
-        // Clean up session if order was auto-submitted
-        if (result.status !== 'preview') {
-            activeSessions.delete(order.id);
-        }
+        // Hand the order to the queue - a worker picks it up and reports progress over Socket.io
+        res.locals.auditResourceId = order.id;
+        await getOrderQueue().enqueue(order.id);
 
         res.json({
             success: true,
             orderId: order.id,
-            ...result
+            status: order.status,
+            message: 'Order queued for processing'
         });
 
     } catch (error) {
@@ -140,7 +110,7 @@ router.post('/order', async (req, res) => {
  * GET /api/portal-automation/preview/:orderId
  * Get preview screenshot for an order
  */
-router.get('/preview/:orderId', async (req, res) => {
+router.get('/preview/:orderId', audit('order.preview', 'lab_order', auditByOrderId), async (req, res) => {
     try {
         const { orderId } = req.params;
 
@@ -185,12 +155,13 @@ router.get('/preview/:orderId', async (req, res) => {
  * POST /api/portal-automation/confirm/:orderId
  * Confirm and submit a previewed order
  */
-router.post('/confirm/:orderId', async (req, res) => {
+router.post('/confirm/:orderId', audit('order.confirm', 'lab_order', auditByOrderId), async (req, res) => {
     try {
         const { orderId } = req.params;
 
         // Check if session exists
-        const agent = activeSessions.get(orderId);
+        const queue = getOrderQueue();
+        const agent = queue.getPreviewSession(orderId);
         if (!agent) {
             return res.status(400).json({
                 error: 'Session expired',
@@ -207,7 +178,7 @@ router.post('/confirm/:orderId', async (req, res) => {
         const result = await agent.confirmOrder(orderId);
 
         // Clean up session
-        activeSessions.delete(orderId);
+        queue.releasePreviewSession(orderId);
 
         res.json({
             success: true,
@@ -219,7 +190,7 @@ router.post('/confirm/:orderId', async (req, res) => {
         logger.error('Order confirmation failed:', error);
 
         // Clean up session on error
-        activeSessions.delete(req.params.orderId);
+        getOrderQueue().releasePreviewSession(req.params.orderId);
 
         res.status(500).json({
             error: 'Failed to confirm order',
@@ -232,16 +203,17 @@ router.post('/confirm/:orderId', async (req, res) => {
  * POST /api/portal-automation/cancel/:orderId
  * Cancel a previewed order
  */
-router.post('/cancel/:orderId', async (req, res) => {
+router.post('/cancel/:orderId', audit('order.cancel', 'lab_order', auditByOrderId), async (req, res) => {
     try {
         const { orderId } = req.params;
         const { generatePdf } = req.body;
 
         // Clean up session if exists
-        const agent = activeSessions.get(orderId);
+        const queue = getOrderQueue();
+        const agent = queue.getPreviewSession(orderId);
         if (agent) {
             await agent.cleanup();
-            activeSessions.delete(orderId);
+            queue.releasePreviewSession(orderId);
         }
 
         // Update order status
@@ -280,9 +252,9 @@ router.post('/cancel/:orderId', async (req, res) => {
 
 /**
  * POST /api/portal-automation/retry/:orderId
- * Retry a failed order
+ * Retry a failed order, or one held for review after checking it isn't already on the portal
  */
-router.post('/retry/:orderId', async (req, res) => {
+router.post('/retry/:orderId', audit('order.retry', 'lab_order', auditByOrderId), async (req, res) => {
     try {
         const { orderId } = req.params;
 
@@ -297,39 +269,38 @@ router.post('/retry/:orderId', async (req, res) => {
             return res.status(404).json({ error: 'Order not found' });
         }
 
-        if (order.status !== 'failed') {
+        if (!['failed', 'needs_review'].includes(order.status)) {
             return res.status(400).json({
-                error: 'Can only retry failed orders',
+                error: 'Can only retry failed orders or orders held for review',
                 currentStatus: order.status
             });
         }
 
-        logger.info(`Retrying order ${orderId} (attempt ${order.retry_count + 1})`);
-
-        // Get Socket.io instance
-        const io = req.app.get('io');
+        logger.info(`Re-queueing ${order.status} order ${orderId}`);
 
-        // Initialize appropriate agent
-        let agent;
-        if (order.portal === 'labcorp') {
-            agent = new LabcorpAgent({ io });
-        } else {
-            agent = new QuestAgent({ io });
-        }
+        // Manual retries get a fresh set of automatic attempts
+        await updateOrderStatus(orderId, 'pending', {
+            retry_count: 0,
+            next_attempt_at: null,
+            current_step: null,
+            locked_by: null,
+            locked_at: null
+        });
 
-        // Process order with incremented retry count
-        const result = await agent.processOrder({
-            id: order.id,
-            patient: order.patient,
-            tests: order.tests_ordered,
-            diagnosisCodes: order.diagnosis_codes,
-            retry_count: order.retry_count
+        await logAutomation({
+            portalOrderId: orderId,
+            action: 'order_manual_retry',
+            status: 'pending',
+            details: { previousRetryCount: order.retry_count, previousError: order.error_message }
         });
 
+        await getOrderQueue().enqueue(orderId);
+
         res.json({
             success: true,
             orderId: order.id,
-            ...result
+            status: 'pending',
+            message: 'Order re-queued for processing'
         });
 
     } catch (error) {
@@ -345,7 +316,7 @@ router.post('/retry/:orderId', async (req, res) => {
  * GET /api/portal-automation/status/:orderId
  * Get current status of an order
  */
-router.get('/status/:orderId', async (req, res) => {
+router.get('/status/:orderId', audit('order.view', 'lab_order', auditByOrderId), async (req, res) => {
     try {
         const { orderId } = req.params;
 
@@ -390,7 +361,7 @@ router.get('/status/:orderId', async (req, res) => {
  * POST /api/portal-automation/test-connection/:portal
  * Test portal connection and credentials
  */
-router.post('/test-connection/:portal', async (req, res) => {
+router.post('/test-connection/:portal', requireRole(ROLES.ADMIN), async (req, res) => {
     try {
         const { portal } = req.params;
 
@@ -440,7 +411,7 @@ router.post('/test-connection/:portal', async (req, res) => {
  * GET /api/portal-automation/active-orders
  * Get all active orders (pending, preview, confirmed)
  */
-router.get('/active-orders', async (req, res) => {
+router.get('/active-orders', audit('order.list_active', 'lab_order'), async (req, res) => {
     try {
         const { data: orders, error } = await getSupabase()
             .from('active_orders') // This is a view we created
@@ -467,7 +438,7 @@ router.get('/active-orders', async (req, res) => {
  * POST /api/portal-automation/generate-pdf/:orderId
  * Generate PDF fallback for an order
  */
-router.post('/generate-pdf/:orderId', async (req, res) => {
+router.post('/generate-pdf/:orderId', audit('order.generate_pdf', 'lab_order', auditByOrderId), async (req, res) => {
     try {
         const { orderId } = req.params;
 
@@ -512,7 +483,7 @@ router.post('/generate-pdf/:orderId', async (req, res) => {
  * POST /api/portal-automation/diagnose-error
  * Use LLM to diagnose automation errors
  */
-router.post('/diagnose-error', async (req, res) => {
+router.post('/diagnose-error', requireRole(ROLES.ADMIN), async (req, res) => {
     try {
         const { errorMessage, screenshotPath, currentUrl } = req.body;
 
@@ -538,7 +509,7 @@ router.post('/diagnose-error', async (req, res) => {
 });
 
 // Test portal connection
-router.post('/test-connection', async (req, res) => {
+router.post('/test-connection', requireRole(ROLES.ADMIN), async (req, res) => {
     try {
         const { portal } = req.body;
 
@@ -582,17 +553,4 @@ router.post('/test-connection', async (req, res) => {
     }
 });
 
-// Clean up expired sessions periodically
-setInterval(() => {
-    const now = Date.now();
-    for (const [orderId, agent] of activeSessions.entries()) {
-        // Clean up sessions older than 15 minutes
-        if (agent.createdAt && now - agent.createdAt > 15 * 60 * 1000) {
-            logger.info(`Cleaning up expired session for order ${orderId}`);
-            agent.cleanup();
-            activeSessions.delete(orderId);
-        }
-    }
-}, 5 * 60 * 1000); // Check every 5 minutes
-
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,7 @@
 const express = require('express');
 const router = express.Router();
 const { getSupabase } = require('../services/supabase');
+const { ROLES, requireRole } = require('../middleware/auth');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -68,7 +69,7 @@ router.get('/:id', async (req, res) => {
  * POST /api/providers
  * Create provider
  */
-router.post('/', async (req, res) => {
+router.post('/', requireRole(ROLES.ADMIN), async (req, res) => {
     try {
         const { data: provider, error } = await getSupabase()
             .from('providers')
@@ -104,7 +105,7 @@ router.post('/', async (req, res) => {
  * PUT /api/providers/:id
  * Update provider
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole(ROLES.ADMIN), async (req, res) => {
     try {
         const { data: provider, error } = await getSupabase()
             .from('providers')
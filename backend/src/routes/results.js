@@ -3,7 +3,21 @@
 
 const express = require('express');
 const router = express.Router();
-const { getSupabase, savePortalResult } = require('../services/supabase');
+const {
+    getSupabase,
+    savePortalResult,
+    getPortalResultVersions,
+    getMatchQueue,
+    closeMatchQueueItems,
+    getCriticalAlerts,
+    getIntakeqResultPushes
+} = require('../services/supabase');
+const { ingestOruText } = require('../services/hl7/oruIngest');
+const { parseOru } = require('../services/hl7/oruParser');
+const { getCriticalAlertService } = require('../services/criticalAlertService');
+const { getIntakeQResultPushService } = require('../services/intakeqResultPush');
+const { ROLES, requireRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -12,11 +26,30 @@ const logger = winston.createLogger({
     transports: [new winston.transports.Console()]
 });
 
+const HL7_CONTENT_TYPES = ['text/plain', 'application/hl7-v2', 'x-application/hl7-v2+er7'];
+// Batch headers may precede the first message; parseMessages skips them
+const HL7_START = /^(?:(?:FHS|BHS)\|[^\r\n]*[\r\n]+)*MSH\|/;
+
+/**
+ * Why an HL7 import body can't be ingested, or null when it holds ORU messages
+ * @returns {{ status: number, error: string }|null}
+ */
+function checkOruBody(text) {
+    const body = text.replace(/[\x0b\x1c]/g, '').trim();
+    if (!HL7_START.test(body)) {
+        return { status: 400, error: 'Body is not HL7 v2 - it must start with an MSH segment' };
+    }
+    if (parseOru(body).length === 0) {
+        return { status: 422, error: 'No ORU^R01 messages found' };
+    }
+    return null;
+}
+
 /**
  * GET /api/results
  * Get all results with filters
  */
-router.get('/', async (req, res) => {
+router.get('/', audit('result.list', 'result', { details: req => req.query }), async (req, res) => {
     try {
         const { patientId, portal, dateFrom, dateTo, reviewed } = req.query;
 
@@ -59,7 +92,7 @@ router.get('/', async (req, res) => {
  * GET /api/results/recent
  * Get recent results (last 30 days) - uses view
  */
-router.get('/recent', async (req, res) => {
+router.get('/recent', audit('result.list_recent', 'result'), async (req, res) => {
     try {
         const { data: results, error } = await getSupabase()
             .from('recent_results')
@@ -78,11 +111,342 @@ router.get('/recent', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/results/abnormal
+ * Get all abnormal/critical results that need review
+ */
+router.get('/abnormal', audit('result.list_abnormal', 'result'), async (req, res) => {
+    try {
+        const { data: results, error } = await getSupabase()
+            .from('portal_results')
+            .select(`
+                *,
+                patient:patients(first_name, last_name, phone)
+            `)
+            .in('result_status', ['abnormal', 'critical'])
+            .is('reviewed_by', null)
+            .order('result_date', { ascending: false });
+
+        if (error) throw error;
+
+        res.json({
+            results: results || [],
+            count: results?.length || 0,
+            criticalCount: results?.filter(r => r.result_status === 'critical').length || 0
+        });
+    } catch (error) {
+        logger.error('Failed to get abnormal results:', error);
+        res.status(500).json({ error: 'Failed to get abnormal results' });
+    }
+});
+
+/**
+ * GET /api/results/stats
+ * Get results statistics
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        // Get total counts by status
+        const { data: statusCounts, error: statusError } = await getSupabase()
+            .from('portal_results')
+            .select('result_status')
+            .not('result_status', 'is', null);
+
+        if (statusError) throw statusError;
+
+        const stats = {
+            total: statusCounts.length,
+            normal: statusCounts.filter(r => r.result_status === 'normal').length,
+            abnormal: statusCounts.filter(r => r.result_status === 'abnormal').length,
+            critical: statusCounts.filter(r => r.result_status === 'critical').length
+        };
+
+        // Get reviewed vs unreviewed counts
+        const { data: reviewCounts, error: reviewError } = await getSupabase()
+            .from('portal_results')
+            .select('reviewed_by');
+
+        if (reviewError) throw reviewError;
+
+        stats.reviewed = reviewCounts.filter(r => r.reviewed_by !== null).length;
+        stats.unreviewed = reviewCounts.filter(r => r.reviewed_by === null).length;
+
+        // Get counts by portal
+        const { data: portalCounts, error: portalError } = await getSupabase()
+            .from('portal_results')
+            .select('portal');
+
+        if (portalError) throw portalError;
+
+        stats.byPortal = {
+            labcorp: portalCounts.filter(r => r.portal === 'labcorp').length,
+            quest: portalCounts.filter(r => r.portal === 'quest').length
+        };
+
+        res.json(stats);
+    } catch (error) {
+        logger.error('Failed to get results stats:', error);
+        res.status(500).json({ error: 'Failed to get statistics' });
+    }
+});
+
+/**
+ * GET /api/results/match-queue
+ * Results waiting for manual patient matching, grouped into reports
+ */
+router.get('/match-queue', audit('result.match_queue', 'result'), async (req, res) => {
+    try {
+        const items = await getMatchQueue({ portal: req.query.portal });
+        const reports = new Map();
+
+        for (const item of items) {
+            const key = `${item.portal}:${item.report_key}`;
+            if (!reports.has(key)) {
+                reports.set(key, {
+                    reportKey: item.report_key,
+                    portal: item.portal,
+                    patientName: item.patient_name,
+                    patientDob: item.patient_dob,
+                    accessionNumber: item.accession_number,
+                    reason: item.reason,
+                    candidates: item.candidates || [],
+                    createdAt: item.created_at,
+                    results: []
+                });
+            }
+
+            const { testName, resultValue, resultUnit, resultStatus, resultDate } = item.result_data;
+            reports.get(key).results.push({ id: item.id, testName, resultValue, resultUnit, resultStatus, resultDate });
+        }
+
+        res.json({
+            reports: Array.from(reports.values()),
+            count: reports.size
+        });
+    } catch (error) {
+        logger.error('Failed to get match queue:', error);
+        res.status(500).json({ error: 'Failed to get match queue' });
+    }
+});
+
+/**
+ * POST /api/results/match-queue/:portal/:reportKey/resolve
+ * Attach a queued report to the chosen patient (and optionally a portal order)
+ */
+router.post('/match-queue/:portal/:reportKey/resolve', audit('result.manual_match', 'result', {
+    resourceId: req => req.params.reportKey,
+    details: req => ({ portal: req.params.portal, patientId: req.body.patientId, portalOrderId: req.body.portalOrderId })
+}), async (req, res) => {
+    try {
+        const { portal, reportKey } = req.params;
+        const { patientId, portalOrderId, note } = req.body;
+
+        if (!patientId) {
+            return res.status(400).json({ error: 'Patient ID required' });
+        }
+
+        const items = await getMatchQueue({ portal, reportKey });
+        if (items.length === 0) {
+            return res.status(404).json({ error: 'No pending results for this report' });
+        }
+
+        const saved = [];
+        for (const item of items) {
+            const resultData = item.result_data;
+            saved.push(await savePortalResult({
+                portal,
+                patientId,
+                portalOrderId: portalOrderId || null,
+                testName: resultData.testName,
+                testCode: resultData.testCode,
+                resultValue: resultData.resultValue,
+                resultUnit: resultData.resultUnit,
+                referenceRange: resultData.referenceRange,
+                resultStatus: resultData.resultStatus || 'normal',
+                resultDate: resultData.resultDate,
+                pdfUrl: resultData.pdfUrl,
+                rawData: resultData.rawData,
+                resultKey: item.result_key,
+                reportStatus: resultData.reportStatus,
+                accessionNumber: resultData.accessionNumber,
+                matchScore: (item.candidates || []).find(c => c.patientId === patientId)?.score ?? null,
+                matchMethod: 'manual',
+                matchDetails: { reason: item.reason, candidates: item.candidates, note },
+                matchedBy: req.user.id
+            }));
+        }
+
+        await closeMatchQueueItems(items.map(item => item.id), {
+            status: 'resolved',
+            patientId,
+            portalOrderId: portalOrderId || null,
+            userId: req.user.id,
+            note
+        });
+
+        for (const result of saved) {
+            await getCriticalAlertService().handleSavedResult(result);
+            await getIntakeQResultPushService().handleSavedResult(result);
+        }
+
+        logger.info(`${req.user.email} matched ${saved.length} ${portal} result(s) for report ${reportKey} to patient ${patientId}`);
+
+        res.json({
+            success: true,
+            results: saved
+        });
+    } catch (error) {
+        logger.error('Failed to resolve match:', error);
+        res.status(500).json({ error: 'Failed to resolve match' });
+    }
+});
+
+/**
+ * POST /api/results/match-queue/:portal/:reportKey/dismiss
+ * Drop a queued report that does not belong to any of our patients
+ */
+router.post('/match-queue/:portal/:reportKey/dismiss', audit('result.match_dismiss', 'result', {
+    resourceId: req => req.params.reportKey,
+    details: req => ({ portal: req.params.portal, note: req.body.note })
+}), async (req, res) => {
+    try {
+        const { portal, reportKey } = req.params;
+        const items = await getMatchQueue({ portal, reportKey });
+
+        if (items.length === 0) {
+            return res.status(404).json({ error: 'No pending results for this report' });
+        }
+
+        await closeMatchQueueItems(items.map(item => item.id), {
+            status: 'dismissed',
+            userId: req.user.id,
+            note: req.body.note
+        });
+
+        res.json({ success: true, dismissed: items.length });
+    } catch (error) {
+        logger.error('Failed to dismiss match:', error);
+        res.status(500).json({ error: 'Failed to dismiss match' });
+    }
+});
+
+/**
+ * GET /api/results/critical-alerts
+ * Critical result alerts (providers see alerts for their own orders)
+ * Query: status - comma-separated, defaults to open,escalated
+ */
+router.get('/critical-alerts', audit('result.critical_alerts', 'result'), async (req, res) => {
+    try {
+        const statuses = (req.query.status || 'open,escalated').split(',').map(status => status.trim()).filter(Boolean);
+        const providerId = req.user.role === ROLES.PROVIDER ? req.user.providerId : req.query.providerId;
+
+        if (req.user.role === ROLES.PROVIDER && !providerId) {
+            return res.json({ alerts: [], count: 0 });
+        }
+
+        const alerts = await getCriticalAlerts({ statuses, providerId });
+
+        res.json({
+            alerts,
+            count: alerts.length
+        });
+    } catch (error) {
+        logger.error('Failed to get critical alerts:', error);
+        res.status(500).json({ error: 'Failed to get critical alerts' });
+    }
+});
+
+/**
+ * POST /api/results/critical-alerts/:id/acknowledge
+ * Acknowledge a critical value (stops escalation)
+ */
+router.post('/critical-alerts/:id/acknowledge', requireRole(ROLES.PROVIDER, ROLES.ADMIN), audit('result.critical_acknowledge', 'critical_alert', {
+    details: req => ({ note: req.body.note })
+}), async (req, res) => {
+    try {
+        const [alert] = await getCriticalAlerts({ id: req.params.id });
+
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+
+        // Providers acknowledge their own patients' results; admins (CMO) can acknowledge any
+        if (req.user.role === ROLES.PROVIDER && alert.provider_id && alert.provider_id !== req.user.providerId) {
+            return res.status(403).json({ error: 'This alert belongs to another provider' });
+        }
+
+        const acknowledged = await getCriticalAlertService().acknowledge(alert.id, req.user, req.body.note);
+
+        if (!acknowledged) {
+            return res.status(409).json({ error: 'Alert was already acknowledged' });
+        }
+
+        res.json({
+            success: true,
+            alert: acknowledged
+        });
+    } catch (error) {
+        logger.error('Failed to acknowledge critical alert:', error);
+        res.status(500).json({ error: 'Failed to acknowledge critical alert' });
+    }
+});
+
+/**
+ * GET /api/results/intakeq-pushes
+ * Log of results sent to IntakeQ charts
+ * Query: status (pending, pushed, skipped, failed), resultId
+ */
+router.get('/intakeq-pushes', audit('result.intakeq_pushes', 'result'), async (req, res) => {
+    try {
+        const pushes = await getIntakeqResultPushes({
+            status: req.query.status,
+            resultId: req.query.resultId
+        });
+
+        res.json({
+            pushes,
+            count: pushes.length
+        });
+    } catch (error) {
+        logger.error('Failed to get IntakeQ result pushes:', error);
+        res.status(500).json({ error: 'Failed to get IntakeQ result pushes' });
+    }
+});
+
+/**
+ * POST /api/results/intakeq-pushes/:id/retry
+ * Send a failed or skipped push to IntakeQ again
+ */
+router.post('/intakeq-pushes/:id/retry', audit('result.intakeq_push_retry', 'intakeq_result_push', {
+    resourceId: req => req.params.id
+}), async (req, res) => {
+    try {
+        const service = getIntakeQResultPushService();
+        const push = await service.retry(req.params.id);
+
+        if (!push) {
+            return res.status(409).json({ error: 'Only failed or skipped pushes can be retried' });
+        }
+
+        res.json({
+            success: true,
+            push: await service.processPush(push)
+        });
+    } catch (error) {
+        // Another push for the same report is already waiting
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A push for this report is already pending' });
+        }
+        logger.error('Failed to retry IntakeQ result push:', error);
+        res.status(500).json({ error: 'Failed to retry IntakeQ result push' });
+    }
+});
+
 /**
  * GET /api/results/:id
- * Get single result
+ * Get single result, with its version history and what was sent to IntakeQ
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', audit('result.view', 'result'), async (req, res) => {
     try {
         const { data: result, error } = await getSupabase()
             .from('portal_results')
@@ -99,6 +463,10 @@ router.get('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Result not found' });
         }
 
+        // Earlier values if the lab corrected/amended this result
+        result.versions = result.version > 1 ? await getPortalResultVersions(result.id) : [];
+        result.intakeqPushes = await getIntakeqResultPushes({ resultId: result.id, limit: 20 });
+
         res.json(result);
     } catch (error) {
         logger.error('Failed to get result:', error);
@@ -106,13 +474,25 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * The provider signing off a result: providers always sign as themselves, admins may name one
+ */
+function reviewingProviderId(req) {
+    if (req.user.role === ROLES.ADMIN && req.body.providerId) {
+        return req.body.providerId;
+    }
+    return req.user.providerId;
+}
+
 /**
  * POST /api/results/:id/review
- * Mark result as reviewed
+ * Mark result as reviewed (providers sign off on their own account; admins pass providerId)
  */
-router.post('/:id/review', async (req, res) => {
+router.post('/:id/review', requireRole(ROLES.PROVIDER, ROLES.ADMIN), audit('result.review', 'result', {
+    details: req => ({ providerId: reviewingProviderId(req) || null })
+}), async (req, res) => {
     try {
-        const { providerId } = req.body;
+        const providerId = reviewingProviderId(req);
 
         if (!providerId) {
             return res.status(400).json({ error: 'Provider ID required' });
@@ -131,6 +511,9 @@ router.post('/:id/review', async (req, res) => {
 
         if (error) throw error;
 
+        // Send the signed-off summary to the IntakeQ chart
+        await getIntakeQResultPushService().handleReviewedResult(result, req.user);
+
         res.json({
             success: true,
             result: result
@@ -142,47 +525,44 @@ router.post('/:id/review', async (req, res) => {
 });
 
 /**
- * GET /api/results/abnormal
- * Get all abnormal/critical results that need review
+ * POST /api/results/import
+ * Import results: HL7 v2 ORU^R01 text (Content-Type text/plain or application/hl7-v2),
+ * or JSON for manual entry / bulk import
+ * Query (HL7 only): portal - lab to file results under when the sending facility isn't recognized
  */
-router.get('/abnormal', async (req, res) => {
+router.post('/import', express.text({ type: HL7_CONTENT_TYPES, limit: '5mb' }), audit('result.import', 'result', {
+    details: req => ({ format: typeof req.body === 'string' ? 'hl7' : 'json' })
+}), async (req, res) => {
     try {
-        const { data: results, error } = await getSupabase()
-            .from('portal_results')
-            .select(`
-                *,
-                patient:patients(first_name, last_name, phone)
-            `)
-            .in('result_status', ['abnormal', 'critical'])
-            .is('reviewed_by', null)
-            .order('result_date', { ascending: false });
+        if (typeof req.body === 'string') {
+            const invalid = checkOruBody(req.body);
+            if (invalid) {
+                return res.status(invalid.status).json({ error: invalid.error });
+            }
 
-        if (error) throw error;
+            const summary = await ingestOruText(req.body, {
+                portal: req.query.portal,
+                source: `api:${req.user.email}`
+            });
 
-        res.json({
-            results: results || [],
-            count: results?.length || 0,
-            criticalCount: results?.filter(r => r.result_status === 'critical').length || 0
-        });
-    } catch (error) {
-        logger.error('Failed to get abnormal results:', error);
-        res.status(500).json({ error: 'Failed to get abnormal results' });
-    }
-});
+            return res.status(summary.accepted > 0 ? 200 : 422).json({
+                success: summary.accepted > 0,
+                ...summary
+            });
+        }
 
-/**
- * POST /api/results/import
- * Import results (for manual entry or bulk import)
- */
-router.post('/import', async (req, res) => {
-    try {
         const results = Array.isArray(req.body) ? req.body : [req.body];
         const imported = [];
         const failed = [];
 
         for (const result of results) {
             try {
-                const savedResult = await savePortalResult(result);
+                // PDFs only come from the labs: a pdfUrl here would be read off the server
+                // and uploaded to the patient's chart
+                const { pdfUrl, ...resultData } = result;
+                const savedResult = await savePortalResult(resultData);
+                await getCriticalAlertService().handleSavedResult(savedResult);
+                await getIntakeQResultPushService().handleSavedResult(savedResult);
                 imported.push(savedResult);
             } catch (error) {
                 failed.push({
@@ -200,57 +580,7 @@ router.post('/import', async (req, res) => {
         });
     } catch (error) {
         logger.error('Failed to import results:', error);
-        res.status(500).json({ error: 'Failed to import results' });
-    }
-});
-
-/**
- * GET /api/results/stats
- * Get results statistics
- */
-router.get('/stats', async (req, res) => {
-    try {
-        // Get total counts by status
-        const { data: statusCounts, error: statusError } = await getSupabase()
-            .from('portal_results')
-            .select('result_status')
-            .not('result_status', 'is', null);
-
-        if (statusError) throw statusError;
-
-        const stats = {
-            total: statusCounts.length,
-            normal: statusCounts.filter(r => r.result_status === 'normal').length,
-            abnormal: statusCounts.filter(r => r.result_status === 'abnormal').length,
-            critical: statusCounts.filter(r => r.result_status === 'critical').length
-        };
-
-        // Get reviewed vs unreviewed counts
-        const { data: reviewCounts, error: reviewError } = await getSupabase()
-            .from('portal_results')
-            .select('reviewed_by');
-
-        if (reviewError) throw reviewError;
-
-        stats.reviewed = reviewCounts.filter(r => r.reviewed_by !== null).length;
-        stats.unreviewed = reviewCounts.filter(r => r.reviewed_by === null).length;
-
-        // Get counts by portal
-        const { data: portalCounts, error: portalError } = await getSupabase()
-            .from('portal_results')
-            .select('portal');
-
-        if (portalError) throw portalError;
-
-        stats.byPortal = {
-            labcorp: portalCounts.filter(r => r.portal === 'labcorp').length,
-            quest: portalCounts.filter(r => r.portal === 'quest').length
-        };
-
-        res.json(stats);
-    } catch (error) {
-        logger.error('Failed to get results stats:', error);
-        res.status(500).json({ error: 'Failed to get statistics' });
+        res.status(500).json({ error: 'Failed to import results', message: error.message });
     }
 });
 
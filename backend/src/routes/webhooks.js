@@ -0,0 +1,47 @@
+// Webhook Routes
+// Inbound events from outside services. These have no staff session, so each source
+// authenticates with a shared secret instead.
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { getLabOrderDraftService } = require('../services/labOrderDraftService');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.simple(),
+    transports: [new winston.transports.Console()]
+});
+
+function tokenMatches(token, secret) {
+    const given = Buffer.from(String(token || ''));
+    const expected = Buffer.from(secret);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * POST /api/webhooks/intakeq?token=<INTAKEQ_WEBHOOK_SECRET>
+ * IntakeQ note locked / appointment completed events. Acknowledged right away (IntakeQ
+ * retries slow webhooks); the note is read and any draft lab order created afterwards.
+ */
+router.post('/intakeq', (req, res) => {
+    const secret = process.env.INTAKEQ_WEBHOOK_SECRET;
+    if (!secret) {
+        return res.status(503).json({ error: 'IntakeQ webhook not configured' });
+    }
+
+    if (!tokenMatches(req.query.token, secret)) {
+        logger.warn('IntakeQ webhook rejected: invalid token');
+        return res.status(401).json({ error: 'Invalid webhook token' });
+    }
+
+    res.json({ received: true });
+
+    const eventType = req.body.EventType || req.body.Type;
+    getLabOrderDraftService().handleEvent(req.body)
+        .then(outcome => logger.info(`IntakeQ ${eventType} webhook: ${outcome.action}${outcome.reason ? ` (${outcome.reason})` : ''}`))
+        .catch(error => logger.error(`Failed to process IntakeQ ${eventType} webhook:`, error));
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// Script Checks
+// Pass/fail reporting shared by the offline test scripts (node src/scripts/test*.js)
+
+let failures = 0;
+
+/**
+ * Report one check
+ * @param {boolean} condition - Whether the check passed
+ * @param {string} message - What was checked
+ */
+function check(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+    } else {
+        console.log(`❌ ${message}`);
+        failures++;
+    }
+}
+
+/**
+ * Count an error that stopped a script part-way as a failure
+ */
+function fail(message, error) {
+    console.error(`❌ ${message}:`, error);
+    failures++;
+}
+
+/**
+ * Print the summary and exit, non-zero when any check failed
+ * @param {string} [note] - Appended to the summary line
+ */
+function finish(note = '') {
+    const summary = failures === 0 ? 'All checks passed' : `${failures} check(s) failed`;
+    console.log(`\n${summary}${note ? ` ${note}` : ''}\n`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+module.exports = {
+    check,
+    fail,
+    finish
+};
@@ -0,0 +1,62 @@
+// Create Lab Portal User
+// Bootstraps accounts from the command line (e.g. the first admin, before anyone can log in)
+//
+// Usage:
+//   node src/scripts/createUser.js --email admin@trymoonlit.com --name "Jane Admin" --role admin --password "..."
+
+require('dotenv').config();
+const bcrypt = require('bcrypt');
+const {
+    initializeSupabase,
+    getUserByEmail,
+    createUser
+} = require('../services/supabase');
+const { ROLES } = require('../middleware/auth');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const { email, name, role = ROLES.STAFF, password, providerId } = parseArgs(process.argv.slice(2));
+
+    if (!email || !name || !password) {
+        console.error('Usage: node src/scripts/createUser.js --email <email> --name <name> --password <password> [--role provider|staff|admin] [--providerId <uuid>]');
+        process.exit(1);
+    }
+
+    if (!Object.values(ROLES).includes(role)) {
+        console.error(`❌ Invalid role "${role}". Must be one of: ${Object.values(ROLES).join(', ')}`);
+        process.exit(1);
+    }
+
+    await initializeSupabase();
+
+    if (await getUserByEmail(email)) {
+        console.error(`❌ A user with email ${email} already exists`);
+        process.exit(1);
+    }
+
+    const user = await createUser({
+        email,
+        name,
+        role,
+        providerId,
+        passwordHash: await bcrypt.hash(password, 12)
+    });
+
+    console.log(`✅ Created ${user.role} user ${user.email} (${user.id})`);
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Failed to create user:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,499 @@
+// Office Ally Stand-In
+// A local CORE SOAP endpoint that accepts the same envelope as wsd.officeally.com and answers
+// each 270 with a 271 generated from it (the patient's name, date of birth and member ID are
+// echoed back; a 270 without a name gets MEMBER_ON_FILE's), so the eligibility service, /check-eligibility and the SmartLabOrder flow
+// can run end to end without Office Ally credentials.
+//
+// Usage: node src/scripts/officeAllyStandIn.js [--port 3099] [--scenario active-mco]
+//   then start the backend with OFFICE_ALLY_ENDPOINT=http://localhost:3099/TransactionService/rtx.svc
+//
+// The scenario for a request is, first match wins:
+//   1. The X-Stand-In-Scenario request header
+//   2. The subscriber's last name or member ID, when it is a scenario's trigger (a patient
+//      "Test Inactive", or member ID INACTIVE for searches that leave the name out)
+//   3. The current default - --scenario, OFFICE_ALLY_STANDIN_SCENARIO or PUT /scenario
+// GET /scenarios lists them. fixture:<name> replays ./fixtures/x12/<name>.x12 as is.
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const express = require('express');
+const { readSeparators } = require('../services/eligibility/x12_271Parser');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'x12');
+const DEFAULT_PORT = 3099;
+const DEFAULT_SCENARIO = 'active';
+
+// The payer's record, for 270s searched by member ID without a name
+const MEMBER_ON_FILE = { lastName: 'SMITH-JONES', firstName: 'ELIZABETH' };
+
+/**
+ * The fields of a 270 the 271 needs to echo back
+ */
+function parse270(x12) {
+    const separators = readSeparators(x12);
+    const segments = x12
+        .split(separators.segment)
+        .map(segment => segment.trim())
+        .filter(Boolean)
+        .map(segment => segment.split(separators.element));
+
+    const find = (id, qualifier) => segments.find(segment => segment[0] === id && (!qualifier || segment[1] === qualifier)) || [];
+
+    const isa = find('ISA');
+    const payer = find('NM1', 'PR');
+    const provider = find('NM1', '1P');
+    const subscriber = find('NM1', 'IL');
+
+    return {
+        senderId: (isa[6] || '').trim(),
+        controlNumber: isa[13] || '000000001',
+        payerName: payer[3] || 'STAND-IN PAYER',
+        payerId: payer[9] || 'STANDIN',
+        providerName: provider[3] || 'PROVIDER',
+        providerNpi: provider[9] || '0000000000',
+        trace: find('TRN')[2] || '0',
+        lastName: subscriber[3] || '',
+        firstName: subscriber[4] || '',
+        memberId: subscriber[9] || null,
+        dateOfBirth: find('DMG')[2] || null,
+        serviceTypes: segments.filter(segment => segment[0] === 'EQ').map(segment => segment[1])
+    };
+}
+
+/**
+ * A stable 10-digit member ID for patients searched by name and date of birth
+ */
+function generatedMemberId(request) {
+    const seed = `${request.lastName}|${request.firstName}|${request.dateOfBirth}`;
+    let hash = 7;
+    for (const char of seed) {
+        hash = (hash * 31 + char.charCodeAt(0)) % 9000000000;
+    }
+    return String(1000000000 + hash);
+}
+
+function isMedicaid(request) {
+    return request.payerId === 'UTMCD' || /MEDICAID/i.test(request.payerName);
+}
+
+function today() {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return {
+        year: now.getFullYear(),
+        ccyymmdd: `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`,
+        yymmdd: `${String(now.getFullYear()).slice(2)}${pad(now.getMonth() + 1)}${pad(now.getDate())}`,
+        hhmm: `${pad(now.getHours())}${pad(now.getMinutes())}`,
+        // Last day of the previous month - when an inactive member's coverage ended
+        lastMonthEnd: (() => {
+            const end = new Date(now.getFullYear(), now.getMonth(), 0);
+            return `${end.getFullYear()}${pad(end.getMonth() + 1)}${pad(end.getDate())}`;
+        })()
+    };
+}
+
+/**
+ * Wrap 271 body segments (from BHT on) in ST/SE, GS/GE and ISA/IEA
+ */
+function interchange(request, body) {
+    const date = today();
+    const control = request.controlNumber.padStart(9, '0').slice(-9);
+    const pad15 = value => value.padEnd(15, ' ');
+
+    const transaction = [
+        'ST*271*0001*005010X279A1',
+        ...body
+    ];
+    transaction.push(`SE*${transaction.length + 1}*0001`);
+
+    return [
+        `ISA*00*          *00*          *ZZ*${pad15('OFFALLY')}*ZZ*${pad15(request.senderId || 'SENDER')}*${date.yymmdd}*${date.hhmm}*^*00501*${control}*0*P*:`,
+        `GS*HB*OFFALLY*${request.senderId || 'SENDER'}*${date.ccyymmdd}*${date.hhmm}*1*X*005010X279A1`,
+        ...transaction,
+        'GE*1*1',
+        `IEA*1*${control}`
+    ].join('~') + '~';
+}
+
+// 2000A/2000B loops, with an optional AAA at either level
+function sourceAndReceiver(request, { sourceError, receiverError } = {}) {
+    const date = today();
+    const segments = [
+        `BHT*0022*11*${request.trace}*${date.ccyymmdd}*${date.hhmm}`,
+        `HL*1**20*${sourceError ? 0 : 1}`,
+        `NM1*PR*2*${request.payerName}*****PI*${request.payerId}`
+    ];
+    if (sourceError) return [...segments, sourceError];
+
+    segments.push('HL*2*1*21*1', `NM1*1P*2*${request.providerName}*****XX*${request.providerNpi}`);
+    if (receiverError) segments.push(receiverError);
+
+    return segments;
+}
+
+// 2000C subscriber name, address and demographics
+function subscriber(request, { withMemberId = true, withAddress = true } = {}) {
+    const memberId = request.memberId || generatedMemberId(request);
+    const segments = [
+        'HL*3*2*22*0',
+        `TRN*2*${request.trace}*${request.providerNpi}*ELIGIBILITY`,
+        `NM1*IL*1*${request.lastName || MEMBER_ON_FILE.lastName}*${request.firstName || MEMBER_ON_FILE.firstName}${withMemberId ? `****MI*${memberId}` : ''}`
+    ];
+
+    if (withAddress) {
+        segments.push('N3*123 STAND IN WAY', 'N4*SALT LAKE CITY*UT*84101', 'PER*IC**TE*8015550100');
+    }
+    if (request.dateOfBirth) {
+        segments.push(`DMG*D8*${request.dateOfBirth}*F`);
+    }
+
+    return segments;
+}
+
+function medicaidFfs(request) {
+    const { year } = today();
+    return [
+        ...sourceAndReceiver(request),
+        ...subscriber(request),
+        `DTP*307*RD8*${year}0101-${year}1231`,
+        'EB*1*IND*30*MC*TARGETED ADULT MEDICAID',
+        'MSG*TRADITIONAL FEE FOR SERVICE'
+    ];
+}
+
+function medicaidMco(request) {
+    const { year } = today();
+    return [
+        ...sourceAndReceiver(request),
+        ...subscriber(request),
+        `DTP*356*D8*${year}0101`,
+        'EB*1*IND*30*MC*MEDICAID',
+        'EB*MC**30*HM*MOLINA HEALTHCARE OF UTAH',
+        `DTP*292*RD8*${year}0101-${year}1231`,
+        'LS*2120',
+        'NM1*PRP*2*MOLINA HEALTHCARE OF UTAH*****PI*MHUT1',
+        'PER*IC**TE*8884831675',
+        'LE*2120',
+        'EB*MC**MH^AI*MC*PMHP',
+        'LS*2120',
+        'NM1*PRP*2*HUNTSMAN MENTAL HEALTH INSTITUTE*****PI*HMHI1',
+        'PER*IC**TE*8015834300',
+        'LE*2120'
+    ];
+}
+
+function commercialActive(request) {
+    const { year } = today();
+    return [
+        ...sourceAndReceiver(request),
+        ...subscriber(request),
+        `DTP*346*D8*${year}0101`,
+        `DTP*347*D8*${year}1231`,
+        'EB*1*IND*30^1^5*PR*STAND-IN PPO PLAN',
+        'EB*C*IND*30*PR**23*1500*****Y',
+        'EB*C*IND*30*PR**23*3000*****N',
+        'EB*A*IND*5*PR***0.2****Y',
+        'EB*B*IND*98*PR**27*25*****Y',
+        'MSG*COPAY APPLIES TO OFFICE VISITS ONLY'
+    ];
+}
+
+/**
+ * Scenarios: a 271 builder (or an HTTP fault) and the last name that triggers it
+ */
+const SCENARIOS = {
+    active: {
+        description: 'Active coverage - Medicaid fee for service, or a commercial PPO for any other payer',
+        trigger: 'ACTIVE',
+        build: request => isMedicaid(request) ? medicaidFfs(request) : commercialActive(request)
+    },
+    'active-ffs': {
+        description: 'Active Medicaid, traditional fee for service',
+        trigger: 'FFS',
+        build: medicaidFfs
+    },
+    'active-mco': {
+        description: 'Active Medicaid with a medical MCO and a behavioral health carve-out (PMHP)',
+        trigger: 'MCO',
+        build: medicaidMco
+    },
+    inactive: {
+        description: 'Member found, coverage ended last month',
+        trigger: 'INACTIVE',
+        build: request => [
+            ...sourceAndReceiver(request),
+            ...subscriber(request),
+            `DTP*307*RD8*${today().year - 1}0101-${today().lastMonthEnd}`,
+            `EB*6*IND*30*${isMedicaid(request) ? 'MC' : 'PR'}`
+        ]
+    },
+    'not-found': {
+        description: 'AAA 75 - subscriber not found',
+        trigger: 'NOTFOUND',
+        build: request => [
+            ...sourceAndReceiver(request),
+            ...subscriber(request, { withMemberId: !!request.memberId, withAddress: false }),
+            'AAA*N**75*C'
+        ]
+    },
+    'invalid-member-id': {
+        description: 'AAA 72 - invalid or missing member ID',
+        trigger: 'BADMEMBER',
+        build: request => [
+            ...sourceAndReceiver(request),
+            ...subscriber(request, { withMemberId: !!request.memberId, withAddress: false }),
+            'AAA*N**72*C'
+        ]
+    },
+    'name-mismatch': {
+        description: 'Member is on file as ELIZABETH SMITH-JONES - searches with any other name are not found',
+        trigger: 'NICKNAME',
+        build: request => request.lastName && request.lastName !== MEMBER_ON_FILE.lastName
+            ? [
+                ...sourceAndReceiver(request),
+                ...subscriber(request, { withMemberId: !!request.memberId, withAddress: false }),
+                'AAA*N**75*C'
+            ]
+            : SCENARIOS.active.build(request)
+    },
+    'stale-member-id': {
+        description: 'The member ID on the chart is out of date - found by name and date of birth only',
+        trigger: 'STALEID',
+        build: request => request.memberId
+            ? [
+                ...sourceAndReceiver(request),
+                ...subscriber(request, { withAddress: false }),
+                'AAA*N**72*C'
+            ]
+            : SCENARIOS.active.build(request)
+    },
+    'provider-not-on-file': {
+        description: 'AAA 51 at the provider level - our NPI is not enrolled with this payer',
+        trigger: 'NOPROVIDER',
+        build: request => [
+            ...sourceAndReceiver(request, { receiverError: 'AAA*N**51*N' }),
+            ...subscriber(request, { withMemberId: !!request.memberId, withAddress: false })
+        ]
+    },
+    'payer-unavailable': {
+        description: 'AAA 42 at the payer level - unable to respond now, resubmit',
+        trigger: 'UNAVAILABLE',
+        build: request => sourceAndReceiver(request, { sourceError: 'AAA*Y**42*P' })
+    },
+    'soap-fault': {
+        description: 'HTTP 500 with a SOAP fault (Office Ally outage)',
+        trigger: 'FAULT',
+        fault: 'Service temporarily unavailable'
+    }
+};
+
+function fixtureScenarios() {
+    try {
+        return fs.readdirSync(FIXTURE_DIR)
+            .filter(file => file.endsWith('.x12'))
+            .map(file => `fixture:${path.basename(file, '.x12')}`);
+    } catch (error) {
+        return [];
+    }
+}
+
+function isScenario(name) {
+    return !!SCENARIOS[name] || fixtureScenarios().includes(name);
+}
+
+function soapFault(reason) {
+    return `<soapenv:Envelope xmlns:soapenv="http://www.w3.org/2003/05/soap-envelope">
+<soapenv:Body>
+<soapenv:Fault>
+<soapenv:Code><soapenv:Value>soapenv:Receiver</soapenv:Value></soapenv:Code>
+<soapenv:Reason><soapenv:Text xml:lang="en">${reason}</soapenv:Text></soapenv:Reason>
+</soapenv:Fault>
+</soapenv:Body>
+</soapenv:Envelope>`;
+}
+
+function coreResponse(envelope, x12, errorCode = 'Success', errorMessage = 'None') {
+    return `<soapenv:Envelope xmlns:soapenv="http://www.w3.org/2003/05/soap-envelope">
+<soapenv:Body>
+<ns1:COREEnvelopeRealTimeResponse xmlns:ns1="http://www.caqh.org/SOAP/WSDL/CORERule2.2.0.xsd">
+<PayloadType>${x12 ? 'X12_271_Response_005010X279A1' : 'CoreEnvelopeError'}</PayloadType>
+<ProcessingMode>RealTime</ProcessingMode>
+<PayloadID>${envelope.payloadId || ''}</PayloadID>
+<TimeStamp>${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</TimeStamp>
+<SenderID>OFFALLY</SenderID>
+<ReceiverID>${envelope.senderId || ''}</ReceiverID>
+<CORERuleVersion>2.2.0</CORERuleVersion>
+${x12 ? `<Payload><![CDATA[${x12}]]></Payload>\n` : ''}<ErrorCode>${errorCode}</ErrorCode>
+<ErrorMessage>${errorMessage}</ErrorMessage>
+</ns1:COREEnvelopeRealTimeResponse>
+</soapenv:Body>
+</soapenv:Envelope>`;
+}
+
+function readEnvelope(xml) {
+    const tag = name => xml.match(new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`))?.[1]?.trim() || null;
+    const payload = tag('Payload');
+
+    return {
+        username: tag('Username'),
+        password: tag('Password'),
+        payloadType: tag('PayloadType'),
+        payloadId: tag('PayloadID'),
+        senderId: tag('SenderID'),
+        payload: payload ? payload.replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1').trim() : null
+    };
+}
+
+/**
+ * Build the stand-in app
+ * @param {Object} options
+ * @param {string} options.scenario - Default scenario
+ * @param {string} options.username - Require these credentials (any non-empty ones otherwise)
+ * @param {string} options.password
+ * @returns {{ app: Object, state: Object }} state.scenario can be changed; state.requests
+ *   holds the most recent 270s received
+ */
+function createStandIn(options = {}) {
+    const state = {
+        scenario: options.scenario || process.env.OFFICE_ALLY_STANDIN_SCENARIO || DEFAULT_SCENARIO,
+        requests: []
+    };
+    const app = express();
+
+    // GET /scenarios - what can be selected
+    app.get('/scenarios', (req, res) => {
+        res.json({
+            current: state.scenario,
+            scenarios: [
+                ...Object.entries(SCENARIOS).map(([name, scenario]) => ({
+                    name,
+                    description: scenario.description,
+                    trigger: scenario.trigger
+                })),
+                ...fixtureScenarios().map(name => ({ name, description: `Replays ${name.slice(8)}.x12`, trigger: null }))
+            ]
+        });
+    });
+
+    // PUT /scenario - change the default, body { scenario }
+    app.put('/scenario', express.json(), (req, res) => {
+        if (!isScenario(req.body?.scenario)) {
+            return res.status(400).json({ error: `Unknown scenario: ${req.body?.scenario}` });
+        }
+        state.scenario = req.body.scenario;
+        res.json({ current: state.scenario });
+    });
+
+    // GET /requests - the 270s received, newest first
+    app.get('/requests', (req, res) => {
+        res.json({ requests: state.requests });
+    });
+
+    // Read the envelope as is - the service's Content-Type ends in ';', which body-parser rejects
+    const rawBody = (req, res, next) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            req.body = body;
+            next();
+        });
+        req.on('error', next);
+    };
+
+    // The CORE real-time endpoint, on whatever path OFFICE_ALLY_ENDPOINT points at
+    app.post('*', rawBody, (req, res) => {
+        const envelope = readEnvelope(req.body);
+        res.type('application/soap+xml; charset=utf-8');
+
+        const credentialsOk = options.username
+            ? envelope.username === options.username && envelope.password === options.password
+            : !!envelope.username && !!envelope.password;
+        if (!credentialsOk) {
+            return res.status(500).send(soapFault('Authentication failed'));
+        }
+
+        if (envelope.payloadType !== 'X12_270_Request_005010X279A1' || !envelope.payload) {
+            return res.send(coreResponse(envelope, null, 'PayloadTypeIllegal', `Unsupported payload type ${envelope.payloadType}`));
+        }
+
+        const request = parse270(envelope.payload);
+        const headerScenario = req.get('X-Stand-In-Scenario');
+        const byTrigger = Object.keys(SCENARIOS).find(name =>
+            [request.lastName.toUpperCase(), (request.memberId || '').toUpperCase()].includes(SCENARIOS[name].trigger));
+        const scenarioName = (isScenario(headerScenario) && headerScenario) || byTrigger || state.scenario;
+
+        state.requests.unshift({ receivedAt: new Date().toISOString(), scenario: scenarioName, x12: envelope.payload, ...request });
+        state.requests.length = Math.min(state.requests.length, 20);
+
+        if (scenarioName.startsWith('fixture:')) {
+            const x12 = fs.readFileSync(path.join(FIXTURE_DIR, `${scenarioName.slice(8)}.x12`), 'utf8').trim();
+            return res.send(coreResponse(envelope, x12));
+        }
+
+        const scenario = SCENARIOS[scenarioName];
+        if (scenario.fault) {
+            return res.status(500).send(soapFault(scenario.fault));
+        }
+
+        res.send(coreResponse(envelope, interchange(request, scenario.build(request))));
+    });
+
+    return { app, state };
+}
+
+/**
+ * Start the stand-in on a port (0 picks a free one)
+ * @returns {Promise<{ server: Object, state: Object, url: string }>}
+ */
+function startStandIn(options = {}) {
+    const { app, state } = createStandIn(options);
+    const server = http.createServer(app);
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port ?? DEFAULT_PORT, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}/TransactionService/rtx.svc`;
+            resolve({ server, state, url });
+        });
+    });
+}
+
+module.exports = {
+    SCENARIOS,
+    createStandIn,
+    startStandIn,
+    parse270
+};
+
+if (require.main === module) {
+    const argument = name => {
+        const index = process.argv.indexOf(`--${name}`);
+        return index > -1 ? process.argv[index + 1] : undefined;
+    };
+
+    const scenario = argument('scenario');
+    if (scenario && !isScenario(scenario)) {
+        console.error(`Unknown scenario "${scenario}". Available: ${[...Object.keys(SCENARIOS), ...fixtureScenarios()].join(', ')}`);
+        process.exit(1);
+    }
+
+    startStandIn({
+        port: parseInt(argument('port') || process.env.OFFICE_ALLY_STANDIN_PORT) || DEFAULT_PORT,
+        scenario
+    }).then(({ state, url }) => {
+        console.log(`\nOffice Ally stand-in listening at ${url}`);
+        console.log(`Default scenario: ${state.scenario}`);
+        console.log(`\nPoint the backend at it:\n  OFFICE_ALLY_ENDPOINT=${url}`);
+        console.log('\nScenarios (or give the test patient the trigger as a last name or member ID):');
+        for (const [name, definition] of Object.entries(SCENARIOS)) {
+            console.log(`  ${name.padEnd(22)} ${definition.trigger.padEnd(12)} ${definition.description}`);
+        }
+        console.log(`\nChange the default: curl -X PUT -H 'Content-Type: application/json' -d '{"scenario":"active-mco"}' ${url.replace(/\/TransactionService.*$/, '')}/scenario\n`);
+    }).catch(error => {
+        console.error('Failed to start the Office Ally stand-in:', error.message);
+        process.exit(1);
+    });
+}
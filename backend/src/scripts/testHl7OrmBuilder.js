@@ -0,0 +1,132 @@
+// HL7 ORM Builder Test
+// Builds ORM^O01 messages from sample orderData and reads them back with the HL7
+// parser. Runs entirely offline - no database, portal or interface engine needed.
+//
+// Usage: node src/scripts/testHl7OrmBuilder.js [--print]
+
+const { buildOrmMessage } = require('../services/hl7/ormBuilder');
+const { parseMessages } = require('../services/hl7/hl7Message');
+const { check, finish } = require('./checks');
+
+function expectError(fn, message) {
+    try {
+        fn();
+        check(false, message);
+    } catch (error) {
+        check(true, `${message} (${error.message})`);
+    }
+}
+
+// Same shape OrderQueue.buildOrderData hands the portal agents
+const medicaidOrder = {
+    id: '3f2a9c1e-5b7d-4e8a-9c0b-1d2e3f4a5b6c',
+    portal: 'labcorp',
+    providerName: 'Dr. Pat Prescriber',
+    providerNpi: '1234567890',
+    patient: {
+        firstName: 'Alex',
+        lastName: "O'Brien-Test",
+        dateOfBirth: '1985-03-14',
+        gender: 'Male',
+        phone: '(801) 555-0142',
+        medicaidId: 'UT123456789',
+        insuranceProvider: 'Healthy U',
+        address: { street: '123 Main St', city: 'Salt Lake City', state: 'UT', zip: '84101' }
+    },
+    tests: [
+        { code: '322000', name: 'Comprehensive Metabolic Panel' },
+        {
+            code: '007385',
+            name: 'Lithium',
+            aoeAnswers: [
+                { id: 'last_dose_at', prompt: 'Date and time of last dose', type: 'datetime', answer: '2025-09-30T21:00' },
+                { id: 'dose', prompt: 'Current dose and schedule', type: 'text', answer: '900 mg at bedtime' }
+            ]
+        }
+    ],
+    diagnosisCodes: ['F31.9', { code: 'Z79.899', description: 'Other long term (current) drug therapy' }],
+    specialInstructions: 'Draw 12h post-dose | trough level'
+};
+
+const now = new Date(2025, 9, 1, 9, 30, 0);
+
+console.log('\n=== HL7 ORM Builder Test ===\n');
+
+{
+    const { message, controlId, billMethod } = buildOrmMessage(medicaidOrder, { controlId: 'TEST0001', now });
+    if (process.argv.includes('--print')) console.log(message.replace(/\r/g, '\n'));
+
+    const [parsed] = parseMessages(message);
+    const segment = name => parsed.segments.filter(s => s.name === name);
+    const [msh] = segment('MSH');
+    const [pid] = segment('PID');
+    const [in1] = segment('IN1');
+
+    check(controlId === 'TEST0001' && msh.get(10) === 'TEST0001', 'Control ID in MSH-10');
+    check(msh.get(9, 1) === 'ORM' && msh.get(9, 2) === 'O01', 'Message type ORM^O01');
+    check(msh.get(5) === 'LABCORP' && msh.get(7) === '20251001093000', 'Receiving lab and timestamp');
+
+    check(pid.get(5, 1) === "O'Brien-Test" && pid.get(5, 2) === 'Alex', 'Patient name in PID-5');
+    check(pid.get(7) === '19850314' && pid.get(8) === 'M', 'DOB and sex in PID-7/8');
+    check(pid.get(11, 3) === 'Salt Lake City' && pid.get(13) === '8015550142', 'Address and phone');
+
+    check(billMethod === 'Medicaid', 'Bill method from insuranceHelper.getBillMethod');
+    check(in1.get(3) === 'UT' && in1.get(36) === 'UT123456789' && in1.get(47) === 'T', 'Medicaid payer, member ID and third-party bill type in IN1');
+
+    const orc = segment('ORC');
+    const obr = segment('OBR');
+    check(orc.length === 2 && obr.length === 2, 'One ORC/OBR order group per test');
+    check(orc.every(s => s.get(1) === 'NW' && s.get(2) === medicaidOrder.id), 'Placer order number is the portal order id');
+    check(obr[1].get(4, 1) === '007385' && obr[1].get(4, 2) === 'Lithium', 'Test code and name in OBR-4');
+    check(obr[0].get(16, 1) === '1234567890' && obr[0].get(16, 2) === 'Prescriber', 'Ordering provider NPI and name');
+
+    const dg1 = segment('DG1');
+    check(dg1.length === 4 && dg1[0].get(3) === 'F31.9' && dg1[1].get(4) === 'Other long term (current) drug therapy',
+        'Diagnosis codes in DG1 for each order group');
+
+    const obx = segment('OBX');
+    check(obx.length === 2 && obx[0].get(2) === 'TS' && obx[0].get(3, 1) === 'last_dose_at' && obx[0].get(5) === '20250930210000',
+        'AOE last dose time in OBX');
+    check(obx[1].get(5) === '900 mg at bedtime' && parsed.segments.indexOf(obx[0]) > parsed.segments.indexOf(obr[1]),
+        'AOE answers follow their test\'s OBR');
+
+    const [nte] = segment('NTE');
+    check(nte?.get(3) === 'Draw 12h post-dose | trough level', 'Special instructions escaped and round-tripped');
+}
+
+{
+    const clientOrder = {
+        ...medicaidOrder,
+        patient: { firstName: 'Sam', lastName: 'Client', dateOfBirth: '1990-01-01' },
+        specialInstructions: null
+    };
+    const { message, billMethod } = buildOrmMessage(clientOrder, { now });
+    const [in1] = parseMessages(message)[0].segments.filter(s => s.name === 'IN1');
+
+    check(billMethod === 'Client' && in1.get(47) === 'C' && !in1.get(36), 'Client bill without payer details');
+}
+
+{
+    // Lithium points at the drug therapy code only; the CMP keeps every diagnosis
+    const pointerOrder = {
+        ...medicaidOrder,
+        tests: [medicaidOrder.tests[0], { ...medicaidOrder.tests[1], diagnosisPointers: ['Z79.899'] }]
+    };
+    const { segments } = parseMessages(buildOrmMessage(pointerOrder, { now }).message)[0];
+    const lithiumObr = segments.findIndex(s => s.name === 'OBR' && s.get(4, 1) === '007385');
+    const lithiumDg1 = segments.slice(lithiumObr).filter(s => s.name === 'DG1');
+
+    check(segments.filter(s => s.name === 'DG1').length === 3, 'Tests carry only the diagnoses they point at');
+    check(lithiumDg1.length === 1 && lithiumDg1[0].get(1) === '1' && lithiumDg1[0].get(3) === 'Z79.899',
+        'Diagnosis pointer in the test\'s DG1, numbered within its order group');
+}
+
+{
+    const medicareOrder = { ...medicaidOrder, patient: { ...medicaidOrder.patient, medicaidId: null, insuranceProvider: 'Medicare Part B' } };
+    check(buildOrmMessage(medicareOrder, { now }).billMethod === 'Medicare', 'Medicare bill method');
+}
+
+expectError(() => buildOrmMessage({ ...medicaidOrder, tests: [] }), 'Rejects an order without tests');
+expectError(() => buildOrmMessage({ ...medicaidOrder, id: null }), 'Rejects an order without a placer number');
+
+finish();
@@ -0,0 +1,69 @@
+// HL7 ORU Parser Fixture Test
+// Parses the sample ORU^R01 messages in ./fixtures/hl7 into the records saveResult
+// stores. Runs entirely offline - no database or lab connection needed.
+//
+// Usage: node src/scripts/testHl7OruFixture.js
+
+const path = require('path');
+const fs = require('fs');
+const { parseOru, toResultRecords } = require('../services/hl7/oruParser');
+const { check, finish } = require('./checks');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'hl7');
+
+function load(fileName) {
+    const messages = parseOru(fs.readFileSync(path.join(FIXTURE_DIR, fileName), 'utf8'));
+    return { messages, records: messages.flatMap(toResultRecords) };
+}
+
+console.log('\n=== HL7 ORU Fixture Test ===\n');
+
+// Labcorp: CMP with a critical value + a corrected lithium report
+{
+    const { messages, records } = load('labcorp-oru.hl7');
+    console.table(records.map(r => ({
+        accession: r.accessionNumber,
+        test: r.testName,
+        value: r.resultValue,
+        unit: r.resultUnit,
+        range: r.referenceRange,
+        status: r.resultStatus,
+        report: r.reportStatus
+    })));
+
+    check(messages.length === 1 && messages[0].portal === 'labcorp', 'Labcorp message detected from sending facility');
+    check(records.length === 5, `Extracted ${records.length} observations (expected 5, comment OBX excluded)`);
+
+    const glucose = records.find(r => r.testCode === '001032');
+    check(glucose?.resultStatus === 'critical', 'LL flag maps to critical');
+    check(glucose?.rawData.notes[0]?.startsWith('Critical value called'), 'NTE attached to the preceding OBX');
+
+    const potassium = records.find(r => r.testCode === '001180');
+    check(potassium?.resultStatus === 'abnormal' && potassium?.referenceRange === '3.5-5.2', 'H flag and reference range read');
+
+    const lithium = records.find(r => r.testCode === '007393');
+    check(lithium?.reportStatus === 'Corrected', 'Corrected observation status carried as report status');
+    check(lithium?.rawData.reportNotes.some(note => note.includes('Toxic: ^ 1.5')), 'Escaped report comment decoded into report notes');
+
+    const first = records[0];
+    check(first.placerOrderNumber === '3f2a9c1e-5b7d-4e8a-9c0b-1d2e3f4a5b6c' && first.fillerOrderNumber === 'LC0927001234',
+        'Placer and filler order numbers carried for order linking');
+    check(first.patientName === 'Alex Testpatient' && first.patientDob === '1985-03-14' && first.medicaidId === 'UT123456789',
+        'Patient name, DOB and Medicaid ID read from PID');
+    check(first.resultDate === '2025-09-27', 'Collection date used as result date');
+}
+
+// Quest: preliminary report with a coded result, HL7 2.3
+{
+    const { messages, records } = load('quest-oru.hl7');
+
+    check(messages[0]?.portal === 'quest', 'Quest message detected from sending facility');
+    check(records.length === 2 && records.every(r => r.reportStatus === 'Preliminary'), 'Preliminary results kept with status');
+    check(records.find(r => r.testCode === '5932')?.resultValue === 'Non-Reactive', 'Coded (CE) value uses display text');
+    check(records[0]?.accessionNumber === 'WX123460E' && !records[0]?.placerOrderNumber, 'Filler number from ORC/OBR without placer');
+}
+
+// Non-ORU messages are ignored
+check(parseOru('MSH|^~\\&|X|Y|||20251001||ADT^A01|1|P|2.5\rPID|1||1').length === 0, 'Non-ORU messages skipped');
+
+finish();
@@ -0,0 +1,112 @@
+// Lab Order Draft Test
+// Checks what is read out of IntakeQ notes for draft lab orders - tests named in "labs
+// ordered" lines, negations, diagnosis codes - and the webhook's token check. Runs offline.
+//
+// Usage: node src/scripts/testLabOrderDrafts.js
+
+process.env.INTAKEQ_WEBHOOK_SECRET = 'test-secret';
+
+const http = require('http');
+const express = require('express');
+const { analyzeNote } = require('../services/labOrderDraftService');
+const labTestCodes = require('../../config/labTestCodes.json');
+const { check, finish } = require('./checks');
+
+// The tests that seed lab_test_catalog
+const CATALOG = labTestCodes.labcorp.commonTests;
+
+const NOTE = `Assessment: Bipolar I disorder, current episode depressed, moderate (F31.32).
+Stable on lithium 900 mg qhs, also taking vitamin B12 OTC.
+Plan: Continue lithium. Labs ordered: lithium level, CMP, TSH and CBC w/ diff; repeat in 3 months.
+Patient declined UDS today. No A1c needed, done by PCP.
+Will get fasting lipids at the next draw.
+Follow up in 4 weeks.`;
+
+function post(port, path, body) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            port,
+            path,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        }, response => {
+            let data = '';
+            response.on('data', chunk => data += chunk);
+            response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(data || '{}') }));
+        });
+        request.on('error', reject);
+        request.end(JSON.stringify(body));
+    });
+}
+
+async function run() {
+    console.log('\n=== Lab Order Draft Test ===\n');
+
+    {
+        console.log('--- note analysis ---');
+        const analysis = analyzeNote(NOTE, CATALOG);
+        const codes = analysis.detectedTests.map(test => test.code).sort();
+
+        check(analysis.labsOrdered, 'Note documents labs');
+        check(codes.join(',') === ['011776', '322000', '330015', '007600', '007573'].sort().join(','),
+            `Lithium, CMP, TSH, CBC and lipids detected (${analysis.detectedTests.map(test => test.name).join('; ')})`);
+        check(!codes.includes('790500') && !codes.includes('001453'), 'Declined UDS and "no A1c" are not ordered');
+        check(!codes.includes('007065'), 'Vitamin B12 mentioned as a medication is not ordered');
+        check(analysis.diagnosisCodes.join(',') === 'F31.32', 'ICD-10 code read from the note');
+        check(/Labs ordered/.test(analysis.excerpt) && !/declined/.test(analysis.excerpt), 'Excerpt holds the ordering lines only');
+    }
+
+    {
+        console.log('\n--- negation ---');
+        const named = text => analyzeNote(text, CATALOG).detectedTests.map(test => test.name);
+
+        check(named('Lithium level ordered, no side effects reported.').includes('Lithium'),
+            'A negation in another clause keeps the test ("no side effects reported")');
+        check(named('CBC ordered, patient not fasting.').length === 1,
+            'A negation in another clause keeps the test ("patient not fasting")');
+        check(named('Will not order TSH today, CMP ordered.').join(',') === 'Comprehensive Metabolic Panel (14)',
+            'A negation next to one test cancels only that test');
+        check(!analyzeNote('Labs were not ordered today.', CATALOG).labsOrdered, 'Negated "labs ordered" makes no draft');
+    }
+
+    {
+        console.log('\n--- notes without tests ---');
+        check(!analyzeNote('Discussed sleep hygiene. Follow up in 2 weeks.', CATALOG).labsOrdered, 'Note without labs is skipped');
+
+        const unnamed = analyzeNote('Labs ordered per protocol.', CATALOG);
+        check(unnamed.labsOrdered && unnamed.detectedTests.length === 0, 'Labs ordered without naming tests still drafts');
+        check(analyzeNote('Vacation mentioned; UA trip planned. Check ua.', CATALOG).detectedTests.length === 0,
+            'Two-letter abbreviations must be upper case');
+    }
+
+    {
+        console.log('\n--- POST /api/webhooks/intakeq ---');
+        const app = express();
+        app.use(express.json());
+        app.use('/api/webhooks', require('../routes/webhooks'));
+
+        const server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        const port = server.address().port;
+
+        const rejected = await post(port, '/api/webhooks/intakeq?token=wrong', { EventType: 'Note Locked' });
+        check(rejected.status === 401, `Wrong token rejected (${rejected.status})`);
+
+        const accepted = await post(port, '/api/webhooks/intakeq?token=test-secret', { EventType: 'Form Submitted' });
+        check(accepted.status === 200 && accepted.body.received, `Valid token acknowledged (${accepted.status})`);
+
+        delete process.env.INTAKEQ_WEBHOOK_SECRET;
+        const unconfigured = await post(port, '/api/webhooks/intakeq?token=test-secret', { EventType: 'Note Locked' });
+        check(unconfigured.status === 503, `Unconfigured webhook refused (${unconfigured.status})`);
+
+        server.close();
+    }
+
+    finish();
+}
+
+run().catch(error => {
+    console.error('❌ Lab order draft test failed:', error);
+    process.exit(1);
+});
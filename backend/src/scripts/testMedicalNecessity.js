@@ -0,0 +1,105 @@
+// Medical Necessity Test
+// Checks ICD-10 range matching and the per-test necessity check against some of the rules
+// migration 018 seeds - supported and unsupported tests, suggestions and the Medicare ABN
+// flag. Runs offline.
+//
+// Usage: node src/scripts/testMedicalNecessity.js
+
+const {
+    checkMedicalNecessity,
+    codeInRange,
+    isMedicarePatient
+} = require('../services/medicalNecessity');
+const { check, finish } = require('./checks');
+const labTestCodes = require('../../config/labTestCodes.json');
+
+// medical_necessity_rules rows for the lipid panel and lithium, as migration 018 seeds them
+const RULES = [
+    ['007573', 'E78.00', 'E78.9', 'Disorders of lipoprotein metabolism', 'E78.5'],
+    ['007573', 'E08', 'E13', 'Diabetes mellitus', 'E11.9'],
+    ['007573', 'R73.01', 'R73.09', 'Prediabetes and abnormal glucose', 'R73.03'],
+    ['007573', 'E66', 'E66.9', 'Overweight and obesity', 'E66.9'],
+    ['007573', 'Z13.6', 'Z13.6', 'Screening for cardiovascular disorders', 'Z13.6'],
+    ['007573', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899'],
+    ['011776', 'F31', 'F31.9', 'Bipolar disorder', 'F31.9'],
+    ['011776', 'F32', 'F33.9', 'Major depressive disorder', 'F33.1'],
+    ['011776', 'F25', 'F25.9', 'Schizoaffective disorder', 'F25.9'],
+    ['011776', 'Z51.81', 'Z51.81', 'Therapeutic drug level monitoring', 'Z51.81'],
+    ['011776', 'Z79.899', 'Z79.899', 'Long term (current) drug therapy', 'Z79.899']
+].map(([test_code, icd10_from, icd10_to, description, example_code]) => ({
+    test_code, icd10_from, icd10_to, description, example_code
+}));
+const COMMON = labTestCodes.icd10.psychiatryDiagnoses;
+
+console.log('\n🧪 ICD-10 ranges\n');
+
+check(codeInRange('E78.5', 'E78.00', 'E78.9'), 'E78.5 is in E78.00-E78.9');
+check(codeInRange('e11.65', 'E08', 'E13'), 'E11.65 is in E08-E13 (case and depth ignored)');
+check(codeInRange('E13.9', 'E08', 'E13'), 'the end of a range is inclusive');
+check(!codeInRange('E14', 'E08', 'E13'), 'E14 is past E08-E13');
+check(codeInRange('T43.595A', 'T43.591A', 'T43.596S'), '7-character codes compare in full');
+check(codeInRange('F03.90', 'F01', 'F03.918'), 'a shorter code inside a deep range end matches');
+check(!codeInRange('F32.A', 'E78.00', 'E78.9'), 'F32.A is not a lipid disorder');
+
+console.log('\n🧪 Order check\n');
+
+const LIPID = { code: '007573', name: 'Lipid Panel' };
+const LITHIUM = { code: '011776', name: 'Lithium' };
+const CMP = { code: '322000', name: 'Comprehensive Metabolic Panel (14)' };
+
+const depressionOnly = checkMedicalNecessity({
+    tests: [LIPID, LITHIUM, CMP],
+    diagnoses: ['F32.A'],
+    rules: RULES,
+    medicare: false,
+    chartDiagnoses: ['E78.2'],
+    commonDiagnoses: COMMON
+});
+const [lipid, lithium, cmp] = depressionOnly.tests;
+
+check(lipid.status === 'unsupported', 'a lipid panel with only F32.A is unsupported');
+check(lipid.suggestions[0]?.code === 'E78.2' && lipid.suggestions[0]?.source === 'chart',
+    'the chart diagnosis is suggested first');
+check(lipid.suggestions.some(s => s.code === 'Z79.899' && s.source === 'common'),
+    'common diagnoses in a covered range are suggested');
+check(lipid.suggestions.length <= 5, 'suggestions are capped');
+check(lithium.status === 'supported' && lithium.supportedBy.includes('F32.A'),
+    'lithium is supported by a depression code');
+check(cmp.status === 'not_checked', 'tests without rules are not checked');
+check(!depressionOnly.abnRequired && !lipid.abnRequired, 'no ABN without Medicare');
+
+const medicare = checkMedicalNecessity({
+    tests: [LIPID, CMP],
+    diagnoses: ['F32.A'],
+    rules: RULES,
+    medicare: true,
+    commonDiagnoses: COMMON
+});
+check(medicare.abnRequired && medicare.tests[0].abnRequired, 'Medicare needs an ABN for the unsupported lipid panel');
+check(!medicare.tests[1].abnRequired, 'no ABN for a test that is not checked');
+
+const supported = checkMedicalNecessity({
+    tests: [LIPID],
+    diagnoses: ['F20.9', 'Z79.899'],
+    rules: RULES,
+    medicare: true
+});
+check(supported.tests[0].status === 'supported' && !supported.abnRequired,
+    'antipsychotic monitoring supports a lipid panel and needs no ABN');
+
+const pointed = checkMedicalNecessity({
+    tests: [{ ...LIPID, diagnosisPointers: ['F32.A'] }],
+    diagnoses: ['F32.A', 'E78.5'],
+    rules: RULES,
+    medicare: false
+});
+check(pointed.tests[0].status === 'unsupported', 'only the diagnoses a test points at support it');
+
+console.log('\n🧪 Medicare coverage\n');
+
+check(isMedicarePatient({ insurances: [{ payerName: 'Medicaid' }, { payerName: 'Medicare Part B' }] }),
+    'a Medicare payer on file counts');
+check(isMedicarePatient({ medicareId: '1EG4TE5MK72' }), 'a Medicare ID counts');
+check(!isMedicarePatient({ insurances: [{ payerName: 'Molina Healthcare' }] }), 'Medicaid alone does not');
+
+finish();
@@ -0,0 +1,185 @@
+// Office Ally Stand-In Test
+// Starts the local Office Ally stand-in and runs real eligibility checks against it - the
+// eligibility service, the Medicaid wrapper and POST /api/lab-orders/check-eligibility - for
+// each scenario. Runs entirely offline.
+//
+// Usage: node src/scripts/testOfficeAllyStandIn.js
+
+// Set before the eligibility service reads its config
+process.env.OFFICE_ALLY_USERNAME = 'stand-in';
+process.env.OFFICE_ALLY_PASSWORD = 'stand-in';
+process.env.ELIGIBILITY_CACHE_HOURS = '0';
+
+const http = require('http');
+const express = require('express');
+const { startStandIn, SCENARIOS } = require('./officeAllyStandIn');
+const { check, finish } = require('./checks');
+
+const PATIENT = { firstName: 'Jane', lastName: 'Doe', dateOfBirth: '1985-03-14' };
+
+function post(port, path, body) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            port,
+            path,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        }, response => {
+            let data = '';
+            response.on('data', chunk => data += chunk);
+            response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(data || '{}') }));
+        });
+        request.on('error', reject);
+        request.end(JSON.stringify(body));
+    });
+}
+
+async function run() {
+    const standIn = await startStandIn({ port: 0, username: 'stand-in', password: 'stand-in' });
+    process.env.OFFICE_ALLY_ENDPOINT = standIn.url;
+
+    const { getEligibilityService } = require('../services/eligibility/eligibilityService');
+    const medicaidEligibilityService = require('../services/medicaidEligibilityService');
+    const service = getEligibilityService();
+
+    console.log(`\n=== Office Ally Stand-In Test (${standIn.url}) ===\n`);
+
+    const medicaid = scenario => {
+        standIn.state.scenario = scenario;
+        return medicaidEligibilityService.checkEligibility(PATIENT);
+    };
+
+    {
+        console.log('--- active-ffs ---');
+        const result = await medicaid('active-ffs');
+        const received = standIn.state.requests[0];
+
+        check(received.lastName === 'DOE' && received.dateOfBirth === '19850314' && received.payerId === 'UTMCD',
+            'Stand-in read the subscriber and payer from the 270');
+        check(result.isEligible && result.planType === 'TRADITIONAL_FFS', 'Active fee-for-service Medicaid');
+        check(result.demographics.firstName === 'JANE' && result.demographics.dateOfBirth === '03/14/1985',
+            'Name and date of birth echoed back');
+        check(/^\d{10}$/.test(result.memberId || ''), `Member ID generated for a name/DOB search (${result.memberId})`);
+        check(result.cached === false && !!result.checkedAt, 'Fresh check with a timestamp');
+    }
+
+    {
+        console.log('\n--- active-mco ---');
+        const result = await medicaid('active-mco');
+
+        check(result.isEligible && result.planType === 'MANAGED_CARE', 'Managed care Medicaid');
+        check(result.managedCarePlan === 'MOLINA HEALTHCARE OF UTAH', 'Medical MCO reported');
+        check(result.behavioralHealthPlan === 'HUNTSMAN MENTAL HEALTH INSTITUTE', 'PMHP reported');
+    }
+
+    {
+        console.log('\n--- inactive ---');
+        const result = await medicaid('inactive');
+
+        check(!result.isEligible && !result.rejected, 'Member found without active coverage');
+        check(!!result.coverage?.end && new Date(result.coverage.end) < new Date(), `Coverage ended in the past (${result.coverage?.end})`);
+    }
+
+    for (const [scenario, code] of [['not-found', '75'], ['invalid-member-id', '72'], ['provider-not-on-file', '51'], ['payer-unavailable', '42']]) {
+        console.log(`\n--- ${scenario} ---`);
+        const result = await medicaid(scenario);
+
+        check(result.rejected && !result.isEligible, 'Rejected');
+        check(result.errors?.some(error => error.code === code), `AAA ${code} reported (${result.errors?.map(error => error.code).join(', ')})`);
+    }
+
+    {
+        console.log('\n--- soap-fault ---');
+        let thrown = null;
+        try {
+            await medicaid('soap-fault');
+        } catch (error) {
+            thrown = error;
+        }
+        check(/Office Ally API error: 500/.test(thrown?.message || ''), 'HTTP 500 surfaces as an Office Ally API error');
+    }
+
+    {
+        console.log('\n--- fixture replay and scenario selection ---');
+        standIn.state.scenario = 'fixture:utah-medicaid-mco';
+        const replayed = await medicaidEligibilityService.checkEligibility(PATIENT);
+        check(replayed.managedCarePlan === 'MOLINA HEALTHCARE OF UTAH' && replayed.behavioralHealthPlan === 'DAVIS BEHAVIORAL HEALTH',
+            'Fixture replayed as is');
+
+        standIn.state.scenario = 'not-found';
+        const byName = await medicaidEligibilityService.checkEligibility({ ...PATIENT, lastName: 'Inactive' });
+        check(standIn.state.requests[0].scenario === 'inactive' && !byName.isEligible && !byName.rejected,
+            'Subscriber last name overrides the default scenario');
+
+        standIn.state.scenario = 'active';
+        const commercial = await service.checkEligibility({ ...PATIENT, memberId: 'W987654321' }, { payerName: 'Aetna' });
+        check(standIn.state.requests[0].payerId === '60054' && commercial.memberId === 'W987654321', 'Commercial 270 with the member ID echoed');
+        check(commercial.isEligible && commercial.benefits?.some(benefit => benefit.code === 'C' && benefit.amount === 1500),
+            'Commercial active response carries deductibles');
+    }
+
+    {
+        console.log('\n--- search options ---');
+        const withId = { ...PATIENT, firstName: 'Liz', memberId: '0123456789' };
+
+        standIn.state.scenario = 'name-mismatch';
+        const byId = await medicaidEligibilityService.checkEligibility(withId);
+        const sent = standIn.state.requests[0].x12;
+        check(/NM1\*IL\*1\*{6}MI\*0123456789~/.test(sent) && /DMG\*D8\*19850314/.test(sent), '270 sends member ID and DOB without the name');
+        check(byId.isEligible && byId.searchOption?.key === 'member_id_dob' && byId.searchAttempts.length === 1,
+            'Nickname on the chart doesn\'t matter when the member ID is searched first');
+        check(byId.demographics.firstName === 'ELIZABETH', 'Name comes back as the payer has it');
+
+        standIn.state.scenario = 'stale-member-id';
+        const fellBack = await medicaidEligibilityService.checkEligibility(withId);
+        check(fellBack.isEligible && fellBack.searchOption?.key === 'name_dob', `Stale member ID falls back to name + DOB (${fellBack.searchOption?.key})`);
+        check(fellBack.searchAttempts.map(attempt => `${attempt.key}:${attempt.matched}`).join(',') === 'member_id_dob:false,name_dob:true',
+            'Both attempts recorded');
+        check(fellBack.memberId !== '0123456789', `Current member ID returned (${fellBack.memberId})`);
+
+        standIn.state.scenario = 'not-found';
+        const notFound = await medicaidEligibilityService.checkEligibility(withId);
+        check(notFound.rejected && notFound.searchAttempts.length === 3 && notFound.searchAttempts[2].key === 'member_id',
+            'Not found after member ID + DOB, name + DOB and member ID only');
+
+        standIn.state.scenario = 'payer-unavailable';
+        const unavailable = await medicaidEligibilityService.checkEligibility(withId);
+        check(unavailable.rejected && unavailable.searchAttempts.length === 1, 'Payer-level rejection is not retried with other searches');
+    }
+
+    {
+        console.log('\n--- POST /api/lab-orders/check-eligibility ---');
+        const labOrders = require('../routes/labOrders');
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.user = { id: null, email: 'stand-in@example.com', role: 'admin' };
+            next();
+        });
+        app.use('/api/lab-orders', labOrders);
+
+        const server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+
+        standIn.state.scenario = 'active-mco';
+        const response = await post(server.address().port, '/api/lab-orders/check-eligibility', {
+            ...PATIENT,
+            intakeqPhone: '8015550199'
+        });
+
+        check(response.status === 200 && response.body.success, `Route responded 200 (${response.status})`);
+        check(response.body.planType === 'MANAGED_CARE' && response.body.demographics?.lastName === 'DOE',
+            'Route returned the managed care result with demographics');
+
+        server.close();
+    }
+
+    standIn.server.close();
+    finish(`(${Object.keys(SCENARIOS).length} scenarios available)`);
+}
+
+run().catch(error => {
+    console.error('❌ Stand-in test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,90 @@
+// Quest Results Scraper Fixture Test
+// Runs the Quest results flow (inbox -> completed orders -> analytes + PDF) against the
+// saved HTML pages in ./fixtures/quest-results. No Quest credentials or network needed.
+//
+// Usage: node src/scripts/testQuestResultsFixture.js [--headed]
+
+require('dotenv').config();
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { pathToFileURL } = require('url');
+const QuestAgent = require('../services/portalAgents/questAgent');
+const { ResultsScraper } = require('../services/resultsScraper');
+const { check, fail, finish } = require('./checks');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'quest-results');
+
+// What the fixture pages should produce
+const EXPECTED = {
+    orders: ['WX123456A', 'WX123458C', 'WX123459D'], // WX123457B is Partial and must be skipped
+    resultCount: 8,
+    statuses: {
+        GLUCOSE: 'abnormal',
+        'ABSOLUTE NEUTROPHILS': 'critical',
+        LITHIUM: 'normal'
+    },
+    pdfs: { WX123456A: true, WX123458C: true, WX123459D: false }
+};
+
+async function main() {
+    const agent = new QuestAgent();
+    agent.headless = !process.argv.includes('--headed');
+
+    const scraper = new ResultsScraper();
+    scraper.pdfDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'quest-results-'));
+
+    try {
+        console.log('\n=== Quest Results Fixture Test ===\n');
+
+        await agent.initialize();
+
+        // Stand in for login: start on the (fixture) landing page
+        await agent.page.goto(pathToFileURL(path.join(FIXTURE_DIR, 'home.html')).href);
+
+        const results = await scraper.collectQuestResults(agent);
+
+        console.table(results.map(r => ({
+            accession: r.accessionNumber,
+            patient: r.patientName,
+            dob: r.patientDob,
+            test: r.testName,
+            value: r.resultValue,
+            unit: r.resultUnit,
+            status: r.resultStatus,
+            pdf: r.pdfUrl ? path.basename(r.pdfUrl) : null
+        })));
+
+        const orderIds = [...new Set(results.map(r => r.accessionNumber))];
+        check(JSON.stringify(orderIds) === JSON.stringify(EXPECTED.orders),
+            `Completed orders across both inbox pages: ${orderIds.join(', ')}`);
+        check(results.length === EXPECTED.resultCount,
+            `Extracted ${results.length} analytes (expected ${EXPECTED.resultCount})`);
+
+        for (const [testName, status] of Object.entries(EXPECTED.statuses)) {
+            const result = results.find(r => r.testName === testName);
+            check(result?.resultStatus === status, `${testName} flagged ${status}`);
+        }
+
+        const alex = results.find(r => r.accessionNumber === 'WX123456A');
+        check(alex?.patientName === 'Alex Testpatient' && alex?.patientDob === '1985-03-14',
+            'Patient name and DOB normalized for saveResult');
+        check(alex?.resultDate === '2025-10-01', 'Collection date normalized');
+
+        for (const [accession, hasPdf] of Object.entries(EXPECTED.pdfs)) {
+            const pdfPath = results.find(r => r.accessionNumber === accession)?.pdfUrl;
+            check(hasPdf ? !!pdfPath && fs.existsSync(pdfPath) : !pdfPath,
+                `${accession} PDF ${hasPdf ? 'downloaded' : 'absent'}`);
+        }
+
+    } catch (error) {
+        fail('Fixture test failed', error);
+    } finally {
+        await agent.cleanup();
+        fs.rmSync(scraper.pdfDirectory, { recursive: true, force: true });
+    }
+
+    finish();
+}
+
+main();
@@ -0,0 +1,74 @@
+// Result Matcher Test
+// Scores results against fixture patients and orders: an order-number match, a namesake
+// with another DOB, two close candidates and the auto-match threshold (70 points, with a
+// 20-point lead over the runner-up). Lookups are stubbed, so it runs offline.
+//
+// Usage: node src/scripts/testResultMatcher.js
+
+const resultMatcher = require('../services/resultMatcher');
+const { check, finish } = require('./checks');
+
+const ALEX = { id: 'patient-alex', first_name: 'Alex', last_name: 'Testpatient', date_of_birth: '1985-03-14', medicaid_id: null };
+const ALEX_NAMESAKE = { ...ALEX, id: 'patient-alex-2', date_of_birth: '1991-07-02' };
+const ALEX_DUPLICATE = { ...ALEX, id: 'patient-alex-3' };
+const SAM = { id: 'patient-sam', first_name: 'Sam', last_name: 'Rivera', date_of_birth: '1985-03-14', medicaid_id: 'MD123456789' };
+
+const ORDER = { id: '3f2a9c1e-5b7d-4e8a-9c0b-1d2e3f4a5b6c', patient_id: ALEX.id, confirmation_number: 'L1234567' };
+
+/**
+ * A matcher whose database lookups return the given fixtures
+ * @param {Object} fixtures - { order, patients, recentOrders: { [patientId]: order } }
+ */
+function matcherWith({ order = null, patients = [], recentOrders = {} }) {
+    const matcher = Object.create(resultMatcher);
+    matcher.findOrderByNumber = async () => order;
+    matcher.findCandidatePatients = async () => patients;
+    matcher.findRecentOrder = async (portal, patientId) => recentOrders[patientId] || null;
+    return matcher;
+}
+
+async function run() {
+    console.log('\n🧪 Order number\n');
+
+    const byOrder = await matcherWith({ order: ORDER, patients: [ALEX, SAM] })
+        .match('labcorp', { accessionNumber: 'L1234567', patientName: 'TESTPATIENT, ALEX', patientDob: '1985-03-14' });
+    check(byOrder.matched && byOrder.patientId === ALEX.id, 'an exact order number attaches the result to its patient');
+    check(byOrder.portalOrderId === ORDER.id, 'and to the order it answers');
+    check(byOrder.evidence.includes(`order ${ORDER.confirmation_number}`), 'the order number is recorded as evidence');
+
+    console.log('\n🧪 Same name, different DOB\n');
+
+    const namesake = await matcherWith({ patients: [ALEX_NAMESAKE], recentOrders: { [ALEX_NAMESAKE.id]: { id: 'order-2' } } })
+        .match('labcorp', { patientName: 'Alex Testpatient', patientDob: '1985-03-14' });
+    check(!namesake.matched, 'a namesake with another DOB is not auto-matched');
+    check(namesake.candidates[0]?.evidence.includes('dob_mismatch'), 'the DOB mismatch is recorded');
+
+    console.log('\n🧪 Close candidates\n');
+
+    const close = await matcherWith({ patients: [ALEX, ALEX_DUPLICATE], recentOrders: { [ALEX.id]: { id: 'order-1' } } })
+        .match('labcorp', { patientName: 'Alex Testpatient', patientDob: '1985-03-14' });
+    check(!close.matched && close.reason === 'ambiguous', 'two candidates within 20 points are queued for review');
+    check(close.candidates.length === 2 && close.score === 85, 'both candidates are kept for the reviewer');
+
+    const clearLead = await matcherWith({ patients: [ALEX, SAM] })
+        .match('labcorp', { patientName: 'Alex Testpatient', patientDob: '1985-03-14' });
+    check(clearLead.matched && clearLead.patientId === ALEX.id, 'a 20-point lead over the runner-up is enough');
+
+    console.log('\n🧪 Threshold\n');
+
+    const nameOnly = await matcherWith({ patients: [ALEX], recentOrders: { [ALEX.id]: { id: 'order-1' } } })
+        .match('labcorp', { patientName: 'Alex Testpatient' });
+    check(!nameOnly.matched && nameOnly.reason === 'low_confidence' && nameOnly.score === 50,
+        'name and a recent order alone stay under 70');
+
+    const atThreshold = await matcherWith({ patients: [SAM] })
+        .match('labcorp', { patientName: 'Sam Rivera-Ortiz', medicaidId: 'md-123456789' });
+    check(atThreshold.matched && atThreshold.score === 70, 'exactly 70 points auto-matches');
+
+    const none = await matcherWith({}).match('labcorp', { patientName: 'Nobody Known' });
+    check(!none.matched && none.reason === 'no_candidates', 'no candidates, no match');
+
+    finish();
+}
+
+run();
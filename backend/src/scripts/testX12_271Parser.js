@@ -0,0 +1,141 @@
+// X12 271 Parser Fixture Test
+// Parses the sample 271 responses in ./fixtures/x12 - Utah Medicaid (FFS and MCO with
+// behavioral health carve-outs), a commercial dependent, an inactive Medicare member with
+// non-default separators, and AAA rejections at each level. Runs entirely offline.
+//
+// Usage: node src/scripts/testX12_271Parser.js
+
+const path = require('path');
+const fs = require('fs');
+const { parseX12_271 } = require('../services/eligibility/x12_271Parser');
+const { getEligibilityService } = require('../services/eligibility/eligibilityService');
+const { check, finish } = require('./checks');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'x12');
+
+function load(fileName) {
+    return fs.readFileSync(path.join(FIXTURE_DIR, fileName), 'utf8');
+}
+
+console.log('\n=== X12 271 Parser Fixture Test ===\n');
+
+// Utah Medicaid, Targeted Adult (fee for service) with a behavioral health carve-out
+{
+    console.log('--- utah-medicaid-ffs.x12 ---');
+    const parsed = parseX12_271(load('utah-medicaid-ffs.x12'));
+    const summary = getEligibilityService().parseX12_271Response(load('utah-medicaid-ffs.x12'));
+
+    check(parsed.payer.name === 'MEDICAID UTAH' && parsed.payer.id === 'UTMCD', 'Payer read from 2100A');
+    check(parsed.isEligible && !parsed.rejected, 'Active coverage');
+    check(parsed.memberId === '0123456789', 'Member ID read from NM1*IL');
+    check(parsed.benefits.length === 3, `Every EB loop returned (${parsed.benefits.length})`);
+    check(parsed.benefits[0].serviceTypes[0].label === 'Health Benefit Plan Coverage' && parsed.benefits[0].coverageLevelLabel === 'Individual',
+        'Service type and coverage level labelled');
+    check(parsed.benefits[0].messages[0] === 'TRADITIONAL FEE FOR SERVICE', 'MSG attached to its benefit');
+    check(parsed.coverage.start === '2026-01-01' && parsed.coverage.end === '2026-12-31', 'Eligibility dates from DTP*307 RD8');
+    check(parsed.managedCare.behavioralHealthPlan?.name === 'HEALTHY U BEHAVIORAL', 'Behavioral health carve-out plan found in 2120');
+    check(parsed.managedCare.behavioralHealthPlan?.phone === '8015877000', 'Carve-out plan phone read from 2120 PER');
+    check(!parsed.managedCare.medicalPlan, 'Transportation vendor is not mistaken for a medical plan');
+    check(parsed.patient.address.street === '455 E 400 S APT 12' && parsed.patient.address.city === 'SALT LAKE CITY',
+        'Patient address kept - 2120 N3/N4 do not overwrite it');
+    check(summary.planType === 'TRADITIONAL_FFS' && summary.isTraditionalFFS, 'Medicaid without a medical MCO is fee for service');
+    check(summary.demographics.dateOfBirth === '03/14/1985' && summary.demographics.phone === '8015551234',
+        'Demographics in the shape the order flow expects');
+}
+
+// Utah Medicaid with a medical MCO, a PMHP and a dental plan
+{
+    console.log('\n--- utah-medicaid-mco.x12 ---');
+    const parsed = parseX12_271(load('utah-medicaid-mco.x12'));
+    const summary = getEligibilityService().parseX12_271Response(load('utah-medicaid-mco.x12'));
+
+    check(parsed.managedCare.medicalPlan?.name === 'MOLINA HEALTHCARE OF UTAH', 'Medical MCO read from 2120 NM1*PRP');
+    check(parsed.managedCare.medicalPlan?.dates[0]?.end === '2026-12-31', 'Benefit-level DTP attached to the plan');
+    check(parsed.managedCare.behavioralHealthPlan?.name === 'DAVIS BEHAVIORAL HEALTH', 'PMHP read as the behavioral health plan');
+    check(parsed.benefits[2].serviceTypes.map(s => s.code).join(',') === 'MH,AI', 'Repeated service types split on the ISA11 separator');
+    check(parsed.managedCare.plans.some(plan => plan.kind === 'dental' && plan.name === 'PREMIER ACCESS DENTAL'), 'Dental plan classified separately');
+    check(parsed.coverage.start === '2025-07-01' && parsed.coverage.end === null, 'Eligibility begin date (DTP*356) without an end');
+    check(summary.planType === 'MANAGED_CARE' && summary.managedCarePlan === 'MOLINA HEALTHCARE OF UTAH', 'Summary reports managed care');
+    check(summary.behavioralHealthPlan === 'DAVIS BEHAVIORAL HEALTH', 'Summary reports the carve-out plan');
+}
+
+// Commercial plan, patient is a dependent
+{
+    console.log('\n--- commercial-aetna-dependent.x12 ---');
+    const parsed = parseX12_271(load('commercial-aetna-dependent.x12'));
+
+    check(parsed.patient.level === 'dependent' && parsed.patient.firstName === 'EMMA', 'Dependent (2000D) is the patient');
+    check(parsed.memberId === 'W123456789', 'Member ID falls back to the subscriber');
+    check(parsed.subscriber.additionalIds[0]?.qualifier === '6P' && parsed.subscriber.additionalIds[0]?.value === '0123456', 'Group number REF read');
+    check(parsed.payer.contacts[0]?.phone === '8886323862' && parsed.payer.contacts[0]?.url === 'WWW.AETNA.COM', 'Payer contact read');
+    check(parsed.benefits[0].serviceTypes.length === 3 && parsed.benefits[0].insuranceTypeLabel === 'Preferred Provider Organization (PPO)',
+        'Plan coverage EB with three service types and insurance type');
+
+    const deductibles = parsed.benefits.filter(benefit => benefit.code === 'C');
+    check(deductibles.length === 2 && deductibles[0].amount === 1500 && deductibles[0].inNetwork === 'Y'
+        && deductibles[1].amount === 3000 && deductibles[1].inNetworkLabel === 'Out of Network',
+        'In- and out-of-network deductibles');
+    check(deductibles[0].timePeriod === 'Calendar Year', 'Time period labelled');
+
+    const coinsurance = parsed.benefits.find(benefit => benefit.code === 'A');
+    check(coinsurance?.percent === 0.2 && coinsurance.serviceTypes[0].label === 'Diagnostic Lab', 'Lab coinsurance percent');
+
+    const copay = parsed.benefits.find(benefit => benefit.code === 'B');
+    check(copay?.amount === 25 && copay.messages.length === 1, 'Office visit copay with message');
+    check(parsed.coverage.start === '2026-01-01' && parsed.coverage.end === '2026-12-31', 'Plan begin/end dates');
+    check(parsed.managedCare.behavioralHealthPlan?.name === 'OPTUM BEHAVIORAL HEALTH', 'Behavioral health vendor (X3) found');
+    check(parsed.isEligible, 'Active coverage');
+}
+
+// Medicare, inactive, '|' element and '>' component separators
+{
+    console.log('\n--- medicare-inactive.x12 ---');
+    const parsed = parseX12_271(load('medicare-inactive.x12'));
+
+    check(parsed.payer.name === 'CMS' && parsed.memberId === '1EG4TE5MK73', 'Non-default separators read from ISA');
+    check(!parsed.isEligible && !parsed.rejected, 'Inactive coverage is not eligible, but not a rejection');
+    check(parsed.benefits[0]?.label === 'Inactive' && parsed.benefits[0]?.insuranceTypeLabel === 'Medicare Part B', 'Inactive Part B benefit');
+    check(parsed.coverage.start === '2015-03-01' && parsed.coverage.end === '2025-06-30', 'Coverage lapse date from DTP*347');
+}
+
+// AAA rejections at subscriber, provider and payer level
+{
+    console.log('\n--- AAA rejections ---');
+    const notFound = parseX12_271(load('aaa-subscriber-not-found.x12'));
+    check(notFound.rejected && !notFound.isEligible, 'Subscriber rejection is not eligible');
+    check(notFound.errors[0]?.level === 'subscriber' && notFound.errors[0]?.code === '75', 'Rejection level and code');
+    check(notFound.errors[0]?.reason.startsWith('Subscriber not found') && notFound.errors[0]?.followUpAction === 'Correct and resubmit',
+        `Readable reason: "${notFound.errors[0]?.reason}"`);
+
+    const provider = parseX12_271(load('aaa-provider-not-on-file.x12'));
+    check(provider.errors[0]?.level === 'receiver' && provider.errors[0]?.reason === 'Provider is not on file with this payer',
+        'Provider-level rejection (no newline between segments)');
+    check(provider.patient.lastName === 'LEE' && provider.patient.benefits.length === 0, 'Subscriber still read after a provider rejection');
+
+    const unavailable = parseX12_271(load('aaa-payer-unavailable.x12'));
+    check(unavailable.errors[0]?.level === 'source' && unavailable.errors[0]?.validRequest && unavailable.errors[0]?.followUp === 'P',
+        'Payer-level "unable to respond" with resubmit follow-up');
+    check(!unavailable.subscriber && !unavailable.isEligible, 'No subscriber loop');
+}
+
+// 270 request - patient values can't break the interchange
+async function check270() {
+    console.log('\n--- 270 request ---');
+    const payer = {
+        x12Name: 'UTAH MEDICAID',
+        officeAllyPayerId: 'SKUT0',
+        search: { dateQualifier: 'RD8', serviceTypes: ['30'] }
+    };
+    const request = await getEligibilityService().generateX12_270Request({
+        firstName: 'Alex~',
+        lastName: "O'Brien*Test",
+        dateOfBirth: '1985-03-14',
+        memberId: '0123:456^789'
+    }, payer);
+    const nm1 = request.split('~').find(segment => segment.startsWith('NM1*IL'));
+
+    check(nm1 === "NM1*IL*1*O'BRIENTEST*ALEX****MI*0123456789", `Separators stripped from name and member ID: ${nm1}`);
+    check(request.split('~').filter(Boolean).every(segment => /^[A-Z][A-Z0-9]{1,2}\*/.test(segment)), 'Every segment intact');
+}
+
+check270().then(finish);
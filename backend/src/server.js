@@ -10,15 +10,30 @@ const winston = require('winston');
 const path = require('path');
 
 // Import routes
+const authRoutes = require('./routes/auth');
 const portalAutomationRoutes = require('./routes/portalAutomation');
 const labOrdersRoutes = require('./routes/labOrders');
 const patientRoutes = require('./routes/patients');
 const providerRoutes = require('./routes/providers');
 const resultsRoutes = require('./routes/results');
+const auditRoutes = require('./routes/audit');
+const eligibilityRoutes = require('./routes/eligibility');
+const webhookRoutes = require('./routes/webhooks');
+const labTestCatalogRoutes = require('./routes/labTestCatalog');
+
+// Import middleware
+const { ROLES, requireAuth, requireRole, authenticateSocket } = require('./middleware/auth');
 
 // Import services
 const { initializeSupabase } = require('./services/supabase');
+const { getOrderQueue } = require('./services/orderQueue');
 const { startResultsCron } = require('./services/resultsScraper');
+const { getHl7DropWatcher } = require('./services/hl7/hl7DropWatcher');
+const { getCriticalAlertService } = require('./services/criticalAlertService');
+const { getEligibilityBatchService } = require('./services/eligibility/eligibilityBatchService');
+const { getIntakeQClientIndex } = require('./services/intakeqClientIndex');
+const { getLabOrderDraftService } = require('./services/labOrderDraftService');
+const { getIntakeQResultPushService } = require('./services/intakeqResultPush');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -38,6 +53,9 @@ const logger = winston.createLogger({
 
 // Create Express app
 const app = express();
+
+// Trust the hosting proxy so req.ip (recorded in the audit log) is the client address
+app.set('trust proxy', 1);
 const server = http.createServer(app);
 
 // Initialize Socket.io for real-time updates
@@ -56,8 +74,8 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve screenshots directory as static files
-app.use('/screenshots', express.static(path.join(__dirname, '../test-screenshots')));
+// Serve screenshots directory as static files (portal screenshots contain PHI)
+app.use('/screenshots', requireAuth, express.static(path.join(__dirname, '../test-screenshots')));
 
 // Serve frontend static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -81,20 +99,36 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
-app.use('/api/portal-automation', portalAutomationRoutes);
-app.use('/api/lab-orders', labOrdersRoutes); // New smart lab orders API
-app.use('/api/patients', patientRoutes);
-app.use('/api/providers', providerRoutes);
-app.use('/api/results', resultsRoutes);
+app.use('/api/auth', authRoutes); // Login is public; everything else requires a session
+app.use('/api/portal-automation', requireAuth, portalAutomationRoutes);
+app.use('/api/lab-orders', requireAuth, labOrdersRoutes); // New smart lab orders API
+app.use('/api/patients', requireAuth, patientRoutes);
+app.use('/api/providers', requireAuth, providerRoutes);
+app.use('/api/results', requireAuth, resultsRoutes);
+app.use('/api/eligibility', requireAuth, eligibilityRoutes);
+app.use('/api/audit', requireAuth, requireRole(ROLES.ADMIN), auditRoutes);
+app.use('/api/lab-test-catalog', requireAuth, labTestCatalogRoutes);
+app.use('/api/webhooks', webhookRoutes); // Authenticated by each source's shared secret, not a session
 
 // Alias routes for compatibility with frontend
-app.get('/api/lab-tests', (req, res) => res.redirect(301, '/api/lab-orders/available-tests'));
-app.get('/api/icd10/psychiatric', (req, res) => res.redirect(301, '/api/lab-orders/available-diagnoses'));
-app.get('/api/templates', (req, res) => res.json({ success: true, templates: [] })); // Placeholder
+app.get('/api/lab-tests', requireAuth, (req, res) => res.redirect(301, '/api/lab-orders/available-tests'));
+app.get('/api/icd10/psychiatric', requireAuth, (req, res) => res.redirect(301, '/api/lab-orders/available-diagnoses'));
+app.get('/api/templates', requireAuth, (req, res) => res.json({ success: true, templates: [] })); // Placeholder
+
+// Socket.io connections must present a valid session token
+io.use(authenticateSocket);
 
 // Socket.io connection handling for real-time updates
 io.on('connection', (socket) => {
-    logger.info('Client connected:', socket.id);
+    const { user } = socket.data;
+    logger.info(`Client connected: ${socket.id} (${user.email})`);
+
+    // Personal, provider and role rooms for alerts addressed to this user
+    socket.join(`user-${user.id}`);
+    socket.join(`role-${user.role}`);
+    if (user.providerId) {
+        socket.join(`provider-${user.providerId}`);
+    }
 
     socket.on('join-order-room', (orderId) => {
         socket.join(`order-${orderId}`);
@@ -137,6 +171,27 @@ async function startServer() {
         try {
             await initializeSupabase();
             logger.info('Supabase connection initialized');
+
+            // Start order queue workers (recovers orders interrupted by a restart)
+            await getOrderQueue().start({ io });
+
+            // Pick up HL7 result files dropped by the labs (if HL7_DROP_DIR is set)
+            getHl7DropWatcher().start();
+
+            // Escalate critical result alerts nobody has acknowledged
+            getCriticalAlertService().start({ io });
+
+            // Batch eligibility progress goes out over Socket.io
+            await getEligibilityBatchService().start({ io });
+
+            // Keep the local IntakeQ client index (patient search) in sync
+            getIntakeQClientIndex().start();
+
+            // Draft lab orders from IntakeQ webhooks are announced over Socket.io
+            getLabOrderDraftService().start({ io });
+
+            // Copy saved and reviewed results into the patients' IntakeQ charts
+            getIntakeQResultPushService().start();
         } catch (error) {
             logger.warn('Supabase not configured - running without database:', error.message);
         }
@@ -176,6 +231,11 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
     logger.info('Shutting down server...');
+    getOrderQueue().stop();
+    getHl7DropWatcher().stop();
+    getCriticalAlertService().stop();
+    getIntakeQClientIndex().stop();
+    getIntakeQResultPushService().stop();
     server.close(() => {
         logger.info('Server closed');
         process.exit(0);
@@ -0,0 +1,134 @@
+// Ask-at-Order-Entry (AOE) Questions
+// Tests such as drug levels need answers at order entry - time of the last dose, the dose,
+// whether the patient is fasting. The questions are defined per test in the lab test
+// catalog; this checks question definitions when admins edit them and the answers that
+// come in with an order. Answers are kept on the order's test line as aoeAnswers, in
+// question order, with the prompt and portal label they were asked under.
+
+const QUESTION_TYPES = ['text', 'number', 'date', 'datetime', 'yesno', 'select'];
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+
+function isBlank(value) {
+    return value === null || value === undefined || (typeof value === 'string' && !value.trim());
+}
+
+/**
+ * Check and tidy a test's question definitions
+ * @param {Array<Object>} questions
+ * @returns {Array<Object>} - { id, prompt, type, required, options?, placeholder?, past?, portalLabel? }
+ * @throws {Error} with a message fit to show the admin
+ */
+function normalizeQuestions(questions) {
+    if (isBlank(questions)) return [];
+    if (!Array.isArray(questions)) throw new Error('AOE questions must be a list');
+
+    const ids = new Set();
+    return questions.map((question, index) => {
+        const label = `AOE question ${index + 1}`;
+        const id = typeof question?.id === 'string' ? question.id.trim() : '';
+        const prompt = typeof question?.prompt === 'string' ? question.prompt.trim() : '';
+        const type = question?.type || 'text';
+
+        if (!ID_PATTERN.test(id)) throw new Error(`${label} needs an id of lower-case letters, digits and underscores`);
+        if (ids.has(id)) throw new Error(`AOE question id ${id} is used twice`);
+        if (!prompt) throw new Error(`${label} needs a prompt`);
+        if (!QUESTION_TYPES.includes(type)) throw new Error(`${label} type must be one of: ${QUESTION_TYPES.join(', ')}`);
+        ids.add(id);
+
+        const normalized = { id, prompt, type, required: !!question.required };
+
+        if (type === 'select') {
+            const options = (question.options || []).map(option => String(option).trim()).filter(Boolean);
+            if (options.length === 0) throw new Error(`${label} is a select and needs options`);
+            normalized.options = options;
+        }
+        if (question.placeholder) normalized.placeholder = String(question.placeholder);
+        if (question.past && (type === 'date' || type === 'datetime')) normalized.past = true;
+        if (question.portalLabel) normalized.portalLabel = String(question.portalLabel).trim();
+
+        return normalized;
+    });
+}
+
+/**
+ * Check one answer against its question
+ * @returns {{ value: *, error: string|null }}
+ */
+function checkAnswer(question, raw, now) {
+    if (isBlank(raw)) {
+        return { value: null, error: question.required ? `${question.prompt} is required` : null };
+    }
+
+    const text = String(raw).trim();
+
+    switch (question.type) {
+        case 'number': {
+            const number = Number(text);
+            return Number.isFinite(number)
+                ? { value: number, error: null }
+                : { value: null, error: `${question.prompt} must be a number` };
+        }
+        case 'date':
+        case 'datetime': {
+            const pattern = question.type === 'date' ? DATE_PATTERN : DATETIME_PATTERN;
+            const date = new Date(question.type === 'date' ? `${text}T00:00:00` : text);
+            if (!pattern.test(text) || isNaN(date)) {
+                return { value: null, error: `${question.prompt} must be a ${question.type === 'date' ? 'date' : 'date and time'}` };
+            }
+            if (question.past && date > now) {
+                return { value: null, error: `${question.prompt} can't be in the future` };
+            }
+            return { value: text, error: null };
+        }
+        case 'yesno': {
+            const answer = raw === true ? 'yes' : raw === false ? 'no' : text.toLowerCase();
+            return ['yes', 'no'].includes(answer)
+                ? { value: answer, error: null }
+                : { value: null, error: `${question.prompt} must be yes or no` };
+        }
+        case 'select':
+            return question.options.includes(text)
+                ? { value: text, error: null }
+                : { value: null, error: `${question.prompt} must be one of: ${question.options.join(', ')}` };
+        default:
+            return { value: text, error: null };
+    }
+}
+
+/**
+ * Check an order line's answers against its test's questions
+ * @param {Array<Object>} questions - The test's aoeQuestions
+ * @param {Object} answers - { questionId: answer } as sent by the order form
+ * @param {Date} now
+ * @returns {{ answers: Array<{ id, prompt, type, answer, portalLabel }>, errors: string[] }} -
+ *   answers holds the questions that were answered
+ */
+function checkAnswers(questions = [], answers = {}, now = new Date()) {
+    const checked = [];
+    const errors = [];
+
+    for (const question of questions) {
+        const { value, error } = checkAnswer(question, answers?.[question.id], now);
+        if (error) {
+            errors.push(error);
+        } else if (value !== null) {
+            checked.push({
+                id: question.id,
+                prompt: question.prompt,
+                type: question.type,
+                answer: value,
+                portalLabel: question.portalLabel || null
+            });
+        }
+    }
+
+    return { answers: checked, errors };
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    normalizeQuestions,
+    checkAnswers
+};
@@ -0,0 +1,286 @@
+// Critical Result Alert Service
+// A result saved with status 'critical' opens an alert for the ordering provider
+// (email + Socket.io) that stays open until it is acknowledged. Alerts still open when
+// the acknowledgment window closes escalate to the CMO. Every step is written to
+// critical_alert_events so the notification chain can be documented.
+
+const winston = require('winston');
+const emailService = require('./emailNotificationService');
+const {
+    getPortalOrder,
+    createCriticalAlert,
+    getCriticalAlerts,
+    getOverdueCriticalAlerts,
+    transitionCriticalAlert,
+    logCriticalAlertEvent,
+    getProviderUsers,
+    createNotification
+} = require('./supabase');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+class CriticalAlertService {
+    constructor() {
+        this.io = null;
+        this.escalationMinutes = parseInt(process.env.CRITICAL_ALERT_ESCALATION_MINUTES) || 60;
+        this.checkIntervalMs = parseInt(process.env.CRITICAL_ALERT_CHECK_MS) || 60000;
+        this.checkTimer = null;
+        this.isChecking = false;
+    }
+
+    /**
+     * Start checking for alerts that are due for escalation
+     * @param {Object} options
+     * @param {Object} options.io - Socket.io instance used for live alerts
+     */
+    start(options = {}) {
+        this.io = options.io || this.io;
+
+        this.checkTimer = setInterval(() => this.checkEscalations(), this.checkIntervalMs);
+        logger.info(`Critical alert service started (escalation after ${this.escalationMinutes} minutes)`);
+
+        this.checkEscalations();
+    }
+
+    /**
+     * Stop the escalation check
+     */
+    stop() {
+        clearInterval(this.checkTimer);
+        this.checkTimer = null;
+    }
+
+    /**
+     * Open an alert for a saved or amended result if it is critical
+     * Safe to call for every saved result; never throws so result ingestion carries on.
+     * @param {Object} result - portal_results row as returned by save/amend
+     * @returns {Promise<Object|null>} the new alert, or null
+     */
+    async handleSavedResult(result) {
+        if (!result || result.result_status !== 'critical' || !result.patient_id) {
+            return null;
+        }
+
+        try {
+            const order = result.portal_order_id ? await getPortalOrder(result.portal_order_id) : null;
+            const providerId = order?.provider_id || null;
+
+            const created = await createCriticalAlert({
+                resultId: result.id,
+                resultVersion: result.version || 1,
+                patientId: result.patient_id,
+                portalOrderId: result.portal_order_id,
+                providerId,
+                escalationDueAt: new Date(Date.now() + this.escalationMinutes * 60 * 1000).toISOString()
+            });
+
+            // This version of the result already has an alert (re-import of the same report)
+            if (!created) return null;
+
+            await logCriticalAlertEvent({
+                alertId: created.id,
+                event: 'created',
+                details: {
+                    testName: result.test_name,
+                    resultValue: result.result_value,
+                    resultVersion: result.version || 1,
+                    escalationDueAt: created.escalation_due_at
+                }
+            });
+
+            const [alert] = await getCriticalAlerts({ id: created.id });
+
+            if (providerId) {
+                await this.notifyProvider(alert);
+            } else {
+                // Nobody to wait for - go straight to the CMO
+                logger.warn(`Critical result ${result.id} has no ordering provider, escalating immediately`);
+                await this.escalate(alert, 'no_ordering_provider');
+            }
+
+            await createNotification({
+                portalOrderId: result.portal_order_id,
+                type: 'critical_result',
+                title: 'Critical Lab Value',
+                message: `${result.test_name}: ${result.result_value} ${result.result_unit || ''} - acknowledgment required`
+            });
+
+            return alert;
+
+        } catch (error) {
+            logger.error(`Failed to open critical alert for result ${result.id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Email and push the alert to the ordering provider's accounts
+     */
+    async notifyProvider(alert) {
+        const users = await getProviderUsers(alert.provider_id);
+        const recipients = users.map(user => user.email).filter(Boolean);
+
+        if (recipients.length === 0) {
+            await logCriticalAlertEvent({
+                alertId: alert.id,
+                event: 'notification_failed',
+                channel: 'email',
+                details: { reason: 'Ordering provider has no active login with an email address' }
+            });
+        } else {
+            const sent = await emailService.sendCriticalResultAlert({
+                to: recipients,
+                result: alert.result,
+                patient: alert.patient,
+                escalation: false
+            });
+
+            await logCriticalAlertEvent({
+                alertId: alert.id,
+                event: sent ? 'provider_notified' : 'notification_failed',
+                channel: 'email',
+                recipient: recipients.join(', ')
+            });
+        }
+
+        this.emit(`provider-${alert.provider_id}`, alert);
+        await logCriticalAlertEvent({
+            alertId: alert.id,
+            event: 'provider_notified',
+            channel: 'socket',
+            recipient: `provider-${alert.provider_id}`
+        });
+    }
+
+    /**
+     * Escalate every open alert whose acknowledgment window has passed
+     */
+    async checkEscalations() {
+        if (this.isChecking) return;
+        this.isChecking = true;
+
+        try {
+            const overdue = await getOverdueCriticalAlerts();
+
+            for (const due of overdue) {
+                const [alert] = await getCriticalAlerts({ id: due.id });
+                if (alert) await this.escalate(alert, 'not_acknowledged');
+            }
+        } catch (error) {
+            logger.error('Critical alert escalation check failed:', error);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    /**
+     * Send an alert to the CMO and mark it escalated
+     * It stays unacknowledged - escalation adds a recipient, it does not close the alert.
+     */
+    async escalate(alert, reason) {
+        const escalated = await transitionCriticalAlert(alert.id, ['open'], {
+            status: 'escalated',
+            escalated_at: new Date().toISOString()
+        });
+
+        // Acknowledged (or escalated by another instance) in the meantime
+        if (!escalated) return null;
+
+        const minutesOpen = Math.round((Date.now() - new Date(alert.created_at).getTime()) / 60000);
+
+        const sent = await emailService.sendCriticalResultAlert({
+            to: emailService.cmoEmail,
+            result: alert.result,
+            patient: alert.patient,
+            escalation: true,
+            providerName: alert.provider?.name,
+            minutesOpen
+        });
+
+        await logCriticalAlertEvent({
+            alertId: alert.id,
+            event: sent ? 'escalated' : 'escalation_failed',
+            channel: 'email',
+            recipient: emailService.cmoEmail,
+            details: { reason, minutesOpen }
+        });
+
+        this.emit('role-admin', { ...alert, ...escalated });
+        logger.warn(`Critical alert ${alert.id} escalated to CMO (${reason})`);
+
+        return escalated;
+    }
+
+    /**
+     * Record that a clinician has seen the critical value
+     * @returns {Promise<Object|null>} the updated alert, or null if it was already acknowledged
+     */
+    async acknowledge(alertId, user, note) {
+        const acknowledged = await transitionCriticalAlert(alertId, ['open', 'escalated'], {
+            status: 'acknowledged',
+            acknowledged_by: user.id,
+            acknowledged_at: new Date().toISOString(),
+            acknowledgment_note: note || null
+        });
+
+        if (!acknowledged) return null;
+
+        await logCriticalAlertEvent({
+            alertId,
+            event: 'acknowledged',
+            userId: user.id,
+            details: { email: user.email, note: note || null }
+        });
+
+        if (this.io) {
+            this.io.to(`provider-${acknowledged.provider_id}`).to('role-admin')
+                .emit('critical-result-acknowledged', { alertId });
+        }
+
+        return acknowledged;
+    }
+
+    /**
+     * Push an alert to a Socket.io room (admins always see critical alerts)
+     */
+    emit(room, alert) {
+        if (!this.io) return;
+
+        this.io.to(room).to('role-admin').emit('critical-result', {
+            alertId: alert.id,
+            status: alert.status,
+            testName: alert.result?.test_name,
+            resultValue: alert.result?.result_value,
+            resultUnit: alert.result?.result_unit,
+            patientName: alert.patient ? `${alert.patient.first_name} ${alert.patient.last_name}` : null,
+            createdAt: alert.created_at
+        });
+    }
+}
+
+// Create singleton instance
+let serviceInstance = null;
+
+function getCriticalAlertService() {
+    if (!serviceInstance) {
+        serviceInstance = new CriticalAlertService();
+    }
+    return serviceInstance;
+}
+
+module.exports = {
+    CriticalAlertService,
+    getCriticalAlertService
+};
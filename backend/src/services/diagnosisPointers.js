@@ -0,0 +1,53 @@
+// Diagnosis Pointers
+// Each test on an order points at the diagnosis codes that justify it, the way claim forms
+// and Labcorp Link do. A test line keeps the codes it points at as diagnosisPointers, in
+// the order's diagnosis order; a line without them points at every diagnosis on the order,
+// which is also how orders placed before pointers existed read.
+
+/**
+ * The order's diagnosis codes a test points at
+ * @param {Object} test - Order line, with diagnosisPointers when it has its own
+ * @param {string[]} diagnosisCodes - Every diagnosis code on the order
+ * @returns {string[]}
+ */
+function testDiagnosisCodes(test, diagnosisCodes = []) {
+    const pointers = test?.diagnosisPointers;
+    if (!Array.isArray(pointers) || pointers.length === 0) return diagnosisCodes;
+    return diagnosisCodes.filter(code => pointers.includes(code));
+}
+
+/**
+ * Whether a test points at every diagnosis on the order
+ */
+function pointsAtAll(test, diagnosisCodes = []) {
+    return testDiagnosisCodes(test, diagnosisCodes).length === diagnosisCodes.length;
+}
+
+/**
+ * Check the pointers sent with an order line
+ * @param {string[]|undefined} pointers - Codes the line points at; missing means all
+ * @param {string[]} diagnosisCodes - Every diagnosis code on the order
+ * @returns {{ pointers: string[], error: string|null }} - pointers in the order's
+ *   diagnosis order
+ */
+function checkDiagnosisPointers(pointers, diagnosisCodes = []) {
+    if (pointers === undefined || pointers === null) {
+        return { pointers: [...diagnosisCodes], error: null };
+    }
+    if (!Array.isArray(pointers) || pointers.length === 0) {
+        return { pointers: [], error: 'needs at least one diagnosis' };
+    }
+
+    const unknown = pointers.filter(code => !diagnosisCodes.includes(code));
+    if (unknown.length > 0) {
+        return { pointers: [], error: `points at ${unknown.join(', ')}, which ${unknown.length === 1 ? 'is' : 'are'} not on the order` };
+    }
+
+    return { pointers: diagnosisCodes.filter(code => pointers.includes(code)), error: null };
+}
+
+module.exports = {
+    testDiagnosisCodes,
+    pointsAtAll,
+    checkDiagnosisPointers
+};
@@ -0,0 +1,392 @@
+// Batch Eligibility Service
+// Verifies coverage for everyone with an IntakeQ appointment on a given day (tomorrow by
+// default) as a background job. Each patient's primary insurance on file is checked - or
+// Utah Medicaid by name and date of birth when the chart has none, as the order form does.
+// Progress goes out over Socket.io; the finished report lists patients whose coverage
+// lapsed, whose plan changed and whose address changed since the payer last answered.
+
+const winston = require('winston');
+const intakeqService = require('../intakeqService');
+const { getEligibilityService } = require('./eligibilityService');
+const { getPayerDirectory, isCheckable } = require('./payerDirectory');
+const {
+    createEligibilityBatchJob,
+    updateEligibilityBatchJob,
+    getEligibilityBatchJobs
+} = require('../supabase');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// Payer searched when the chart has no insurance on file
+const DEFAULT_PAYER_QUERY = { officeAllyPayerId: 'UTMCD' };
+
+/**
+ * Tomorrow's date (local time) as YYYY-MM-DD
+ */
+function tomorrow() {
+    const date = new Date();
+    date.setDate(date.getDate() + 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Street + 5-digit ZIP, for comparing addresses written slightly differently
+ */
+function addressKey(address) {
+    if (!address?.street) return null;
+    const clean = value => (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return `${clean(address.street)}|${(address.zip || '').slice(0, 5)}`;
+}
+
+function formatAddress(address) {
+    return `${address.street}, ${address.city} ${address.state} ${address.zip}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Medical plan (managed care plan, or plan type) plus behavioral health carve-out
+ */
+function planLabel(summary, planType) {
+    const medical = summary?.managedCarePlan || (planType && planType !== 'UNKNOWN' ? planType : null);
+    const behavioral = summary?.behavioralHealthPlan;
+    return [medical, behavioral && `BH: ${behavioral}`].filter(Boolean).join(' / ') || null;
+}
+
+// activeJobId while the job row is being created
+const PENDING_JOB = 'pending';
+
+class EligibilityBatchService {
+    constructor() {
+        this.io = null;
+        this.activeJobId = null;
+    }
+
+    /**
+     * Attach Socket.io and close out jobs a restart interrupted
+     * @param {Object} options
+     * @param {Object} options.io - Socket.io instance used for progress
+     */
+    async start(options = {}) {
+        this.io = options.io || this.io;
+
+        try {
+            const interrupted = await getEligibilityBatchJobs({ status: 'running' });
+            for (const job of interrupted) {
+                await updateEligibilityBatchJob(job.id, {
+                    status: 'failed',
+                    error_message: 'Interrupted by a server restart',
+                    completed_at: new Date().toISOString()
+                });
+            }
+            if (interrupted.length > 0) {
+                logger.warn(`Marked ${interrupted.length} interrupted eligibility batch job(s) as failed`);
+            }
+        } catch (error) {
+            logger.error('Failed to recover eligibility batch jobs:', error);
+        }
+    }
+
+    /**
+     * Start verifying everyone with an appointment on a day
+     * The job runs in the background; follow it over Socket.io or GET /api/eligibility/batch/:id.
+     * @param {Object} options
+     * @param {string} options.appointmentDate - YYYY-MM-DD, defaults to tomorrow
+     * @param {Object} options.user - Staff member starting the job
+     * @returns {Promise<Object|null>} the job, or null if another batch is still running
+     */
+    async startJob(options = {}) {
+        if (this.activeJobId) return null;
+
+        // Claim the slot before the first await so a second request can't start a job too
+        this.activeJobId = PENDING_JOB;
+
+        let job;
+        try {
+            job = await createEligibilityBatchJob({
+                appointmentDate: options.appointmentDate || tomorrow(),
+                startedBy: options.user?.id
+            });
+        } catch (error) {
+            this.activeJobId = null;
+            throw error;
+        }
+
+        this.activeJobId = job.id;
+        logger.info(`Eligibility batch ${job.id} started for appointments on ${job.appointment_date}`);
+
+        this.runJob(job, options.user).finally(() => {
+            this.activeJobId = null;
+        });
+
+        return job;
+    }
+
+    /**
+     * Load the day's patients, check each one and write the report
+     * Never throws - failures are recorded on the job.
+     */
+    async runJob(job, user) {
+        try {
+            const entries = await this.loadPatients(job.appointment_date);
+            const total = entries.length;
+
+            await updateEligibilityBatchJob(job.id, { total });
+            this.emitProgress(job.id, 'running', 0, total);
+
+            // Charts that couldn't be loaded or whose insurance can't be checked count as done
+            const toCheck = entries.filter(entry => !entry.skipped);
+            const alreadyDone = total - toCheck.length;
+
+            const outcomes = await getEligibilityService().checkEligibilityBatch(
+                toCheck.map(entry => ({ patientInfo: entry.patientInfo, payerQuery: entry.payerQuery })),
+                {
+                    source: 'batch',
+                    userId: user?.id,
+                    onProgress: async ({ completed }) => {
+                        await updateEligibilityBatchJob(job.id, { completed: alreadyDone + completed });
+                        this.emitProgress(job.id, 'running', alreadyDone + completed, total);
+                    }
+                }
+            );
+
+            toCheck.forEach((entry, index) => {
+                entry.outcome = outcomes[index];
+            });
+
+            const report = await this.buildReport(job.appointment_date, entries);
+
+            await updateEligibilityBatchJob(job.id, {
+                status: 'completed',
+                completed: total,
+                report,
+                completed_at: new Date().toISOString()
+            });
+            this.emitProgress(job.id, 'completed', total, total);
+
+            logger.info(`Eligibility batch ${job.id} complete: ${total} patients, ${report.counts.lapsed} lapsed, ${report.counts.planChanged} plan changes, ${report.counts.addressChanged} address changes`);
+
+        } catch (error) {
+            logger.error(`Eligibility batch ${job.id} failed:`, error);
+
+            try {
+                await updateEligibilityBatchJob(job.id, {
+                    status: 'failed',
+                    error_message: error.message,
+                    completed_at: new Date().toISOString()
+                });
+            } catch (updateError) {
+                // Already logged by supabase.js
+            }
+            this.emitProgress(job.id, 'failed', 0, 0, error.message);
+        }
+    }
+
+    /**
+     * One entry per client with an appointment that day, with the check to send
+     */
+    async loadPatients(appointmentDate) {
+        const appointments = await intakeqService.getAppointments(appointmentDate);
+
+        // A client with two appointments that day is checked once (at the earliest)
+        const byClient = new Map();
+        for (const appointment of appointments) {
+            const existing = byClient.get(appointment.clientId);
+            if (!existing || appointment.startDate < existing.startDate) {
+                byClient.set(appointment.clientId, appointment);
+            }
+        }
+
+        const entries = [];
+
+        for (const appointment of byClient.values()) {
+            const entry = { appointment, patient: null, patientInfo: null, payerQuery: null, skipped: null };
+
+            try {
+                entry.patient = await intakeqService.getPatientById(appointment.clientId);
+                Object.assign(entry, await this.planCheck(entry.patient));
+            } catch (error) {
+                entry.skipped = `Could not load the IntakeQ chart: ${error.message}`;
+            }
+
+            entries.push(entry);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Which payer to ask about a patient: primary insurance on file, or Utah Medicaid
+     * @returns {Promise<Object>} { patientInfo, payerQuery } or { skipped: reason }
+     */
+    async planCheck(patient) {
+        const patientInfo = {
+            firstName: patient.firstName,
+            lastName: patient.lastName,
+            dateOfBirth: patient.dateOfBirth
+        };
+
+        const primary = patient.insurances?.[0];
+        if (!primary) {
+            return { patientInfo, payerQuery: DEFAULT_PAYER_QUERY };
+        }
+
+        const payer = await getPayerDirectory().resolvePayer({ payerName: primary.payerName });
+        if (!payer) {
+            return { skipped: `No eligibility payer matches "${primary.payerName}"` };
+        }
+        if (!isCheckable(payer)) {
+            return { skipped: `${payer.name} has no Office Ally payer ID configured` };
+        }
+
+        return {
+            patientInfo: { ...patientInfo, memberId: primary.memberId },
+            payerQuery: { payerId: payer.key }
+        };
+    }
+
+    /**
+     * Per-patient results with what changed since each payer's previous answer
+     */
+    async buildReport(appointmentDate, entries) {
+        const patients = [];
+
+        for (const entry of entries) {
+            patients.push(await this.describeEntry(appointmentDate, entry));
+        }
+
+        const withChange = type => patients.filter(patient => patient.changes.some(change => change.type === type)).length;
+
+        return {
+            appointmentDate,
+            generatedAt: new Date().toISOString(),
+            counts: {
+                patients: patients.length,
+                eligible: patients.filter(patient => patient.status === 'eligible').length,
+                notEligible: patients.filter(patient => patient.status === 'not_eligible').length,
+                unverified: patients.filter(patient => patient.status === 'unverified').length,
+                lapsed: withChange('lapsed'),
+                planChanged: withChange('plan_changed'),
+                addressChanged: withChange('address_changed')
+            },
+            patients
+        };
+    }
+
+    async describeEntry(appointmentDate, entry) {
+        const { appointment, patient, outcome } = entry;
+        const eligibility = outcome?.eligibility;
+
+        const item = {
+            intakeqId: appointment.clientId,
+            name: patient ? `${patient.firstName} ${patient.lastName}` : appointment.clientName,
+            dateOfBirth: patient?.dateOfBirth || null,
+            appointmentAt: appointment.startDate,
+            serviceName: appointment.serviceName,
+            practitionerName: appointment.practitionerName,
+            payerName: eligibility?.payer?.name || null,
+            memberId: eligibility?.memberId || entry.patientInfo?.memberId || null,
+            plan: eligibility ? planLabel(eligibility, eligibility.planType) : null,
+            coverage: eligibility?.coverage || null,
+            checkedAt: eligibility?.checkedAt || null,
+            status: 'unverified',
+            reason: entry.skipped || outcome?.error || null,
+            changes: []
+        };
+
+        if (!eligibility) return item;
+
+        if (eligibility.rejected) {
+            item.reason = eligibility.errors?.[0]?.reason || 'The payer rejected the inquiry';
+            return item;
+        }
+
+        item.status = eligibility.isEligible ? 'eligible' : 'not_eligible';
+
+        let previous = null;
+        try {
+            previous = await getEligibilityService().getPreviousCheck(
+                entry.patientInfo,
+                eligibility.payer.officeAllyPayerId,
+                eligibility.checkedAt
+            );
+        } catch (error) {
+            // Without history only the coverage end date and chart address can be compared
+        }
+
+        const since = previous ? ` since ${previous.checked_at.slice(0, 10)}` : '';
+
+        // Coverage
+        if (previous?.is_eligible && !eligibility.isEligible) {
+            item.changes.push({ type: 'lapsed', detail: `No active coverage${since}` });
+        } else if (eligibility.isEligible && eligibility.coverage?.end && eligibility.coverage.end < appointmentDate) {
+            item.changes.push({ type: 'lapsed', detail: `Coverage ends ${eligibility.coverage.end}, before the appointment` });
+        }
+
+        // Plan
+        if (previous?.is_eligible && eligibility.isEligible) {
+            const before = planLabel(previous.summary, previous.plan_type);
+            if (before !== item.plan) {
+                item.changes.push({ type: 'plan_changed', detail: `${before || 'No plan'} → ${item.plan || 'No plan'}`, from: before, to: item.plan });
+            }
+        }
+
+        // Address - against the payer's previous answer, or the chart when there is none
+        const current = eligibility.demographics?.address;
+        const previousAddress = previous?.summary?.demographics?.address;
+        const chartAddress = patient?.address;
+
+        if (addressKey(current)) {
+            if (addressKey(previousAddress) && addressKey(previousAddress) !== addressKey(current)) {
+                item.changes.push({
+                    type: 'address_changed',
+                    detail: `Payer address changed${since}`,
+                    from: formatAddress(previousAddress),
+                    to: formatAddress(current)
+                });
+            } else if (!addressKey(previousAddress) && addressKey(chartAddress) && addressKey(chartAddress) !== addressKey(current)) {
+                item.changes.push({
+                    type: 'address_changed',
+                    detail: 'Payer address differs from the IntakeQ chart',
+                    from: formatAddress(chartAddress),
+                    to: formatAddress(current)
+                });
+            }
+        }
+
+        return item;
+    }
+
+    /**
+     * Progress for every connected staff member (counts only - names stay in the report)
+     */
+    emitProgress(jobId, status, completed, total, error = null) {
+        if (!this.io) return;
+        this.io.emit('eligibility-batch-progress', { jobId, status, completed, total, error });
+    }
+}
+
+// Create singleton instance
+let serviceInstance = null;
+
+function getEligibilityBatchService() {
+    if (!serviceInstance) {
+        serviceInstance = new EligibilityBatchService();
+    }
+    return serviceInstance;
+}
+
+module.exports = {
+    EligibilityBatchService,
+    getEligibilityBatchService
+};
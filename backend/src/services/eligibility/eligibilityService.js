@@ -0,0 +1,703 @@
+// Eligibility Service - X12 270/271 Integration
+// Sends eligibility inquiries to any payer Office Ally can reach (Medicaid, Medicare,
+// commercial). The payer - its Office Ally payer ID, 270 name and search rules - comes
+// from the payer directory; the response carries demographics exactly as the payer has them.
+// Every response is stored in eligibility_checks, and a recent check for the same patient
+// and payer is reused instead of asking Office Ally again. When the payer can't find the
+// member, the 270 is resent with the payer's other search options (member ID + DOB, name + DOB,
+// member ID only) before giving up.
+
+const winston = require('winston');
+const { createClient } = require('@supabase/supabase-js');
+const {
+    getPayerDirectory,
+    isCheckable,
+    missingSearchFields,
+    searchSequence,
+    SEARCH_OPTIONS
+} = require('./payerDirectory');
+const { parseX12_271 } = require('./x12_271Parser');
+const { SEARCH_MISS_REASONS } = require('./x12Codes');
+const {
+    saveEligibilityCheck,
+    getRecentEligibilityCheck,
+    getPreviousEligibilityCheck,
+    getEligibilityHistory
+} = require('../supabase');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'debug',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// Initialize Supabase client
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+let supabase = null;
+
+if (supabaseUrl && supabaseServiceKey) {
+    supabase = createClient(supabaseUrl, supabaseServiceKey);
+    logger.info('Supabase client initialized for eligibility service');
+} else {
+    logger.warn('Supabase not configured - will use fallback provider config');
+}
+
+// Office Ally Configuration
+const OFFICE_ALLY_CONFIG = {
+    endpoint: process.env.OFFICE_ALLY_ENDPOINT || 'https://wsd.officeally.com/TransactionService/rtx.svc',
+    receiverID: 'OFFALLY',
+    senderID: process.env.OFFICE_ALLY_SENDER_ID || '1161680',
+    username: process.env.OFFICE_ALLY_USERNAME,
+    password: process.env.OFFICE_ALLY_PASSWORD,
+    providerNPI: process.env.OFFICE_ALLY_PROVIDER_NPI || '1275348807',
+    providerName: 'MOONLIT_PLLC'
+};
+
+/**
+ * Thrown when a check can't be sent: unknown payer, payer without an Office Ally
+ * payer ID, or patient info missing what the payer's search rules require
+ */
+class EligibilityRequestError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'EligibilityRequestError';
+        this.details = details;
+    }
+}
+
+/**
+ * Date of birth as YYYY-MM-DD from YYYY-MM-DD, YYYYMMDD or MM/DD/YYYY
+ */
+function normalizeDateOfBirth(value) {
+    const dob = (value || '').trim();
+
+    let match = dob.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+    match = dob.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+
+    return null;
+}
+
+// The 270's element (*), segment (~), component (:) and repetition (^) separators, as set in ISA
+const X12_DELIMITERS = /[*~:^]/g;
+
+/**
+ * A patient value for a 270 element, with X12 separators removed so a stray "*" or "~" in
+ * a name or member ID can't split the segment
+ */
+function x12Element(value) {
+    return (value || '').replace(X12_DELIMITERS, '').trim();
+}
+
+/**
+ * Identity eligibility checks are stored under - same fields the patients table is unique on
+ */
+function patientKey(patientInfo) {
+    const name = value => (value || '').trim().toUpperCase();
+    return `${name(patientInfo.lastName)}|${name(patientInfo.firstName)}|${normalizeDateOfBirth(patientInfo.dateOfBirth) || ''}`;
+}
+
+class EligibilityService {
+    constructor() {
+        this.config = OFFICE_ALLY_CONFIG;
+        // Hours a check is reused for; 0 always asks Office Ally
+        this.cacheHours = process.env.ELIGIBILITY_CACHE_HOURS !== undefined
+            ? parseFloat(process.env.ELIGIBILITY_CACHE_HOURS) || 0
+            : 12;
+        // Pause between Office Ally calls in a batch
+        this.batchDelayMs = parseInt(process.env.ELIGIBILITY_BATCH_DELAY_MS) || 2000;
+    }
+
+    /**
+     * Check a patient's eligibility with a payer
+     * @param {Object} patientInfo - Patient demographic info
+     * @param {string} patientInfo.firstName
+     * @param {string} patientInfo.lastName
+     * @param {string} patientInfo.dateOfBirth - Format: YYYY-MM-DD or MM/DD/YYYY
+     * @param {string} patientInfo.memberId - Member/subscriber ID (required by most non-Medicaid payers)
+     * @param {Object} payerQuery - { payerId, officeAllyPayerId, payerName }, see PayerDirectory.resolvePayer
+     * @param {Object} options
+     * @param {string} options.source - What asked for the check (order_form, labcorp_agent...), kept in the history
+     * @param {string} options.userId - Staff member who ran the check
+     * @param {string} options.patientId - patients row, when the patient has one
+     * @param {boolean} options.refresh - Skip the cache and ask Office Ally
+     * @returns {Promise<Object>} - Eligibility response with demographics, plus checkedAt and cached
+     */
+    async checkEligibility(patientInfo, payerQuery, options = {}) {
+        try {
+            const payer = await this.getPayer(payerQuery);
+
+            const missing = missingSearchFields(payer, patientInfo);
+            if (missing.length > 0) {
+                throw new EligibilityRequestError(`${payer.name} eligibility search requires: ${missing.join(', ')}`, { missing });
+            }
+
+            if (!options.refresh) {
+                const cached = await this.getCachedCheck(patientInfo, payer);
+                if (cached) {
+                    logger.info(`Using ${payer.name} eligibility checked at ${cached.checkedAt} for: ${patientInfo.firstName} ${patientInfo.lastName}`);
+                    return cached;
+                }
+            }
+
+            // Validate Office Ally credentials are configured
+            if (!this.config.username || !this.config.password) {
+                throw new Error('Office Ally credentials not configured. Please set OFFICE_ALLY_USERNAME and OFFICE_ALLY_PASSWORD environment variables.');
+            }
+
+            logger.info(`Checking ${payer.name} eligibility for: ${patientInfo.firstName} ${patientInfo.lastName}`);
+
+            const eligibilityData = await this.searchEligibility(patientInfo, payer);
+            eligibilityData.payer = {
+                id: payer.id,
+                key: payer.key,
+                name: payer.name,
+                payerType: payer.payerType,
+                officeAllyPayerId: payer.officeAllyPayerId
+            };
+
+            // A commercial or Medicare member ID is not a Medicaid ID
+            if (payer.payerType !== 'Medicaid') {
+                eligibilityData.medicaidId = null;
+            }
+
+            logger.info(`Eligibility check complete: ${eligibilityData.isEligible ? 'ELIGIBLE' : 'NOT ELIGIBLE'}`);
+
+            const saved = await this.recordCheck(patientInfo, payer, eligibilityData, options);
+
+            return {
+                ...eligibilityData,
+                eligibilityCheckId: saved?.id || null,
+                checkedAt: saved?.checked_at || new Date().toISOString(),
+                cached: false
+            };
+
+        } catch (error) {
+            logger.error('Eligibility check failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send 270s with each of the payer's search options the patient info allows, stopping at
+     * the first answer that isn't "couldn't find this member"
+     * @returns {Promise<Object>} - Parsed response of the last attempt, with searchOption
+     *   ({ key, label } of the 270 that answered) and searchAttempts
+     */
+    async searchEligibility(patientInfo, payer) {
+        const sequence = searchSequence(payer, patientInfo);
+        if (sequence.length === 0) {
+            throw new EligibilityRequestError(`${payer.name} eligibility search requires a member ID or date of birth`, {
+                missing: ['memberId', 'dateOfBirth']
+            });
+        }
+
+        const searchAttempts = [];
+        let eligibilityData = null;
+
+        for (const key of sequence) {
+            // Generate X12 270 request using database-driven approach
+            const x12Request = await this.generateX12_270Request(patientInfo, payer, key);
+            logger.debug(`Generated X12 270 request (${key})`);
+
+            // Send to Office Ally using CORE envelope
+            const x12Response = await this.sendToOfficeAlly(x12Request);
+            logger.debug('Received X12 271 response from Office Ally');
+
+            // Parse X12 271 response
+            eligibilityData = this.parseX12_271Response(x12Response);
+            eligibilityData.searchOption = { key, label: SEARCH_OPTIONS[key].label };
+
+            const missed = this.isSearchMiss(eligibilityData);
+            searchAttempts.push({
+                key,
+                label: SEARCH_OPTIONS[key].label,
+                matched: !missed,
+                errors: eligibilityData.errors.map(error => error.code)
+            });
+
+            if (!missed) break;
+            logger.info(`${payer.name} did not find the member by ${SEARCH_OPTIONS[key].label.toLowerCase()}`);
+        }
+
+        eligibilityData.searchAttempts = searchAttempts;
+        return eligibilityData;
+    }
+
+    /**
+     * True when the 271 rejects the inquiry only because the member wasn't matched
+     */
+    isSearchMiss(eligibilityData) {
+        const errors = eligibilityData.errors.filter(error => error.level !== 'benefit');
+        return eligibilityData.rejected && errors.length > 0 && errors.every(error =>
+            ['subscriber', 'dependent'].includes(error.level) && SEARCH_MISS_REASONS.includes(error.code));
+    }
+
+    /**
+     * Check many patients, one real-time 270 at a time
+     * Office Ally's real-time mode takes one subscriber per 270; multi-subscriber interchanges
+     * go through its batch mode and the 271s come back hours later - too late for tomorrow's
+     * list. Calls are spaced out instead so a batch doesn't trip payer rate limits.
+     * @param {Array<{ patientInfo: Object, payerQuery: Object }>} requests
+     * @param {Object} options - checkEligibility options (source, userId, refresh), plus
+     * @param {Function} options.onProgress - Awaited after each patient with { index, completed, total, outcome }
+     * @returns {Promise<Array<{ eligibility: Object|null, error: string|null }>>} - In request order;
+     *   one failed check does not stop the batch
+     */
+    async checkEligibilityBatch(requests, options = {}) {
+        const { onProgress, ...checkOptions } = options;
+        const outcomes = [];
+
+        for (let index = 0; index < requests.length; index++) {
+            const { patientInfo, payerQuery } = requests[index];
+            let outcome;
+
+            try {
+                const eligibility = await this.checkEligibility(patientInfo, payerQuery, checkOptions);
+                outcome = { eligibility, error: null };
+            } catch (error) {
+                outcome = { eligibility: null, error: error.message };
+            }
+
+            outcomes.push(outcome);
+
+            if (onProgress) {
+                try {
+                    await onProgress({ index, completed: index + 1, total: requests.length, outcome });
+                } catch (error) {
+                    logger.warn(`Batch progress callback failed: ${error.message}`);
+                }
+            }
+
+            // Only answers that actually went to Office Ally count against the throttle
+            const calledOfficeAlly = outcome.eligibility && !outcome.eligibility.cached;
+            if (calledOfficeAlly && index < requests.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, this.batchDelayMs));
+            }
+        }
+
+        return outcomes;
+    }
+
+    /**
+     * A stored check still inside the cache window, in the shape checkEligibility returns
+     * The window never reaches back past midnight - eligibility is answered for today's date
+     * of service. Rejected responses are never reused so a corrected search is resent.
+     * @returns {Promise<Object|null>}
+     */
+    async getCachedCheck(patientInfo, payer) {
+        if (this.cacheHours <= 0) return null;
+
+        const startOfDay = new Date();
+        startOfDay.setHours(0, 0, 0, 0);
+        const since = new Date(Math.max(startOfDay.getTime(), Date.now() - this.cacheHours * 60 * 60 * 1000));
+
+        try {
+            const check = await getRecentEligibilityCheck(patientKey(patientInfo), payer.officeAllyPayerId, since.toISOString());
+            if (!check) return null;
+
+            // A different member ID is a different policy
+            const memberId = (patientInfo.memberId || '').trim().toUpperCase();
+            if (memberId && check.member_id && check.member_id.toUpperCase() !== memberId) {
+                return null;
+            }
+
+            return {
+                ...check.summary,
+                rawX12: check.raw_271,
+                eligibilityCheckId: check.id,
+                checkedAt: check.checked_at,
+                cached: true
+            };
+        } catch (error) {
+            logger.warn(`Eligibility cache unavailable, checking with Office Ally: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store a 271 in the patient's eligibility history
+     * Never throws - a history write failure must not fail the check itself.
+     */
+    async recordCheck(patientInfo, payer, eligibilityData, options = {}) {
+        const { rawX12, ...summary } = eligibilityData;
+
+        try {
+            return await saveEligibilityCheck({
+                patientKey: patientKey(patientInfo),
+                patientId: options.patientId,
+                firstName: patientInfo.firstName,
+                lastName: patientInfo.lastName,
+                dateOfBirth: normalizeDateOfBirth(patientInfo.dateOfBirth),
+                officeAllyPayerId: payer.officeAllyPayerId,
+                payerName: payer.name,
+                memberId: eligibilityData.memberId || patientInfo.memberId,
+                isEligible: eligibilityData.isEligible,
+                rejected: eligibilityData.rejected,
+                planType: eligibilityData.planType,
+                coverageStart: eligibilityData.coverage?.start,
+                coverageEnd: eligibilityData.coverage?.end,
+                summary,
+                raw271: rawX12,
+                source: options.source,
+                checkedBy: options.userId
+            });
+        } catch (error) {
+            logger.warn(`Could not save eligibility check to history: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Eligibility history for a patient, newest first
+     * @param {Object} patient - { id, firstName, lastName, dateOfBirth }
+     */
+    async getHistory(patient) {
+        return getEligibilityHistory({
+            patientId: patient.id,
+            patientKey: patientKey(patient)
+        });
+    }
+
+    /**
+     * The answer this payer gave before a check, to see what changed
+     * @returns {Promise<Object|null>} eligibility_checks row
+     */
+    async getPreviousCheck(patientInfo, officeAllyPayerId, before) {
+        return getPreviousEligibilityCheck(patientKey(patientInfo), officeAllyPayerId, before);
+    }
+
+    /**
+     * Resolve and validate the payer for a check
+     */
+    async getPayer(payerQuery = {}) {
+        const payer = await getPayerDirectory().resolvePayer(payerQuery);
+
+        if (!payer) {
+            throw new EligibilityRequestError(`No eligibility payer found for ${payerQuery.payerName || payerQuery.payerId || payerQuery.officeAllyPayerId || 'this insurance'}`);
+        }
+        if (!isCheckable(payer)) {
+            throw new EligibilityRequestError(`${payer.name} has no Office Ally payer ID configured`, { payer: payer.name });
+        }
+
+        return payer;
+    }
+
+    /**
+     * Get preferred provider for a payer from database
+     */
+    async getPreferredProvider(payer) {
+        // Try to get from database first
+        if (supabase) {
+            try {
+                const { data: provider, error } = await supabase
+                    .from('v_provider_office_ally_configs')
+                    .select('*')
+                    .contains('supported_office_ally_payer_ids', [payer.officeAllyPayerId])
+                    .eq('is_active', true)
+                    .limit(1)
+                    .single();
+
+                if (!error && provider) {
+                    logger.debug(`Using database provider: ${provider.office_ally_provider_name}`);
+                    return {
+                        name: provider.office_ally_provider_name,
+                        npi: provider.provider_npi
+                    };
+                }
+            } catch (error) {
+                logger.warn('Failed to fetch provider from database:', error);
+            }
+        }
+
+        // Fallback to configured provider
+        return {
+            name: this.config.providerName,
+            npi: this.config.providerNPI
+        };
+    }
+
+    /**
+     * Generate X12 270 eligibility inquiry using database-driven approach
+     * @param {string} searchOption - SEARCH_OPTIONS key; sends every identifier we have when omitted
+     */
+    async generateX12_270Request(patientData, payer, searchOption = null) {
+        const providerInfo = await this.getPreferredProvider(payer);
+
+        const now = new Date();
+        const ctrl = Date.now().toString().slice(-9);
+
+        // Use LOCAL time for dates (not UTC) to avoid "future date" errors
+        const year = now.getFullYear();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        const hours = String(now.getHours()).padStart(2, '0');
+        const minutes = String(now.getMinutes()).padStart(2, '0');
+
+        const yymmdd = `${String(year).slice(2)}${month}${day}`;
+        const hhmm = `${hours}${minutes}`;
+        const ccyymmdd = `${year}${month}${day}`;
+
+        // Format date of birth
+        const dob = (patientData.dateOfBirth || '').replace(/-/g, '').replace(/\//g, '');
+
+        // Pad ISA fields to 15 characters
+        const pad15 = s => (s ?? '').toString().padEnd(15, ' ');
+        const ISA06 = pad15(this.config.senderID);
+        const ISA08 = pad15(this.config.receiverID);
+
+        const seg = [];
+
+        // ISA - Interchange Control Header
+        seg.push(`ISA*00*          *00*          *ZZ*${ISA06}*01*${ISA08}*${yymmdd}*${hhmm}*^*00501*${ctrl}*0*P*:`);
+
+        // GS - Functional Group Header
+        seg.push(`GS*HS*${this.config.senderID}*${this.config.receiverID}*${ccyymmdd}*${hhmm}*${ctrl}*X*005010X279A1`);
+
+        // ST - Transaction Set Header
+        seg.push(`ST*270*0001*005010X279A1`);
+
+        // BHT - Beginning of Hierarchical Transaction
+        seg.push(`BHT*0022*13*${providerInfo.name.replace(/\s/g, '')}-${ctrl}*20${yymmdd}*${hhmm}`);
+
+        // 2100A: Information Source (Payer)
+        seg.push(`HL*1**20*1`);
+        seg.push(`NM1*PR*2*${payer.x12Name}*****PI*${payer.officeAllyPayerId}`);
+
+        // 2100B: Information Receiver (Provider)
+        seg.push(`HL*2*1*21*1`);
+        seg.push(`NM1*1P*2*${providerInfo.name}*****XX*${providerInfo.npi}`);
+
+        // 2100C: Subscriber (Patient)
+        seg.push(`HL*3*2*22*0`);
+        seg.push(`TRN*1*${ctrl}*${providerInfo.npi}*ELIGIBILITY`);
+
+        // Which identifiers go in - all we have unless a search option says otherwise
+        const search = SEARCH_OPTIONS[searchOption] || { name: true, memberId: true, dateOfBirth: true };
+
+        // NM1 - Patient Name segment (MI = member ID, when we have one)
+        const memberId = search.memberId ? x12Element(patientData.memberId) : '';
+        const name = search.name
+            ? `NM1*IL*1*${x12Element(patientData.lastName).toUpperCase()}*${x12Element(patientData.firstName).toUpperCase()}`
+            : 'NM1*IL*1';
+        seg.push(memberId ? `${name}${'*'.repeat(search.name ? 4 : 6)}MI*${memberId}` : name);
+
+        // DMG - Demographics segment
+        if (dob && search.dateOfBirth) {
+            seg.push(`DMG*D8*${dob}`);
+        }
+
+        // DTP - Date of service (Utah Medicaid expects an RD8 range, most payers a single D8 date)
+        seg.push(payer.search.dateQualifier === 'RD8'
+            ? `DTP*291*RD8*${ccyymmdd}-${ccyymmdd}`
+            : `DTP*291*D8*${ccyymmdd}`);
+
+        // EQ - Eligibility or Benefit Inquiry (30 = Health Benefit Plan Coverage)
+        for (const serviceType of payer.search.serviceTypes) {
+            seg.push(`EQ*${serviceType}`);
+        }
+
+        // SE - Transaction Set Trailer
+        const stIndex = seg.findIndex(s => s.startsWith('ST*'));
+        const count = seg.length - stIndex + 1;
+        seg.push(`SE*${count}*0001`);
+
+        // GE - Functional Group Trailer
+        seg.push(`GE*1*${ctrl}`);
+
+        // IEA - Interchange Control Trailer
+        seg.push(`IEA*1*${ctrl}`);
+
+        return seg.join('~') + '~';
+    }
+
+    /**
+     * Generate UUID for SOAP request
+     */
+    generateUUID() {
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+            const r = Math.random() * 16 | 0;
+            const v = c == 'x' ? r : (r & 0x3 | 0x8);
+            return v.toString(16);
+        });
+    }
+
+    /**
+     * Send X12 request to Office Ally using CORE envelope format
+     */
+    async sendToOfficeAlly(x12Payload) {
+        try {
+            const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+            const payloadID = this.generateUUID();
+
+            // Build CORE SOAP envelope (correct format for Office Ally)
+            const soapEnvelope = `<soapenv:Envelope xmlns:soapenv="http://www.w3.org/2003/05/soap-envelope">
+<soapenv:Header>
+<wsse:Security xmlns:wsse="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd">
+<wsse:UsernameToken>
+<wsse:Username>${this.config.username}</wsse:Username>
+<wsse:Password>${this.config.password}</wsse:Password>
+</wsse:UsernameToken>
+</wsse:Security>
+</soapenv:Header>
+<soapenv:Body>
+<ns1:COREEnvelopeRealTimeRequest xmlns:ns1="http://www.caqh.org/SOAP/WSDL/CORERule2.2.0.xsd">
+<PayloadType>X12_270_Request_005010X279A1</PayloadType>
+<ProcessingMode>RealTime</ProcessingMode>
+<PayloadID>${payloadID}</PayloadID>
+<TimeStamp>${timestamp}</TimeStamp>
+<SenderID>${this.config.senderID}</SenderID>
+<ReceiverID>${this.config.receiverID}</ReceiverID>
+<CORERuleVersion>2.2.0</CORERuleVersion>
+<Payload>
+<![CDATA[${x12Payload}]]>
+</Payload>
+</ns1:COREEnvelopeRealTimeRequest>
+</soapenv:Body>
+</soapenv:Envelope>`;
+
+            logger.debug('Sending SOAP request to Office Ally...');
+            logger.debug(`Endpoint: ${this.config.endpoint}`);
+            logger.debug(`Username: ${this.config.username}`);
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+
+            try {
+                const response = await fetch(this.config.endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/soap+xml; charset=utf-8;action=RealTimeTransaction;',
+                        'Action': 'RealTimeTransaction'
+                    },
+                    body: soapEnvelope,
+                    signal: controller.signal
+                });
+
+                clearTimeout(timeoutId);
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    logger.error(`Office Ally API error response: ${errorText.substring(0, 500)}`);
+                    throw new Error(`Office Ally API error: ${response.status} ${response.statusText}`);
+                }
+
+                const responseText = await response.text();
+                logger.debug('Received SOAP response from Office Ally');
+                logger.debug('Response length:', responseText.length);
+
+                // Extract X12 271 from CORE SOAP response
+                // Try multiple patterns: with CDATA, without CDATA, with xmlns="", etc.
+                const payloadMatch = responseText.match(/<Payload[^>]*>\s*<!\[CDATA\[(.*?)\]\]>\s*<\/Payload>/s) ||
+                                    responseText.match(/<Payload[^>]*>(.*?)<\/Payload>/s) ||
+                                    responseText.match(/<ns1:Payload[^>]*>\s*<!\[CDATA\[(.*?)\]\]>\s*<\/ns1:Payload>/s) ||
+                                    responseText.match(/<ns1:Payload[^>]*>(.*?)<\/ns1:Payload>/s) ||
+                                    responseText.match(/<ns:Payload[^>]*>(.*?)<\/ns:Payload>/s) ||
+                                    responseText.match(/<ns2:Payload[^>]*>(.*?)<\/ns2:Payload>/s);
+
+                if (!payloadMatch) {
+                    logger.error('SOAP response (first 1000 chars):', responseText.substring(0, 1000));
+                    throw new Error('No X12 271 payload found in SOAP response');
+                }
+
+                return payloadMatch[1].trim();
+
+            } catch (error) {
+                clearTimeout(timeoutId);
+                if (error.name === 'AbortError') {
+                    logger.error('Office Ally request timed out after 30 seconds');
+                    throw new Error('Office Ally request timed out - please try again');
+                }
+                logger.error('Office Ally API request failed:', error.message);
+                throw error;
+            }
+        } catch (error) {
+            logger.error('Failed to send X12 270 request:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse X12 271 eligibility response
+     * The full parse (every benefit, dates, managed care plans, AAA rejections) plus the
+     * flat fields the order flow and LabcorpAgent read.
+     */
+    parseX12_271Response(x12Data) {
+        logger.debug('Parsing X12 271 response...');
+
+        const parsed = parseX12_271(x12Data);
+        const { patient, managedCare } = parsed;
+
+        // DOB stays MM/DD/YYYY, the format the portal forms expect
+        const dob = patient.dateOfBirth ? patient.dateOfBirth.split('-') : null;
+
+        const planType = managedCare.medicalPlan
+            ? 'MANAGED_CARE'
+            : parsed.isEligible && this.isMedicaidResponse(parsed) ? 'TRADITIONAL_FFS' : 'UNKNOWN';
+
+        for (const error of parsed.errors) {
+            logger.warn(`271 rejection (${error.levelLabel}): ${error.reason}${error.followUpAction ? ` - ${error.followUpAction}` : ''}`);
+        }
+
+        return {
+            isEligible: parsed.isEligible,
+            isTraditionalFFS: planType === 'TRADITIONAL_FFS',
+            planType,
+            managedCarePlan: managedCare.medicalPlan?.name || null,
+            behavioralHealthPlan: managedCare.behavioralHealthPlan?.name || null,
+            payerName: parsed.payer.name,
+            memberId: parsed.memberId,
+            medicaidId: parsed.memberId,
+            demographics: {
+                firstName: patient.firstName,
+                lastName: patient.lastName,
+                dateOfBirth: dob ? `${dob[1]}/${dob[2]}/${dob[0]}` : null,
+                gender: patient.gender,
+                phone: patient.phone,
+                address: patient.address
+            },
+            coverage: parsed.coverage,
+            eligibilityDates: parsed.eligibilityDates,
+            benefits: parsed.benefits,
+            managedCare,
+            rejected: parsed.rejected,
+            errors: parsed.errors,
+            rawX12: x12Data
+        };
+    }
+
+    /**
+     * Medicaid answered (payer name or a Medicaid insurance type on any benefit)
+     */
+    isMedicaidResponse(parsed) {
+        return /MEDICAID/i.test(parsed.payer.name || '')
+            || parsed.benefits.some(benefit => benefit.insuranceType === 'MC');
+    }
+}
+
+// Create singleton instance
+let serviceInstance = null;
+
+function getEligibilityService() {
+    if (!serviceInstance) {
+        serviceInstance = new EligibilityService();
+    }
+    return serviceInstance;
+}
+
+module.exports = {
+    EligibilityService,
+    EligibilityRequestError,
+    getEligibilityService
+};
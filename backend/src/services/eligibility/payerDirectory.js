@@ -0,0 +1,210 @@
+// Eligibility Payer Directory
+// Which payers we can send a 270 to, and how each one wants to be searched.
+// The payers table (office_ally_payer_id / eligibility_search) is the source of truth;
+// the eligibility section of payorCodes.json covers payers not configured there yet.
+
+const winston = require('winston');
+const payorCodes = require('../../../../payorCodes.json');
+const { getEligibilityPayers } = require('../supabase');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+const UNCONFIGURED_PAYER_ID = 'NEEDS_LOOKUP';
+
+// Ways to identify the subscriber in a 270 - which of name, member ID and date of birth are sent
+const SEARCH_OPTIONS = {
+    member_id_dob: { label: 'Member ID + date of birth', name: false, memberId: true, dateOfBirth: true },
+    name_dob: { label: 'Name + date of birth', name: true, memberId: false, dateOfBirth: true },
+    member_id: { label: 'Member ID only', name: false, memberId: true, dateOfBirth: false }
+};
+
+// Search-option rules used when a payer doesn't specify its own
+const DEFAULT_SEARCH = {
+    memberIdRequired: true,
+    dobRequired: true,
+    dateQualifier: 'D8',
+    serviceTypes: ['30'], // Health Benefit Plan Coverage
+    // Tried in order until the payer finds the member; the member ID comes first so a
+    // nickname or hyphenated surname on the chart doesn't turn into "subscriber not found"
+    searchOptions: ['member_id_dob', 'name_dob', 'member_id'],
+    ...(payorCodes.eligibility?.defaultSearch || {})
+};
+
+function normalizeName(value) {
+    return (value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function fromDatabase(row) {
+    return {
+        id: row.id,
+        key: row.id,
+        name: row.name,
+        payerType: row.payer_type || null,
+        officeAllyPayerId: row.office_ally_payer_id,
+        x12Name: row.eligibility_payer_name || row.name.toUpperCase(),
+        aliases: [],
+        search: { ...DEFAULT_SEARCH, ...(row.eligibility_search || {}) },
+        source: 'payers_table'
+    };
+}
+
+function fromPayorCodes(entry) {
+    return {
+        id: null,
+        key: entry.key,
+        name: entry.name,
+        payerType: entry.payerType || null,
+        officeAllyPayerId: entry.officeAllyPayerId,
+        x12Name: entry.x12Name || entry.name.toUpperCase(),
+        aliases: entry.aliases || [],
+        search: { ...DEFAULT_SEARCH, ...(entry.search || {}) },
+        source: 'payorCodes.json'
+    };
+}
+
+/**
+ * True when the payer has a usable Office Ally payer ID
+ */
+function isCheckable(payer) {
+    return !!payer?.officeAllyPayerId && payer.officeAllyPayerId !== UNCONFIGURED_PAYER_ID;
+}
+
+/**
+ * Fields the payer's search rules require that the patient info is missing
+ * @returns {string[]} e.g. ['memberId']
+ */
+function missingSearchFields(payer, patientInfo) {
+    const missing = [];
+    if (!patientInfo.firstName) missing.push('firstName');
+    if (!patientInfo.lastName) missing.push('lastName');
+    if (payer.search.dobRequired && !patientInfo.dateOfBirth) missing.push('dateOfBirth');
+    if (payer.search.memberIdRequired && !patientInfo.memberId) missing.push('memberId');
+    return missing;
+}
+
+/**
+ * The payer's search options the patient info has the fields for, in the order to try them
+ * @returns {string[]} SEARCH_OPTIONS keys, e.g. ['member_id_dob', 'name_dob', 'member_id']
+ */
+function searchSequence(payer, patientInfo) {
+    return payer.search.searchOptions.filter(key => {
+        const option = SEARCH_OPTIONS[key];
+        if (!option) return false;
+        if (option.name && (!patientInfo.firstName || !patientInfo.lastName)) return false;
+        if (option.memberId && !(patientInfo.memberId || '').trim()) return false;
+        if (option.dateOfBirth && !patientInfo.dateOfBirth) return false;
+        return true;
+    });
+}
+
+class PayerDirectory {
+    constructor() {
+        this.filePayers = (payorCodes.eligibility?.payers || []).map(fromPayorCodes);
+    }
+
+    /**
+     * All eligibility payers - database rows first, then payorCodes.json entries for
+     * Office Ally payer IDs the database doesn't have
+     */
+    async listPayers() {
+        let databasePayers = [];
+
+        try {
+            databasePayers = (await getEligibilityPayers()).map(fromDatabase);
+        } catch (error) {
+            logger.warn(`Payers table unavailable, using payorCodes.json only: ${error.message}`);
+        }
+
+        const configuredIds = new Set(databasePayers.map(payer => payer.officeAllyPayerId));
+        const filePayers = this.filePayers.filter(payer => !configuredIds.has(payer.officeAllyPayerId));
+
+        return [...databasePayers, ...filePayers];
+    }
+
+    /**
+     * Find the payer for an eligibility check
+     * @param {Object} query
+     * @param {string} query.payerId - payers table id or payorCodes.json key
+     * @param {string} query.officeAllyPayerId - e.g. 'UTMCD'
+     * @param {string} query.payerName - Insurance name as written on the chart (aliases match too)
+     * @returns {Promise<Object|null>}
+     */
+    async resolvePayer(query = {}) {
+        const payers = await this.listPayers();
+
+        if (query.payerId) {
+            const byId = payers.find(payer => payer.id === query.payerId || payer.key === query.payerId);
+            if (byId) return byId;
+        }
+
+        if (query.officeAllyPayerId) {
+            const byPayerId = payers.find(payer => payer.officeAllyPayerId === query.officeAllyPayerId);
+            if (byPayerId) return byPayerId;
+        }
+
+        if (query.payerName) {
+            return this.matchByName(payers, query.payerName);
+        }
+
+        return null;
+    }
+
+    /**
+     * Exact name first, then the longest name/alias contained in the chart's insurance name
+     * ("Select Health Community Care" must not resolve to commercial "Select Health")
+     */
+    matchByName(payers, payerName) {
+        const target = normalizeName(payerName);
+        if (!target) return null;
+
+        const exact = payers.find(payer => normalizeName(payer.name) === target);
+        if (exact) return exact;
+
+        let best = null;
+        let bestLength = 0;
+
+        for (const payer of payers) {
+            for (const alias of [payer.name, ...payer.aliases]) {
+                const normalized = normalizeName(alias);
+                if (normalized && target.includes(normalized) && normalized.length > bestLength) {
+                    best = payer;
+                    bestLength = normalized.length;
+                }
+            }
+        }
+
+        return best;
+    }
+}
+
+// Create singleton instance
+let directoryInstance = null;
+
+function getPayerDirectory() {
+    if (!directoryInstance) {
+        directoryInstance = new PayerDirectory();
+    }
+    return directoryInstance;
+}
+
+module.exports = {
+    PayerDirectory,
+    getPayerDirectory,
+    isCheckable,
+    missingSearchFields,
+    searchSequence,
+    SEARCH_OPTIONS,
+    UNCONFIGURED_PAYER_ID
+};
@@ -0,0 +1,312 @@
+// X12 5010 (005010X279A1) Code Lists
+// Labels for the codes a 271 eligibility response carries, so parsed responses can be
+// shown to staff without a copy of the implementation guide.
+
+// EB01 - Eligibility or benefit information
+const ELIGIBILITY_CODES = {
+    1: 'Active Coverage',
+    2: 'Active - Full Risk Capitation',
+    3: 'Active - Services Capitated',
+    4: 'Active - Services Capitated to Primary Care Physician',
+    5: 'Active - Pending Investigation',
+    6: 'Inactive',
+    7: 'Inactive - Pending Eligibility Update',
+    8: 'Inactive - Pending Investigation',
+    A: 'Co-Insurance',
+    B: 'Co-Payment',
+    C: 'Deductible',
+    CB: 'Coverage Basis',
+    D: 'Benefit Description',
+    E: 'Exclusions',
+    F: 'Limitations',
+    G: 'Out of Pocket (Stop Loss)',
+    H: 'Unlimited',
+    I: 'Non-Covered',
+    J: 'Cost Containment',
+    K: 'Reserve',
+    L: 'Primary Care Provider',
+    M: 'Pre-existing Condition',
+    MC: 'Managed Care Coordinator',
+    N: 'Services Restricted to Following Provider',
+    O: 'Not Deemed a Medical Necessity',
+    P: 'Benefit Disclaimer',
+    Q: 'Second Surgical Opinion Required',
+    R: 'Other or Additional Payor',
+    S: 'Prior Year(s) History',
+    T: 'Card(s) Reported Lost/Stolen',
+    U: 'Contact Following Entity for Eligibility or Benefit Information',
+    V: 'Cannot Process',
+    W: 'Other Source of Data',
+    X: 'Health Care Facility',
+    Y: 'Spend Down'
+};
+
+// EB01 codes that mean the member has coverage
+const ACTIVE_ELIGIBILITY_CODES = ['1', '2', '3', '4', '5'];
+const INACTIVE_ELIGIBILITY_CODES = ['6', '7', '8'];
+
+// EB02 - Coverage level
+const COVERAGE_LEVELS = {
+    CHD: 'Children Only',
+    DEP: 'Dependents Only',
+    ECH: 'Employee and Children',
+    EMP: 'Employee Only',
+    ESP: 'Employee and Spouse',
+    FAM: 'Family',
+    IND: 'Individual',
+    SPC: 'Spouse and Children',
+    SPO: 'Spouse Only'
+};
+
+// EB03 - Service type (the subset that shows up in our responses)
+const SERVICE_TYPES = {
+    1: 'Medical Care',
+    2: 'Surgical',
+    3: 'Consultation',
+    4: 'Diagnostic X-Ray',
+    5: 'Diagnostic Lab',
+    6: 'Radiation Therapy',
+    12: 'Durable Medical Equipment Purchase',
+    30: 'Health Benefit Plan Coverage',
+    33: 'Chiropractic',
+    35: 'Dental Care',
+    42: 'Home Health Care',
+    45: 'Hospice',
+    47: 'Hospital',
+    48: 'Hospital - Inpatient',
+    50: 'Hospital - Outpatient',
+    54: 'Long Term Care',
+    56: 'Medically Related Transportation',
+    68: 'Well Baby Care',
+    73: 'Diagnostic Medical',
+    76: 'Dialysis',
+    78: 'Chemotherapy',
+    80: 'Immunizations',
+    81: 'Routine Physical',
+    82: 'Family Planning',
+    84: 'Maternity',
+    86: 'Emergency Services',
+    88: 'Pharmacy',
+    93: 'Podiatry',
+    96: 'Professional (Physician)',
+    98: 'Professional (Physician) Visit - Office',
+    A4: 'Psychiatric',
+    A6: 'Psychotherapy',
+    A7: 'Psychiatric - Inpatient',
+    A8: 'Psychiatric - Outpatient',
+    AI: 'Substance Abuse',
+    AJ: 'Alcoholism',
+    AK: 'Drug Addiction',
+    AL: 'Vision (Optometry)',
+    BY: 'Physician Visit - Office: Sick',
+    BZ: 'Physician Visit - Office: Well',
+    CE: 'Mental Health Provider - Inpatient',
+    CF: 'Mental Health Provider - Outpatient',
+    CG: 'Mental Health Facility - Inpatient',
+    CH: 'Mental Health Facility - Outpatient',
+    MH: 'Mental Health',
+    UC: 'Urgent Care'
+};
+
+// Service types that make a managed care plan a behavioral health plan
+const BEHAVIORAL_HEALTH_SERVICE_TYPES = ['A4', 'A6', 'A7', 'A8', 'AI', 'AJ', 'AK', 'CE', 'CF', 'CG', 'CH', 'MH'];
+
+// EB04 - Insurance type
+const INSURANCE_TYPES = {
+    C1: 'Commercial',
+    CO: 'Consolidated Omnibus Budget Reconciliation Act (COBRA)',
+    EP: 'Exclusive Provider Organization (EPO)',
+    HM: 'Health Maintenance Organization (HMO)',
+    HN: 'HMO - Medicare Risk',
+    IN: 'Indemnity',
+    MA: 'Medicare Part A',
+    MB: 'Medicare Part B',
+    MC: 'Medicaid',
+    MP: 'Medicare Primary',
+    PR: 'Preferred Provider Organization (PPO)',
+    PS: 'Point of Service (POS)',
+    QM: 'Qualified Medicare Beneficiary',
+    SP: 'Supplemental Policy'
+};
+
+// EB06 - Time period qualifier
+const TIME_PERIODS = {
+    6: 'Hour',
+    7: 'Day',
+    21: 'Years',
+    22: 'Service Year',
+    23: 'Calendar Year',
+    24: 'Year to Date',
+    25: 'Contract',
+    26: 'Episode',
+    27: 'Visit',
+    29: 'Remaining',
+    32: 'Lifetime',
+    33: 'Lifetime Remaining',
+    34: 'Month',
+    35: 'Week'
+};
+
+// EB12 - In plan network indicator
+const NETWORK_INDICATORS = {
+    Y: 'In Network',
+    N: 'Out of Network',
+    W: 'Not Applicable',
+    U: 'Unknown'
+};
+
+// DTP01 - Date/time qualifier
+const DATE_QUALIFIERS = {
+    '096': 'Discharge',
+    102: 'Issue',
+    152: 'Effective Date of Change',
+    291: 'Plan',
+    292: 'Benefit',
+    307: 'Eligibility',
+    318: 'Added',
+    340: 'COBRA Begin',
+    341: 'COBRA End',
+    342: 'Premium Paid to Date Begin',
+    343: 'Premium Paid to Date End',
+    346: 'Plan Begin',
+    347: 'Plan End',
+    348: 'Benefit Begin',
+    349: 'Benefit End',
+    356: 'Eligibility Begin',
+    357: 'Eligibility End',
+    382: 'Enrollment',
+    435: 'Admission',
+    442: 'Date of Death',
+    458: 'Certification',
+    472: 'Service',
+    539: 'Policy Effective',
+    540: 'Policy Expiration',
+    636: 'Date of Last Update',
+    771: 'Status'
+};
+
+// NM101 - Entity identifier codes seen in 2120 (benefit related entity) loops
+const ENTITY_CODES = {
+    '13': 'Contracted Service Provider',
+    '1I': 'Preferred Provider Organization (PPO)',
+    '1P': 'Provider',
+    '2B': 'Third-Party Administrator',
+    '36': 'Employer',
+    '71': 'Attending Physician',
+    '72': 'Operating Physician',
+    '73': 'Other Physician',
+    '7C': 'Place of Occurrence',
+    FA: 'Facility',
+    GP: 'Gateway Provider',
+    GW: 'Group',
+    I3: 'Independent Physicians Association (IPA)',
+    IL: 'Insured or Subscriber',
+    LR: 'Legal Representative',
+    P3: 'Primary Care Provider',
+    P4: 'Prior Insurance Carrier',
+    P5: 'Plan Sponsor',
+    PR: 'Payer',
+    PRP: 'Primary Payer',
+    SEP: 'Secondary Payer',
+    TTP: 'Tertiary Payer',
+    VN: 'Vendor',
+    VY: 'Organization Completing Configuration Change',
+    X3: 'Utilization Management Organization',
+    Y2: 'Managed Care Organization'
+};
+
+// Entities in a 2120 loop that name the plan managing the member's care
+const PLAN_ENTITY_CODES = ['PRP', 'P5', 'Y2', 'X3', 'PR', 'IL', 'SEP', 'TTP', '1I', 'I3'];
+
+// AAA03 - Reject reason, with what staff should do about it
+const REJECT_REASONS = {
+    '04': 'Authorized quantity exceeded',
+    15: 'Required application data missing',
+    33: 'Input errors in the request',
+    35: 'Out of network',
+    41: 'Authorization/access restrictions - our account is not allowed to query this payer',
+    42: 'The payer is unable to respond right now - try again later',
+    43: 'Invalid or missing provider identification (NPI)',
+    44: 'Invalid or missing provider name',
+    45: 'Invalid or missing provider specialty',
+    46: 'Invalid or missing provider phone number',
+    47: 'Invalid or missing provider state',
+    48: 'Invalid or missing referring provider identification',
+    49: 'Provider is not the primary care physician',
+    50: 'Provider is not eligible to make inquiries',
+    51: 'Provider is not on file with this payer',
+    52: 'Service dates are not within the provider\'s plan enrollment',
+    53: 'Inquired benefit is inconsistent with the provider type',
+    54: 'Inappropriate product/service ID qualifier',
+    55: 'Inappropriate product/service ID',
+    56: 'Inappropriate date',
+    57: 'Invalid or missing date(s) of service',
+    58: 'Invalid or missing date of birth',
+    60: 'Date of birth is after the date of service',
+    61: 'Date of death is before the date of service',
+    62: 'Date of service is outside the allowable inquiry period',
+    63: 'Date of service is in the future',
+    64: 'Invalid or missing patient ID',
+    65: 'Invalid or missing patient name',
+    66: 'Invalid or missing patient gender',
+    67: 'Patient not found - check name, date of birth and member ID',
+    68: 'Duplicate patient ID number',
+    69: 'Inconsistent with the patient\'s age',
+    70: 'Inconsistent with the patient\'s gender',
+    71: 'Date of birth does not match the payer\'s record',
+    72: 'Invalid or missing member ID',
+    73: 'Invalid or missing subscriber name',
+    74: 'Invalid or missing subscriber gender',
+    75: 'Subscriber not found - check name, date of birth and member ID',
+    76: 'Duplicate subscriber ID number',
+    77: 'Subscriber found, but this patient is not on the policy',
+    78: 'Subscriber is not in the group/plan identified',
+    79: 'Invalid participant identification',
+    80: 'No response received from the payer - transaction terminated',
+    97: 'Invalid or missing provider address',
+    T4: 'Payer name or identifier missing'
+};
+
+// Reject reasons that mean the payer couldn't match the subscriber from what was sent -
+// a search with a different combination of name, member ID and date of birth may still find them
+const SEARCH_MISS_REASONS = ['58', '64', '65', '67', '71', '72', '73', '75', '76'];
+
+// AAA04 - Follow-up action
+const FOLLOW_UP_ACTIONS = {
+    C: 'Correct and resubmit',
+    N: 'Resubmission not allowed',
+    P: 'Resubmit the original transaction',
+    R: 'Resubmission allowed',
+    S: 'Do not resubmit; inquiry initiated to a third party',
+    W: 'Wait 30 days and resubmit',
+    X: 'Wait 10 days and resubmit',
+    Y: 'Do not resubmit; the payer will respond again shortly'
+};
+
+// Which loop an AAA segment came from
+const AAA_LEVELS = {
+    source: 'Payer',
+    receiver: 'Provider',
+    subscriber: 'Subscriber',
+    dependent: 'Dependent',
+    benefit: 'Benefit inquiry'
+};
+
+module.exports = {
+    ELIGIBILITY_CODES,
+    ACTIVE_ELIGIBILITY_CODES,
+    INACTIVE_ELIGIBILITY_CODES,
+    COVERAGE_LEVELS,
+    SERVICE_TYPES,
+    BEHAVIORAL_HEALTH_SERVICE_TYPES,
+    INSURANCE_TYPES,
+    TIME_PERIODS,
+    NETWORK_INDICATORS,
+    DATE_QUALIFIERS,
+    ENTITY_CODES,
+    PLAN_ENTITY_CODES,
+    REJECT_REASONS,
+    SEARCH_MISS_REASONS,
+    FOLLOW_UP_ACTIONS,
+    AAA_LEVELS
+};
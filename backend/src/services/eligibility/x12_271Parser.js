@@ -0,0 +1,435 @@
+// X12 271 Eligibility Response Parser (005010X279A1)
+// Walks the HL hierarchy of a 271 - payer (2000A), provider (2000B), subscriber (2000C)
+// and dependent (2000D) - and returns every benefit (2110 EB loops) with its dates,
+// messages and related entities (2120 loops), plus AAA rejections in plain English.
+// Pure function of its input - no network or database access.
+
+const {
+    ELIGIBILITY_CODES,
+    ACTIVE_ELIGIBILITY_CODES,
+    COVERAGE_LEVELS,
+    SERVICE_TYPES,
+    BEHAVIORAL_HEALTH_SERVICE_TYPES,
+    INSURANCE_TYPES,
+    TIME_PERIODS,
+    NETWORK_INDICATORS,
+    DATE_QUALIFIERS,
+    ENTITY_CODES,
+    PLAN_ENTITY_CODES,
+    REJECT_REASONS,
+    FOLLOW_UP_ACTIONS,
+    AAA_LEVELS
+} = require('./x12Codes');
+
+const DEFAULT_SEPARATORS = {
+    element: '*',
+    repetition: '^',
+    component: ':',
+    segment: '~'
+};
+
+// HL03 hierarchical level codes
+const HL_LEVELS = {
+    20: 'source',
+    21: 'receiver',
+    22: 'subscriber',
+    23: 'dependent'
+};
+
+const BEHAVIORAL_HEALTH_NAMES = /BEHAVIORAL|MENTAL HEALTH|PMHP|SUBSTANCE|COUNSELING|HUMAN SERVICES|PSYCH/i;
+
+/**
+ * Read the separators from the ISA header (fixed width: element separator at 3,
+ * repetition separator in ISA11, component separator and segment terminator at 104/105)
+ */
+function readSeparators(text) {
+    if (!text.startsWith('ISA') || text.length < 106) {
+        return DEFAULT_SEPARATORS;
+    }
+
+    const element = text[3];
+    const isaFields = text.slice(0, 106).split(element);
+
+    return {
+        element,
+        repetition: isaFields[11] && isaFields[11].length === 1 ? isaFields[11] : DEFAULT_SEPARATORS.repetition,
+        component: text[104],
+        segment: text[105]
+    };
+}
+
+function splitSegments(text, separators) {
+    return text
+        .split(separators.segment)
+        .flatMap(segment => segment.split(/\r?\n/))
+        .map(segment => segment.trim())
+        .filter(Boolean)
+        .map(segment => segment.split(separators.element));
+}
+
+/**
+ * D8 'CCYYMMDD' -> 'YYYY-MM-DD'
+ */
+function formatDate(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * DTP*qualifier*D8|RD8*value -> { qualifier, label, start, end }
+ */
+function readDate(fields) {
+    const [, qualifier, format, value = ''] = fields;
+    const [start, end] = format === 'RD8' ? value.split('-') : [value, value];
+
+    return {
+        qualifier,
+        label: DATE_QUALIFIERS[qualifier] || qualifier,
+        format,
+        start: formatDate(start),
+        end: formatDate(end)
+    };
+}
+
+function newPerson(level) {
+    return {
+        level,
+        lastName: null,
+        firstName: null,
+        middleName: null,
+        memberId: null,
+        idQualifier: null,
+        additionalIds: [],
+        address: { street: null, city: null, state: null, zip: null },
+        phone: null,
+        dateOfBirth: null,
+        gender: null,
+        relationship: null,
+        dates: [],
+        benefits: [],
+        errors: []
+    };
+}
+
+function readAddressLine(target, fields) {
+    target.address.street = [fields[1], fields[2]].filter(Boolean).join(' ') || null;
+}
+
+function readCityStateZip(target, fields) {
+    target.address.city = fields[1] || null;
+    target.address.state = fields[2] || null;
+    target.address.zip = fields[3] || null;
+}
+
+/**
+ * PER*IC*name*TE*number*EM*address... -> { name, phone, email, url }
+ */
+function readContact(fields) {
+    const contact = { name: fields[2] || null, phone: null, email: null, url: null };
+
+    for (let i = 3; i < fields.length - 1; i += 2) {
+        const value = fields[i + 1];
+        if (fields[i] === 'TE' && !contact.phone) contact.phone = value;
+        if (fields[i] === 'EM') contact.email = value;
+        if (fields[i] === 'UR') contact.url = value;
+    }
+
+    return contact;
+}
+
+function readReject(fields, level) {
+    const [, validRequest, , code, followUp] = fields;
+
+    return {
+        level,
+        levelLabel: AAA_LEVELS[level] || level,
+        validRequest: validRequest === 'Y',
+        code: code || null,
+        reason: REJECT_REASONS[code] || `Rejected (code ${code || 'unknown'})`,
+        followUp: followUp || null,
+        followUpAction: FOLLOW_UP_ACTIONS[followUp] || null
+    };
+}
+
+function readBenefit(fields, separators) {
+    const [, code, coverageLevel, serviceTypes, insuranceType, planDescription, timePeriod,
+        amount, percent, quantityQualifier, quantity, authorizationRequired, inNetwork] = fields;
+
+    return {
+        code,
+        label: ELIGIBILITY_CODES[code] || code,
+        coverageLevel: coverageLevel || null,
+        coverageLevelLabel: COVERAGE_LEVELS[coverageLevel] || null,
+        serviceTypes: (serviceTypes || '').split(separators.repetition).filter(Boolean)
+            .map(serviceType => ({ code: serviceType, label: SERVICE_TYPES[serviceType] || serviceType })),
+        insuranceType: insuranceType || null,
+        insuranceTypeLabel: INSURANCE_TYPES[insuranceType] || null,
+        planDescription: planDescription || null,
+        timePeriod: TIME_PERIODS[timePeriod] || timePeriod || null,
+        amount: amount ? Number(amount) : null,
+        percent: percent ? Number(percent) : null,
+        quantity: quantity ? { qualifier: quantityQualifier, value: Number(quantity) } : null,
+        authorizationRequired: authorizationRequired === 'Y' ? true : authorizationRequired === 'N' ? false : null,
+        inNetwork: inNetwork || null,
+        inNetworkLabel: NETWORK_INDICATORS[inNetwork] || null,
+        dates: [],
+        messages: [],
+        additionalIds: [],
+        relatedEntities: [],
+        errors: []
+    };
+}
+
+function readEntity(fields) {
+    const [, entityCode, , name, firstName, , , , idQualifier, identifier] = fields;
+
+    return {
+        entityCode,
+        entityLabel: ENTITY_CODES[entityCode] || entityCode,
+        name: [name, firstName].filter(Boolean).join(', ') || null,
+        idQualifier: idQualifier || null,
+        identifier: identifier || null,
+        address: { street: null, city: null, state: null, zip: null },
+        contacts: []
+    };
+}
+
+/**
+ * Sort a benefit's plan into the carve-outs Utah Medicaid uses
+ */
+function classifyPlan(benefit, entityName) {
+    const codes = benefit.serviceTypes.map(serviceType => serviceType.code);
+    const text = `${entityName || ''} ${benefit.planDescription || ''}`;
+
+    if (codes.some(code => BEHAVIORAL_HEALTH_SERVICE_TYPES.includes(code)) || BEHAVIORAL_HEALTH_NAMES.test(text)) {
+        return 'behavioral_health';
+    }
+    if (codes.includes('35') || /DENTAL/i.test(text)) return 'dental';
+    if (codes.includes('56') || /TRANSPORT/i.test(text)) return 'transportation';
+    return 'medical';
+}
+
+/**
+ * Managed care plans named in the patient's 2120 loops (or, failing that, in HMO
+ * benefit descriptions), each tagged medical / behavioral_health / dental / transportation
+ */
+function findManagedCarePlans(person, payerName) {
+    const plans = [];
+    const seen = new Set();
+
+    const add = (benefit, name, entity) => {
+        const kind = classifyPlan(benefit, name);
+        const key = `${kind}|${name.toUpperCase()}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        plans.push({
+            name,
+            kind,
+            entityCode: entity?.entityCode || null,
+            identifier: entity?.identifier || null,
+            phone: entity?.contacts.find(contact => contact.phone)?.phone || null,
+            serviceTypes: benefit.serviceTypes,
+            insuranceType: benefit.insuranceType,
+            planDescription: benefit.planDescription,
+            dates: benefit.dates
+        });
+    };
+
+    for (const benefit of person.benefits) {
+        for (const entity of benefit.relatedEntities) {
+            if (!entity.name || !PLAN_ENTITY_CODES.includes(entity.entityCode)) continue;
+            if (payerName && entity.name.toUpperCase() === payerName.toUpperCase()) continue;
+            add(benefit, entity.name, entity);
+        }
+    }
+
+    for (const benefit of person.benefits) {
+        if (['HM', 'HN'].includes(benefit.insuranceType) && benefit.planDescription && benefit.relatedEntities.length === 0) {
+            add(benefit, benefit.planDescription, null);
+        }
+    }
+
+    return plans;
+}
+
+/**
+ * Coverage window from the person's dates: eligibility begin/end, then plan begin/end,
+ * then a plan/eligibility range
+ */
+function findCoverage(dates) {
+    const find = qualifier => dates.find(date => date.qualifier === qualifier);
+
+    const start = find('356')?.start || find('346')?.start || find('307')?.start || find('291')?.start || null;
+    const end = find('357')?.end || find('347')?.end
+        || (find('307')?.format === 'RD8' ? find('307').end : null)
+        || (find('291')?.format === 'RD8' ? find('291').end : null);
+
+    return { start, end: end || null };
+}
+
+/**
+ * Parse a 271 into payer, subscriber/dependent, benefits, managed care plans and errors
+ * @param {string} x12Data - Raw 271 (ISA...IEA)
+ * @returns {Object}
+ */
+function parseX12_271(x12Data) {
+    const text = (x12Data || '').trim();
+    const separators = readSeparators(text);
+
+    const result = {
+        payer: { name: null, id: null, contacts: [] },
+        receiver: { name: null, npi: null },
+        subscriber: null,
+        dependent: null,
+        errors: []
+    };
+
+    let level = null;
+    let person = null;
+    let benefit = null;
+    let entity = null;
+    let inRelatedEntityLoop = false;
+
+    for (const fields of splitSegments(text, separators)) {
+        const segmentId = fields[0];
+
+        switch (segmentId) {
+            case 'HL':
+                level = HL_LEVELS[fields[3]] || null;
+                benefit = null;
+                entity = null;
+                inRelatedEntityLoop = false;
+
+                if (level === 'subscriber') {
+                    person = result.subscriber = newPerson('subscriber');
+                } else if (level === 'dependent') {
+                    person = result.dependent = newPerson('dependent');
+                } else {
+                    person = null;
+                }
+                break;
+
+            case 'NM1':
+                if (inRelatedEntityLoop && benefit) {
+                    entity = readEntity(fields);
+                    benefit.relatedEntities.push(entity);
+                } else if (level === 'source') {
+                    result.payer.name = fields[3] || null;
+                    result.payer.id = fields[9] || null;
+                } else if (level === 'receiver') {
+                    result.receiver.name = fields[3] || null;
+                    result.receiver.npi = fields[9] || null;
+                } else if (person) {
+                    person.lastName = fields[3] || null;
+                    person.firstName = fields[4] || null;
+                    person.middleName = fields[5] || null;
+                    person.idQualifier = fields[8] || null;
+                    person.memberId = fields[9] || null;
+                }
+                break;
+
+            case 'N3':
+                if (entity) readAddressLine(entity, fields);
+                else if (person && !benefit) readAddressLine(person, fields);
+                break;
+
+            case 'N4':
+                if (entity) readCityStateZip(entity, fields);
+                else if (person && !benefit) readCityStateZip(person, fields);
+                break;
+
+            case 'PER': {
+                const contact = readContact(fields);
+                if (entity) entity.contacts.push(contact);
+                else if (level === 'source') result.payer.contacts.push(contact);
+                else if (person && !benefit && !person.phone) person.phone = contact.phone;
+                break;
+            }
+
+            case 'DMG':
+                if (person) {
+                    person.dateOfBirth = formatDate(fields[2]);
+                    person.gender = fields[3] || null;
+                }
+                break;
+
+            case 'INS':
+                if (person) person.relationship = fields[2] || null; // 18 = self
+                break;
+
+            case 'REF': {
+                const id = { qualifier: fields[1], value: fields[2], description: fields[3] || null };
+                if (benefit && !inRelatedEntityLoop) benefit.additionalIds.push(id);
+                else if (person && !benefit) person.additionalIds.push(id);
+                break;
+            }
+
+            case 'DTP':
+                if (benefit && !inRelatedEntityLoop) benefit.dates.push(readDate(fields));
+                else if (person && !benefit) person.dates.push(readDate(fields));
+                break;
+
+            case 'AAA': {
+                const error = readReject(fields, benefit ? 'benefit' : level);
+                result.errors.push(error);
+                if (benefit) benefit.errors.push(error);
+                else if (person) person.errors.push(error);
+                break;
+            }
+
+            case 'EB':
+                if (person) {
+                    benefit = readBenefit(fields, separators);
+                    person.benefits.push(benefit);
+                }
+                entity = null;
+                inRelatedEntityLoop = false;
+                break;
+
+            case 'MSG':
+                if (benefit && fields[1]) benefit.messages.push(fields[1]);
+                break;
+
+            case 'LS':
+                inRelatedEntityLoop = true;
+                break;
+
+            case 'LE':
+                inRelatedEntityLoop = false;
+                entity = null;
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    // The patient is the dependent when the 271 has a 2000D loop
+    const patient = result.dependent || result.subscriber || newPerson('subscriber');
+    const managedCarePlans = findManagedCarePlans(patient, result.payer.name);
+
+    const hasActiveCoverage = patient.benefits.some(item => ACTIVE_ELIGIBILITY_CODES.includes(item.code));
+    const rejected = result.errors.some(error => error.level !== 'benefit');
+
+    return {
+        ...result,
+        patient,
+        memberId: patient.memberId || result.subscriber?.memberId || null,
+        benefits: patient.benefits,
+        eligibilityDates: patient.dates,
+        coverage: findCoverage(patient.dates),
+        managedCare: {
+            plans: managedCarePlans,
+            medicalPlan: managedCarePlans.find(plan => plan.kind === 'medical') || null,
+            behavioralHealthPlan: managedCarePlans.find(plan => plan.kind === 'behavioral_health') || null
+        },
+        isEligible: hasActiveCoverage && !rejected,
+        rejected
+    };
+}
+
+module.exports = {
+    parseX12_271,
+    readSeparators
+};
@@ -22,7 +22,7 @@ class EmailNotificationService {
     constructor() {
         // Configure email transporter
         this.transporter = null;
-        this.cmoEmail = 'hello@trymoonlit.com';
+        this.cmoEmail = process.env.CMO_EMAIL || 'hello@trymoonlit.com';
         this.fromEmail = process.env.SMTP_FROM_EMAIL || 'noreply@trymoonlit.com';
 
         this.initializeTransporter();
@@ -284,6 +284,146 @@ This is an automated notification from the MOONLIT Lab Portal Automation System.
         `;
     }
 
+    /**
+     * Send a critical lab value alert
+     * @param {Object} alertData
+     * @param {string|string[]} alertData.to - Ordering provider(s), or the CMO on escalation
+     * @param {Object} alertData.result - portal_results row
+     * @param {Object} alertData.patient - patients row
+     * @param {boolean} alertData.escalation - True when the provider did not acknowledge in time
+     * @param {string} alertData.providerName - Ordering provider (shown on escalations)
+     * @param {number} alertData.minutesOpen - How long the alert has waited (escalations)
+     * @returns {Promise<boolean>} whether the email was sent
+     */
+    async sendCriticalResultAlert(alertData) {
+        try {
+            if (!this.transporter) {
+                logger.warn('Email transporter not configured - skipping critical result alert');
+                return false;
+            }
+
+            const { to, result, patient, escalation } = alertData;
+            const patientName = patient ? `${patient.first_name} ${patient.last_name}` : 'Unknown patient';
+
+            const info = await this.transporter.sendMail({
+                from: `"MOONLIT Lab Alerts" <${this.fromEmail}>`,
+                to,
+                priority: 'high',
+                subject: escalation
+                    ? `ESCALATION: Unacknowledged critical lab value - ${result.test_name}`
+                    : `CRITICAL lab value - ${result.test_name} - acknowledgment required`,
+                text: this.buildCriticalAlertText({ ...alertData, patientName }),
+                html: this.buildCriticalAlertHTML({ ...alertData, patientName })
+            });
+
+            logger.info(`Critical result alert email sent: ${info.messageId}`);
+            return true;
+
+        } catch (error) {
+            logger.error('Failed to send critical result alert email:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Build HTML email body for a critical result alert
+     */
+    buildCriticalAlertHTML(data) {
+        const { result, patient, patientName, escalation, providerName, minutesOpen } = data;
+        const resultsUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/results`;
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #dc3545; color: white; padding: 20px; border-radius: 5px; }
+        .section { margin: 20px 0; padding: 15px; background-color: #f8f9fa; border-radius: 5px; }
+        .data-row { margin: 5px 0; }
+        .label { font-weight: bold; display: inline-block; width: 150px; }
+        .critical { color: #dc3545; font-weight: bold; font-size: 18px; }
+        .button { display: inline-block; padding: 10px 20px; background-color: #dc3545; color: white; text-decoration: none; border-radius: 5px; }
+        .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6; font-size: 12px; color: #6c757d; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h2>${escalation ? '⚠️ Unacknowledged Critical Lab Value' : '🚨 Critical Lab Value - Acknowledgment Required'}</h2>
+        </div>
+
+        ${escalation ? `
+        <div class="section">
+            This critical value has not been acknowledged by ${providerName || 'the ordering provider'} after ${minutesOpen} minutes.
+        </div>
+        ` : ''}
+
+        <div class="section">
+            <div class="data-row">
+                <span class="label">Patient:</span>
+                <span>${patientName}</span>
+            </div>
+            ${patient?.date_of_birth ? `
+            <div class="data-row">
+                <span class="label">Date of Birth:</span>
+                <span>${patient.date_of_birth}</span>
+            </div>
+            ` : ''}
+            <div class="data-row">
+                <span class="label">Test:</span>
+                <span>${result.test_name}</span>
+            </div>
+            <div class="data-row">
+                <span class="label">Result:</span>
+                <span class="critical">${result.result_value} ${result.result_unit || ''}</span>
+            </div>
+            <div class="data-row">
+                <span class="label">Reference Range:</span>
+                <span>${result.reference_range || 'Not provided'}</span>
+            </div>
+            <div class="data-row">
+                <span class="label">Collected:</span>
+                <span>${result.result_date || 'Unknown'}</span>
+            </div>
+        </div>
+
+        <p><a class="button" href="${resultsUrl}">Review and acknowledge</a></p>
+
+        <div class="footer">
+            <p>This is an automated notification from the MOONLIT Lab Portal. Acknowledge the alert in the portal to stop escalation.</p>
+        </div>
+    </div>
+</body>
+</html>
+        `;
+    }
+
+    /**
+     * Build plain text email body for a critical result alert
+     */
+    buildCriticalAlertText(data) {
+        const { result, patient, patientName, escalation, providerName, minutesOpen } = data;
+        const resultsUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/results`;
+
+        return `
+${escalation ? 'UNACKNOWLEDGED CRITICAL LAB VALUE' : 'CRITICAL LAB VALUE - ACKNOWLEDGMENT REQUIRED'}
+=================================================
+${escalation ? `\nNot acknowledged by ${providerName || 'the ordering provider'} after ${minutesOpen} minutes.\n` : ''}
+Patient: ${patientName}
+${patient?.date_of_birth ? `Date of Birth: ${patient.date_of_birth}\n` : ''}Test: ${result.test_name}
+Result: ${result.result_value} ${result.result_unit || ''}
+Reference Range: ${result.reference_range || 'Not provided'}
+Collected: ${result.result_date || 'Unknown'}
+
+Review and acknowledge: ${resultsUrl}
+
+---
+This is an automated notification from the MOONLIT Lab Portal. Acknowledge the alert in the portal to stop escalation.
+        `;
+    }
+
     /**
      * Send test email to verify configuration
      */
@@ -0,0 +1,149 @@
+// HL7 File-Drop Watcher
+// Polls a directory (an SFTP landing folder, a mounted share...) for ORU files from the
+// labs. Each file is ingested, then moved to processed/ or failed/ so it is never read twice.
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const { ingestOruText } = require('./oruIngest');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+const HL7_FILE_PATTERN = /\.(hl7|oru|txt|dat)$/i;
+
+// Files modified more recently than this may still be being written
+const MIN_FILE_AGE_MS = 5000;
+
+class Hl7DropWatcher {
+    constructor() {
+        this.directory = process.env.HL7_DROP_DIR || null;
+        this.pollIntervalMs = parseInt(process.env.HL7_DROP_POLL_MS) || 60000;
+        this.defaultPortal = process.env.HL7_DROP_PORTAL || null;
+        this.pollTimer = null;
+        this.isScanning = false;
+    }
+
+    get isConfigured() {
+        return !!this.directory;
+    }
+
+    /**
+     * Start polling the drop directory
+     */
+    start() {
+        if (!this.isConfigured) {
+            logger.info('HL7_DROP_DIR not set - HL7 file-drop watcher disabled');
+            return;
+        }
+
+        // A bad HL7_DROP_DIR disables the watcher, not the services started after it
+        try {
+            for (const folder of ['processed', 'failed']) {
+                fs.mkdirSync(path.join(this.directory, folder), { recursive: true });
+            }
+        } catch (error) {
+            logger.error(`HL7 file-drop watcher disabled - cannot use ${this.directory}: ${error.message}`);
+            return;
+        }
+
+        this.pollTimer = setInterval(() => this.scan(), this.pollIntervalMs);
+        logger.info(`HL7 file-drop watcher started on ${this.directory} (every ${this.pollIntervalMs}ms)`);
+
+        this.scan();
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    /**
+     * Ingest every complete HL7 file currently in the drop directory
+     */
+    async scan() {
+        if (this.isScanning) return;
+        this.isScanning = true;
+
+        try {
+            const entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+
+            for (const entry of entries) {
+                if (!entry.isFile() || !HL7_FILE_PATTERN.test(entry.name)) continue;
+
+                const filePath = path.join(this.directory, entry.name);
+                const stats = await fs.promises.stat(filePath);
+                if (Date.now() - stats.mtimeMs < MIN_FILE_AGE_MS) continue;
+
+                await this.processFile(filePath);
+            }
+        } catch (error) {
+            logger.error('HL7 drop directory scan failed:', error);
+        } finally {
+            this.isScanning = false;
+        }
+    }
+
+    /**
+     * Ingest one file and move it out of the drop directory
+     */
+    async processFile(filePath) {
+        const fileName = path.basename(filePath);
+
+        try {
+            const text = await fs.promises.readFile(filePath, 'utf8');
+            const summary = await ingestOruText(text, { portal: this.defaultPortal, source: fileName });
+
+            // Rejected messages or unsaved results need someone to look at the file
+            const complete = summary.rejected.length === 0 && summary.failed === 0;
+            await this.moveFile(filePath, complete ? 'processed' : 'failed');
+
+            if (!complete) {
+                logger.warn(`HL7 file ${fileName} partially imported`, { rejected: summary.rejected, failed: summary.failed });
+            }
+        } catch (error) {
+            logger.error(`Failed to import HL7 file ${fileName}:`, error);
+            await this.moveFile(filePath, 'failed');
+        }
+    }
+
+    async moveFile(filePath, folder) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const destination = path.join(this.directory, folder, `${stamp}_${path.basename(filePath)}`);
+
+        try {
+            await fs.promises.rename(filePath, destination);
+        } catch (error) {
+            logger.error(`Failed to move ${filePath} to ${folder}/:`, error);
+        }
+    }
+}
+
+// Create singleton instance
+let watcherInstance = null;
+
+function getHl7DropWatcher() {
+    if (!watcherInstance) {
+        watcherInstance = new Hl7DropWatcher();
+    }
+    return watcherInstance;
+}
+
+module.exports = {
+    Hl7DropWatcher,
+    getHl7DropWatcher
+};
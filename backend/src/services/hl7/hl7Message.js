@@ -0,0 +1,211 @@
+// HL7 v2 Message Utilities
+// Splits ER7 ("pipe-delimited") text into messages and segments, and reads
+// fields/components with the message's own delimiters and escape sequences.
+
+const DEFAULT_DELIMITERS = {
+    field: '|',
+    component: '^',
+    repetition: '~',
+    escape: '\\',
+    subcomponent: '&'
+};
+
+/**
+ * Read the delimiters declared in MSH-1 / MSH-2
+ */
+function readDelimiters(mshLine) {
+    const encoding = mshLine.slice(4, 8);
+
+    return {
+        field: mshLine[3] || DEFAULT_DELIMITERS.field,
+        component: encoding[0] || DEFAULT_DELIMITERS.component,
+        repetition: encoding[1] || DEFAULT_DELIMITERS.repetition,
+        escape: encoding[2] || DEFAULT_DELIMITERS.escape,
+        subcomponent: encoding[3] || DEFAULT_DELIMITERS.subcomponent
+    };
+}
+
+/**
+ * Resolve escape sequences (\F\, \S\, \T\, \R\, \E\, \.br\) in a component value
+ */
+function unescapeValue(value, delimiters) {
+    if (!value || !value.includes(delimiters.escape)) return value;
+
+    const esc = delimiters.escape.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`${esc}(F|S|T|R|E|\\.br|X[0-9A-Fa-f]+)${esc}`, 'g');
+
+    return value.replace(pattern, (match, code) => {
+        switch (code) {
+            case 'F': return delimiters.field;
+            case 'S': return delimiters.component;
+            case 'T': return delimiters.subcomponent;
+            case 'R': return delimiters.repetition;
+            case 'E': return delimiters.escape;
+            case '.br': return '\n';
+            default: return Buffer.from(code.slice(1), 'hex').toString('latin1');
+        }
+    });
+}
+
+/**
+ * Escape delimiter characters so a value can be written into a field
+ */
+function escapeValue(value, delimiters = DEFAULT_DELIMITERS) {
+    if (value === null || value === undefined) return '';
+
+    const escapes = {
+        [delimiters.escape]: 'E',
+        [delimiters.field]: 'F',
+        [delimiters.component]: 'S',
+        [delimiters.subcomponent]: 'T',
+        [delimiters.repetition]: 'R'
+    };
+
+    return Array.from(String(value).replace(/\r?\n/g, '\u0000'))
+        .map(char => {
+            if (char === '\u0000') return `${delimiters.escape}.br${delimiters.escape}`;
+            return escapes[char] ? `${delimiters.escape}${escapes[char]}${delimiters.escape}` : char;
+        })
+        .join('');
+}
+
+function trimTrailingEmpty(values) {
+    const trimmed = [...values];
+    while (trimmed.length > 0 && trimmed[trimmed.length - 1] === '') trimmed.pop();
+    return trimmed;
+}
+
+/**
+ * Build a segment line from its fields
+ * Each field is a value or an array of components; values are escaped here and
+ * trailing empty fields/components are dropped. MSH is written by the caller since
+ * MSH-1/MSH-2 are the delimiters themselves.
+ */
+function buildSegment(name, fields, delimiters = DEFAULT_DELIMITERS) {
+    const encoded = fields.map(field => Array.isArray(field)
+        ? trimTrailingEmpty(field.map(component => escapeValue(component, delimiters))).join(delimiters.component)
+        : escapeValue(field, delimiters));
+
+    return [name, ...trimTrailingEmpty(encoded)].join(delimiters.field);
+}
+
+class Segment {
+    constructor(line, delimiters) {
+        this.delimiters = delimiters;
+        this.fields = line.split(delimiters.field);
+        this.name = this.fields[0];
+
+        // MSH-1 is the field separator itself, so shift to keep fields[n] === MSH-n
+        if (this.name === 'MSH') {
+            this.fields.splice(1, 0, delimiters.field);
+        }
+    }
+
+    /**
+     * Raw field text (all repetitions), '' when absent
+     */
+    raw(fieldIndex) {
+        return this.fields[fieldIndex] || '';
+    }
+
+    /**
+     * Component of the first repetition of a field (1-based, like the HL7 spec)
+     */
+    get(fieldIndex, componentIndex = 1) {
+        const repetition = this.raw(fieldIndex).split(this.delimiters.repetition)[0];
+        const component = repetition.split(this.delimiters.component)[componentIndex - 1] || '';
+        return unescapeValue(component.split(this.delimiters.subcomponent)[0], this.delimiters);
+    }
+
+    /**
+     * All repetitions of a field, each as an array of unescaped components
+     */
+    repetitions(fieldIndex) {
+        const value = this.raw(fieldIndex);
+        if (!value) return [];
+
+        return value.split(this.delimiters.repetition).map(repetition =>
+            repetition.split(this.delimiters.component).map(component =>
+                unescapeValue(component.split(this.delimiters.subcomponent)[0], this.delimiters)
+            )
+        );
+    }
+}
+
+/**
+ * Split text into HL7 messages
+ * Accepts \r, \n or \r\n segment terminators, MLLP framing characters and batch
+ * envelopes (FHS/BHS/BTS/FTS are skipped). Each message starts at an MSH segment.
+ *
+ * @returns {Array<{ delimiters: Object, segments: Segment[] }>}
+ */
+function parseMessages(text) {
+    const lines = (text || '')
+        .replace(/[\x0b\x1c]/g, '')
+        .split(/\r\n|\r|\n/)
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    const messages = [];
+    let current = null;
+
+    for (const line of lines) {
+        const name = line.slice(0, 3);
+
+        if (name === 'MSH') {
+            const delimiters = readDelimiters(line);
+            current = { delimiters, segments: [new Segment(line, delimiters)] };
+            messages.push(current);
+        } else if (['FHS', 'BHS', 'BTS', 'FTS'].includes(name)) {
+            continue;
+        } else if (current) {
+            current.segments.push(new Segment(line, current.delimiters));
+        }
+    }
+
+    return messages;
+}
+
+/**
+ * HL7 TS (YYYYMMDD[HHMM[SS]][+ZZZZ]) -> 'YYYY-MM-DD' or ISO timestamp
+ */
+function parseHl7Date(value, { dateOnly = false } = {}) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?([+-]\d{4})?/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, zone] = match;
+    const date = `${year}-${month}-${day}`;
+    if (dateOnly || !hour) return date;
+
+    const offset = zone ? `${zone.slice(0, 3)}:${zone.slice(3)}` : '';
+    return `${date}T${hour}:${minute}:${second || '00'}${offset}`;
+}
+
+/**
+ * Date (or 'YYYY-MM-DD') -> HL7 TS: YYYYMMDDHHMMSS, or YYYYMMDD with dateOnly
+ */
+function formatHl7Date(value, { dateOnly = false } = {}) {
+    if (!value) return '';
+
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return value.replace(/-/g, '');
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return '';
+
+    const pad = n => String(n).padStart(2, '0');
+    const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    return dateOnly ? day : `${day}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+module.exports = {
+    DEFAULT_DELIMITERS,
+    Segment,
+    parseMessages,
+    unescapeValue,
+    escapeValue,
+    buildSegment,
+    parseHl7Date,
+    formatHl7Date
+};
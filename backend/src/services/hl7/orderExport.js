@@ -0,0 +1,64 @@
+// HL7 Order Export
+// Renders an order as ORM^O01, stores the message on the order and, when an outbox
+// folder is configured, drops it there for an interface engine to pick up.
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const { buildOrmMessage } = require('./ormBuilder');
+const { saveOrderHl7, logAutomation } = require('../supabase');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+/**
+ * Generate and store the ORM message for an order
+ * @param {Object} order - portal_orders row
+ * @param {Object} orderData - the same orderData the portal agents receive (OrderQueue.buildOrderData)
+ * @returns {Promise<{ message: string, controlId: string, billMethod: string }>}
+ */
+async function exportOrderHl7(order, orderData) {
+    const accountNumbers = {
+        labcorp: process.env.LABCORP_ACCOUNT_NUMBER,
+        quest: process.env.QUEST_ACCOUNT_NUMBER
+    };
+
+    const orm = buildOrmMessage(orderData, {
+        portal: order.portal,
+        accountNumber: accountNumbers[order.portal],
+        processingId: process.env.HL7_PROCESSING_ID || 'P'
+    });
+
+    await saveOrderHl7(order.id, orm);
+
+    if (process.env.HL7_ORDER_OUTBOX_DIR) {
+        const outbox = process.env.HL7_ORDER_OUTBOX_DIR;
+        await fs.promises.mkdir(outbox, { recursive: true });
+        await fs.promises.writeFile(path.join(outbox, `${order.id}.hl7`), orm.message);
+    }
+
+    await logAutomation({
+        portalOrderId: order.id,
+        action: 'hl7_orm_generated',
+        status: order.status,
+        details: { controlId: orm.controlId, billMethod: orm.billMethod, outbox: !!process.env.HL7_ORDER_OUTBOX_DIR }
+    });
+
+    logger.info(`Generated ORM^O01 ${orm.controlId} for order ${order.id} (${orm.billMethod})`);
+    return orm;
+}
+
+module.exports = {
+    exportOrderHl7
+};
@@ -0,0 +1,200 @@
+// HL7 v2 ORM^O01 Builder
+// Turns the orderData the portal agents receive into an electronic order message:
+// a feed-ready alternative to driving the portal UI, and a record of exactly what
+// was ordered. Pure function of its input - no database or network access.
+
+const crypto = require('crypto');
+const { DEFAULT_DELIMITERS, buildSegment, formatHl7Date } = require('./hl7Message');
+const insuranceHelper = require('../portalAgents/insuranceHelper');
+const { testDiagnosisCodes } = require('../diagnosisPointers');
+
+const HL7_VERSION = '2.3';
+const SEGMENT_TERMINATOR = '\r';
+
+const RECEIVING_FACILITIES = {
+    labcorp: 'LABCORP',
+    quest: 'QUEST'
+};
+
+// Bill method -> bill type carried in IN1-47 (Client bill, Third party, Patient)
+const BILL_TYPES = {
+    Client: 'C',
+    Medicare: 'T',
+    Medicaid: 'T',
+    'Private Insurance': 'T',
+    Patient: 'P'
+};
+
+/**
+ * { fieldNumber: value } -> positional field array for buildSegment
+ */
+function fields(byNumber) {
+    const list = [];
+    for (const [number, value] of Object.entries(byNumber)) {
+        list[Number(number) - 1] = value;
+    }
+    return Array.from(list, value => value ?? '');
+}
+
+function toSex(gender) {
+    const value = (gender || '').toString().trim().toUpperCase();
+    if (value.startsWith('M')) return 'M';
+    if (value.startsWith('F')) return 'F';
+    return 'U';
+}
+
+function diagnosisCode(diagnosis) {
+    return typeof diagnosis === 'string' ? diagnosis : diagnosis?.code;
+}
+
+function diagnosisDescription(diagnosis) {
+    return typeof diagnosis === 'string' ? '' : diagnosis?.description || diagnosis?.name || '';
+}
+
+/**
+ * An AOE answer as an OBX value type and value
+ */
+function aoeValue(answer) {
+    switch (answer.type) {
+        case 'number': return ['NM', String(answer.answer)];
+        case 'date': return ['DT', formatHl7Date(answer.answer, { dateOnly: true })];
+        case 'datetime': return ['TS', formatHl7Date(answer.answer)];
+        case 'yesno': return ['ST', answer.answer === 'yes' ? 'Y' : 'N'];
+        default: return ['ST', String(answer.answer)];
+    }
+}
+
+/**
+ * Split "Dr. Jane Q Smith, MD" into HL7 XCN name components
+ */
+function providerName(name) {
+    const cleaned = (name || '').replace(/^dr\.?\s+/i, '').replace(/,.*$/, '').trim();
+    const parts = cleaned.split(/\s+/).filter(Boolean);
+    return {
+        lastName: parts.length > 1 ? parts[parts.length - 1] : parts[0] || '',
+        firstName: parts.length > 1 ? parts[0] : ''
+    };
+}
+
+/**
+ * Build an ORM^O01 new-order message
+ *
+ * @param {Object} orderData - { id, patient, tests, diagnosisCodes, providerName, providerNpi, specialInstructions, portal };
+ *   tests may carry aoeAnswers and diagnosisPointers (the codes of diagnosisCodes they point at; all when missing)
+ * @param {Object} options
+ * @param {string} options.portal - Receiving lab, defaults to orderData.portal or 'labcorp'
+ * @param {string} options.controlId - MSH-10, defaults to a random id
+ * @param {Date} options.now - Message timestamp (fixed in tests)
+ * @param {string} options.processingId - MSH-11: 'P' production, 'T' test
+ * @param {string} options.accountNumber - Lab client account number
+ * @returns {{ message: string, controlId: string, billMethod: string }}
+ */
+function buildOrmMessage(orderData, options = {}) {
+    const patient = orderData.patient || {};
+    const tests = orderData.tests || [];
+
+    if (!orderData.id) throw new Error('orderData.id is required as the placer order number');
+    if (!patient.lastName || !patient.dateOfBirth) throw new Error('Patient last name and date of birth are required');
+    if (tests.length === 0) throw new Error('At least one test is required');
+
+    const portal = options.portal || orderData.portal || 'labcorp';
+    const controlId = options.controlId || crypto.randomBytes(10).toString('hex').toUpperCase();
+    const now = options.now || new Date();
+    const timestamp = formatHl7Date(now);
+    const d = DEFAULT_DELIMITERS;
+
+    const billMethod = insuranceHelper.getBillMethod(patient);
+    const payorCode = insuranceHelper.getPayorCode(patient.insuranceProvider, patient.medicaidId);
+    const provider = providerName(orderData.providerName);
+    const orderingProvider = [orderData.providerNpi || '', provider.lastName, provider.firstName, '', '', '', '', '', 'NPI'];
+    const address = patient.address || {};
+    const patientId = patient.intakeqId || patient.id;
+
+    const segments = [
+        // MSH-1/MSH-2 are the delimiters themselves, so MSH is assembled by hand
+        ['MSH', `${d.component}${d.repetition}${d.escape}${d.subcomponent}`, 'MOONLIT', 'MOONLIT',
+            RECEIVING_FACILITIES[portal] || portal.toUpperCase(), RECEIVING_FACILITIES[portal] || portal.toUpperCase(),
+            timestamp, '', `ORM${d.component}O01`, controlId, options.processingId || 'P', HL7_VERSION].join(d.field),
+
+        buildSegment('PID', fields({
+            1: '1',
+            3: patientId ? [patientId, '', '', 'MOONLIT', 'MR'] : '',
+            5: [patient.lastName, patient.firstName || '', patient.middleName || ''],
+            7: formatHl7Date(patient.dateOfBirth, { dateOnly: true }),
+            8: toSex(patient.gender),
+            11: [address.street || '', '', address.city || '', address.state || '', address.zip || ''],
+            13: (patient.phone || '').replace(/\D/g, ''),
+            18: options.accountNumber || ''
+        })),
+
+        buildSegment('PV1', fields({ 1: '1', 2: 'O' })),
+
+        // Bill type is always sent; payer details only when a third party is billed
+        buildSegment('IN1', fields(billMethod === 'Client' ? { 1: '1', 47: BILL_TYPES.Client } : {
+            1: '1',
+            2: payorCode || '',
+            3: payorCode || '',
+            4: patient.insuranceProvider || billMethod,
+            16: [patient.lastName, patient.firstName || ''],
+            17: '01', // Insured is the patient (self)
+            36: patient.medicaidId || patient.medicareId || patient.insuranceId || '',
+            47: BILL_TYPES[billMethod] || BILL_TYPES.Client
+        }))
+    ];
+
+    const diagnoses = orderData.diagnosisCodes || [];
+
+    tests.forEach((test, index) => {
+        segments.push(buildSegment('ORC', fields({
+            1: 'NW',
+            2: orderData.id,
+            9: timestamp,
+            12: orderingProvider
+        })));
+
+        segments.push(buildSegment('OBR', fields({
+            1: String(index + 1),
+            2: orderData.id,
+            4: [test.code, test.name || '', 'L'],
+            16: orderingProvider
+        })));
+
+        if (index === 0 && orderData.specialInstructions) {
+            segments.push(buildSegment('NTE', fields({ 1: '1', 2: 'P', 3: orderData.specialInstructions })));
+        }
+
+        // Ask-at-order-entry answers follow their test's OBR
+        (test.aoeAnswers || []).forEach((answer, aoeIndex) => {
+            const [valueType, value] = aoeValue(answer);
+            segments.push(buildSegment('OBX', fields({
+                1: String(aoeIndex + 1),
+                2: valueType,
+                3: [answer.id, answer.prompt, 'L'],
+                5: value,
+                11: 'F'
+            })));
+        });
+
+        // Each test carries only the diagnoses it points at
+        const pointed = testDiagnosisCodes(test, diagnoses.map(diagnosisCode));
+        diagnoses.filter(diagnosis => pointed.includes(diagnosisCode(diagnosis))).forEach((diagnosis, dxIndex) => {
+            segments.push(buildSegment('DG1', fields({
+                1: String(dxIndex + 1),
+                2: 'I10',
+                3: [diagnosisCode(diagnosis), diagnosisDescription(diagnosis), 'I10'],
+                4: diagnosisDescription(diagnosis)
+            })));
+        });
+    });
+
+    return {
+        message: segments.join(SEGMENT_TERMINATOR) + SEGMENT_TERMINATOR,
+        controlId,
+        billMethod
+    };
+}
+
+module.exports = {
+    buildOrmMessage,
+    BILL_TYPES
+};
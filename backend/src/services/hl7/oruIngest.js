@@ -0,0 +1,98 @@
+// HL7 ORU Ingestion
+// Shared by POST /api/results/import and the file-drop watcher: parses ORU^R01 text
+// and stores every observation through ResultsScraper.saveResults.
+
+const winston = require('winston');
+const { parseOru, toResultRecords } = require('./oruParser');
+const { getResultsScraper } = require('../resultsScraper');
+const { createNotification } = require('../supabase');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+/**
+ * Ingest one or more ORU messages
+ *
+ * @param {string} text - HL7 v2 ER7 text (single message, several, or a batch file)
+ * @param {Object} options
+ * @param {string} options.portal - Portal to file results under when MSH-3/MSH-4 don't identify the lab
+ * @param {string} options.source - Where the messages came from, for logs and notifications
+ * @returns {Promise<Object>} { messages, accepted, rejected, created, updated, unchanged, queued, failed }
+ */
+async function ingestOruText(text, options = {}) {
+    const { portal: defaultPortal, source = 'hl7' } = options;
+    const messages = parseOru(text);
+
+    const summary = {
+        messages: messages.length,
+        accepted: 0,
+        rejected: [],
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        queued: 0,
+        failed: 0
+    };
+
+    if (messages.length === 0) {
+        throw new Error('No ORU^R01 messages found');
+    }
+
+    const scraper = getResultsScraper();
+
+    for (const message of messages) {
+        const portal = message.portal || defaultPortal;
+
+        if (!portal) {
+            summary.rejected.push({
+                controlId: message.controlId,
+                error: `Unknown sending facility "${message.sendingFacility}" - specify a portal`
+            });
+            continue;
+        }
+
+        const records = toResultRecords(message);
+        if (records.length === 0) {
+            summary.rejected.push({ controlId: message.controlId, error: 'Message has no OBX results' });
+            continue;
+        }
+
+        const tally = await scraper.saveResults(portal, records);
+        for (const [outcome, count] of Object.entries(tally)) {
+            summary[outcome] += count;
+        }
+        summary.accepted++;
+    }
+
+    logger.info(`HL7 import from ${source}: ${summary.accepted}/${summary.messages} messages, ${summary.created} new, ${summary.updated} updated, ${summary.queued} need matching`);
+
+    const changed = summary.created + summary.updated;
+    if (changed > 0) {
+        try {
+            await createNotification({
+                type: 'info',
+                title: `${changed} New Lab Results Available`,
+                message: `Received ${summary.created} new and ${summary.updated} updated results via HL7 (${source})`
+            });
+        } catch (error) {
+            logger.warn('Failed to create HL7 results notification:', error.message);
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    ingestOruText
+};
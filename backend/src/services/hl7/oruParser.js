@@ -0,0 +1,256 @@
+// HL7 v2 ORU^R01 Parser
+// Turns lab result messages into the result records ResultsScraper.saveResult stores,
+// so HL7 feeds get the same matching, de-duplication and versioning as scraped results.
+
+const { parseMessages, parseHl7Date } = require('./hl7Message');
+
+// OBR-25 / OBX-11 result status codes
+const RESULT_STATUS_LABELS = {
+    F: 'Final',
+    C: 'Corrected',
+    A: 'Amended',
+    P: 'Preliminary',
+    I: 'Pending',
+    R: 'Results stored',
+    S: 'Partial',
+    X: 'Cancelled',
+    D: 'Deleted'
+};
+
+// OBX-8 abnormal flags that mean a critical (panic) value
+const CRITICAL_FLAGS = ['HH', 'LL', 'AA', 'C', 'CRIT', 'PANIC'];
+
+/**
+ * OBX-8 abnormal flag -> portal_results.result_status
+ */
+function abnormalFlagToStatus(flags) {
+    const normalized = (flags || []).map(flag => flag.trim().toUpperCase()).filter(flag => flag && flag !== 'N');
+    if (normalized.length === 0) return 'normal';
+    if (normalized.some(flag => CRITICAL_FLAGS.includes(flag))) return 'critical';
+    return 'abnormal';
+}
+
+/**
+ * Labs send names upper-case: "GARCIA-LOPEZ" -> "Garcia-Lopez"
+ */
+function titleCase(value) {
+    return (value || '').toLowerCase().replace(/(^|[\s'-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Map the sending facility to one of our portals
+ */
+function detectPortal(msh) {
+    const sender = `${msh.get(3)} ${msh.get(4)} ${msh.get(4, 2)}`.toLowerCase();
+    if (/labcorp|lab corp|\blca\b/.test(sender)) return 'labcorp';
+    if (/quest|\bdls\b/.test(sender)) return 'quest';
+    return null;
+}
+
+function readPatient(pid) {
+    const identifiers = pid.repetitions(3).map(([id, , , authority, type]) => ({ id, authority, type }));
+    const medicaid = identifiers.find(identifier => /medicaid|^MA$|^MC$/i.test(identifier.type || identifier.authority || ''));
+
+    return {
+        lastName: pid.get(5, 1),
+        firstName: pid.get(5, 2),
+        middleName: pid.get(5, 3),
+        dateOfBirth: parseHl7Date(pid.get(7), { dateOnly: true }),
+        sex: pid.get(8),
+        identifiers,
+        medicaidId: medicaid?.id || null,
+        accountNumber: pid.get(18)
+    };
+}
+
+function readObservation(obx) {
+    const valueType = obx.get(2);
+    const values = obx.repetitions(5);
+
+    // Coded (CE/CWE) values carry the display text in the second component
+    const value = ['CE', 'CWE'].includes(valueType)
+        ? values.map(components => components[1] || components[0]).join(', ')
+        : values.map(components => components.filter(Boolean).join(' ')).join(', ');
+
+    const flags = obx.repetitions(8).map(components => components[0]);
+
+    return {
+        setId: obx.get(1),
+        valueType,
+        code: obx.get(3, 1),
+        name: obx.get(3, 2) || obx.get(3, 1),
+        codingSystem: obx.get(3, 3),
+        subId: obx.get(4),
+        value,
+        units: obx.get(6, 1),
+        referenceRange: obx.get(7),
+        abnormalFlags: flags,
+        status: obx.get(11),
+        observedAt: parseHl7Date(obx.get(14)),
+        performingLab: obx.get(15, 2) || obx.get(15, 1) || null,
+        notes: []
+    };
+}
+
+/**
+ * Parse ORU^R01 text into structured reports
+ * A message may hold several orders (OBR), each with its observations (OBX) and
+ * notes (NTE attach to the OBX or OBR they follow). Non-ORU messages are skipped.
+ *
+ * @returns {Array<Object>} one entry per message: { controlId, portal, patient, reports }
+ */
+function parseOru(text) {
+    const parsed = [];
+
+    for (const message of parseMessages(text)) {
+        const msh = message.segments[0];
+        const messageType = `${msh.get(9, 1)}^${msh.get(9, 2)}`;
+
+        if (msh.get(9, 1) !== 'ORU') {
+            continue;
+        }
+
+        const entry = {
+            controlId: msh.get(10),
+            messageType,
+            sendingApplication: msh.get(3),
+            sendingFacility: msh.get(4),
+            sentAt: parseHl7Date(msh.get(7)),
+            portal: detectPortal(msh),
+            patient: null,
+            reports: []
+        };
+
+        let order = null;
+        let report = null;
+        let lastObservation = null;
+
+        for (const segment of message.segments.slice(1)) {
+            switch (segment.name) {
+                case 'PID':
+                    entry.patient = readPatient(segment);
+                    break;
+
+                case 'ORC':
+                    order = {
+                        placerOrderNumber: segment.get(2),
+                        fillerOrderNumber: segment.get(3)
+                    };
+                    break;
+
+                case 'OBR':
+                    report = {
+                        placerOrderNumber: segment.get(2) || order?.placerOrderNumber || null,
+                        fillerOrderNumber: segment.get(3) || order?.fillerOrderNumber || null,
+                        testCode: segment.get(4, 1),
+                        testName: segment.get(4, 2) || segment.get(4, 1),
+                        collectedAt: parseHl7Date(segment.get(7)),
+                        reportedAt: parseHl7Date(segment.get(22)),
+                        status: segment.get(25),
+                        orderingProvider: {
+                            npi: segment.get(16, 1),
+                            lastName: segment.get(16, 2),
+                            firstName: segment.get(16, 3)
+                        },
+                        notes: [],
+                        observations: []
+                    };
+                    entry.reports.push(report);
+                    lastObservation = null;
+                    break;
+
+                case 'OBX': {
+                    if (!report) break;
+                    const observation = readObservation(segment);
+
+                    // Free-text rows without an observation code are report comments
+                    if (observation.valueType === 'FT' && !observation.code) {
+                        report.notes.push(observation.value);
+                        break;
+                    }
+
+                    lastObservation = observation;
+                    report.observations.push(observation);
+                    break;
+                }
+
+                case 'NTE': {
+                    const note = segment.repetitions(3).map(components => components.join(' ')).join('\n');
+                    if (lastObservation) lastObservation.notes.push(note);
+                    else if (report) report.notes.push(note);
+                    break;
+                }
+
+                default:
+                    break;
+            }
+        }
+
+        parsed.push(entry);
+    }
+
+    return parsed;
+}
+
+/**
+ * Flatten a parsed ORU message into saveResult records (one per OBX)
+ * Placer/filler order numbers are carried through so the matcher can link the result
+ * to the portal order it answers.
+ */
+function toResultRecords(message) {
+    const patient = message.patient || {};
+    const firstName = titleCase(patient.firstName);
+    const lastName = titleCase(patient.lastName);
+    const records = [];
+
+    for (const report of message.reports) {
+        for (const observation of report.observations) {
+            const statusCode = observation.status || report.status;
+
+            records.push({
+                orderId: report.fillerOrderNumber || report.placerOrderNumber,
+                accessionNumber: report.fillerOrderNumber,
+                placerOrderNumber: report.placerOrderNumber,
+                fillerOrderNumber: report.fillerOrderNumber,
+                patientName: [firstName, lastName].filter(Boolean).join(' '),
+                patientFirstName: firstName,
+                patientLastName: lastName,
+                patientDob: patient.dateOfBirth,
+                medicaidId: patient.medicaidId,
+                testName: observation.name,
+                testCode: observation.code,
+                resultValue: observation.value,
+                resultUnit: observation.units,
+                referenceRange: observation.referenceRange,
+                resultStatus: abnormalFlagToStatus(observation.abnormalFlags),
+                resultDate: (report.collectedAt || observation.observedAt || report.reportedAt || '').slice(0, 10) || null,
+                reportStatus: RESULT_STATUS_LABELS[statusCode] || statusCode || null,
+                rawData: {
+                    source: 'hl7',
+                    messageControlId: message.controlId,
+                    panelCode: report.testCode,
+                    panelName: report.testName,
+                    valueType: observation.valueType,
+                    subId: observation.subId,
+                    abnormalFlags: observation.abnormalFlags,
+                    observationStatus: observation.status,
+                    observedAt: observation.observedAt,
+                    reportedAt: report.reportedAt,
+                    performingLab: observation.performingLab,
+                    notes: observation.notes,
+                    reportNotes: report.notes,
+                    orderingProvider: report.orderingProvider
+                }
+            });
+        }
+    }
+
+    return records;
+}
+
+module.exports = {
+    parseOru,
+    toResultRecords,
+    abnormalFlagToStatus,
+    RESULT_STATUS_LABELS
+};
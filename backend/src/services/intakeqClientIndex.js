@@ -0,0 +1,365 @@
+// IntakeQ Client Index
+// Patient search runs against a local copy of the IntakeQ client list (intakeq_clients)
+// instead of downloading every client from IntakeQ per search. The copy is kept current by
+// incremental syncs - clients IntakeQ reports as updated since the last sync - on a timer
+// and on demand; a full sync also drops clients that are gone from IntakeQ. Until the index
+// has been filled, search falls through to IntakeQ directly.
+
+const winston = require('winston');
+const intakeqService = require('./intakeqService');
+const {
+    upsertIntakeqClients,
+    searchIntakeqClients,
+    deleteIntakeqClientsSyncedBefore,
+    getIntakeqClientCount,
+    createIntakeqSyncRun,
+    updateIntakeqSyncRun,
+    getIntakeqSyncRuns
+} = require('./supabase');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+/**
+ * Split a search into name terms, a date of birth and phone digits
+ * "smith 3/14/1985", "801-555-1234" and "Jane Smith" all work
+ * @returns {{ nameTerms: string[], dateOfBirth: string|null, phoneDigits: string|null }}
+ */
+function parseQuery(query = {}) {
+    const nameTerms = [];
+    let dateOfBirth = normalizeDate(query.dateOfBirth);
+    let phoneDigits = (query.phone || '').replace(/\D/g, '').slice(-10) || null;
+
+    const text = [query.name, query.firstName, query.lastName].filter(Boolean);
+    // The search box sends the same text as first and last name
+    const unique = [...new Set(text.map(value => value.trim()))];
+
+    for (const token of unique.join(' ').split(/\s+/).filter(Boolean)) {
+        const date = normalizeDate(token);
+        if (date) {
+            dateOfBirth = dateOfBirth || date;
+        } else if (/^[\d().+-]+$/.test(token) && token.replace(/\D/g, '').length >= 4) {
+            phoneDigits = phoneDigits || token.replace(/\D/g, '').slice(-10);
+        } else {
+            const term = token.toLowerCase().replace(/[^a-z0-9'-]/g, '');
+            if (term) nameTerms.push(term);
+        }
+    }
+
+    return { nameTerms, dateOfBirth, phoneDigits };
+}
+
+/**
+ * YYYY-MM-DD from YYYY-MM-DD or M/D/YYYY, null for anything else
+ */
+function normalizeDate(value) {
+    const text = (value || '').trim();
+
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) return text;
+
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+
+    return null;
+}
+
+/**
+ * How well one search term matches a name: exact, prefix, contained, or a typo away
+ */
+function nameScore(term, value) {
+    const name = (value || '').toLowerCase();
+    if (!name) return 0;
+
+    // Hyphenated and multi-part surnames match on any part
+    const parts = [name, ...name.split(/[\s-]+/)];
+
+    if (parts.includes(term)) return 30;
+    if (parts.some(part => part.startsWith(term))) return 20;
+    if (name.includes(term)) return 10;
+
+    const distance = Math.min(...parts.map(part => intakeqService.levenshteinDistance(term, part)));
+    if (term.length >= 4 && distance <= 1) return 8;
+    if (term.length >= 5 && distance <= 2) return 5;
+
+    return 0;
+}
+
+/**
+ * Score a candidate row; null when it doesn't match every part of the search
+ */
+function scoreClient(row, criteria) {
+    let score = 0;
+
+    for (const term of criteria.nameTerms) {
+        const best = Math.max(nameScore(term, row.first_name), nameScore(term, row.last_name));
+        if (best === 0) return null;
+        score += best;
+    }
+
+    if (criteria.dateOfBirth) {
+        if (row.date_of_birth !== criteria.dateOfBirth) return null;
+        score += 50;
+    }
+
+    if (criteria.phoneDigits) {
+        if (!(row.phone_digits || '').includes(criteria.phoneDigits)) return null;
+        score += row.phone_digits === criteria.phoneDigits ? 40 : 20;
+    }
+
+    return score;
+}
+
+/**
+ * Index row for a raw IntakeQ client
+ */
+function toIndexRow(client) {
+    const patient = intakeqService.transformPatientData(client);
+    const updated = client.LastUpdateDate || client.DateUpdated;
+
+    return {
+        intakeqId: patient.intakeqId,
+        firstName: patient.firstName,
+        lastName: patient.lastName,
+        fullName: patient.fullName,
+        dateOfBirth: patient.dateOfBirth || null,
+        email: patient.email,
+        phone: patient.phone,
+        phoneDigits: patient.phone.replace(/\D/g, '').slice(-10),
+        patient,
+        intakeqUpdatedAt: updated ? new Date(updated).toISOString() : null
+    };
+}
+
+class IntakeQClientIndex {
+    constructor() {
+        // Minutes between scheduled incremental syncs; 0 syncs on demand only
+        this.syncIntervalMinutes = process.env.INTAKEQ_SYNC_INTERVAL_MINUTES !== undefined
+            ? parseInt(process.env.INTAKEQ_SYNC_INTERVAL_MINUTES) || 0
+            : 15;
+        this.syncTimer = null;
+        this.currentRun = null;
+    }
+
+    /**
+     * Start scheduled syncs, with one right away (a full sync if the index was never filled)
+     */
+    start() {
+        if (!intakeqService.apiKey) {
+            logger.warn('INTAKEQ_API_KEY not configured - IntakeQ client index will not sync');
+            return;
+        }
+
+        if (this.syncIntervalMinutes > 0) {
+            this.syncTimer = setInterval(() => this.sync(), this.syncIntervalMinutes * 60000);
+            logger.info(`IntakeQ client sync scheduled every ${this.syncIntervalMinutes} minutes`);
+        }
+
+        this.sync();
+    }
+
+    /**
+     * Stop scheduled syncs
+     */
+    stop() {
+        clearInterval(this.syncTimer);
+        this.syncTimer = null;
+    }
+
+    /**
+     * Start a sync unless one is already running
+     * Incremental from the last completed sync, or full when asked or when there is none.
+     * @param {Object} options
+     * @param {boolean} options.full - Re-read every client and drop the ones IntakeQ no longer has
+     * @param {Object} options.user - Staff member who asked for it (scheduled syncs have none)
+     * @returns {Promise<Object|null>} - The intakeq_sync_runs row once the sync finishes, or
+     *   null when another sync is running
+     */
+    async sync(options = {}) {
+        if (this.currentRun) return null;
+
+        this.currentRun = this.runSync(options);
+        try {
+            return await this.currentRun;
+        } catch (error) {
+            // Scheduled syncs have no caller to report to; the run row records the failure
+            if (options.user) throw error;
+            return null;
+        } finally {
+            this.currentRun = null;
+        }
+    }
+
+    async runSync(options) {
+        const [lastSync] = await getIntakeqSyncRuns({ status: 'completed', limit: 1 });
+        const full = !!options.full || !lastSync;
+        // upsertIntakeqClients stamps synced_at with this server's clock, so the cutoff for
+        // removing clients IntakeQ no longer has must come from the same clock
+        const syncStartedAt = new Date().toISOString();
+
+        const run = await createIntakeqSyncRun({
+            mode: full ? 'full' : 'incremental',
+            updatedSince: full ? null : lastSync.started_at,
+            triggeredBy: options.user?.id
+        });
+
+        try {
+            let synced = 0;
+
+            await intakeqService.getClientPages({
+                updatedSince: run.updated_since,
+                onPage: async clients => {
+                    synced += await upsertIntakeqClients(clients.map(toIndexRow));
+                    await updateIntakeqSyncRun(run.id, { clients_synced: synced });
+                }
+            });
+
+            let removed = 0;
+            if (full) {
+                removed = await deleteIntakeqClientsSyncedBefore(syncStartedAt);
+            }
+
+            logger.info(`IntakeQ ${run.mode} sync: ${synced} client(s) updated${full ? `, ${removed} removed` : ''}`);
+
+            return await updateIntakeqSyncRun(run.id, {
+                status: 'completed',
+                clients_synced: synced,
+                completed_at: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error(`IntakeQ ${run.mode} sync failed:`, error);
+            await updateIntakeqSyncRun(run.id, {
+                status: 'failed',
+                error_message: error.message,
+                completed_at: new Date().toISOString()
+            }).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Search patients, best match first
+     * @param {Object} query
+     * @param {string} query.name - Free text: name parts, a date of birth (M/D/YYYY or
+     *   YYYY-MM-DD) and/or a phone number
+     * @param {string} query.firstName
+     * @param {string} query.lastName
+     * @param {string} query.dateOfBirth
+     * @param {string} query.phone
+     * @param {number} limit
+     * @returns {Promise<{ patients: Array<Object>, source: string, lastSyncedAt: string|null }>} -
+     *   Patients as IntakeQService returns them plus syncedAt; source is 'index', or 'intakeq'
+     *   when the index is empty or unavailable and IntakeQ was searched directly
+     */
+    async search(query, limit = 25) {
+        const criteria = parseQuery(query);
+
+        let lastSyncedAt = null;
+        try {
+            const [lastSync] = await getIntakeqSyncRuns({ status: 'completed', limit: 1 });
+            lastSyncedAt = lastSync?.completed_at || null;
+        } catch (error) {
+            logger.warn(`IntakeQ client index unavailable: ${error.message}`);
+        }
+
+        if (!lastSyncedAt) {
+            return this.searchIntakeQ(query, criteria);
+        }
+
+        const rank = rows => rows
+            .map(row => ({ row, score: scoreClient(row, criteria) }))
+            .filter(candidate => candidate.score !== null)
+            .sort((a, b) => b.score - a.score
+                || (a.row.last_name || '').localeCompare(b.row.last_name || '')
+                || (a.row.first_name || '').localeCompare(b.row.first_name || ''));
+        const findCandidates = nameTerms => searchIntakeqClients({
+            nameTerms,
+            dateOfBirth: criteria.dateOfBirth,
+            phoneDigits: criteria.phoneDigits,
+            limit: 500
+        });
+
+        let ranked = rank(await findCandidates(criteria.nameTerms));
+
+        // Typos past the first three letters still find candidates for the ranking to judge.
+        // Only tried when the terms as typed find nobody: "joh" matches far too many rows for
+        // the exact match to be sure to make the candidate limit.
+        const prefixTerms = criteria.nameTerms.filter(term => term.length >= 5).map(term => term.slice(0, 3));
+        if (ranked.length === 0 && prefixTerms.length > 0) {
+            ranked = rank(await findCandidates([...new Set([...criteria.nameTerms, ...prefixTerms])]));
+        }
+
+        const patients = ranked
+            .slice(0, limit)
+            .map(({ row }) => ({ ...row.patient, syncedAt: row.synced_at }));
+
+        return { patients, source: 'index', lastSyncedAt };
+    }
+
+    /**
+     * Search IntakeQ itself - before the first sync, or when the database is down
+     */
+    async searchIntakeQ(query, criteria) {
+        const [firstTerm, ...otherTerms] = criteria.nameTerms;
+        const fetchedAt = new Date().toISOString();
+
+        // One term matches first or last name; more are first ... last
+        const patients = firstTerm
+            ? await intakeqService.searchPatients(firstTerm, otherTerms.length > 0 ? otherTerms[otherTerms.length - 1] : firstTerm)
+            : [];
+        const matching = patients.filter(patient =>
+            (!criteria.dateOfBirth || patient.dateOfBirth === criteria.dateOfBirth)
+            && (!criteria.phoneDigits || patient.phone.replace(/\D/g, '').includes(criteria.phoneDigits)));
+
+        return {
+            patients: matching.map(patient => ({ ...patient, syncedAt: fetchedAt })),
+            source: 'intakeq',
+            lastSyncedAt: null
+        };
+    }
+
+    /**
+     * Index size, the last few syncs and whether one is running
+     */
+    async getStatus() {
+        const [clientCount, runs] = await Promise.all([
+            getIntakeqClientCount(),
+            getIntakeqSyncRuns({ limit: 5 })
+        ]);
+
+        return {
+            clientCount,
+            syncing: !!this.currentRun,
+            syncIntervalMinutes: this.syncIntervalMinutes,
+            lastSyncedAt: runs.find(run => run.status === 'completed')?.completed_at || null,
+            runs
+        };
+    }
+}
+
+// Create singleton instance
+let indexInstance = null;
+
+function getIntakeQClientIndex() {
+    if (!indexInstance) {
+        indexInstance = new IntakeQClientIndex();
+    }
+    return indexInstance;
+}
+
+module.exports = {
+    IntakeQClientIndex,
+    getIntakeQClientIndex,
+    parseQuery
+};
@@ -0,0 +1,415 @@
+// IntakeQ Result Push
+// Providers chart in IntakeQ, so results saved here are copied into the patient's IntakeQ
+// chart as client files: the lab's PDF and a summary of every analyte on the report. A
+// push is requested when a result is saved (scraped, imported or manually matched) and
+// again when it is reviewed. Requests wait a couple of minutes so the rest of the report's
+// analytes land first, and requests for the same report join the pending push. Failed
+// uploads are retried with backoff; intakeq_result_pushes is the log of what was sent.
+// IntakeQ's API can't write treatment notes, so the summary goes in as a document.
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const intakeqService = require('./intakeqService');
+const {
+    getReportResults,
+    getPatientIntakeqClientId,
+    searchIntakeqClients,
+    createIntakeqResultPush,
+    getIntakeqResultPushes,
+    getPushedIntakeqResultPush,
+    updateIntakeqResultPush
+} = require('./supabase');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+const MAX_ATTEMPTS = 6;
+
+const PORTAL_LABELS = { labcorp: 'Labcorp', quest: 'Quest' };
+
+/**
+ * Key grouping a result with the rest of its report
+ */
+function reportKeyFor(result) {
+    if (result.accession_number) return result.accession_number;
+    if (result.portal_order_id) return `order:${result.portal_order_id}`;
+    return `result:${result.id}`;
+}
+
+/**
+ * What a push of these results would send - an unchanged report gets the same key
+ */
+function buildContentKey(push, results) {
+    const analytes = results
+        .map(result => `${result.id}v${result.version || 1}${push.trigger === 'reviewed' ? `r${result.reviewed_at || ''}` : ''}`)
+        .sort();
+
+    return [push.trigger, push.portal, push.report_key, ...analytes].join('|');
+}
+
+/**
+ * Plain-text summary of a report for the IntakeQ chart
+ * @param {Array<Object>} results - portal_results rows of one report, with patient and reviewer
+ * @returns {string}
+ */
+function buildResultSummary(results) {
+    const [first] = results;
+    const patient = first.patient || {};
+    const reviewed = results.filter(result => result.reviewed_at);
+    const flag = status => ({ critical: 'CRITICAL', abnormal: 'ABNORMAL' })[status] || '';
+
+    const lines = [
+        `LAB RESULTS - ${PORTAL_LABELS[first.portal] || first.portal}`,
+        '',
+        `Patient: ${[patient.first_name, patient.last_name].filter(Boolean).join(' ') || 'Unknown'}${patient.date_of_birth ? ` (DOB ${patient.date_of_birth})` : ''}`,
+        `Result date: ${first.result_date || 'Unknown'}`,
+        first.accession_number ? `Accession: ${first.accession_number}` : null,
+        first.report_status ? `Report status: ${first.report_status}` : null,
+        first.portal_order?.provider_name ? `Ordered by: ${first.portal_order.provider_name}` : null,
+        ''
+    ].filter(line => line !== null);
+
+    for (const result of results) {
+        const value = [result.result_value, result.result_unit].filter(Boolean).join(' ');
+        const details = [
+            result.reference_range ? `ref ${result.reference_range}` : null,
+            flag(result.result_status),
+            result.version > 1 ? `corrected, version ${result.version}` : null
+        ].filter(Boolean);
+
+        lines.push(`${result.test_name}: ${value || 'see report'}${details.length ? ` (${details.join(', ')})` : ''}`);
+    }
+
+    lines.push('');
+    if (reviewed.length === 0) {
+        lines.push('Not yet reviewed by a provider.');
+    } else {
+        const reviewers = [...new Set(reviewed.map(result => result.reviewed_by_provider?.name).filter(Boolean))];
+        const lastReview = reviewed.map(result => result.reviewed_at).sort().pop();
+        lines.push(`Reviewed${reviewers.length ? ` by ${reviewers.join(', ')}` : ''} on ${new Date(lastReview).toLocaleString()}`
+            + (reviewed.length < results.length ? ` (${reviewed.length} of ${results.length} results)` : '') + '.');
+    }
+
+    lines.push(`Sent from the MOONLIT Lab Portal on ${new Date().toLocaleString()}.`);
+
+    return lines.join('\n');
+}
+
+class IntakeQResultPushService {
+    constructor() {
+        // Which events push to IntakeQ: 'saved', 'reviewed', both (default) or 'off'
+        this.triggers = (process.env.INTAKEQ_RESULTS_PUSH || 'saved,reviewed')
+            .split(',')
+            .map(trigger => trigger.trim())
+            .filter(trigger => ['saved', 'reviewed'].includes(trigger));
+        this.delaySeconds = process.env.INTAKEQ_RESULTS_PUSH_DELAY_SECONDS !== undefined
+            ? parseInt(process.env.INTAKEQ_RESULTS_PUSH_DELAY_SECONDS) || 0
+            : 120;
+        this.checkIntervalMs = parseInt(process.env.INTAKEQ_RESULTS_PUSH_CHECK_MS) || 60000;
+        this.checkTimer = null;
+        this.isProcessing = false;
+    }
+
+    isEnabled(trigger) {
+        return !!intakeqService.apiKey && this.triggers.includes(trigger);
+    }
+
+    /**
+     * Start sending due pushes
+     */
+    start() {
+        if (!intakeqService.apiKey || this.triggers.length === 0) {
+            logger.info('IntakeQ result push disabled');
+            return;
+        }
+
+        this.checkTimer = setInterval(() => this.processDuePushes(), this.checkIntervalMs);
+        logger.info(`IntakeQ result push started (on ${this.triggers.join(' and ')})`);
+
+        this.processDuePushes();
+    }
+
+    /**
+     * Stop sending pushes
+     */
+    stop() {
+        clearInterval(this.checkTimer);
+        this.checkTimer = null;
+    }
+
+    /**
+     * Request a push for a saved or corrected result
+     * Safe to call for every saved result; never throws so result ingestion carries on.
+     * @param {Object} result - portal_results row as returned by save/amend
+     * @returns {Promise<Object|null>} the new push, or null (disabled, or joined a pending push)
+     */
+    async handleSavedResult(result) {
+        return this.requestPush(result, 'saved');
+    }
+
+    /**
+     * Request a push for a result a provider just reviewed
+     * @param {Object} result - portal_results row after the review
+     * @param {Object} user - Who reviewed it
+     */
+    async handleReviewedResult(result, user = null) {
+        return this.requestPush(result, 'reviewed', user);
+    }
+
+    async requestPush(result, trigger, user = null) {
+        if (!result || !result.patient_id || !this.isEnabled(trigger)) {
+            return null;
+        }
+
+        try {
+            return await createIntakeqResultPush({
+                portal: result.portal,
+                reportKey: reportKeyFor(result),
+                trigger,
+                resultId: result.id,
+                patientId: result.patient_id,
+                requestedBy: user?.id,
+                nextAttemptAt: new Date(Date.now() + this.delaySeconds * 1000).toISOString()
+            });
+        } catch (error) {
+            logger.error(`Failed to request IntakeQ push for result ${result.id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Send a failed or skipped push again
+     * @returns {Promise<Object|null>} the push, or null when it isn't failed or skipped
+     */
+    async retry(pushId) {
+        return updateIntakeqResultPush(pushId, {
+            status: 'pending',
+            attempts: 0,
+            last_error: null,
+            next_attempt_at: new Date().toISOString()
+        }, ['failed', 'skipped']);
+    }
+
+    /**
+     * Send every push whose time has come
+     */
+    async processDuePushes() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            const due = await getIntakeqResultPushes({ due: true, limit: 20 });
+
+            for (const push of due) {
+                await this.processPush(push);
+            }
+        } catch (error) {
+            logger.error('IntakeQ result push check failed:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Upload one report's PDF and summary
+     * Each upload is recorded as it happens, so a retry picks up where the failure was.
+     * @returns {Promise<Object>} the push after this attempt
+     */
+    async processPush(push) {
+        try {
+            const results = await getReportResults({
+                portal: push.portal,
+                accessionNumber: /^(order|result):/.test(push.report_key) ? null : push.report_key,
+                portalOrderId: push.report_key.startsWith('order:') ? push.report_key.slice(6) : null,
+                resultId: push.result_id
+            });
+
+            if (results.length === 0) {
+                return this.skip(push, 'The results are no longer on file');
+            }
+
+            const clientId = push.intakeq_client_id || await this.findClientId(results[0]);
+            if (!clientId) {
+                return this.skip(push, 'No IntakeQ client found for the patient');
+            }
+
+            const contentKey = buildContentKey(push, results);
+            const alreadyPushed = await getPushedIntakeqResultPush(contentKey);
+            if (alreadyPushed) {
+                return this.skip(push, `Already sent to IntakeQ (push ${alreadyPushed.id})`, { intakeq_client_id: clientId });
+            }
+
+            push = await updateIntakeqResultPush(push.id, {
+                intakeq_client_id: clientId,
+                result_ids: results.map(result => result.id)
+            });
+
+            const baseName = this.fileBaseName(results[0]);
+
+            // The PDF goes in once, with the results; a review adds only the signed-off summary
+            if (!push.pdf_status) {
+                push = await updateIntakeqResultPush(push.id, await this.uploadPdf(clientId, results, push.trigger, baseName));
+            }
+
+            if (!push.summary_uploaded_at) {
+                const summaryFileName = `${baseName}${push.trigger === 'reviewed' ? ' - Reviewed' : ''} - Summary.txt`;
+                await intakeqService.uploadClientFile(clientId, {
+                    fileName: summaryFileName,
+                    content: buildResultSummary(results),
+                    contentType: 'text/plain'
+                });
+                push = await updateIntakeqResultPush(push.id, {
+                    summary_file_name: summaryFileName,
+                    summary_uploaded_at: new Date().toISOString()
+                });
+            }
+
+            logger.info(`Pushed ${push.portal} report ${push.report_key} (${push.trigger}) to IntakeQ client ${clientId}`);
+
+            return updateIntakeqResultPush(push.id, {
+                status: 'pushed',
+                content_key: contentKey,
+                attempts: push.attempts + 1,
+                last_error: null,
+                pushed_at: new Date().toISOString()
+            });
+
+        } catch (error) {
+            const attempts = push.attempts + 1;
+            const failed = attempts >= MAX_ATTEMPTS;
+            // 2, 4, 8, 16, 32 minutes between attempts
+            const backoffMs = Math.pow(2, attempts) * 60000;
+
+            logger.error(`IntakeQ push ${push.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, error);
+
+            return updateIntakeqResultPush(push.id, {
+                status: failed ? 'failed' : 'pending',
+                attempts,
+                last_error: error.message,
+                next_attempt_at: new Date(Date.now() + backoffMs).toISOString()
+            }).catch(() => push);
+        }
+    }
+
+    skip(push, reason, updates = {}) {
+        logger.info(`IntakeQ push ${push.id} skipped: ${reason}`);
+        return updateIntakeqResultPush(push.id, {
+            ...updates,
+            status: 'skipped',
+            attempts: push.attempts + 1,
+            last_error: reason
+        });
+    }
+
+    /**
+     * The patient's IntakeQ client: from the order, an earlier order, or a single exact
+     * name and date of birth match in the client index
+     */
+    async findClientId(result) {
+        if (result.portal_order?.intakeq_client_id) {
+            return result.portal_order.intakeq_client_id;
+        }
+
+        const fromOrders = await getPatientIntakeqClientId(result.patient_id);
+        if (fromOrders) return fromOrders;
+
+        const patient = result.patient;
+        if (!patient?.last_name || !patient?.date_of_birth) return null;
+
+        const candidates = (await searchIntakeqClients({
+            nameTerms: [patient.last_name.toLowerCase()],
+            dateOfBirth: patient.date_of_birth
+        })).filter(client =>
+            client.date_of_birth === patient.date_of_birth
+            && (client.last_name || '').toLowerCase() === patient.last_name.toLowerCase()
+            && (client.first_name || '').toLowerCase() === (patient.first_name || '').toLowerCase());
+
+        return candidates.length === 1 ? candidates[0].intakeq_id : null;
+    }
+
+    /**
+     * Upload the lab's PDF for the report, if there is one we can read
+     * @returns {Promise<Object>} push columns to record
+     */
+    async uploadPdf(clientId, results, trigger, baseName) {
+        if (trigger === 'reviewed') {
+            return { pdf_status: 'not_needed' };
+        }
+
+        const pdfUrl = results.map(result => result.pdf_url).find(Boolean);
+        if (!pdfUrl) {
+            return { pdf_status: 'none' };
+        }
+
+        const content = await this.readPdf(pdfUrl);
+        if (!content) {
+            logger.warn(`Result PDF ${pdfUrl} could not be read - pushing the summary only`);
+            return { pdf_status: 'unavailable' };
+        }
+
+        const fileName = `${baseName}.pdf`;
+        await intakeqService.uploadClientFile(clientId, {
+            fileName,
+            content,
+            contentType: 'application/pdf'
+        });
+
+        return { pdf_status: 'uploaded', pdf_file_name: fileName };
+    }
+
+    /**
+     * A PDF the results scraper downloaded. Only files inside RESULTS_PDF_PATH are read -
+     * anything else in pdf_url (a portal link that needs a session, another path) is not
+     * sent to IntakeQ.
+     * @returns {Promise<Buffer|null>}
+     */
+    async readPdf(pdfUrl) {
+        const pdfDirectory = path.resolve(process.env.RESULTS_PDF_PATH || './results-pdfs');
+        const file = path.resolve(pdfUrl);
+        if (!file.startsWith(pdfDirectory + path.sep)) {
+            logger.warn(`Result PDF ${pdfUrl} is outside the results PDF directory - not uploaded`);
+            return null;
+        }
+
+        try {
+            return await fs.promises.readFile(file);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    fileBaseName(result) {
+        const lab = PORTAL_LABELS[result.portal] || result.portal;
+        const date = result.result_date || new Date().toISOString().slice(0, 10);
+        return `${lab} Lab Results ${date}${result.accession_number ? ` (${result.accession_number})` : ''}`;
+    }
+}
+
+// Create singleton instance
+let serviceInstance = null;
+
+function getIntakeQResultPushService() {
+    if (!serviceInstance) {
+        serviceInstance = new IntakeQResultPushService();
+    }
+    return serviceInstance;
+}
+
+module.exports = {
+    IntakeQResultPushService,
+    getIntakeQResultPushService,
+    buildResultSummary,
+    reportKeyFor
+};
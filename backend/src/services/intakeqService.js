@@ -17,6 +17,9 @@ const logger = winston.createLogger({
     ]
 });
 
+// Clients per page of GET /clients
+const CLIENT_PAGE_SIZE = 100;
+
 class IntakeQService {
     constructor() {
         this.apiKey = process.env.INTAKEQ_API_KEY;
@@ -115,6 +118,58 @@ class IntakeQService {
         }
     }
 
+    /**
+     * Every client, one page (100 clients) at a time
+     * @param {Object} options
+     * @param {Date|string} options.updatedSince - Only clients updated on or after this day
+     * @param {Function} options.onPage - Awaited with each page of raw IntakeQ clients
+     * @returns {Promise<number>} - Clients fetched
+     */
+    async getClientPages(options = {}) {
+        const { updatedSince, onPage } = options;
+
+        if (!this.apiKey) {
+            throw new Error('IntakeQ API key not configured');
+        }
+
+        // IntakeQ filters on whole days in the account's time zone - start a day early so
+        // nothing updated around midnight is missed
+        const since = updatedSince
+            ? new Date(new Date(updatedSince).getTime() - 86400000).toISOString().split('T')[0]
+            : null;
+        let total = 0;
+
+        for (let page = 1; ; page++) {
+            const url = `${this.baseUrl}/clients?includeProfile=true&page=${page}${since ? `&dateUpdatedStart=${since}` : ''}`;
+
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: {
+                    'X-Auth-Key': this.apiKey,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                logger.error(`IntakeQ API error: ${response.status} - ${errorText.substring(0, 200)}`);
+                throw new Error(`IntakeQ API error: ${response.status}`);
+            }
+
+            const clients = await response.json();
+            const clientsList = Array.isArray(clients) ? clients : (clients.Clients || []);
+            total += clientsList.length;
+
+            if (clientsList.length > 0) {
+                await onPage(clientsList);
+            }
+            if (clientsList.length < CLIENT_PAGE_SIZE) break;
+        }
+
+        logger.info(`Fetched ${total} IntakeQ clients${since ? ` updated since ${since}` : ''}`);
+        return total;
+    }
+
     /**
      * Get patient by ID
      * @param {string} patientId - IntakeQ patient ID
@@ -158,6 +213,248 @@ class IntakeQService {
         }
     }
 
+    /**
+     * Get appointments in a date range (cancelled and declined appointments left out)
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD, defaults to startDate
+     * @returns {Promise<Array>} - { id, clientId, clientName, startDate, serviceName, practitionerName, status }
+     */
+    async getAppointments(startDate, endDate = startDate) {
+        try {
+            logger.info(`Fetching IntakeQ appointments for ${startDate}${endDate !== startDate ? ` to ${endDate}` : ''}`);
+
+            if (!this.apiKey) {
+                throw new Error('IntakeQ API key not configured');
+            }
+
+            const url = `${this.baseUrl}/appointments?startDate=${startDate}&endDate=${endDate}`;
+
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: {
+                    'X-Auth-Key': this.apiKey,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                logger.error(`IntakeQ API error: ${response.status} - ${errorText.substring(0, 200)}`);
+                throw new Error(`IntakeQ API error: ${response.status}`);
+            }
+
+            const appointments = await response.json();
+
+            return (Array.isArray(appointments) ? appointments : [])
+                .filter(appointment => !['Canceled', 'Cancelled', 'Declined'].includes(appointment.Status))
+                .map(appointment => ({
+                    id: appointment.Id,
+                    clientId: appointment.ClientId,
+                    clientName: appointment.ClientName,
+                    startDate: appointment.StartDateIso || (appointment.StartDate ? new Date(appointment.StartDate).toISOString() : null),
+                    serviceName: appointment.ServiceName || '',
+                    practitionerName: appointment.PractitionerName || '',
+                    status: appointment.Status
+                }));
+
+        } catch (error) {
+            logger.error('Failed to get IntakeQ appointments:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a treatment note with its answers
+     * @param {string} noteId - IntakeQ note ID
+     * @returns {Promise<Object>} - { id, clientId, clientName, status, date, noteName, practitionerName,
+     *   questions, text } where questions are the answered { text, answer } pairs and text is all
+     *   of them as plain text
+     */
+    async getNote(noteId) {
+        try {
+            logger.info(`Fetching IntakeQ note: ${noteId}`);
+
+            if (!this.apiKey) {
+                throw new Error('IntakeQ API key not configured');
+            }
+
+            const response = await fetch(`${this.baseUrl}/notes/${noteId}`, {
+                method: 'GET',
+                headers: {
+                    'X-Auth-Key': this.apiKey,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                logger.error(`IntakeQ API error: ${response.status} - ${errorText.substring(0, 200)}`);
+                throw new Error(`IntakeQ API error: ${response.status}`);
+            }
+
+            const note = await response.json();
+            const plain = value => String(value ?? '')
+                .replace(/<br\s*\/?>|<\/p>|<\/li>|<\/div>/gi, '\n')
+                .replace(/<[^>]+>/g, '')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&amp;/g, '&')
+                .trim();
+
+            const questions = (note.Questions || [])
+                .filter(question => question.Answer)
+                .map(question => ({ text: plain(question.Text), answer: plain(question.Answer) }));
+
+            return {
+                id: note.Id,
+                clientId: note.ClientId,
+                clientName: note.ClientName || '',
+                status: note.Status,
+                date: note.Date ? new Date(note.Date).toISOString() : null,
+                noteName: note.NoteName || '',
+                practitionerName: note.PractitionerName || '',
+                questions,
+                text: questions
+                    .map(question => `${question.text}\n${question.answer}`)
+                    .join('\n\n')
+            };
+
+        } catch (error) {
+            logger.error('Failed to get IntakeQ note:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * A client's treatment notes, newest first (summaries - no answers)
+     * @param {string} clientId - IntakeQ client ID
+     * @returns {Promise<Array>} - { id, status, date, noteName, practitionerName }
+     */
+    async getClientNotes(clientId) {
+        try {
+            if (!this.apiKey) {
+                throw new Error('IntakeQ API key not configured');
+            }
+
+            const response = await fetch(`${this.baseUrl}/notes/summary?client=${encodeURIComponent(clientId)}`, {
+                method: 'GET',
+                headers: {
+                    'X-Auth-Key': this.apiKey,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                logger.error(`IntakeQ API error: ${response.status} - ${errorText.substring(0, 200)}`);
+                throw new Error(`IntakeQ API error: ${response.status}`);
+            }
+
+            const notes = await response.json();
+
+            return (Array.isArray(notes) ? notes : [])
+                .map(note => ({
+                    id: note.Id,
+                    status: note.Status,
+                    date: note.Date ? new Date(note.Date).toISOString() : null,
+                    noteName: note.NoteName || '',
+                    practitionerName: note.PractitionerName || ''
+                }))
+                .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+        } catch (error) {
+            logger.error('Failed to get IntakeQ client notes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a patient's current medications from IntakeQ
+     * Read from client custom fields and the medication questions of the most recent locked
+     * treatment note - IntakeQ has no medication list of its own.
+     * @param {string} patientId - IntakeQ patient ID
+     * @returns {Promise<Object>} - { medications, noteDate } where medications are the entries
+     *   as written (one per line or comma), e.g. "Lithium carbonate 300 mg BID"
+     */
+    async getPatientMedications(patientId) {
+        logger.info(`Fetching medications for patient: ${patientId}`);
+
+        const patient = await this.getPatientById(patientId);
+        const entries = [];
+
+        for (const field of patient.customFields) {
+            const label = field.Text || field.name || '';
+            const value = field.Value ?? field.value;
+            if (/medication/i.test(label) && value) {
+                entries.push(String(value));
+            }
+        }
+
+        let noteDate = null;
+        const [latestNote] = (await this.getClientNotes(patientId)).filter(note => (note.status || '').toLowerCase() === 'locked');
+        if (latestNote) {
+            const note = await this.getNote(latestNote.id);
+            const answers = note.questions
+                .filter(question => /medication/i.test(question.text))
+                .map(question => question.answer);
+
+            if (answers.length > 0) {
+                entries.push(...answers);
+                noteDate = note.date;
+            }
+        }
+
+        const medications = [...new Set(entries
+            .flatMap(entry => entry.split(/\n|;|,(?![^(]*\))/))
+            .map(entry => entry.replace(/^[\s\-*•\d.)]+/, '').trim())
+            .filter(Boolean))];
+
+        return { medications, noteDate };
+    }
+
+    /**
+     * Upload a file to a client's chart (shows under the client's Files tab)
+     * @param {string} clientId - IntakeQ client ID
+     * @param {Object} file
+     * @param {string} file.fileName - Name shown in IntakeQ
+     * @param {Buffer|string} file.content
+     * @param {string} file.contentType - e.g. 'application/pdf'
+     * @returns {Promise<Object|null>} - IntakeQ's response, if it sent one
+     */
+    async uploadClientFile(clientId, file) {
+        try {
+            logger.info(`Uploading ${file.fileName} to IntakeQ client ${clientId}`);
+
+            if (!this.apiKey) {
+                throw new Error('IntakeQ API key not configured');
+            }
+
+            const form = new FormData();
+            form.append('file', new Blob([file.content], { type: file.contentType }), file.fileName);
+
+            // No Content-Type header - fetch sets the multipart boundary
+            const response = await fetch(`${this.baseUrl}/files/${encodeURIComponent(clientId)}`, {
+                method: 'POST',
+                headers: {
+                    'X-Auth-Key': this.apiKey
+                },
+                body: form
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                logger.error(`IntakeQ API error: ${response.status} - ${errorText.substring(0, 200)}`);
+                throw new Error(`IntakeQ API error: ${response.status}`);
+            }
+
+            const isJson = (response.headers.get('content-type') || '').includes('application/json');
+            return isJson ? await response.json() : null;
+
+        } catch (error) {
+            logger.error('Failed to upload IntakeQ client file:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get patient's diagnoses from IntakeQ
      * @param {string} patientId - IntakeQ patient ID
@@ -249,6 +546,7 @@ class IntakeQService {
                 zip: intakeqPatient.ZipCode || intakeqPatient.zipCode || intakeqPatient.address?.zip || ''
             },
             billingType: intakeqPatient.BillingType || '',
+            insurances: this.extractInsurances(intakeqPatient),
             linkedClients: intakeqPatient.LinkedClients || [],
             // Additional fields that might be useful
             customFields: intakeqPatient.CustomFields || intakeqPatient.customFields || [],
@@ -256,6 +554,22 @@ class IntakeQService {
         };
     }
 
+    /**
+     * Insurance policies on the IntakeQ chart, primary first
+     * @param {Object} intakeqPatient - Raw IntakeQ patient data
+     * @returns {Array<{ priority: string, payerName: string, memberId: string, groupNumber: string }>}
+     */
+    extractInsurances(intakeqPatient) {
+        return ['Primary', 'Secondary', 'Tertiary']
+            .map(priority => ({
+                priority: priority.toLowerCase(),
+                payerName: intakeqPatient[`${priority}InsuranceCompany`] || '',
+                memberId: intakeqPatient[`${priority}InsurancePolicyNumber`] || '',
+                groupNumber: intakeqPatient[`${priority}InsuranceGroupNumber`] || ''
+            }))
+            .filter(insurance => insurance.payerName);
+    }
+
     /**
      * Fuzzy match patient names (for forgiving search)
      * @param {string} search - Search string
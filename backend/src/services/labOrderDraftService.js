@@ -0,0 +1,236 @@
+// Lab Order Draft Service
+// Providers document "labs ordered" in their IntakeQ notes. When IntakeQ reports a note
+// locked or an appointment completed, the note is read and, if it orders labs, a draft
+// order is created - the patient, diagnoses from the chart and note, and the tests the
+// note names - for staff to review and submit in SmartLabOrder.
+
+const winston = require('winston');
+const intakeqService = require('./intakeqService');
+const { createLabOrderDraft } = require('./supabase');
+const { getLabTestCatalog } = require('./labTestCatalog');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// A sentence that orders something ("Labs: CBC, CMP", "will obtain lithium level")
+const ORDER_CONTEXT = /\b(labs?|lab work|bloodwork|blood work|order|ordered|ordering|obtain|draw|check|recheck|repeat|get|monitor|screen)\b/i;
+// ...unless it says the opposite ("no labs today", "patient declined UDS")
+const NEGATION = /\b(no|not|none|declined|declines|refused|refuses|deferred|defer|hold)\b/i;
+// A negation only cancels a test this close to it, in the same clause - "CBC ordered,
+// patient not fasting" still orders the CBC
+const NEGATION_WINDOW_WORDS = 4;
+const CLAUSE_BREAK = /[,;:]|\bbut\b/i;
+// Labs documented without naming tests still make a draft for staff to fill in
+const LABS_ORDERED = /\b(labs?|lab work|bloodwork|blood work)\b[^.,;]*\b(ordered|order|placed|sent|drawn|draw|obtain)\b|\b(ordered|order|placed|obtain|draw)\b[^.,;]*\b(labs?|lab work|bloodwork|blood work)\b/i;
+// ICD-10 codes with their dot ("B12" alone is a vitamin, not a code)
+const ICD10_CODE = /\b[A-TV-Z]\d{2}\.[0-9A-Z]{1,4}\b/g;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern for a test name or alias as a whole word; two-letter abbreviations ("UA") must
+ * be upper case so they don't match inside ordinary text
+ */
+function termPattern(term) {
+    const flags = term.length <= 2 ? 'g' : 'gi';
+    return new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(term)}(?![A-Za-z0-9])`, flags);
+}
+
+/**
+ * Whether the text at sentence[start, end) is negated - by a negation inside it or within
+ * a few words either side, without crossing a clause break
+ */
+function isNegated(sentence, start, end) {
+    const before = sentence.slice(0, start).split(CLAUSE_BREAK).pop().trim().split(/\s+/);
+    const after = sentence.slice(end).split(CLAUSE_BREAK)[0].trim().split(/\s+/);
+
+    return NEGATION.test([
+        ...before.slice(-NEGATION_WINDOW_WORDS),
+        sentence.slice(start, end),
+        ...after.slice(0, NEGATION_WINDOW_WORDS)
+    ].join(' '));
+}
+
+/**
+ * Whether the pattern occurs in the sentence anywhere it isn't negated
+ */
+function ordersTerm(sentence, pattern) {
+    const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+    return [...sentence.matchAll(new RegExp(pattern.source, flags))]
+        .some(match => !isNegated(sentence, match.index, match.index + match[0].length));
+}
+
+/**
+ * What a note says about labs
+ * @param {string} text - Note text
+ * @param {Array<Object>} catalog - Tests with code, name and aliases
+ * @returns {{ detectedTests: Array<{ code, name, matchedText }>, labsOrdered: boolean,
+ *   diagnosisCodes: string[], excerpt: string }}
+ */
+function analyzeNote(text, catalog) {
+    const sentences = (text || '')
+        .split(/\n+|(?<=[.;])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+
+    const detected = new Map();
+    const excerpt = [];
+    let labsOrdered = false;
+
+    for (const sentence of sentences) {
+        if (!ORDER_CONTEXT.test(sentence)) continue;
+
+        const ordersLabs = ordersTerm(sentence, LABS_ORDERED);
+        if (ordersLabs) labsOrdered = true;
+
+        let matched = false;
+        for (const test of catalog) {
+            if (detected.has(test.code)) continue;
+            if ([test.name, ...(test.aliases || [])].some(term => ordersTerm(sentence, termPattern(term)))) {
+                detected.set(test.code, { code: test.code, name: test.name, matchedText: sentence });
+                matched = true;
+            }
+        }
+
+        if (matched || ordersLabs) excerpt.push(sentence);
+    }
+
+    return {
+        detectedTests: [...detected.values()],
+        labsOrdered,
+        diagnosisCodes: [...new Set((text || '').match(ICD10_CODE) || [])],
+        excerpt: excerpt.join('\n').slice(0, 2000)
+    };
+}
+
+class LabOrderDraftService {
+    constructor() {
+        this.io = null;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.io - Socket.io instance; new drafts are announced as 'lab-order-draft'
+     */
+    start(options = {}) {
+        this.io = options.io || this.io;
+    }
+
+    /**
+     * Handle an IntakeQ webhook payload
+     * @param {Object} payload - Note events carry NoteId and ClientId; appointment events carry Appointment
+     * @returns {Promise<{ action: string, reason?: string, draft?: Object }>} - action is
+     *   'created', 'duplicate' or 'ignored'
+     */
+    async handleEvent(payload = {}) {
+        const eventType = String(payload.EventType || payload.Type || '').replace(/\s+/g, '');
+
+        if (eventType === 'NoteLocked') {
+            const noteId = payload.NoteId || payload.Note?.Id;
+            if (!noteId) return { action: 'ignored', reason: 'No NoteId in payload' };
+
+            return this.draftFromNote({ noteId, eventType });
+        }
+
+        if (eventType === 'AppointmentCompleted') {
+            const appointment = payload.Appointment || {};
+            const clientId = payload.ClientId || appointment.ClientId;
+            if (!clientId) return { action: 'ignored', reason: 'No ClientId in payload' };
+
+            const note = await this.findAppointmentNote(clientId, appointment);
+            if (!note) return { action: 'ignored', reason: 'No locked note for the appointment yet' };
+
+            return this.draftFromNote({ noteId: note.id, eventType, appointmentId: appointment.Id });
+        }
+
+        return { action: 'ignored', reason: `Unhandled event type: ${eventType || 'none'}` };
+    }
+
+    /**
+     * The client's locked note closest to the appointment time, within a day of it.
+     * Unlocked notes are skipped so the draft waits for the NoteLocked event instead of
+     * being built from a note that is still being written
+     */
+    async findAppointmentNote(clientId, appointment) {
+        const notes = (await intakeqService.getClientNotes(clientId))
+            .filter(note => (note.status || '').toLowerCase() === 'locked');
+        const start = appointment.StartDateIso || (appointment.StartDate ? new Date(appointment.StartDate).toISOString() : null);
+        if (!start) return notes[0] || null;
+
+        const distance = note => Math.abs(new Date(note.date).getTime() - new Date(start).getTime());
+
+        return notes
+            .filter(note => note.date && distance(note) <= 86400000)
+            .sort((a, b) => distance(a) - distance(b))[0] || null;
+    }
+
+    /**
+     * Create a draft from a note if it documents labs
+     */
+    async draftFromNote({ noteId, eventType, appointmentId = null }) {
+        const note = await intakeqService.getNote(noteId);
+        const analysis = analyzeNote(note.text, await getLabTestCatalog().getTests());
+
+        if (!analysis.labsOrdered && analysis.detectedTests.length === 0) {
+            return { action: 'ignored', reason: 'Note does not document labs' };
+        }
+
+        const patient = await intakeqService.getPatientById(note.clientId);
+        const chartDiagnoses = await intakeqService.getPatientDiagnoses(note.clientId);
+
+        const draft = await createLabOrderDraft({
+            sourceKey: `note:${note.id}`,
+            eventType,
+            intakeqClientId: String(note.clientId),
+            intakeqNoteId: String(note.id),
+            intakeqAppointmentId: appointmentId ? String(appointmentId) : null,
+            noteDate: note.date,
+            practitionerName: note.practitionerName,
+            patientSnapshot: patient,
+            diagnosisCodes: [...new Set([...analysis.diagnosisCodes, ...chartDiagnoses])],
+            detectedTests: analysis.detectedTests,
+            noteExcerpt: analysis.excerpt
+        });
+
+        if (!draft) {
+            return { action: 'duplicate', reason: `Note ${note.id} already has a draft` };
+        }
+
+        logger.info(`Draft lab order ${draft.id}: ${analysis.detectedTests.map(test => test.name).join(', ') || 'labs ordered, no tests named'}`);
+
+        if (this.io) {
+            this.io.emit('lab-order-draft', { draftId: draft.id, status: draft.status });
+        }
+
+        return { action: 'created', draft };
+    }
+}
+
+// Create singleton instance
+let serviceInstance = null;
+
+function getLabOrderDraftService() {
+    if (!serviceInstance) {
+        serviceInstance = new LabOrderDraftService();
+    }
+    return serviceInstance;
+}
+
+module.exports = {
+    LabOrderDraftService,
+    getLabOrderDraftService,
+    analyzeNote
+};
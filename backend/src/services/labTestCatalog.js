@@ -0,0 +1,397 @@
+// Lab Test Catalog
+// The orderable tests live in the lab_test_catalog table, edited by admins from Settings.
+// Ordering, note detection and monitoring suggestions all read the catalog through here
+// in the { code, name, category, aliases, ... } shape labTestCodes.json used, with code being
+// the test's code at the portal asked for. Reads are cached briefly and writes clear the
+// cache. Without Supabase configured (local development) the commonTests in
+// labTestCodes.json stand in.
+
+const winston = require('winston');
+const {
+    isSupabaseConfigured,
+    listLabTestCatalog,
+    getLabTestCatalogEntry,
+    createLabTestCatalogEntry,
+    updateLabTestCatalogEntry
+} = require('./supabase');
+const { normalizeQuestions } = require('./aoeQuestions');
+const labTestCodes = require('../../config/labTestCodes.json');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+const CACHE_TTL_MS = 60 * 1000;
+const PORTALS = ['labcorp', 'quest'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FASTING = ['none', 'preferred', 'required'];
+
+// Specimen requirements and patient prep: API field -> column
+const REQUIREMENT_FIELDS = {
+    description: 'description',
+    specimenType: 'specimen_type',
+    container: 'container',
+    volume: 'volume',
+    timing: 'timing',
+    stability: 'stability'
+};
+
+class LabTestCatalogError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'LabTestCatalogError';
+        this.status = status;
+    }
+}
+
+/**
+ * Today as YYYY-MM-DD in local time, to compare with effective dates
+ */
+function today(now = new Date()) {
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Where a catalog entry stands on a date: active, scheduled (starts later), ended
+ * (past its effective_to) or retired
+ */
+function entryStatus(row, date = today()) {
+    if (!row.is_active) return 'retired';
+    if (row.effective_from && row.effective_from > date) return 'scheduled';
+    if (row.effective_to && row.effective_to < date) return 'ended';
+    return 'active';
+}
+
+/**
+ * A catalog row in the shape the API and the order flow use
+ */
+function toEntry(row, date = today()) {
+    return {
+        id: row.id,
+        name: row.name,
+        labcorpCode: row.labcorp_code,
+        questCode: row.quest_code,
+        category: row.category,
+        aliases: row.synonyms || [],
+        description: row.description || null,
+        specimenType: row.specimen_type || null,
+        container: row.container || null,
+        volume: row.volume || null,
+        fasting: row.fasting || 'none',
+        fastingHours: row.fasting_hours || null,
+        timing: row.timing || null,
+        stability: row.stability || null,
+        aoeQuestions: row.aoe_questions || [],
+        isActive: row.is_active,
+        effectiveFrom: row.effective_from,
+        effectiveTo: row.effective_to,
+        status: entryStatus(row, date),
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * labTestCodes.json tests as catalog rows, for running without a database. Specimen
+ * requirements and AOE questions are only seeded into the table (migrations 016 and 017),
+ * so these have none.
+ */
+function configRows() {
+    return labTestCodes.labcorp.commonTests.map(test => ({
+        id: null,
+        name: test.name,
+        labcorp_code: test.code,
+        quest_code: null,
+        category: test.category,
+        synonyms: test.aliases || [],
+        description: test.description || null,
+        fasting: 'none',
+        aoe_questions: [],
+        is_active: true,
+        effective_from: null,
+        effective_to: null,
+        updated_at: null
+    }));
+}
+
+function cleanText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function cleanCode(value) {
+    const code = cleanText(value);
+    return code || null;
+}
+
+function cleanDate(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+    if (!DATE_PATTERN.test(value) || isNaN(new Date(value))) {
+        throw new LabTestCatalogError(`${field} must be a date (YYYY-MM-DD)`);
+    }
+    return value;
+}
+
+function cleanFasting(fasting, hours) {
+    const level = fasting || 'none';
+    if (!FASTING.includes(level)) {
+        throw new LabTestCatalogError(`fasting must be one of: ${FASTING.join(', ')}`);
+    }
+    if (level === 'none') return { fasting: level, fasting_hours: null };
+
+    const fastingHours = hours === null || hours === undefined || hours === '' ? null : Number(hours);
+    if (fastingHours !== null && (!Number.isInteger(fastingHours) || fastingHours <= 0)) {
+        throw new LabTestCatalogError('fastingHours must be a whole number of hours');
+    }
+    return { fasting: level, fasting_hours: fastingHours };
+}
+
+function cleanSynonyms(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const synonyms = [];
+    for (const synonym of list.map(cleanText).filter(Boolean)) {
+        if (!synonyms.some(existing => existing.toLowerCase() === synonym.toLowerCase())) {
+            synonyms.push(synonym);
+        }
+    }
+    return synonyms;
+}
+
+class LabTestCatalogService {
+    constructor() {
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+
+    /**
+     * Every catalog row, retired ones included; labTestCodes.json when Supabase isn't
+     * configured. A failed query serves the last rows read, or fails when there are none -
+     * the JSON would offer tests admins have since retired.
+     * @returns {Promise<{ rows: Array<Object>, source: 'database'|'config' }>}
+     */
+    async loadRows() {
+        if (this.cache && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+            return this.cache;
+        }
+
+        if (!isSupabaseConfigured()) {
+            this.cache = { rows: configRows(), source: 'config' };
+            this.cachedAt = Date.now();
+            return this.cache;
+        }
+
+        try {
+            this.cache = { rows: await listLabTestCatalog(), source: 'database' };
+        } catch (error) {
+            if (!this.cache) {
+                throw new LabTestCatalogError(`Lab test catalog unavailable: ${error.message}`, 503);
+            }
+            logger.warn(`Lab test catalog unavailable, serving the last copy read: ${error.message}`);
+            return this.cache;
+        }
+        this.cachedAt = Date.now();
+        return this.cache;
+    }
+
+    invalidate() {
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+
+    /**
+     * Tests that can be ordered today at a portal
+     * @param {Object} options
+     * @param {string} options.portal - 'labcorp' (default) or 'quest'; tests without a code
+     *   there are left out and code is the portal's code
+     * @returns {Promise<Array<Object>>} - { code, name, category, aliases, ... }
+     */
+    async getTests(options = {}) {
+        const portal = options.portal || 'labcorp';
+        const codeField = `${portal}_code`;
+        const { rows } = await this.loadRows();
+        const date = today();
+
+        return rows
+            .filter(row => row[codeField] && entryStatus(row, date) === 'active')
+            .map(row => ({ code: row[codeField], ...toEntry(row, date) }));
+    }
+
+    /**
+     * The orderable test an order line refers to, by code or exact name
+     */
+    async findTest(test, options = {}) {
+        const tests = await this.getTests(options);
+        return tests.find(candidate => candidate.code === test.code)
+            || tests.find(candidate => candidate.name === test.name)
+            || null;
+    }
+
+    /**
+     * The whole catalog for admins, retired and scheduled tests included
+     */
+    async listEntries() {
+        const { rows, source } = await this.loadRows();
+        const date = today();
+        return { tests: rows.map(row => toEntry(row, date)), source };
+    }
+
+    /**
+     * Validate an add/edit form into table columns
+     * @param {Object} input - name, labcorpCode, questCode, category, aliases, effectiveFrom,
+     *   effectiveTo, isActive, and the specimen requirements: description, specimenType,
+     *   container, volume, fasting, fastingHours, timing, stability; aoeQuestions
+     * @param {Object|null} existing - the row being edited
+     */
+    toColumns(input, existing = null) {
+        const columns = {};
+        const has = field => input[field] !== undefined;
+
+        if (!existing || has('name')) {
+            columns.name = cleanText(input.name);
+            if (!columns.name) throw new LabTestCatalogError('name is required');
+        }
+        if (!existing || has('labcorpCode')) columns.labcorp_code = cleanCode(input.labcorpCode);
+        if (!existing || has('questCode')) columns.quest_code = cleanCode(input.questCode);
+        if (!existing || has('category')) columns.category = cleanText(input.category) || 'Other';
+        if (!existing || has('aliases')) columns.synonyms = cleanSynonyms(input.aliases);
+        if (!existing || has('effectiveFrom')) columns.effective_from = cleanDate(input.effectiveFrom, 'effectiveFrom');
+        if (!existing || has('effectiveTo')) columns.effective_to = cleanDate(input.effectiveTo, 'effectiveTo');
+        if (has('isActive')) columns.is_active = !!input.isActive;
+
+        for (const [field, column] of Object.entries(REQUIREMENT_FIELDS)) {
+            if (!existing || has(field)) columns[column] = cleanText(input[field]) || null;
+        }
+        if (!existing || has('fasting') || has('fastingHours')) {
+            Object.assign(columns, cleanFasting(
+                has('fasting') ? input.fasting : existing?.fasting,
+                has('fastingHours') ? input.fastingHours : existing?.fasting_hours
+            ));
+        }
+        if (!existing || has('aoeQuestions')) {
+            try {
+                columns.aoe_questions = normalizeQuestions(input.aoeQuestions);
+            } catch (error) {
+                throw new LabTestCatalogError(error.message);
+            }
+        }
+
+        const merged = { ...existing, ...columns };
+        if (!merged.labcorp_code && !merged.quest_code) {
+            throw new LabTestCatalogError('A Labcorp or Quest code is required');
+        }
+        if (merged.effective_from && merged.effective_to && merged.effective_to < merged.effective_from) {
+            throw new LabTestCatalogError('effectiveTo cannot be before effectiveFrom');
+        }
+
+        return { columns, merged };
+    }
+
+    /**
+     * Refuse a code another active test already uses
+     */
+    async checkCodesUnique(merged, testId = null) {
+        if (merged.is_active === false) return;
+
+        const { rows } = await this.loadRows();
+        for (const portal of PORTALS) {
+            const field = `${portal}_code`;
+            const code = merged[field];
+            const clash = code && rows.find(row => row.id !== testId && row.is_active && row[field] === code);
+            if (clash) {
+                throw new LabTestCatalogError(`${portal === 'labcorp' ? 'Labcorp' : 'Quest'} code ${code} is already used by ${clash.name}`, 409);
+            }
+        }
+    }
+
+    async requireDatabase() {
+        const { source } = await this.loadRows();
+        if (source !== 'database') {
+            throw new LabTestCatalogError('The lab test catalog needs the database; labTestCodes.json is read-only', 503);
+        }
+    }
+
+    async requireEntry(testId) {
+        const row = await getLabTestCatalogEntry(testId);
+        if (!row) throw new LabTestCatalogError('Lab test not found', 404);
+        return row;
+    }
+
+    /**
+     * Add a test
+     * @param {Object} input - see toColumns
+     * @param {string} userId - The admin making the change
+     */
+    async createTest(input, userId) {
+        await this.requireDatabase();
+        const { columns, merged } = this.toColumns(input);
+        await this.checkCodesUnique({ is_active: true, ...merged });
+
+        const row = await createLabTestCatalogEntry({ ...columns, updated_by: userId || null });
+        this.invalidate();
+        logger.info(`Lab test added to catalog: ${row.name}`);
+        return toEntry(row);
+    }
+
+    /**
+     * Edit a test; setting isActive brings a retired test back
+     */
+    async updateTest(testId, input, userId) {
+        await this.requireDatabase();
+        const existing = await this.requireEntry(testId);
+        const { columns, merged } = this.toColumns(input, existing);
+        await this.checkCodesUnique(merged, testId);
+
+        const row = await updateLabTestCatalogEntry(testId, { ...columns, updated_by: userId || null });
+        this.invalidate();
+        logger.info(`Lab test updated in catalog: ${row.name}`);
+        return toEntry(row);
+    }
+
+    /**
+     * Retire a test: it is no longer offered, but stays for the orders that used it.
+     * With a future effectiveTo the test stays orderable through that date instead.
+     */
+    async retireTest(testId, options = {}, userId) {
+        await this.requireDatabase();
+        const existing = await this.requireEntry(testId);
+        const effectiveTo = cleanDate(options.effectiveTo, 'effectiveTo') || today();
+
+        if (existing.effective_from && effectiveTo < existing.effective_from) {
+            throw new LabTestCatalogError('effectiveTo cannot be before effectiveFrom');
+        }
+
+        const row = await updateLabTestCatalogEntry(testId, {
+            is_active: effectiveTo > today(),
+            effective_to: effectiveTo,
+            updated_by: userId || null
+        });
+        this.invalidate();
+        logger.info(`Lab test retired from catalog: ${row.name} (effective ${effectiveTo})`);
+        return toEntry(row);
+    }
+}
+
+let instance = null;
+
+function getLabTestCatalog() {
+    if (!instance) {
+        instance = new LabTestCatalogService();
+    }
+    return instance;
+}
+
+module.exports = {
+    getLabTestCatalog,
+    LabTestCatalogService,
+    LabTestCatalogError
+};
@@ -0,0 +1,224 @@
+// Medical Necessity
+// Medicaid and Medicare deny a lab claim when no diagnosis on the order supports the test -
+// a lipid panel ordered with only F32.A. The medical_necessity_rules table lists, per
+// Labcorp test code, the ICD-10 ranges that support it; this checks an order against them
+// offline, suggests qualifying codes (from the patient's chart first) and flags Medicare
+// orders that need an Advance Beneficiary Notice (ABN). Tests without rules aren't checked.
+// The rules are seeded by migration 018; without Supabase configured there are none, so
+// nothing is checked.
+
+const winston = require('winston');
+const { isSupabaseConfigured, listMedicalNecessityRules } = require('./supabase');
+const { isMedicare } = require('./portalAgents/insuranceHelper');
+const { testDiagnosisCodes } = require('./diagnosisPointers');
+const labTestCodes = require('../../config/labTestCodes.json');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * An ICD-10 code without the dot, upper-cased: 'e78.5' -> 'E785'
+ */
+function normalizeCode(code) {
+    return String(code || '').replace(/\./g, '').trim().toUpperCase();
+}
+
+/**
+ * Whether a code falls in an inclusive range. Ranges compare by prefix, so E78.5 is in
+ * E78.00-E78.9 and E11.65 is in E08-E13.
+ */
+function codeInRange(code, from, to) {
+    const value = normalizeCode(code);
+    const start = normalizeCode(from);
+    const end = normalizeCode(to);
+    if (!value || !start || !end) return false;
+
+    return value.slice(0, start.length) >= start && value.slice(0, end.length) <= end;
+}
+
+/**
+ * Whether the patient's coverage is Medicare - a Medicare ID or any Medicare payer on file
+ * @param {Object} patient - { medicareId?, insuranceProvider?, insurances?: [{ payerName }] }
+ */
+function isMedicarePatient(patient = {}) {
+    if (patient.medicareId || isMedicare(patient.insuranceProvider)) return true;
+    return (patient.insurances || []).some(insurance => isMedicare(insurance.payerName));
+}
+
+/**
+ * Check each test on an order against the rules
+ * @param {Object} params
+ * @param {Array<Object>} params.tests - { code, name, diagnosisPointers? }, code being the
+ *   Labcorp code; a test is only supported by the diagnoses it points at
+ * @param {string[]} params.diagnoses - ICD-10 codes on the order
+ * @param {Array<Object>} params.rules - medical_necessity_rules rows
+ * @param {boolean} params.medicare - whether the patient is on Medicare
+ * @param {string[]} params.chartDiagnoses - ICD-10 codes on the patient's chart, suggested first
+ * @param {Array<Object>} params.commonDiagnoses - { code, description } we order with often
+ * @returns {{ medicare: boolean, abnRequired: boolean, tests: Array<{ code, name, status,
+ *   supportedBy: string[], coveredRanges: Array<{ from, to, description }>,
+ *   suggestions: Array<{ code, description, source }>, abnRequired: boolean }> }} -
+ *   status is 'supported', 'unsupported' or 'not_checked' (no rules for the test)
+ */
+function checkMedicalNecessity({
+    tests = [],
+    diagnoses = [],
+    rules = [],
+    medicare = false,
+    chartDiagnoses = [],
+    commonDiagnoses = []
+}) {
+    const results = tests.map(test => {
+        const ranges = rules.filter(rule => rule.test_code === test.code);
+        const result = {
+            code: test.code,
+            name: test.name,
+            status: 'not_checked',
+            supportedBy: [],
+            coveredRanges: ranges.map(rule => ({
+                from: rule.icd10_from,
+                to: rule.icd10_to,
+                description: rule.description
+            })),
+            suggestions: [],
+            abnRequired: false
+        };
+        if (ranges.length === 0) return result;
+
+        const rangeFor = code => ranges.find(rule => codeInRange(code, rule.icd10_from, rule.icd10_to));
+
+        result.supportedBy = testDiagnosisCodes(test, diagnoses).filter(code => rangeFor(code));
+        if (result.supportedBy.length > 0) {
+            result.status = 'supported';
+            return result;
+        }
+
+        result.status = 'unsupported';
+        result.abnRequired = medicare;
+
+        // Codes already on the chart are the likeliest to be right, then ones we use often,
+        // then an example from each covered range
+        const candidates = [
+            ...chartDiagnoses.map(code => ({ code, source: 'chart' })),
+            ...commonDiagnoses.map(diagnosis => ({ ...diagnosis, source: 'common' })),
+            ...ranges
+                .filter(rule => rule.example_code)
+                .map(rule => ({ code: rule.example_code, description: rule.description, source: 'rule' }))
+        ];
+        for (const candidate of candidates) {
+            if (result.suggestions.length >= MAX_SUGGESTIONS) break;
+            const rule = rangeFor(candidate.code);
+            const taken = result.suggestions.some(s => normalizeCode(s.code) === normalizeCode(candidate.code));
+            if (!rule || taken) continue;
+
+            const common = commonDiagnoses.find(d => normalizeCode(d.code) === normalizeCode(candidate.code));
+            result.suggestions.push({
+                code: candidate.code,
+                description: candidate.description || common?.description || rule.description,
+                source: candidate.source
+            });
+        }
+
+        return result;
+    });
+
+    return {
+        medicare,
+        abnRequired: results.some(result => result.abnRequired),
+        tests: results
+    };
+}
+
+class MedicalNecessityService {
+    constructor() {
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+
+    /**
+     * The active rules; none when Supabase isn't configured. A failed query serves the last
+     * rules read, or fails when there are none - checking against no rules would pass
+     * every test.
+     * @returns {Promise<{ rules: Array<Object>, source: 'database'|'none' }>}
+     */
+    async loadRules() {
+        if (this.cache && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+            return this.cache;
+        }
+
+        if (!isSupabaseConfigured()) {
+            this.cache = { rules: [], source: 'none' };
+            this.cachedAt = Date.now();
+            return this.cache;
+        }
+
+        try {
+            this.cache = { rules: await listMedicalNecessityRules(), source: 'database' };
+        } catch (error) {
+            if (!this.cache) throw error;
+            logger.warn(`Medical necessity rules unavailable, serving the last copy read: ${error.message}`);
+            return this.cache;
+        }
+        this.cachedAt = Date.now();
+        return this.cache;
+    }
+
+    /**
+     * Check an order's tests against its diagnoses
+     * @param {Object} params
+     * @param {Array<Object>} params.tests - { code, name, diagnosisPointers? }
+     * @param {string[]} params.diagnoses
+     * @param {Object} params.patient - insurance details, see isMedicarePatient
+     * @param {string[]} params.chartDiagnoses
+     */
+    async check({ tests, diagnoses, patient, chartDiagnoses = [] }) {
+        const { rules, source } = await this.loadRules();
+
+        const result = checkMedicalNecessity({
+            tests,
+            diagnoses,
+            rules,
+            medicare: isMedicarePatient(patient),
+            chartDiagnoses,
+            commonDiagnoses: labTestCodes.icd10.psychiatryDiagnoses
+        });
+
+        const unsupported = result.tests.filter(test => test.status === 'unsupported');
+        if (unsupported.length > 0) {
+            logger.info(`Medical necessity not met for: ${unsupported.map(test => test.name).join(', ')}`);
+        }
+
+        return { ...result, source };
+    }
+}
+
+let instance = null;
+
+function getMedicalNecessity() {
+    if (!instance) {
+        instance = new MedicalNecessityService();
+    }
+    return instance;
+}
+
+module.exports = {
+    getMedicalNecessity,
+    MedicalNecessityService,
+    checkMedicalNecessity,
+    codeInRange,
+    isMedicarePatient
+};
@@ -0,0 +1,205 @@
+// Medication Monitoring Suggestions
+// Most of our orders are monitoring labs for a medication (lithium, valproate, clozapine,
+// antipsychotics). The patient's current medications from IntakeQ are matched against the
+// medicationMonitoring rules in labTestCodes.json - which tests, how often - and each
+// recommended test is compared with when it was last drawn here to say whether it is due.
+
+const winston = require('winston');
+const intakeqService = require('./intakeqService');
+const { getPatientTestHistory } = require('./supabase');
+const { getLabTestCatalog } = require('./labTestCatalog');
+const labTestCodes = require('../../config/labTestCodes.json');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// Medication list entries that aren't current ("Depakote - discontinued 2023")
+const NOT_CURRENT = /\b(discontinued|stopped|d\/c|no longer|previously|history of|hx of|tapered off)\b/i;
+
+function mentions(entry, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![A-Za-z])${escaped}(?![A-Za-z])`, 'i').test(entry);
+}
+
+function addMonths(date, months) {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+}
+
+function describeInterval(months) {
+    if (months === 1) return 'monthly';
+    if (months === 12) return 'yearly';
+    return `every ${months} months`;
+}
+
+function describeAgo(date, now) {
+    const days = Math.floor((now - new Date(date)) / 86400000);
+    if (days < 1) return 'today';
+    if (days < 14) return `${days} day${days === 1 ? '' : 's'} ago`;
+    if (days < 60) return `${Math.floor(days / 7)} weeks ago`;
+    if (days < 730) return `${Math.floor(days / 30.44)} months ago`;
+    return `${Math.floor(days / 365.25)} years ago`;
+}
+
+/**
+ * Rules that apply to a medication list, each with the entry that matched it
+ * @param {string[]} medications - Medication entries as written in IntakeQ
+ * @returns {Array<{ rule: Object, matchedText: string }>}
+ */
+function matchRules(medications, rules = labTestCodes.medicationMonitoring) {
+    const current = medications.filter(entry => !NOT_CURRENT.test(entry));
+
+    return rules
+        .map(rule => ({
+            rule,
+            matchedText: current.find(entry => rule.matches.some(name => mentions(entry, name)))
+        }))
+        .filter(match => match.matchedText);
+}
+
+/**
+ * When each test was last drawn: the collection date of its results, or the order date
+ * for orders without results yet
+ * @param {Array<Object>} history - Orders as getPatientTestHistory returns them
+ * @returns {Map<string, { date: string, resulted: boolean }>} keyed by test code
+ */
+function lastDrawnByTest(history) {
+    const lastDrawn = new Map();
+
+    for (const order of history) {
+        const collected = (order.results || []).map(result => result.result_date).filter(Boolean).sort().pop();
+        const date = collected || order.created_at;
+
+        for (const test of order.tests_ordered || []) {
+            const previous = lastDrawn.get(test.code);
+            if (!previous || new Date(date) > new Date(previous.date)) {
+                lastDrawn.set(test.code, { date, resulted: !!collected });
+            }
+        }
+    }
+
+    return lastDrawn;
+}
+
+/**
+ * Recommended monitoring tests for a medication list, due ones first
+ * @param {Object} options
+ * @param {string[]} options.medications - Current medications as written in IntakeQ
+ * @param {Array<Object>} options.history - The patient's orders (getPatientTestHistory)
+ * @param {Date} options.now
+ * @param {Array<Object>} options.catalog - Orderable tests (lab test catalog)
+ * @returns {{ matchedMedications: Array<{ medication, matchedText }>, suggestions: Array<Object> }} -
+ *   suggestions are catalog tests with due, lastDrawnAt, dueAt and reasons such as
+ *   "lithium: level + BMP + TSH every 6 months, last drawn 8 months ago"
+ */
+function suggestMonitoringLabs(options) {
+    const {
+        medications,
+        history = [],
+        now = new Date(),
+        catalog,
+        rules = labTestCodes.medicationMonitoring
+    } = options;
+
+    const matches = matchRules(medications, rules);
+    const lastDrawn = lastDrawnByTest(history);
+    const suggestions = new Map();
+
+    for (const { rule } of matches) {
+        for (const code of rule.tests) {
+            const test = catalog.find(candidate => candidate.code === code);
+            if (!test) {
+                logger.warn(`Monitoring rule for ${rule.medication} names unknown test ${code}`);
+                continue;
+            }
+
+            const last = lastDrawn.get(code);
+            const dueAt = last ? addMonths(last.date, rule.intervalMonths) : null;
+            const due = !dueAt || dueAt <= now;
+
+            let lastText = 'not drawn here before';
+            if (last) {
+                lastText = last.resulted
+                    ? `last drawn ${describeAgo(last.date, now)}`
+                    : `last ordered ${describeAgo(last.date, now)}, no results yet`;
+            }
+
+            const suggestion = suggestions.get(code) || {
+                code: test.code,
+                name: test.name,
+                category: test.category,
+                due: false,
+                lastDrawnAt: last?.date || null,
+                dueAt: null,
+                medications: [],
+                reasons: []
+            };
+
+            suggestion.due = suggestion.due || due;
+            // The most frequent rule decides when the test is next due
+            if (dueAt && (!suggestion.dueAt || dueAt < new Date(suggestion.dueAt))) {
+                suggestion.dueAt = dueAt.toISOString();
+            }
+            if (!suggestion.medications.includes(rule.medication)) {
+                suggestion.medications.push(rule.medication);
+            }
+            suggestion.reasons.push(`${rule.medication}: ${rule.summary} ${describeInterval(rule.intervalMonths)}, ${lastText}`
+                + (rule.note ? ` (${rule.note})` : ''));
+
+            suggestions.set(code, suggestion);
+        }
+    }
+
+    const matchedMedications = [];
+    for (const { rule, matchedText } of matches) {
+        if (!matchedMedications.some(match => match.medication === rule.medication)) {
+            matchedMedications.push({ medication: rule.medication, matchedText });
+        }
+    }
+
+    return {
+        matchedMedications,
+        suggestions: [...suggestions.values()].sort((a, b) => (b.due - a.due) || a.name.localeCompare(b.name))
+    };
+}
+
+/**
+ * Monitoring lab suggestions for an IntakeQ patient
+ * @param {string} intakeqId - IntakeQ client ID
+ * @returns {Promise<Object>} - { medications, noteDate, matchedMedications, suggestions }
+ */
+async function getMedicationLabSuggestions(intakeqId) {
+    const { medications, noteDate } = await intakeqService.getPatientMedications(intakeqId);
+
+    // Without order history every test reads as due - better than no suggestions at all
+    let history = [];
+    try {
+        history = await getPatientTestHistory(intakeqId);
+    } catch (error) {
+        logger.warn(`Order history unavailable for suggestions: ${error.message}`);
+    }
+
+    return {
+        medications,
+        noteDate,
+        ...suggestMonitoringLabs({ medications, history, catalog: await getLabTestCatalog().getTests() })
+    };
+}
+
+module.exports = {
+    getMedicationLabSuggestions,
+    suggestMonitoringLabs,
+    matchRules
+};
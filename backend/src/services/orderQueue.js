@@ -0,0 +1,449 @@
+// Order Queue Service
+// Durable job queue for portal automation, backed by the portal_orders table.
+// Orders wait with status 'pending'; workers claim them one at a time so a restart
+// never loses an order and each portal only runs a limited number of browsers at once.
+
+const os = require('os');
+const winston = require('winston');
+const LabcorpAgent = require('./portalAgents/labcorpAgent');
+const QuestAgent = require('./portalAgents/questAgent');
+const {
+    getPendingOrders,
+    claimPendingOrder,
+    refreshOrderLock,
+    getInterruptedOrders,
+    updateOrderStatus,
+    logAutomation
+} = require('./supabase');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+const AGENTS = {
+    labcorp: LabcorpAgent,
+    quest: QuestAgent
+};
+
+// Unconfirmed previews are closed after this; their order has to be run again
+const PREVIEW_TTL_MS = 15 * 60 * 1000;
+
+// Steps after which the portal may already have the order - running it again could place it twice
+const SUBMISSION_STEPS = ['submitting'];
+
+function reachedSubmission(order) {
+    return !!order.submitted_at || SUBMISSION_STEPS.includes(order.current_step);
+}
+
+class OrderQueue {
+    constructor() {
+        this.io = null;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.pollIntervalMs = parseInt(process.env.ORDER_QUEUE_POLL_MS) || 15000;
+        this.maxRetries = parseInt(process.env.MAX_RETRY_ATTEMPTS) || 3;
+        this.retryBaseDelayMs = parseInt(process.env.ORDER_RETRY_BASE_DELAY_MS) || 60000;
+        this.maxRetryDelayMs = 30 * 60 * 1000; // Never wait more than 30 minutes between attempts
+        this.lockTimeoutMs = parseInt(process.env.ORDER_LOCK_TIMEOUT_MS) || 30 * 60 * 1000;
+
+        // Each portal gets its own worker pool so a slow Labcorp run doesn't block Quest
+        this.concurrency = {
+            labcorp: parseInt(process.env.LABCORP_WORKER_CONCURRENCY) || 1,
+            quest: parseInt(process.env.QUEST_WORKER_CONCURRENCY) || 1
+        };
+        this.running = { labcorp: 0, quest: 0 };
+
+        // Agents kept alive after reaching preview, waiting for user confirmation
+        this.previewSessions = new Map();
+
+        this.pollTimer = null;
+        this.sessionTimer = null;
+        this.isPolling = false;
+        this.pollRequested = false;
+    }
+
+    /**
+     * Start polling for pending orders
+     * @param {Object} options
+     * @param {Object} options.io - Socket.io instance passed to the portal agents
+     */
+    async start(options = {}) {
+        this.io = options.io;
+
+        await this.recoverInterruptedOrders();
+
+        this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+
+        // Every 5 minutes: clean up expired preview sessions, and pick up orders whose worker
+        // stopped refreshing its lock (another process on this or another host may have died)
+        this.sessionTimer = setInterval(() => {
+            this.cleanupPreviewSessions();
+            this.recoverInterruptedOrders();
+        }, 5 * 60 * 1000);
+
+        logger.info(`Order queue started (worker ${this.workerId}, concurrency: labcorp=${this.concurrency.labcorp}, quest=${this.concurrency.quest})`);
+
+        this.poll();
+    }
+
+    /**
+     * Stop polling (in-flight orders are left to finish or be recovered on next start)
+     */
+    stop() {
+        clearInterval(this.pollTimer);
+        clearInterval(this.sessionTimer);
+        this.pollTimer = null;
+        this.sessionTimer = null;
+        logger.info('Order queue stopped');
+    }
+
+    /**
+     * Notify the queue that an order is ready to run
+     * The order must already be saved in portal_orders with status 'pending'.
+     */
+    async enqueue(orderId) {
+        await logAutomation({
+            portalOrderId: orderId,
+            action: 'order_queued',
+            status: 'pending',
+            details: { workerId: this.workerId }
+        });
+
+        // Don't make the caller wait for a browser to launch
+        setImmediate(() => this.poll());
+    }
+
+    /**
+     * Put orders that were mid-automation when their worker stopped back in the queue. Running
+     * workers refresh their locks, so only a lock older than the lock timeout counts - a
+     * sibling process on the same host keeps its orders. Orders that had reached submission
+     * go to 'needs_review' instead: someone has to check the portal before they are sent again.
+     */
+    async recoverInterruptedOrders() {
+        try {
+            const staleBefore = new Date(Date.now() - this.lockTimeoutMs).toISOString();
+            const orders = await getInterruptedOrders(staleBefore);
+
+            for (const order of orders) {
+                // Ignore orders this process is running or holding in preview right now
+                if (order.locked_by === this.workerId || this.previewSessions.has(order.id)) continue;
+
+                // The browser holding the preview is gone with its process
+                if (order.status === 'preview') {
+                    await this.expirePreview(order.id, 'Preview session was lost when its server stopped - retry the order');
+                    continue;
+                }
+
+                if (reachedSubmission(order)) {
+                    logger.warn(`Interrupted ${order.portal} order ${order.id} may already be on the portal - marking it for review`);
+
+                    await updateOrderStatus(order.id, 'needs_review', {
+                        locked_by: null,
+                        locked_at: null,
+                        next_attempt_at: null,
+                        error_message: 'Interrupted while submitting - check the portal before retrying'
+                    });
+
+                    await logAutomation({
+                        portalOrderId: order.id,
+                        action: 'order_needs_review_after_restart',
+                        status: 'needs_review',
+                        details: { previousWorker: order.locked_by, step: order.current_step }
+                    });
+                    continue;
+                }
+
+                logger.warn(`Re-queueing interrupted ${order.portal} order ${order.id} (was locked by ${order.locked_by || 'unknown'})`);
+
+                await updateOrderStatus(order.id, 'pending', {
+                    current_step: null,
+                    locked_by: null,
+                    locked_at: null,
+                    next_attempt_at: null
+                });
+
+                await logAutomation({
+                    portalOrderId: order.id,
+                    action: 'order_recovered_after_restart',
+                    status: 'pending',
+                    details: { previousWorker: order.locked_by }
+                });
+            }
+
+            if (orders.length > 0) {
+                logger.info(`Recovered ${orders.length} interrupted order(s)`);
+            }
+        } catch (error) {
+            logger.error('Failed to recover interrupted orders:', error);
+        }
+    }
+
+    /**
+     * Claim as many due orders as each portal has free workers for
+     */
+    async poll() {
+        // Coalesce overlapping polls (timer + enqueue + worker completion)
+        if (this.isPolling) {
+            this.pollRequested = true;
+            return;
+        }
+
+        this.isPolling = true;
+
+        try {
+            for (const portal of Object.keys(this.concurrency)) {
+                const available = this.concurrency[portal] - this.running[portal];
+                if (available <= 0) continue;
+
+                const orders = await getPendingOrders({
+                    portal,
+                    limit: available,
+                    maxRetries: this.maxRetries
+                });
+
+                for (const order of orders) {
+                    const claimed = await claimPendingOrder(order.id, this.workerId);
+                    if (!claimed) continue; // Another worker got it first
+
+                    this.runOrder(claimed);
+                }
+            }
+        } catch (error) {
+            logger.error('Order queue poll failed:', error);
+        } finally {
+            this.isPolling = false;
+
+            if (this.pollRequested) {
+                this.pollRequested = false;
+                setImmediate(() => this.poll());
+            }
+        }
+    }
+
+    /**
+     * Run a claimed order through its portal agent
+     */
+    async runOrder(order) {
+        const portal = order.portal;
+        const AgentClass = AGENTS[portal];
+        const attempt = (order.retry_count || 0) + 1;
+        const willRetry = attempt < this.maxRetries;
+
+        this.running[portal]++;
+        logger.info(`Running ${portal} order ${order.id} (attempt ${attempt} of ${this.maxRetries})`);
+
+        const agent = new AgentClass({ io: this.io });
+        let result;
+        // A preview keeps its browser open, so it keeps its worker slot until released
+        let parked = false;
+
+        // Keep the lock fresh while the browser runs, so recovery leaves the order alone
+        const heartbeat = setInterval(() => {
+            refreshOrderLock(order.id, this.workerId)
+                .catch(error => logger.warn(`Could not refresh the lock on order ${order.id}: ${error.message}`));
+        }, this.lockTimeoutMs / 3);
+
+        try {
+            result = await agent.processOrder({
+                ...this.buildOrderData(order),
+                willRetry
+            });
+
+            if (result.status === 'preview') {
+                this.previewSessions.set(order.id, { agent, portal, createdAt: Date.now() });
+                parked = true;
+            }
+        } catch (error) {
+            logger.error(`Order ${order.id} failed on attempt ${attempt}:`, error.message);
+
+            // A failure after the submit click may still have placed the order
+            if (agent.submitStarted) {
+                await this.markForReview(order, error);
+            } else if (willRetry) {
+                await this.scheduleRetry(order, attempt, error);
+            } else {
+                await updateOrderStatus(order.id, 'failed', {
+                    locked_by: null,
+                    locked_at: null
+                }).catch(dbError => logger.error('Failed to release order lock:', dbError));
+            }
+            return;
+        } finally {
+            clearInterval(heartbeat);
+            if (!parked) {
+                this.running[portal]--;
+                setImmediate(() => this.poll());
+            }
+        }
+
+        // The portal has the order now, so it is never run again - even if saving that fails.
+        // A preview stays locked to this worker, which holds its browser.
+        try {
+            await updateOrderStatus(order.id, result.status || 'completed', parked
+                ? { locked_by: this.workerId, locked_at: new Date().toISOString() }
+                : { locked_by: null, locked_at: null });
+        } catch (dbError) {
+            logger.error(`Order ${order.id} finished on the portal but its status could not be saved:`, dbError);
+        }
+    }
+
+    /**
+     * Hold an order that failed after it may have reached the portal, for someone to check
+     */
+    async markForReview(order, error) {
+        try {
+            await updateOrderStatus(order.id, 'needs_review', {
+                error_message: `Failed while submitting - check the portal before retrying: ${error.message}`,
+                locked_by: null,
+                locked_at: null
+            });
+
+            await logAutomation({
+                portalOrderId: order.id,
+                action: 'order_needs_review',
+                status: 'needs_review',
+                errorMessage: error.message
+            });
+        } catch (dbError) {
+            logger.error(`Failed to mark order ${order.id} for review:`, dbError);
+        }
+    }
+
+    /**
+     * Put a failed order back in the queue with exponential backoff
+     */
+    async scheduleRetry(order, attempt, error) {
+        const delayMs = Math.min(this.retryBaseDelayMs * Math.pow(2, attempt - 1), this.maxRetryDelayMs);
+        const nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+
+        try {
+            await updateOrderStatus(order.id, 'pending', {
+                retry_count: attempt,
+                next_attempt_at: nextAttemptAt,
+                error_message: error.message,
+                locked_by: null,
+                locked_at: null
+            });
+
+            await logAutomation({
+                portalOrderId: order.id,
+                action: 'order_retry_scheduled',
+                status: 'pending',
+                errorMessage: error.message,
+                details: { attempt, nextAttemptAt }
+            });
+
+            logger.info(`Order ${order.id} will retry at ${nextAttemptAt}`);
+        } catch (dbError) {
+            logger.error(`Failed to schedule retry for order ${order.id}:`, dbError);
+        }
+    }
+
+    /**
+     * Convert a portal_orders row into the orderData shape the agents expect
+     */
+    buildOrderData(order) {
+        const patient = order.patient_snapshot || {
+            firstName: order.patient?.first_name,
+            lastName: order.patient?.last_name,
+            dateOfBirth: order.patient?.date_of_birth,
+            medicaidId: order.patient?.medicaid_id,
+            phone: order.patient?.phone,
+            email: order.patient?.email,
+            address: order.patient?.address
+        };
+
+        return {
+            id: order.id,
+            portal: order.portal,
+            providerName: order.provider_name || order.provider?.name,
+            providerNpi: order.provider?.npi,
+            patient,
+            tests: order.tests_ordered || [],
+            diagnosisCodes: order.diagnosis_codes || [],
+            specialInstructions: order.special_instructions,
+            retry_count: order.retry_count || 0,
+            createdAt: order.created_at
+        };
+    }
+
+    /**
+     * Get the live agent for an order waiting in preview
+     */
+    getPreviewSession(orderId) {
+        return this.previewSessions.get(orderId)?.agent || null;
+    }
+
+    /**
+     * Forget a preview session (after confirm or cancel) and free its worker slot
+     */
+    releasePreviewSession(orderId) {
+        const session = this.previewSessions.get(orderId);
+        if (!session) return;
+
+        this.previewSessions.delete(orderId);
+        this.running[session.portal]--;
+        setImmediate(() => this.poll());
+    }
+
+    /**
+     * Close preview sessions nobody confirmed in time; their orders fail so they can be retried
+     */
+    async cleanupPreviewSessions() {
+        const now = Date.now();
+        for (const [orderId, session] of this.previewSessions.entries()) {
+            if (now - session.createdAt > PREVIEW_TTL_MS) {
+                logger.info(`Cleaning up expired session for order ${orderId}`);
+                session.agent.cleanup();
+                this.releasePreviewSession(orderId);
+                await this.expirePreview(orderId, 'Preview expired before it was confirmed - retry the order');
+            }
+        }
+    }
+
+    /**
+     * Fail an order whose preview session is gone, so it can be retried
+     */
+    async expirePreview(orderId, message) {
+        try {
+            await updateOrderStatus(orderId, 'failed', {
+                error_message: message,
+                locked_by: null,
+                locked_at: null
+            });
+
+            await logAutomation({
+                portalOrderId: orderId,
+                action: 'order_preview_expired',
+                status: 'failed',
+                errorMessage: message
+            });
+        } catch (dbError) {
+            logger.error(`Failed to expire the preview of order ${orderId}:`, dbError);
+        }
+    }
+}
+
+// Create singleton instance
+let queueInstance = null;
+
+function getOrderQueue() {
+    if (!queueInstance) {
+        queueInstance = new OrderQueue();
+    }
+    return queueInstance;
+}
+
+module.exports = {
+    OrderQueue,
+    getOrderQueue
+};
@@ -0,0 +1,34 @@
+// Diagnosis Checkboxes
+// Labcorp Link and Quest both list a checkbox per order diagnosis under each test; the
+// portal agents set them from the test's diagnosis pointers through here.
+
+/**
+ * Check or clear one diagnosis under one test, looked for in the innermost section holding
+ * both the test and the checkbox. Exact names come first so F31.3 doesn't land on F31.30.
+ * @param {import('playwright').Page} page
+ * @param {Object} options
+ * @param {string} options.section - Selector for the elements that can hold a test's
+ *   checkboxes, e.g. 'div' or 'div, tr'
+ * @param {string} options.testText - Text identifying the test's section (code or name)
+ * @param {string} options.code - ICD-10 code, the checkbox's accessible name
+ * @param {boolean} options.linked - Whether the test points at the code
+ * @returns {Promise<boolean>} - false when the checkbox wasn't found
+ */
+async function setDiagnosisCheckbox(page, { section, testText, code, linked }) {
+    for (const exact of [true, false]) {
+        const checkboxName = { name: code, exact };
+        const scope = page.locator(section, { hasText: testText })
+            .filter({ has: page.getByRole('checkbox', checkboxName) })
+            .last();
+        const checkbox = scope.getByRole('checkbox', checkboxName).first();
+
+        if (await checkbox.count() > 0) {
+            await checkbox.setChecked(linked);
+            return true;
+        }
+    }
+
+    return false;
+}
+
+module.exports = { setDiagnosisCheckbox };
@@ -9,6 +9,8 @@ const { getLLMHelper } = require('./llmHelper');
 const insuranceHelper = require('./insuranceHelper');
 const medicaidEligibilityService = require('../medicaidEligibilityService');
 const emailNotificationService = require('../emailNotificationService');
+const { testDiagnosisCodes, pointsAtAll } = require('../diagnosisPointers');
+const { setDiagnosisCheckbox } = require('./diagnosisCheckboxes');
 const {
     updateOrderStatus,
     logAutomation,
@@ -700,6 +702,9 @@ class LabcorpAgent {
                         lastName: patientData.lastName,
                         dateOfBirth: patientData.dateOfBirth,
                         medicaidId: patientData.medicaidId
+                    }, {
+                        // The order form checked moments ago - this reuses that answer
+                        source: 'labcorp_agent'
                     });
 
                     if (medicaidData.isEligible && medicaidData.demographics) {
@@ -1051,7 +1056,7 @@ class LabcorpAgent {
                 // Determine insurance type and billing method
                 const isMedicaid = insuranceHelper.isMedicaid(patientData.insuranceProvider);
                 const isMedicare = insuranceHelper.isMedicare(patientData.insuranceProvider);
-                const billMethod = insuranceHelper.getBillMethod(patientData.insuranceProvider);
+                const billMethod = insuranceHelper.getBillMethod(patientData);
                 const payorCode = insuranceHelper.getPayorCode(patientData.insuranceProvider);
 
                 logger.info(`Insurance: ${patientData.insuranceProvider}, Bill Method: ${billMethod}, Payor Code: ${payorCode}`);
@@ -1531,6 +1536,117 @@ class LabcorpAgent {
         }
     }
 
+    /**
+     * Answer the ask-at-order-entry (AOE) questions Labcorp Link shows for the selected
+     * tests. Fields are found by their label; any that can't be found are logged and left
+     * for Labcorp's validation to flag.
+     */
+    async fillAoeAnswers(tests) {
+        try {
+            const pending = tests.flatMap(test => (test.aoeAnswers || []).map(answer => ({ test, answer })));
+            if (pending.length === 0) {
+                logger.info('No AOE answers to enter');
+                return true;
+            }
+
+            logger.info(`Entering ${pending.length} AOE answers...`);
+            this.emitStatus('Answering order questions...');
+
+            const missed = [];
+            for (const { test, answer } of pending) {
+                const label = answer.portalLabel || answer.prompt;
+                if (await this.fillAoeField(test, label, answer)) {
+                    logger.debug(`Answered AOE "${label}" for ${test.name}`);
+                } else {
+                    missed.push(`${test.name}: ${label}`);
+                }
+            }
+
+            await this.takeScreenshot('06b-aoe-answered');
+
+            if (missed.length > 0) {
+                logger.warn(`Could not find AOE fields: ${missed.join('; ')}`);
+                await logAutomation({
+                    portalOrderId: this.orderId,
+                    action: 'aoe_fields_not_found',
+                    status: 'warning',
+                    details: { missed }
+                });
+            }
+
+            return missed.length === 0;
+        } catch (error) {
+            logger.error('Failed to enter AOE answers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fill one AOE field. Labcorp Link lists each test's questions under the test, so the
+     * innermost section holding both the test code and the label is tried first. The whole
+     * page is only searched when the label appears once on it - with a lithium and a
+     * valproic acid level on the order, "Last Dose" belongs to one of two tests.
+     * Exact label matches come first so "Dose" doesn't land in "Last Dose".
+     */
+    async fillAoeField(test, label, answer) {
+        // Labels are edited by admins; keep a quote from ending the selector's string
+        const quoted = label.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        const attempts = [];
+        for (const labelSelector of [`label:text-is("${quoted}")`, `label:has-text("${quoted}")`]) {
+            attempts.push(
+                { scope: this.page.locator('div', { hasText: test.code }).filter({ has: this.page.locator(labelSelector) }).last(), labelSelector },
+                { scope: this.page, labelSelector, pageWide: true }
+            );
+        }
+
+        for (const { scope, labelSelector, pageWide } of attempts) {
+            if (pageWide && await this.page.locator(labelSelector).count() !== 1) continue;
+
+            const container = scope.locator(labelSelector).first().locator('..');
+            if (await container.count() === 0) continue;
+
+            const select = container.locator('select').first();
+            if (await select.count() > 0) {
+                const option = answer.type === 'yesno' ? (answer.answer === 'yes' ? 'Yes' : 'No') : String(answer.answer);
+                await select.selectOption({ label: option });
+                return true;
+            }
+
+            if (answer.type === 'yesno') {
+                const radio = container.getByLabel(answer.answer === 'yes' ? 'Yes' : 'No', { exact: true }).first();
+                if (await radio.count() > 0) {
+                    await radio.check();
+                    return true;
+                }
+            }
+
+            const input = container.locator('input:not([type="radio"]):not([type="checkbox"]), textarea').first();
+            if (await input.count() > 0) {
+                await input.fill(this.formatAoeAnswer(answer));
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * AOE answer as typed into a Labcorp Link text field
+     */
+    formatAoeAnswer(answer) {
+        const value = String(answer.answer);
+        const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}:\d{2}))?/);
+
+        if (match && (answer.type === 'date' || answer.type === 'datetime')) {
+            const date = `${match[2]}/${match[3]}/${match[1]}`;
+            return answer.type === 'datetime' && match[4] ? `${date} ${match[4]}` : date;
+        }
+        if (answer.type === 'yesno') {
+            return answer.answer === 'yes' ? 'Yes' : 'No';
+        }
+        return value;
+    }
+
     /**
      * Add diagnosis codes
      */
@@ -1607,6 +1723,59 @@ class LabcorpAgent {
         }
     }
 
+    /**
+     * Point each test at its own diagnoses. Labcorp Link links every diagnosis on the order
+     * to every test, with a checkbox per diagnosis under each test, so only tests that point
+     * at fewer than all of them need changing.
+     */
+    async linkDiagnosisPointers(tests, diagnosisCodes = []) {
+        try {
+            const pending = (tests || []).filter(test => !pointsAtAll(test, diagnosisCodes));
+            if (pending.length === 0) {
+                logger.info('Every test points at every diagnosis');
+                return true;
+            }
+
+            logger.info(`Linking diagnoses for ${pending.length} tests...`);
+            this.emitStatus('Linking diagnoses to tests...');
+
+            const missed = [];
+            for (const test of pending) {
+                const pointers = testDiagnosisCodes(test, diagnosisCodes);
+                for (const code of diagnosisCodes) {
+                    // Labcorp Link lists each test's diagnoses under the test code
+                    const found = await setDiagnosisCheckbox(this.page, {
+                        section: 'div',
+                        testText: test.code,
+                        code,
+                        linked: pointers.includes(code)
+                    });
+                    if (!found) {
+                        missed.push(`${test.name}: ${code}`);
+                    }
+                }
+                logger.debug(`Linked ${test.name} to ${pointers.join(', ')}`);
+            }
+
+            await this.takeScreenshot('07b-diagnoses-linked');
+
+            if (missed.length > 0) {
+                logger.warn(`Could not find diagnosis checkboxes: ${missed.join('; ')}`);
+                await logAutomation({
+                    portalOrderId: this.orderId,
+                    action: 'diagnosis_pointers_not_found',
+                    status: 'warning',
+                    details: { missed }
+                });
+            }
+
+            return missed.length === 0;
+        } catch (error) {
+            logger.error('Failed to link diagnoses to tests:', error);
+            throw error;
+        }
+    }
+
     /**
      * Validate order before submission
      */
@@ -1739,6 +1908,10 @@ class LabcorpAgent {
                 throw new Error('Could not find submit button');
             }
 
+            // From here the order may reach Labcorp, so it must not be run again automatically
+            await this.recordStep('submitting');
+            this.submitStarted = true;
+
             // Click submit
             await submitButton.click();
 
@@ -1834,8 +2007,13 @@ class LabcorpAgent {
     async processOrder(orderData) {
         this.orderId = orderData.id;
         const startTime = Date.now();
+        let keepSessionOpen = false;
 
         try {
+            await this.recordStep('initializing', {
+                processing_started_at: new Date().toISOString(),
+                error_message: null
+            });
             await this.initialize();
 
             // Log automation start
@@ -1847,22 +2025,33 @@ class LabcorpAgent {
             });
 
             // Login
+            await this.recordStep('logging_in');
             await this.login();
 
             // Navigate to order form
+            await this.recordStep('opening_order_form');
             await this.navigateToOrderForm();
 
             // Fill order details
+            await this.recordStep('entering_patient_info');
             await this.fillPatientInfo(orderData.patient);
+            await this.recordStep('selecting_tests');
             await this.selectTests(orderData.tests);
+            await this.recordStep('answering_aoe');
+            await this.fillAoeAnswers(orderData.tests);
+            await this.recordStep('adding_diagnoses');
             await this.addDiagnosisCodes(orderData.diagnosisCodes);
+            await this.recordStep('linking_diagnoses');
+            await this.linkDiagnosisPointers(orderData.tests, orderData.diagnosisCodes);
 
             // Generate preview
+            await this.recordStep('generating_preview');
             const previewPath = await this.previewOrder();
 
             // If preview mode is enabled, stop here and wait for confirmation
             if (this.previewMode) {
                 logger.info('Preview mode - waiting for user confirmation');
+                keepSessionOpen = true;
                 return {
                     success: true,
                     status: 'preview',
@@ -1877,6 +2066,18 @@ class LabcorpAgent {
         } catch (error) {
             logger.error('Order processing failed:', error);
 
+            // The order queue will try again - just record the failed attempt
+            if (orderData.willRetry) {
+                await logAutomation({
+                    portalOrderId: this.orderId,
+                    action: 'order_processing_failed',
+                    status: 'retrying',
+                    errorMessage: error.message,
+                    durationMs: Date.now() - startTime
+                });
+                throw error;
+            }
+
             // Update order status
             await updateOrderStatus(this.orderId, 'failed', {
                 error_message: error.message,
@@ -1922,7 +2123,24 @@ class LabcorpAgent {
 
             throw error;
         } finally {
-            await this.cleanup();
+            // The order queue holds on to preview sessions until the user confirms
+            if (!keepSessionOpen) {
+                await this.cleanup();
+            }
+        }
+    }
+
+    /**
+     * Persist the automation step the order is on so status survives a page reload
+     */
+    async recordStep(step, additionalData = {}) {
+        try {
+            await updateOrderStatus(this.orderId, 'processing', {
+                current_step: step,
+                ...additionalData
+            });
+        } catch (dbError) {
+            logger.warn(`Could not record order step "${step}":`, dbError.message);
         }
     }
 
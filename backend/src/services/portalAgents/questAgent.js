@@ -11,6 +11,8 @@ const {
     getActiveSession,
     savePortalSession
 } = require('../supabase');
+const { testDiagnosisCodes, pointsAtAll } = require('../diagnosisPointers');
+const { setDiagnosisCheckbox } = require('./diagnosisCheckboxes');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -477,6 +479,55 @@ class QuestAgent {
         }
     }
 
+    /**
+     * Point each test at its own diagnoses (Quest-specific). Quest links every diagnosis on
+     * the order to every test, so only tests that point at fewer than all of them change.
+     */
+    async linkDiagnosisPointers(tests, diagnosisCodes = []) {
+        try {
+            const pending = (tests || []).filter(test => !pointsAtAll(test, diagnosisCodes));
+            if (pending.length === 0) {
+                logger.info('Every test points at every diagnosis');
+                return true;
+            }
+
+            logger.info(`Linking diagnoses for ${pending.length} tests on Quest...`);
+            this.emitStatus('Linking diagnoses to tests...');
+
+            const missed = [];
+            for (const test of pending) {
+                const pointers = testDiagnosisCodes(test, diagnosisCodes);
+                for (const code of diagnosisCodes) {
+                    // The diagnosis checkboxes sit in the row or panel holding the test's name
+                    const found = await setDiagnosisCheckbox(this.page, {
+                        section: 'div, tr',
+                        testText: test.name || test.code,
+                        code,
+                        linked: pointers.includes(code)
+                    });
+                    if (!found) {
+                        missed.push(`${test.name}: ${code}`);
+                    }
+                }
+            }
+
+            if (missed.length > 0) {
+                logger.warn(`Could not find Quest diagnosis checkboxes: ${missed.join('; ')}`);
+                await logAutomation({
+                    portalOrderId: this.orderId,
+                    action: 'diagnosis_pointers_not_found',
+                    status: 'warning',
+                    details: { missed }
+                });
+            }
+
+            return missed.length === 0;
+        } catch (error) {
+            logger.error('Failed to link diagnoses to tests on Quest:', error);
+            throw error;
+        }
+    }
+
     /**
      * Preview order before submission
      */
@@ -530,6 +581,11 @@ class QuestAgent {
                 throw new Error('Could not find submit button on Quest');
             }
 
+            // From here the order may reach Quest, so it must not be run again automatically
+            await updateOrderStatus(this.orderId, 'processing', { current_step: 'submitting' })
+                .catch(dbError => logger.warn('Could not record order step "submitting":', dbError.message));
+            this.submitStarted = true;
+
             await submitButton.click();
 
             await this.page.waitForLoadState('networkidle');
@@ -599,6 +655,7 @@ class QuestAgent {
     async processOrder(orderData) {
         this.orderId = orderData.id;
         const startTime = Date.now();
+        let keepSessionOpen = false;
 
         try {
             await this.initialize();
@@ -621,6 +678,7 @@ class QuestAgent {
             await this.fillPatientInfo(orderData.patient);
             await this.selectTests(orderData.tests);
             await this.addDiagnosisCodes(orderData.diagnosisCodes);
+            await this.linkDiagnosisPointers(orderData.tests, orderData.diagnosisCodes);
 
             // Generate preview
             const previewPath = await this.previewOrder();
@@ -628,6 +686,7 @@ class QuestAgent {
             // If preview mode is enabled, stop here
             if (this.previewMode) {
                 logger.info('Preview mode - waiting for user confirmation');
+                keepSessionOpen = true;
                 return {
                     success: true,
                     status: 'preview',
@@ -642,6 +701,18 @@ class QuestAgent {
         } catch (error) {
             logger.error('Quest order processing failed:', error);
 
+            // The order queue will try again - just record the failed attempt
+            if (orderData.willRetry) {
+                await logAutomation({
+                    portalOrderId: this.orderId,
+                    action: 'quest_order_processing_failed',
+                    status: 'retrying',
+                    errorMessage: error.message,
+                    durationMs: Date.now() - startTime
+                });
+                throw error;
+            }
+
             // Update order status
             await updateOrderStatus(this.orderId, 'failed', {
                 error_message: error.message,
@@ -667,7 +738,10 @@ class QuestAgent {
 
             throw error;
         } finally {
-            await this.cleanup();
+            // The order queue holds on to preview sessions until the user confirms
+            if (!keepSessionOpen) {
+                await this.cleanup();
+            }
         }
     }
 
@@ -0,0 +1,317 @@
+// Result Matcher Service
+// Decides which patient (and which portal order) a scraped lab result belongs to.
+// Candidates are scored on independent identifiers - originating order, Medicaid ID,
+// DOB and name - and only a confident, unambiguous winner is attached automatically.
+
+const winston = require('winston');
+const { getSupabase } = require('./supabase');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// Points for each piece of evidence. Name + DOB (75) is enough on its own;
+// name alone (40) or DOB alone (35) never is.
+const SCORES = {
+    ORDER_NUMBER: 50,       // Accession/confirmation number matches one of our portal orders
+    MEDICAID_ID: 40,
+    DOB: 35,
+    DOB_MISMATCH: -50,
+    LAST_NAME_EXACT: 25,
+    LAST_NAME_PARTIAL: 15,  // Shares a token, e.g. "Garcia-Lopez" vs "Garcia"
+    FIRST_NAME_EXACT: 15,
+    FIRST_NAME_PARTIAL: 7,  // Prefix/nickname-ish, e.g. "Alex" vs "Alexander"
+    RECENT_ORDER: 10        // Has an order at this portal shortly before the result
+};
+
+const AUTO_MATCH_SCORE = 70;
+const AUTO_MATCH_MARGIN = 20;
+const RECENT_ORDER_WINDOW_DAYS = 90;
+const MAX_CANDIDATES = 25;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Lowercase, strip accents and punctuation, split into name tokens
+ */
+function nameTokens(name) {
+    return (name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z\s-]/g, '')
+        .split(/[\s-]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Split a portal name into first/last
+ * Accepts "Last, First Middle" and "First Middle Last" - for the latter everything
+ * after the first token is treated as the last name so multi-word surnames survive.
+ */
+function splitPatientName(resultData) {
+    if (resultData.patientFirstName || resultData.patientLastName) {
+        return {
+            first: nameTokens(resultData.patientFirstName),
+            last: nameTokens(resultData.patientLastName)
+        };
+    }
+
+    const name = resultData.patientName || '';
+    if (name.includes(',')) {
+        const [last, first] = name.split(',');
+        return { first: nameTokens(first), last: nameTokens(last) };
+    }
+
+    const tokens = nameTokens(name);
+    return { first: tokens.slice(0, 1), last: tokens.slice(1) };
+}
+
+function normalizeId(value) {
+    return (value || '').toString().replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+}
+
+function scoreLastName(resultLast, patientLast) {
+    const patientTokens = nameTokens(patientLast);
+    if (resultLast.length === 0 || patientTokens.length === 0) return 0;
+
+    if (resultLast.join(' ') === patientTokens.join(' ')) return SCORES.LAST_NAME_EXACT;
+    if (resultLast.some(token => token.length > 1 && patientTokens.includes(token))) return SCORES.LAST_NAME_PARTIAL;
+    return 0;
+}
+
+function scoreFirstName(resultFirst, patientFirst) {
+    const patientTokens = nameTokens(patientFirst);
+    if (resultFirst.length === 0 || patientTokens.length === 0) return 0;
+
+    if (resultFirst[0] === patientTokens[0]) return SCORES.FIRST_NAME_EXACT;
+
+    const [a, b] = [resultFirst[0], patientTokens[0]];
+    if (a.length >= 3 && b.length >= 3 && (a.startsWith(b) || b.startsWith(a))) return SCORES.FIRST_NAME_PARTIAL;
+    return 0;
+}
+
+class ResultMatcher {
+    /**
+     * Match a result to a patient and portal order
+     *
+     * @param {string} portal - 'labcorp' | 'quest' | ...
+     * @param {Object} resultData - as passed to ResultsScraper.saveResult
+     * @returns {Promise<Object>} { matched, patientId, portalOrderId, score, reason, candidates, evidence }
+     *   reason is set when matched is false: 'no_candidates' | 'low_confidence' | 'ambiguous'
+     */
+    async match(portal, resultData) {
+        const name = splitPatientName(resultData);
+        const dob = resultData.patientDob || null;
+        const medicaidId = normalizeId(resultData.medicaidId);
+
+        // 1. The strongest signal: an order number we recorded when we placed the order
+        const order = await this.findOrderByNumber(portal, resultData);
+
+        // 2. Gather candidate patients from every identifier we have
+        const patients = await this.findCandidatePatients({ name, dob, medicaidId, order });
+
+        // 3. Score each candidate
+        const candidates = [];
+        for (const patient of patients) {
+            const evidence = [];
+            let score = 0;
+
+            if (order && order.patient_id === patient.id) {
+                score += SCORES.ORDER_NUMBER;
+                evidence.push(`order ${order.confirmation_number || order.id}`);
+            }
+
+            if (medicaidId && normalizeId(patient.medicaid_id) === medicaidId) {
+                score += SCORES.MEDICAID_ID;
+                evidence.push('medicaid_id');
+            }
+
+            if (dob && patient.date_of_birth) {
+                if (patient.date_of_birth === dob) {
+                    score += SCORES.DOB;
+                    evidence.push('dob');
+                } else {
+                    score += SCORES.DOB_MISMATCH;
+                    evidence.push('dob_mismatch');
+                }
+            }
+
+            const lastScore = scoreLastName(name.last, patient.last_name);
+            const firstScore = scoreFirstName(name.first, patient.first_name);
+            score += lastScore + firstScore;
+            if (lastScore) evidence.push(lastScore === SCORES.LAST_NAME_EXACT ? 'last_name' : 'last_name_partial');
+            if (firstScore) evidence.push(firstScore === SCORES.FIRST_NAME_EXACT ? 'first_name' : 'first_name_partial');
+
+            // Without an order number, fall back to the patient's most likely recent order
+            let portalOrderId = order && order.patient_id === patient.id ? order.id : null;
+            if (!portalOrderId) {
+                const recentOrder = await this.findRecentOrder(portal, patient.id, resultData);
+                if (recentOrder) {
+                    portalOrderId = recentOrder.id;
+                    score += SCORES.RECENT_ORDER;
+                    evidence.push('recent_order');
+                }
+            }
+
+            candidates.push({
+                patientId: patient.id,
+                name: `${patient.first_name} ${patient.last_name}`,
+                dateOfBirth: patient.date_of_birth,
+                portalOrderId,
+                score,
+                evidence
+            });
+        }
+
+        candidates.sort((a, b) => b.score - a.score);
+
+        const [best, runnerUp] = candidates;
+        const result = { candidates: candidates.slice(0, 5) };
+
+        if (!best || best.score <= 0) {
+            return { ...result, matched: false, reason: 'no_candidates' };
+        }
+
+        if (best.score < AUTO_MATCH_SCORE) {
+            return { ...result, matched: false, reason: 'low_confidence', score: best.score };
+        }
+
+        if (runnerUp && best.score - runnerUp.score < AUTO_MATCH_MARGIN) {
+            return { ...result, matched: false, reason: 'ambiguous', score: best.score };
+        }
+
+        return {
+            ...result,
+            matched: true,
+            patientId: best.patientId,
+            portalOrderId: best.portalOrderId,
+            score: best.score,
+            evidence: best.evidence
+        };
+    }
+
+    /**
+     * Find the portal order the result answers
+     * HL7 results carry our placer order number (the portal order id we sent) and the
+     * lab's filler/accession number; scraped results only have the portal's numbers,
+     * which we recorded as the confirmation number when the order was placed.
+     */
+    async findOrderByNumber(portal, resultData) {
+        const numbers = [
+            resultData.accessionNumber,
+            resultData.requisitionNumber,
+            resultData.confirmationNumber,
+            resultData.fillerOrderNumber,
+            resultData.placerOrderNumber,
+            resultData.orderId
+        ]
+            .filter(Boolean)
+            .map(String);
+
+        if (numbers.length === 0) return null;
+
+        const orderIds = numbers.filter(number => UUID_PATTERN.test(number));
+
+        try {
+            let query = getSupabase()
+                .from('portal_orders')
+                .select('id, patient_id, confirmation_number, tests_ordered, created_at')
+                .eq('portal', portal);
+
+            query = orderIds.length > 0
+                ? query.or(`id.in.(${orderIds.join(',')}),confirmation_number.in.(${numbers.map(n => `"${n}"`).join(',')})`)
+                : query.in('confirmation_number', numbers);
+
+            const { data, error } = await query.limit(1);
+
+            if (error) throw error;
+            return data?.[0] || null;
+        } catch (error) {
+            logger.warn('Order number lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Patients who share any identifier with the result
+     */
+    async findCandidatePatients({ name, dob, medicaidId, order }) {
+        const byId = new Map();
+        const addAll = rows => (rows || []).forEach(row => byId.set(row.id, row));
+        const columns = 'id, first_name, last_name, date_of_birth, medicaid_id';
+
+        try {
+            if (order?.patient_id) {
+                const { data } = await getSupabase().from('patients').select(columns).eq('id', order.patient_id);
+                addAll(data);
+            }
+
+            if (medicaidId) {
+                const { data } = await getSupabase().from('patients').select(columns).eq('medicaid_id', medicaidId).limit(MAX_CANDIDATES);
+                addAll(data);
+            }
+
+            if (dob) {
+                const { data } = await getSupabase().from('patients').select(columns).eq('date_of_birth', dob).limit(MAX_CANDIDATES);
+                addAll(data);
+            }
+
+            // Name search catches patients whose DOB is missing or mistyped on one side
+            const lastNameTokens = name.last.filter(token => token.length > 1);
+            if (lastNameTokens.length > 0) {
+                const filter = lastNameTokens.map(token => `last_name.ilike.%${token}%`).join(',');
+                const { data } = await getSupabase().from('patients').select(columns).or(filter).limit(MAX_CANDIDATES);
+                addAll(data);
+            }
+        } catch (error) {
+            logger.warn('Candidate patient lookup failed:', error.message);
+        }
+
+        return Array.from(byId.values());
+    }
+
+    /**
+     * Most likely originating order for a patient: placed at this portal within the window
+     * before the result, preferring one that ordered the same test
+     */
+    async findRecentOrder(portal, patientId, resultData) {
+        try {
+            const resultDate = resultData.resultDate ? new Date(resultData.resultDate) : new Date();
+            const windowStart = new Date(resultDate.getTime() - RECENT_ORDER_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+            const { data, error } = await getSupabase()
+                .from('portal_orders')
+                .select('id, tests_ordered, created_at')
+                .eq('portal', portal)
+                .eq('patient_id', patientId)
+                .in('status', ['submitted', 'confirmed', 'completed'])
+                .gte('created_at', windowStart.toISOString())
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+            if (!data || data.length === 0) return null;
+
+            const testCode = resultData.testCode && String(resultData.testCode);
+            const sameTest = testCode && data.find(order =>
+                (order.tests_ordered || []).some(test => String(test.code) === testCode)
+            );
+
+            return sameTest || data[0];
+        } catch (error) {
+            logger.warn('Recent order lookup failed:', error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new ResultMatcher();
@@ -3,15 +3,26 @@
 
 const cron = require('node-cron');
 const winston = require('winston');
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
 const LabcorpAgent = require('./portalAgents/labcorpAgent');
 const QuestAgent = require('./portalAgents/questAgent');
 const { getLLMHelper } = require('./portalAgents/llmHelper');
 const {
     getSupabase,
     savePortalResult,
+    getPortalResultByKey,
+    amendPortalResult,
+    getMatchQueueItemByKey,
+    updateMatchQueueItem,
+    addToMatchQueue,
     createNotification,
     logAutomation
 } = require('./supabase');
+const resultMatcher = require('./resultMatcher');
+const { getCriticalAlertService } = require('./criticalAlertService');
+const { getIntakeQResultPushService } = require('./intakeqResultPush');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -27,11 +38,128 @@ const logger = winston.createLogger({
     ]
 });
 
+// Quest report statuses that mean the order is complete
+const QUEST_COMPLETED_STATUS = /final|complete|corrected|amended/i;
+const QUEST_MAX_RESULT_PAGES = 10;
+
+/**
+ * Read every table row on the page as { header: cellText, href, panel }
+ * Runs inside the browser via page.$$eval, so it must be self-contained.
+ */
+function readTableRows(tables) {
+    const rows = [];
+
+    for (const table of tables) {
+        const headers = Array.from(table.querySelectorAll('thead th'))
+            .map(th => th.textContent.replace(/\s+/g, ' ').trim().toLowerCase());
+        if (headers.length === 0) continue;
+
+        let panel = null;
+        for (const tr of table.querySelectorAll('tbody tr')) {
+            const cells = Array.from(tr.querySelectorAll('td'))
+                .map(td => td.textContent.replace(/\s+/g, ' ').trim());
+
+            // A single spanning cell is a panel heading (e.g. "COMPREHENSIVE METABOLIC PANEL")
+            if (cells.length === 1) {
+                panel = cells[0];
+                continue;
+            }
+
+            const row = { panel };
+            headers.forEach((header, i) => {
+                row[header] = cells[i] || '';
+            });
+
+            const link = tr.querySelector('a[href]');
+            row.href = link ? link.href : null;
+            rows.push(row);
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Value of the first column whose header contains one of the keywords (checked in order)
+ */
+function pickColumn(row, keywords) {
+    for (const keyword of keywords) {
+        const header = Object.keys(row).find(key => key !== 'href' && key !== 'panel' && key.includes(keyword));
+        if (header) return row[header];
+    }
+    return undefined;
+}
+
+/**
+ * "DOE, JANE M" -> "Jane M Doe" (saveResult expects first name first)
+ */
+function formatPatientName(name) {
+    if (!name) return null;
+    const [last, first] = name.includes(',') ? name.split(',').map(part => part.trim()) : [null, name];
+    const fullName = last ? `${first} ${last}` : first;
+    return fullName.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/**
+ * MM/DD/YYYY -> YYYY-MM-DD (other formats returned unchanged)
+ */
+function toIsoDate(value) {
+    const match = value?.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (!match) return value || null;
+    return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+/**
+ * Quest abnormal flags: H/L/A are abnormal, HH/LL/AA and critical markers are critical
+ */
+function questFlagToStatus(flag) {
+    const normalized = (flag || '').trim().toUpperCase();
+    if (!normalized || normalized === 'N') return 'normal';
+    if (['HH', 'LL', 'AA', 'C', 'PANIC'].includes(normalized) || normalized.includes('CRIT')) return 'critical';
+    return 'abnormal';
+}
+
+/**
+ * Identity of one analyte on one report: portal | accession | test | result date
+ * Stable across cron runs and across corrected/amended versions of the same report.
+ */
+function buildResultKey(portal, resultData) {
+    const report = resultData.accessionNumber || resultData.orderId
+        || [resultData.patientName, resultData.patientDob].filter(Boolean).join('/');
+    const test = resultData.testCode || resultData.testName || '';
+
+    return [portal, report, test, resultData.resultDate || '']
+        .map(part => String(part).trim().toUpperCase())
+        .join('|');
+}
+
+const normalizeValue = value => (value === null || value === undefined ? '' : String(value).trim());
+
+// Fields whose change means the lab issued a different result
+const VERSIONED_FIELDS = [
+    ['result_value', 'resultValue'],
+    ['result_unit', 'resultUnit'],
+    ['reference_range', 'referenceRange'],
+    ['result_status', 'resultStatus'],
+    ['report_status', 'reportStatus']
+];
+
+function hasResultChanged(stored, resultData) {
+    return VERSIONED_FIELDS.some(([column, field]) =>
+        normalizeValue(stored[column]) !== normalizeValue(resultData[field])
+    );
+}
+
+function hasQueuedResultChanged(queuedData, resultData) {
+    return VERSIONED_FIELDS.some(([, field]) => normalizeValue(queuedData[field]) !== normalizeValue(resultData[field]));
+}
+
 class ResultsScraper {
     constructor() {
         this.isRunning = false;
         this.lastRun = null;
         this.llmHelper = getLLMHelper();
+        this.pdfDirectory = process.env.RESULTS_PDF_PATH || './results-pdfs';
     }
 
     /**
@@ -109,7 +237,7 @@ class ResultsScraper {
 
             this.lastRun = new Date();
 
-            // Create notification if new results found
+            // Create notification if new or changed results found (repeats from earlier runs don't count)
             if (totalResults > 0) {
                 await this.createResultsNotification(totalResults, results);
             }
@@ -151,13 +279,13 @@ class ResultsScraper {
             }
 
             // Save all results to database
-            for (const result of results) {
-                await this.saveResult('labcorp', result);
-            }
+            const saved = await this.saveResults('labcorp', results);
 
             return {
                 success: true,
-                count: results.length,
+                count: saved.created + saved.updated,
+                fetched: results.length,
+                ...saved,
                 error: null
             };
 
@@ -341,36 +469,21 @@ class ResultsScraper {
      */
     async scrapeQuestResults() {
         const agent = new QuestAgent();
-        const results = [];
 
         try {
             await agent.initialize();
             await agent.login();
 
-            // Navigate to results section
-            await this.navigateToQuestResults(agent);
-
-            // Get list of recent results
-            const orders = await this.getQuestOrdersWithResults(agent);
-
-            // Process each order
-            for (const order of orders) {
-                try {
-                    const orderResults = await this.processQuestOrder(agent, order);
-                    results.push(...orderResults);
-                } catch (error) {
-                    logger.error(`Failed to process Quest order ${order.id}:`, error);
-                }
-            }
+            const results = await this.collectQuestResults(agent);
 
             // Save all results
-            for (const result of results) {
-                await this.saveResult('quest', result);
-            }
+            const saved = await this.saveResults('quest', results);
 
             return {
                 success: true,
-                count: results.length,
+                count: saved.created + saved.updated,
+                fetched: results.length,
+                ...saved,
                 error: null
             };
 
@@ -382,6 +495,33 @@ class ResultsScraper {
         }
     }
 
+    /**
+     * Walk the Quest results inbox from a logged-in page and extract every completed order
+     * Kept separate from scrapeQuestResults so it can run against local HTML fixtures
+     */
+    async collectQuestResults(agent) {
+        const results = [];
+
+        // Navigate to results section
+        await this.navigateToQuestResults(agent);
+
+        // Get list of completed orders
+        const orders = await this.getQuestOrdersWithResults(agent);
+
+        // Process each order
+        for (const order of orders) {
+            try {
+                const orderResults = await this.processQuestOrder(agent, order);
+                results.push(...orderResults);
+            } catch (error) {
+                logger.error(`Failed to process Quest order ${order.id}:`, error);
+            }
+        }
+
+        logger.info(`Extracted ${results.length} Quest results from ${orders.length} orders`);
+        return results;
+    }
+
     /**
      * Navigate to Quest results section
      */
@@ -411,71 +551,297 @@ class ResultsScraper {
     }
 
     /**
-     * Get Quest orders with results (simplified)
+     * Get Quest orders with final results from the results inbox (all pages)
      */
     async getQuestOrdersWithResults(agent) {
-        // Similar to Labcorp implementation
-        return [];
+        const orders = [];
+        const seen = new Set();
+
+        for (let pageNumber = 1; pageNumber <= QUEST_MAX_RESULT_PAGES; pageNumber++) {
+            await agent.page.waitForSelector('table', { timeout: 10000 });
+            const rows = await agent.page.$$eval('table', readTableRows);
+
+            for (const row of rows) {
+                // Only the inbox table has a patient column
+                if (!pickColumn(row, ['patient'])) continue;
+
+                const reportStatus = pickColumn(row, ['status']);
+                if (!QUEST_COMPLETED_STATUS.test(reportStatus)) continue;
+
+                const accessionNumber = pickColumn(row, ['accession', 'lab ref', 'specimen']);
+                const requisitionNumber = pickColumn(row, ['requisition', 'req #', 'order #']);
+                const id = accessionNumber || requisitionNumber;
+
+                if (!id || seen.has(id)) continue;
+                seen.add(id);
+
+                orders.push({
+                    id,
+                    accessionNumber,
+                    requisitionNumber,
+                    patient: formatPatientName(pickColumn(row, ['patient'])),
+                    patientDob: toIsoDate(pickColumn(row, ['dob', 'birth'])),
+                    date: toIsoDate(pickColumn(row, ['collect', 'reported', 'date'])),
+                    reportStatus,
+                    detailUrl: row.href
+                });
+            }
+
+            // Follow pagination until the Next control is gone or disabled
+            const nextButton = await agent.page.$('a:has-text("Next"), button:has-text("Next")');
+            if (!nextButton) break;
+
+            const disabled = await nextButton.evaluate(el =>
+                el.disabled || el.getAttribute('aria-disabled') === 'true' || el.classList.contains('disabled')
+            );
+            if (disabled) break;
+
+            await nextButton.click();
+            await agent.page.waitForLoadState('networkidle');
+            await agent.delay(1000);
+        }
+
+        logger.info(`Found ${orders.length} Quest orders with final results`);
+        return orders;
     }
 
     /**
-     * Process Quest order (simplified)
+     * Process a single Quest order: extract analytes and download the report PDF
      */
     async processQuestOrder(agent, order) {
-        // Similar to Labcorp implementation
-        return [];
+        if (!order.detailUrl) {
+            throw new Error(`No link to result detail for Quest order ${order.id}`);
+        }
+
+        await agent.page.goto(order.detailUrl, { waitUntil: 'networkidle' });
+        await agent.delay(1000);
+
+        // Analyte table: one row per component, single-cell rows name the panel
+        const rows = await agent.page.$$eval('table', readTableRows);
+        let tests = rows
+            .filter(row => pickColumn(row, ['patient']) === undefined &&
+                pickColumn(row, ['result']) !== undefined &&
+                pickColumn(row, ['test', 'analyte', 'component']))
+            .map(row => {
+                const flag = pickColumn(row, ['flag']) || '';
+                return {
+                    panel: row.panel || null,
+                    name: pickColumn(row, ['test', 'analyte', 'component']),
+                    code: pickColumn(row, ['code']) || null,
+                    value: pickColumn(row, ['result']),
+                    unit: pickColumn(row, ['unit']) || '',
+                    range: pickColumn(row, ['reference', 'range']) || '',
+                    flag,
+                    status: questFlagToStatus(flag)
+                };
+            });
+
+        // Fall back to the LLM if the layout changed and no table matched
+        if (tests.length === 0 && this.llmHelper.isConfigured) {
+            logger.warn(`No analyte table found for Quest order ${order.id}, trying LLM extraction`);
+            const parsed = await this.llmHelper.parseLabResults(await agent.page.content());
+            tests = parsed.tests || [];
+        }
+
+        const pdfPath = await this.downloadQuestPdf(agent, order);
+
+        return tests.map(test => ({
+            orderId: order.id,
+            accessionNumber: order.accessionNumber,
+            requisitionNumber: order.requisitionNumber,
+            patientName: order.patient,
+            patientDob: order.patientDob,
+            testName: test.name,
+            testCode: test.code,
+            resultValue: test.value,
+            resultUnit: test.unit,
+            referenceRange: test.range,
+            resultStatus: test.status,
+            resultDate: order.date,
+            pdfUrl: pdfPath,
+            rawData: {
+                ...test,
+                accessionNumber: order.accessionNumber,
+                requisitionNumber: order.requisitionNumber,
+                reportStatus: order.reportStatus
+            },
+            reportStatus: order.reportStatus
+        }));
+    }
+
+    /**
+     * Download the report PDF for a Quest order
+     * The portal link needs the logged-in session, so it's fetched through the browser context.
+     * Returns the local file path, or null if no PDF could be saved.
+     */
+    async downloadQuestPdf(agent, order) {
+        const destination = path.join(this.pdfDirectory, 'quest', `${order.id.replace(/[^\w-]/g, '_')}.pdf`);
+
+        try {
+            const href = await this.findPdfLink(agent.page);
+            if (!href) {
+                logger.warn(`No PDF link found for Quest order ${order.id}`);
+                return null;
+            }
+
+            await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+
+            if (href.startsWith('#') || href.startsWith('javascript:')) {
+                // Script-driven link - let the browser handle it as a download
+                const [download] = await Promise.all([
+                    agent.page.waitForEvent('download', { timeout: 30000 }),
+                    agent.page.click('a[href*=".pdf"], a:has-text("Download"), a:has-text("PDF")')
+                ]);
+                await download.saveAs(destination);
+                return destination;
+            }
+
+            const pdfUrl = new URL(href, agent.page.url());
+
+            if (pdfUrl.protocol === 'file:') {
+                // Local fixtures
+                await fs.promises.copyFile(fileURLToPath(pdfUrl), destination);
+            } else {
+                const response = await agent.context.request.get(pdfUrl.toString());
+                if (!response.ok()) {
+                    throw new Error(`HTTP ${response.status()}`);
+                }
+                await fs.promises.writeFile(destination, await response.body());
+            }
+
+            return destination;
+        } catch (error) {
+            logger.warn(`Failed to download PDF for Quest order ${order.id}:`, error.message);
+            return null;
+        }
     }
 
     /**
      * Save result to database
+     * Re-scraped analytes are recognized by their result key: an identical repeat is
+     * skipped, a changed value (corrected/amended report) becomes a new version.
+     *
+     * @returns {Promise<string>} 'created' | 'updated' | 'unchanged' | 'queued' | 'failed'
      */
-    async saveResult(portal, resultData) {
+    async saveResult(portal, scrapedResult) {
         try {
-            // Find matching patient
-            const { data: patients } = await getSupabase()
-                .from('patients')
-                .select('id')
-                .ilike('last_name', `%${resultData.patientName?.split(' ')[1]}%`)
-                .ilike('first_name', `%${resultData.patientName?.split(' ')[0]}%`)
-                .limit(1);
-
-            const patientId = patients?.[0]?.id;
-
-            if (!patientId) {
-                logger.warn(`Could not find patient for result: ${resultData.patientName}`);
-                return;
+            const resultData = { ...scrapedResult, resultStatus: scrapedResult.resultStatus || 'normal' };
+            const resultKey = buildResultKey(portal, resultData);
+
+            const existing = await getPortalResultByKey(resultKey);
+            if (existing) {
+                if (!hasResultChanged(existing, resultData)) {
+                    return 'unchanged';
+                }
+
+                const amended = await amendPortalResult(existing, resultData);
+                logger.info(`Result ${resultData.testName} for ${resultData.patientName} changed (${resultData.reportStatus || 'no report status'}), now version ${amended.version}`);
+
+                // A corrected value that is (still) critical needs a fresh acknowledgment
+                await getCriticalAlertService().handleSavedResult(amended);
+                // The corrected report replaces what the IntakeQ chart has
+                await getIntakeQResultPushService().handleSavedResult(amended);
+                return 'updated';
+            }
+
+            // Already waiting for a human - keep the queued copy current rather than queueing it again
+            const queued = await getMatchQueueItemByKey(resultKey);
+            if (queued) {
+                if (queued.status === 'pending' && hasQueuedResultChanged(queued.result_data, resultData)) {
+                    await updateMatchQueueItem(queued.id, resultData);
+                }
+                return 'unchanged';
+            }
+
+            const match = await resultMatcher.match(portal, resultData);
+
+            if (!match.matched) {
+                // Park it for a human rather than guessing - a result on the wrong chart is worse than a late one
+                await addToMatchQueue({
+                    portal,
+                    reportKey: this.getReportKey(resultData),
+                    resultKey,
+                    patientName: resultData.patientName,
+                    patientDob: resultData.patientDob,
+                    accessionNumber: resultData.accessionNumber,
+                    resultData,
+                    candidates: match.candidates,
+                    reason: match.reason
+                });
+
+                logger.warn(`Result for ${resultData.patientName} needs manual matching (${match.reason})`);
+                return 'queued';
             }
 
-            // Save result
-            await savePortalResult({
+            const saved = await savePortalResult({
                 portal: portal,
-                patientId: patientId,
+                patientId: match.patientId,
+                portalOrderId: match.portalOrderId,
                 testName: resultData.testName,
                 testCode: resultData.testCode,
                 resultValue: resultData.resultValue,
                 resultUnit: resultData.resultUnit,
                 referenceRange: resultData.referenceRange,
-                resultStatus: resultData.resultStatus || 'normal',
+                resultStatus: resultData.resultStatus,
                 resultDate: resultData.resultDate,
                 pdfUrl: resultData.pdfUrl,
-                rawData: resultData.rawData
+                rawData: resultData.rawData,
+                resultKey,
+                reportStatus: resultData.reportStatus,
+                accessionNumber: resultData.accessionNumber,
+                matchScore: match.score,
+                matchMethod: 'auto',
+                matchDetails: { evidence: match.evidence, candidates: match.candidates }
             });
 
-            logger.debug(`Saved result: ${resultData.testName} for ${resultData.patientName}`);
+            logger.debug(`Saved result: ${resultData.testName} for ${resultData.patientName} (score ${match.score})`);
+
+            await getCriticalAlertService().handleSavedResult(saved);
+            await getIntakeQResultPushService().handleSavedResult(saved);
+            return 'created';
 
         } catch (error) {
             logger.error('Failed to save result:', error);
+            return 'failed';
         }
     }
 
+    /**
+     * Save a batch of scraped results and tally what actually changed
+     */
+    async saveResults(portal, results) {
+        const tally = { created: 0, updated: 0, unchanged: 0, queued: 0, failed: 0 };
+
+        for (const result of results) {
+            tally[await this.saveResult(portal, result)]++;
+        }
+
+        logger.info(`${portal} results: ${tally.created} new, ${tally.updated} updated, ${tally.unchanged} unchanged, ${tally.queued} need matching, ${tally.failed} failed`);
+        return tally;
+    }
+
+    /**
+     * Key that groups the analytes of one report in the match queue
+     */
+    getReportKey(resultData) {
+        return resultData.accessionNumber
+            || resultData.orderId
+            || [resultData.patientName, resultData.patientDob, resultData.resultDate].filter(Boolean).join('|');
+    }
+
     /**
      * Create notification for new results
      */
     async createResultsNotification(count, results) {
+        const created = (results.labcorp.created || 0) + (results.quest.created || 0);
+        const updated = (results.labcorp.updated || 0) + (results.quest.updated || 0);
+
         await createNotification({
             type: 'info',
-            title: `${count} New Lab Results Available`,
-            message: `Fetched ${results.labcorp.count} from Labcorp and ${results.quest.count} from Quest`
+            title: updated > 0
+                ? `${created} New and ${updated} Updated Lab Results`
+                : `${count} New Lab Results Available`,
+            message: `Labcorp: ${results.labcorp.count}, Quest: ${results.quest.count} new or changed`
         });
     }
 
@@ -533,5 +899,6 @@ function startResultsCron() {
 module.exports = {
     ResultsScraper,
     getResultsScraper,
+    buildResultKey,
     startResultsCron
 };
\ No newline at end of file
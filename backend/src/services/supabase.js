@@ -67,6 +67,13 @@ function getSupabase() {
     return supabase;
 }
 
+/**
+ * Whether Supabase is configured at all - without it the app runs on local config (development)
+ */
+function isSupabaseConfigured() {
+    return !!(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY);
+}
+
 /**
  * Create or update a patient record
  */
@@ -83,9 +90,9 @@ async function upsertPatient(patientData) {
                 email: patientData.email,
                 address: patientData.address
             }, {
-                onConflict: 'first_name,last_name,date_of_birth',
-                returning: true
+                onConflict: 'first_name,last_name,date_of_birth'
             })
+            .select()
             .single();
 
         if (error) throw error;
@@ -107,10 +114,14 @@ async function createPortalOrder(orderData) {
                 patient_id: orderData.patientId,
                 provider_id: orderData.providerId,
                 portal: orderData.portal,
-                status: 'pending',
+                status: orderData.status || 'pending',
                 tests_ordered: orderData.testsOrdered,
                 diagnosis_codes: orderData.diagnosisCodes,
-                special_instructions: orderData.specialInstructions
+                special_instructions: orderData.specialInstructions,
+                provider_name: orderData.providerName,
+                intakeq_client_id: orderData.intakeqClientId,
+                patient_snapshot: orderData.patientSnapshot,
+                eligibility_snapshot: orderData.eligibilitySnapshot
             })
             .select()
             .single();
@@ -128,16 +139,22 @@ async function createPortalOrder(orderData) {
  */
 async function updateOrderStatus(orderId, status, additionalData = {}) {
     try {
+        const now = new Date().toISOString();
         const updateData = {
             status,
+            updated_at: now,
             ...additionalData
         };
 
         // Add timestamp for specific status changes
         if (status === 'submitted') {
-            updateData.submitted_at = new Date().toISOString();
+            updateData.submitted_at = now;
         } else if (status === 'confirmed') {
-            updateData.confirmed_at = new Date().toISOString();
+            updateData.confirmed_at = now;
+        } else if (status === 'completed') {
+            updateData.completed_at = now;
+        } else if (status === 'failed') {
+            updateData.failed_at = now;
         }
 
         const { data, error } = await getSupabase()
@@ -155,6 +172,74 @@ async function updateOrderStatus(orderId, status, additionalData = {}) {
     }
 }
 
+/**
+ * Store the HL7 ORM^O01 message generated for an order
+ */
+async function saveOrderHl7(orderId, orm) {
+    try {
+        const { error } = await getSupabase()
+            .from('portal_orders')
+            .update({
+                hl7_orm: orm.message,
+                hl7_control_id: orm.controlId,
+                hl7_generated_at: new Date().toISOString()
+            })
+            .eq('id', orderId);
+
+        if (error) throw error;
+    } catch (error) {
+        logger.error('Failed to save order HL7 message:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a portal order with patient, provider and automation log history
+ */
+async function getPortalOrder(orderId) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('portal_orders')
+            .select(`
+                *,
+                patient:patients(first_name, last_name, date_of_birth),
+                provider:providers(name),
+                automation_logs(action, status, error_message, created_at)
+            `)
+            .eq('id', orderId)
+            .single();
+
+        if (error && error.code !== 'PGRST116') {
+            throw error;
+        }
+        return data;
+    } catch (error) {
+        logger.error('Failed to get portal order:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the default provider (used when an order does not specify one)
+ */
+async function getDefaultProvider() {
+    try {
+        const { data, error } = await getSupabase()
+            .from('providers')
+            .select('*')
+            .limit(1);
+
+        if (error) throw error;
+        if (!data || data.length === 0) {
+            throw new Error('No provider found in database');
+        }
+        return data[0];
+    } catch (error) {
+        logger.error('Failed to get default provider:', error);
+        throw error;
+    }
+}
+
 /**
  * Save automation log entry
  */
@@ -281,45 +366,153 @@ async function getProviderByNPI(npi) {
 }
 
 /**
- * Get lab tests by portal
+ * Payers configured for Office Ally eligibility checks
  */
-async function getLabTestsByPortal(portal) {
+async function getEligibilityPayers() {
     try {
         const { data, error } = await getSupabase()
-            .from('lab_tests')
+            .from('payers')
+            .select('id, name, payer_type, office_ally_payer_id, eligibility_payer_name, eligibility_search')
+            .not('office_ally_payer_id', 'is', null)
+            .order('name');
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get eligibility payers:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record an eligibility check (raw 271 + parsed summary)
+ */
+async function saveEligibilityCheck(checkData) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('eligibility_checks')
+            .insert({
+                patient_key: checkData.patientKey,
+                patient_id: checkData.patientId || null,
+                first_name: checkData.firstName,
+                last_name: checkData.lastName,
+                date_of_birth: checkData.dateOfBirth || null,
+                office_ally_payer_id: checkData.officeAllyPayerId,
+                payer_name: checkData.payerName,
+                member_id: checkData.memberId || null,
+                is_eligible: !!checkData.isEligible,
+                rejected: !!checkData.rejected,
+                plan_type: checkData.planType,
+                coverage_start: checkData.coverageStart || null,
+                coverage_end: checkData.coverageEnd || null,
+                summary: checkData.summary,
+                raw_271: checkData.raw271,
+                source: checkData.source,
+                checked_by: checkData.checkedBy || null
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to save eligibility check:', error);
+        throw error;
+    }
+}
+
+/**
+ * Most recent usable (not rejected) check for a patient and payer since a point in time
+ * @returns {Promise<Object|null>}
+ */
+async function getRecentEligibilityCheck(patientKey, officeAllyPayerId, since) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('eligibility_checks')
             .select('*')
-            .eq('portal', portal)
-            .eq('is_active', true)
-            .order('test_name');
+            .eq('patient_key', patientKey)
+            .eq('office_ally_payer_id', officeAllyPayerId)
+            .eq('rejected', false)
+            .gte('checked_at', since)
+            .order('checked_at', { ascending: false })
+            .limit(1);
+
+        if (error) throw error;
+        return data?.[0] || null;
+    } catch (error) {
+        logger.error('Failed to get recent eligibility check:', error);
+        throw error;
+    }
+}
+
+/**
+ * The check before a given one for the same patient and payer (not rejected)
+ * @returns {Promise<Object|null>}
+ */
+async function getPreviousEligibilityCheck(patientKey, officeAllyPayerId, before) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('eligibility_checks')
+            .select('id, is_eligible, plan_type, coverage_start, coverage_end, summary, checked_at')
+            .eq('patient_key', patientKey)
+            .eq('office_ally_payer_id', officeAllyPayerId)
+            .eq('rejected', false)
+            .lt('checked_at', before)
+            .order('checked_at', { ascending: false })
+            .limit(1);
+
+        if (error) throw error;
+        return data?.[0] || null;
+    } catch (error) {
+        logger.error('Failed to get previous eligibility check:', error);
+        throw error;
+    }
+}
+
+/**
+ * Eligibility checks for a patient, newest first (without the raw 271)
+ * @param {Object} options
+ * @param {string} options.patientId - patients row id
+ * @param {string} options.patientKey - checks made before the patient had a row
+ */
+async function getEligibilityHistory(options = {}) {
+    const { patientId, patientKey, limit = 50 } = options;
+
+    try {
+        const filters = [];
+        if (patientId) filters.push(`patient_id.eq.${patientId}`);
+        if (patientKey) filters.push(`patient_key.eq."${patientKey}"`);
+        if (filters.length === 0) return [];
+
+        const { data, error } = await getSupabase()
+            .from('eligibility_checks')
+            .select(`
+                id, office_ally_payer_id, payer_name, member_id, is_eligible, rejected, plan_type,
+                coverage_start, coverage_end, summary, source, checked_at,
+                checked_by_user:app_users(name, email)
+            `)
+            .or(filters.join(','))
+            .order('checked_at', { ascending: false })
+            .limit(limit);
 
         if (error) throw error;
         return data || [];
     } catch (error) {
-        logger.error('Failed to get lab tests:', error);
+        logger.error('Failed to get eligibility history:', error);
         throw error;
     }
 }
 
 /**
- * Save portal result
+ * Start tracking a batch eligibility job
  */
-async function savePortalResult(resultData) {
+async function createEligibilityBatchJob(jobData) {
     try {
         const { data, error } = await getSupabase()
-            .from('portal_results')
+            .from('eligibility_batch_jobs')
             .insert({
-                portal_order_id: resultData.portalOrderId,
-                patient_id: resultData.patientId,
-                portal: resultData.portal,
-                test_name: resultData.testName,
-                test_code: resultData.testCode,
-                result_value: resultData.resultValue,
-                result_unit: resultData.resultUnit,
-                reference_range: resultData.referenceRange,
-                result_status: resultData.resultStatus,
-                result_date: resultData.resultDate,
-                pdf_url: resultData.pdfUrl,
-                raw_data: resultData.rawData
+                appointment_date: jobData.appointmentDate,
+                started_by: jobData.startedBy || null
             })
             .select()
             .single();
@@ -327,31 +520,1326 @@ async function savePortalResult(resultData) {
         if (error) throw error;
         return data;
     } catch (error) {
-        logger.error('Failed to save portal result:', error);
+        logger.error('Failed to create eligibility batch job:', error);
         throw error;
     }
 }
 
 /**
- * Get pending orders for automation
+ * Update a batch eligibility job's progress, status or report
  */
-async function getPendingOrders() {
+async function updateEligibilityBatchJob(jobId, updates) {
     try {
         const { data, error } = await getSupabase()
-            .from('portal_orders')
+            .from('eligibility_batch_jobs')
+            .update(updates)
+            .eq('id', jobId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to update eligibility batch job:', error);
+        throw error;
+    }
+}
+
+/**
+ * Batch eligibility jobs, newest first
+ * @param {Object} options
+ * @param {string} options.id - A single job
+ * @param {string} options.status - e.g. 'running'
+ * @param {boolean} options.includeReport - The report is large; leave it out of listings
+ */
+async function getEligibilityBatchJobs(options = {}) {
+    const { id, status, includeReport = false, limit = 20 } = options;
+
+    try {
+        let query = getSupabase()
+            .from('eligibility_batch_jobs')
             .select(`
-                *,
-                patient:patients(*),
-                provider:providers(*)
+                id, appointment_date, status, total, completed, error_message, created_at, completed_at,
+                ${includeReport ? 'report,' : ''}
+                started_by_user:app_users(name, email)
             `)
-            .in('status', ['pending', 'preview'])
-            .lt('retry_count', 3)
-            .order('created_at');
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (id) query = query.eq('id', id);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
 
         if (error) throw error;
         return data || [];
     } catch (error) {
-        logger.error('Failed to get pending orders:', error);
+        logger.error('Failed to get eligibility batch jobs:', error);
+        throw error;
+    }
+}
+
+/**
+ * Insert or refresh IntakeQ clients in the local index
+ * @param {Array<Object>} clients - { intakeqId, firstName, lastName, fullName, dateOfBirth, email,
+ *   phone, phoneDigits, patient, intakeqUpdatedAt }
+ * @returns {Promise<number>} rows written
+ */
+async function upsertIntakeqClients(clients) {
+    if (clients.length === 0) return 0;
+
+    try {
+        const syncedAt = new Date().toISOString();
+        const { error } = await getSupabase()
+            .from('intakeq_clients')
+            .upsert(clients.map(client => ({
+                intakeq_id: client.intakeqId,
+                first_name: client.firstName,
+                last_name: client.lastName,
+                full_name: client.fullName,
+                date_of_birth: client.dateOfBirth || null,
+                email: client.email || null,
+                phone: client.phone || null,
+                phone_digits: client.phoneDigits || null,
+                patient: client.patient,
+                intakeq_updated_at: client.intakeqUpdatedAt || null,
+                synced_at: syncedAt
+            })), { onConflict: 'intakeq_id' });
+
+        if (error) throw error;
+        return clients.length;
+    } catch (error) {
+        logger.error('Failed to upsert IntakeQ clients:', error);
+        throw error;
+    }
+}
+
+/**
+ * Candidate IntakeQ clients for a search - anything matching a name term, the date of birth
+ * or the phone number. Ranking is up to the caller.
+ * @param {Object} criteria
+ * @param {string[]} criteria.nameTerms - Matched anywhere in first or last name (letters, digits, - and ' only)
+ * @param {string} criteria.dateOfBirth - YYYY-MM-DD
+ * @param {string} criteria.phoneDigits - Matched anywhere in the stored phone digits
+ */
+async function searchIntakeqClients(criteria = {}) {
+    const { nameTerms = [], dateOfBirth, phoneDigits, limit = 200 } = criteria;
+
+    const filters = [];
+    for (const term of nameTerms) {
+        filters.push(`first_name.ilike.%${term}%`, `last_name.ilike.%${term}%`);
+    }
+    if (dateOfBirth) filters.push(`date_of_birth.eq.${dateOfBirth}`);
+    if (phoneDigits) filters.push(`phone_digits.ilike.%${phoneDigits}%`);
+
+    if (filters.length === 0) return [];
+
+    try {
+        const { data, error } = await getSupabase()
+            .from('intakeq_clients')
+            .select('intakeq_id, first_name, last_name, date_of_birth, phone_digits, patient, synced_at')
+            .or(filters.join(','))
+            .limit(limit);
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to search IntakeQ clients:', error);
+        throw error;
+    }
+}
+
+/**
+ * Drop clients a full sync didn't see (deleted or merged in IntakeQ)
+ * @returns {Promise<number>} rows removed
+ */
+async function deleteIntakeqClientsSyncedBefore(before) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('intakeq_clients')
+            .delete()
+            .lt('synced_at', before)
+            .select('intakeq_id');
+
+        if (error) throw error;
+        return (data || []).length;
+    } catch (error) {
+        logger.error('Failed to delete stale IntakeQ clients:', error);
+        throw error;
+    }
+}
+
+/**
+ * Number of clients in the local IntakeQ index
+ */
+async function getIntakeqClientCount() {
+    try {
+        const { count, error } = await getSupabase()
+            .from('intakeq_clients')
+            .select('intakeq_id', { count: 'exact', head: true });
+
+        if (error) throw error;
+        return count || 0;
+    } catch (error) {
+        logger.error('Failed to count IntakeQ clients:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record the start of an IntakeQ client sync
+ */
+async function createIntakeqSyncRun(runData) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('intakeq_sync_runs')
+            .insert({
+                mode: runData.mode,
+                updated_since: runData.updatedSince || null,
+                triggered_by: runData.triggeredBy || null
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to create IntakeQ sync run:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update an IntakeQ client sync's status or count
+ */
+async function updateIntakeqSyncRun(runId, updates) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('intakeq_sync_runs')
+            .update(updates)
+            .eq('id', runId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to update IntakeQ sync run:', error);
+        throw error;
+    }
+}
+
+/**
+ * IntakeQ client syncs, newest first
+ * @param {Object} options
+ * @param {string} options.status - e.g. 'completed'
+ */
+async function getIntakeqSyncRuns(options = {}) {
+    const { status, limit = 10 } = options;
+
+    try {
+        let query = getSupabase()
+            .from('intakeq_sync_runs')
+            .select(`
+                id, mode, status, updated_since, clients_synced, error_message, started_at, completed_at,
+                triggered_by_user:app_users(name, email)
+            `)
+            .order('started_at', { ascending: false })
+            .limit(limit);
+
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get IntakeQ sync runs:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create a draft lab order from an IntakeQ note
+ * @returns {Promise<Object|null>} the draft, or null when the note already has one
+ */
+async function createLabOrderDraft(draftData) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('lab_order_drafts')
+            .insert({
+                source_key: draftData.sourceKey,
+                event_type: draftData.eventType,
+                intakeq_client_id: draftData.intakeqClientId,
+                intakeq_note_id: draftData.intakeqNoteId || null,
+                intakeq_appointment_id: draftData.intakeqAppointmentId || null,
+                note_date: draftData.noteDate || null,
+                practitioner_name: draftData.practitionerName || null,
+                patient_snapshot: draftData.patientSnapshot,
+                diagnosis_codes: draftData.diagnosisCodes || [],
+                detected_tests: draftData.detectedTests || [],
+                note_excerpt: draftData.noteExcerpt || null
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') return null; // Unique constraint violation
+            throw error;
+        }
+        return data;
+    } catch (error) {
+        logger.error('Failed to create lab order draft:', error);
+        throw error;
+    }
+}
+
+/**
+ * Draft lab orders, newest first
+ * @param {Object} options
+ * @param {string} options.id - A single draft
+ * @param {string} options.status - e.g. 'pending_review'
+ */
+async function getLabOrderDrafts(options = {}) {
+    const { id, status, limit = 50 } = options;
+
+    try {
+        let query = getSupabase()
+            .from('lab_order_drafts')
+            .select('*, reviewed_by_user:app_users(name, email)')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (id) query = query.eq('id', id);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get lab order drafts:', error);
+        throw error;
+    }
+}
+
+/**
+ * Close a draft that is still waiting for review (ordered or dismissed)
+ * @returns {Promise<Object|null>} the draft, or null when it was already closed
+ */
+async function closeLabOrderDraft(draftId, updates) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('lab_order_drafts')
+            .update({
+                ...updates,
+                reviewed_at: new Date().toISOString()
+            })
+            .eq('id', draftId)
+            .eq('status', 'pending_review')
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to close lab order draft:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get lab tests by portal
+ */
+async function getLabTestsByPortal(portal) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('lab_tests')
+            .select('*')
+            .eq('portal', portal)
+            .eq('is_active', true)
+            .order('test_name');
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get lab tests:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the lab test catalog, retired tests included
+ */
+async function listLabTestCatalog() {
+    try {
+        const { data, error } = await getSupabase()
+            .from('lab_test_catalog')
+            .select('*')
+            .order('category', { ascending: true })
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get lab test catalog:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get one lab test catalog entry
+ */
+async function getLabTestCatalogEntry(testId) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('lab_test_catalog')
+            .select('*')
+            .eq('id', testId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to get lab test catalog entry:', error);
+        throw error;
+    }
+}
+
+/**
+ * Add a test to the lab test catalog
+ */
+async function createLabTestCatalogEntry(testData) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('lab_test_catalog')
+            .insert(testData)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to create lab test catalog entry:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update a lab test catalog entry
+ */
+async function updateLabTestCatalogEntry(testId, updates) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('lab_test_catalog')
+            .update({
+                ...updates,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', testId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to update lab test catalog entry:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the active medical necessity rules (test code -> covered ICD-10 range)
+ */
+async function listMedicalNecessityRules() {
+    try {
+        const { data, error } = await getSupabase()
+            .from('medical_necessity_rules')
+            .select('*')
+            .eq('is_active', true)
+            .order('test_code', { ascending: true })
+            .order('icd10_from', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get medical necessity rules:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save portal result
+ */
+async function savePortalResult(resultData) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('portal_results')
+            .insert({
+                portal_order_id: resultData.portalOrderId,
+                patient_id: resultData.patientId,
+                portal: resultData.portal,
+                test_name: resultData.testName,
+                test_code: resultData.testCode,
+                result_value: resultData.resultValue,
+                result_unit: resultData.resultUnit,
+                reference_range: resultData.referenceRange,
+                result_status: resultData.resultStatus,
+                result_date: resultData.resultDate,
+                pdf_url: resultData.pdfUrl,
+                raw_data: resultData.rawData,
+                result_key: resultData.resultKey,
+                report_status: resultData.reportStatus,
+                accession_number: resultData.accessionNumber,
+                match_score: resultData.matchScore,
+                match_method: resultData.matchMethod,
+                match_details: resultData.matchDetails,
+                matched_by: resultData.matchedBy
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to save portal result:', error);
+        throw error;
+    }
+}
+
+/**
+ * Find a stored result by its ingestion key (portal | accession | test code | result date)
+ */
+async function getPortalResultByKey(resultKey) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('portal_results')
+            .select('*')
+            .eq('result_key', resultKey)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to get portal result by key:', error);
+        throw error;
+    }
+}
+
+/**
+ * Apply a corrected/amended value to a stored result
+ * The current values are copied to portal_result_versions first, and the sign-off is
+ * cleared because the provider reviewed a value that no longer stands.
+ */
+async function amendPortalResult(existing, resultData) {
+    try {
+        const { error: versionError } = await getSupabase()
+            .from('portal_result_versions')
+            .insert({
+                result_id: existing.id,
+                version: existing.version || 1,
+                result_value: existing.result_value,
+                result_unit: existing.result_unit,
+                reference_range: existing.reference_range,
+                result_status: existing.result_status,
+                report_status: existing.report_status,
+                pdf_url: existing.pdf_url,
+                raw_data: existing.raw_data,
+                reviewed_by: existing.reviewed_by,
+                reviewed_at: existing.reviewed_at,
+                recorded_at: existing.updated_at || existing.created_at
+            });
+
+        if (versionError) throw versionError;
+
+        const { data, error } = await getSupabase()
+            .from('portal_results')
+            .update({
+                result_value: resultData.resultValue,
+                result_unit: resultData.resultUnit,
+                reference_range: resultData.referenceRange,
+                result_status: resultData.resultStatus,
+                report_status: resultData.reportStatus,
+                pdf_url: resultData.pdfUrl || existing.pdf_url,
+                raw_data: resultData.rawData,
+                version: (existing.version || 1) + 1,
+                reviewed_by: null,
+                reviewed_at: null,
+                processed: false,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', existing.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to amend portal result:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the superseded versions of a result, newest first
+ */
+async function getPortalResultVersions(resultId) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('portal_result_versions')
+            .select('*')
+            .eq('result_id', resultId)
+            .order('version', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get portal result versions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Find the match queue row for an analyte (any status), so re-scrapes don't queue it again
+ */
+async function getMatchQueueItemByKey(resultKey) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('result_match_queue')
+            .select('*')
+            .eq('result_key', resultKey)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) throw error;
+        return data?.[0] || null;
+    } catch (error) {
+        logger.error('Failed to get match queue item:', error);
+        throw error;
+    }
+}
+
+/**
+ * Replace the result data of a pending match queue row (amended before anyone matched it)
+ */
+async function updateMatchQueueItem(id, resultData) {
+    try {
+        const { error } = await getSupabase()
+            .from('result_match_queue')
+            .update({ result_data: resultData })
+            .eq('id', id)
+            .eq('status', 'pending');
+
+        if (error) throw error;
+    } catch (error) {
+        logger.error('Failed to update match queue item:', error);
+        throw error;
+    }
+}
+
+/**
+ * Park a result that could not be matched confidently in the manual matching queue
+ */
+async function addToMatchQueue(entry) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('result_match_queue')
+            .insert({
+                portal: entry.portal,
+                report_key: entry.reportKey,
+                result_key: entry.resultKey,
+                patient_name: entry.patientName,
+                patient_dob: entry.patientDob,
+                accession_number: entry.accessionNumber,
+                result_data: entry.resultData,
+                candidates: entry.candidates,
+                reason: entry.reason
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to add result to match queue:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get match queue rows
+ * @param {Object} options
+ * @param {string} options.status - 'pending' (default), 'resolved' or 'dismissed'
+ * @param {string} options.portal - Only rows for this portal
+ * @param {string} options.reportKey - Only rows for this report
+ */
+async function getMatchQueue(options = {}) {
+    const { status = 'pending', portal, reportKey } = options;
+
+    try {
+        let query = getSupabase()
+            .from('result_match_queue')
+            .select('*')
+            .eq('status', status)
+            .order('created_at', { ascending: false });
+
+        if (portal) query = query.eq('portal', portal);
+        if (reportKey) query = query.eq('report_key', reportKey);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get match queue:', error);
+        throw error;
+    }
+}
+
+/**
+ * Close match queue rows
+ */
+async function closeMatchQueueItems(ids, updates) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('result_match_queue')
+            .update({
+                status: updates.status,
+                resolved_patient_id: updates.patientId,
+                resolved_order_id: updates.portalOrderId,
+                resolved_by: updates.userId,
+                resolution_note: updates.note,
+                resolved_at: new Date().toISOString()
+            })
+            .in('id', ids)
+            .eq('status', 'pending')
+            .select();
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to close match queue items:', error);
+        throw error;
+    }
+}
+
+/**
+ * Open a critical result alert
+ * Returns null if this version of the result already has an alert.
+ */
+async function createCriticalAlert(alertData) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('critical_result_alerts')
+            .insert({
+                result_id: alertData.resultId,
+                result_version: alertData.resultVersion || 1,
+                patient_id: alertData.patientId,
+                portal_order_id: alertData.portalOrderId,
+                provider_id: alertData.providerId,
+                escalation_due_at: alertData.escalationDueAt
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') return null; // Unique constraint violation
+            throw error;
+        }
+        return data;
+    } catch (error) {
+        logger.error('Failed to create critical alert:', error);
+        throw error;
+    }
+}
+
+/**
+ * List critical result alerts with the result, patient and their event trail
+ * @param {Object} options
+ * @param {string[]} options.statuses - e.g. ['open', 'escalated']
+ * @param {string} options.providerId - Only alerts for this ordering provider
+ * @param {string} options.id - A single alert
+ */
+async function getCriticalAlerts(options = {}) {
+    const { statuses, providerId, id, limit = 100 } = options;
+
+    try {
+        let query = getSupabase()
+            .from('critical_result_alerts')
+            .select(`
+                *,
+                result:portal_results(id, portal, test_name, result_value, result_unit, reference_range, result_date, version),
+                patient:patients(id, first_name, last_name, date_of_birth, phone),
+                provider:providers(id, name),
+                events:critical_alert_events(event, channel, recipient, user_id, details, created_at)
+            `)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (id) query = query.eq('id', id);
+        if (statuses) query = query.in('status', statuses);
+        if (providerId) query = query.eq('provider_id', providerId);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get critical alerts:', error);
+        throw error;
+    }
+}
+
+/**
+ * Open alerts whose acknowledgment window has passed
+ */
+async function getOverdueCriticalAlerts() {
+    try {
+        const { data, error } = await getSupabase()
+            .from('critical_result_alerts')
+            .select('*')
+            .eq('status', 'open')
+            .lte('escalation_due_at', new Date().toISOString())
+            .order('escalation_due_at');
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get overdue critical alerts:', error);
+        throw error;
+    }
+}
+
+/**
+ * Move an alert to a new status, only if it is still in one of fromStatuses
+ * Returns the updated alert, or null if someone else got there first.
+ */
+async function transitionCriticalAlert(alertId, fromStatuses, updates) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('critical_result_alerts')
+            .update(updates)
+            .eq('id', alertId)
+            .in('status', fromStatuses)
+            .select();
+
+        if (error) throw error;
+        return data?.[0] || null;
+    } catch (error) {
+        logger.error('Failed to update critical alert:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record a step in a critical alert's documentation trail
+ * Never throws, like insertAuditLog - a logging failure must not stop the alert itself
+ */
+async function logCriticalAlertEvent(event) {
+    try {
+        const { error } = await getSupabase()
+            .from('critical_alert_events')
+            .insert({
+                alert_id: event.alertId,
+                event: event.event,
+                channel: event.channel,
+                recipient: event.recipient,
+                user_id: event.userId,
+                details: event.details
+            });
+
+        if (error) throw error;
+    } catch (error) {
+        logger.error('Failed to log critical alert event:', error);
+    }
+}
+
+/**
+ * The analytes of one report, for the summary pushed to IntakeQ
+ * @param {Object} report
+ * @param {string} report.portal
+ * @param {string} report.accessionNumber - Analytes sharing the accession number, else...
+ * @param {string} report.portalOrderId - ...those of the portal order, else...
+ * @param {string} report.resultId - ...just this result
+ */
+async function getReportResults(report) {
+    try {
+        let query = getSupabase()
+            .from('portal_results')
+            .select(`
+                *,
+                patient:patients(id, first_name, last_name, date_of_birth),
+                portal_order:portal_orders(id, intakeq_client_id, provider_name),
+                reviewed_by_provider:providers!portal_results_reviewed_by_fkey(name)
+            `)
+            .eq('portal', report.portal)
+            .order('test_name');
+
+        if (report.accessionNumber) {
+            query = query.eq('accession_number', report.accessionNumber);
+        } else if (report.portalOrderId) {
+            query = query.eq('portal_order_id', report.portalOrderId);
+        } else {
+            query = query.eq('id', report.resultId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get report results:', error);
+        throw error;
+    }
+}
+
+/**
+ * IntakeQ client ID from the patient's most recent order that has one
+ */
+async function getPatientIntakeqClientId(patientId) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('portal_orders')
+            .select('intakeq_client_id')
+            .eq('patient_id', patientId)
+            .not('intakeq_client_id', 'is', null)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data?.intakeq_client_id || null;
+    } catch (error) {
+        logger.error('Failed to get patient IntakeQ client ID:', error);
+        throw error;
+    }
+}
+
+/**
+ * A patient's orders with the tests ordered and when their results were collected,
+ * newest first (failed and cancelled orders left out)
+ * @param {string} intakeqClientId - IntakeQ client ID the orders were placed for
+ */
+async function getPatientTestHistory(intakeqClientId) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('portal_orders')
+            .select('id, status, tests_ordered, created_at, results:portal_results(result_date)')
+            .eq('intakeq_client_id', intakeqClientId)
+            .not('status', 'in', '(failed,cancelled)')
+            .order('created_at', { ascending: false })
+            .limit(100);
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get patient test history:', error);
+        throw error;
+    }
+}
+
+/**
+ * Request a push of a report to IntakeQ
+ * @returns {Promise<Object|null>} the push, or null when one is already pending for the report
+ */
+async function createIntakeqResultPush(pushData) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('intakeq_result_pushes')
+            .insert({
+                portal: pushData.portal,
+                report_key: pushData.reportKey,
+                trigger: pushData.trigger,
+                result_id: pushData.resultId,
+                patient_id: pushData.patientId,
+                requested_by: pushData.requestedBy,
+                next_attempt_at: pushData.nextAttemptAt
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') return null; // Unique constraint violation
+            throw error;
+        }
+        return data;
+    } catch (error) {
+        logger.error('Failed to create IntakeQ result push:', error);
+        throw error;
+    }
+}
+
+/**
+ * List IntakeQ result pushes, newest first
+ * @param {Object} options
+ * @param {string} options.id - A single push
+ * @param {string} options.status - e.g. 'failed'
+ * @param {string} options.resultId - Pushes that included this result
+ * @param {boolean} options.due - Pending pushes whose next attempt time has come, oldest first
+ */
+async function getIntakeqResultPushes(options = {}) {
+    const { id, status, resultId, due, limit = 100 } = options;
+
+    try {
+        let query = getSupabase()
+            .from('intakeq_result_pushes')
+            .select('*')
+            .order('created_at', { ascending: !!due })
+            .limit(limit);
+
+        if (id) query = query.eq('id', id);
+        if (status) query = query.eq('status', status);
+        if (resultId) query = query.or(`result_id.eq.${resultId},result_ids.cs.{${resultId}}`);
+        if (due) query = query.eq('status', 'pending').lte('next_attempt_at', new Date().toISOString());
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get IntakeQ result pushes:', error);
+        throw error;
+    }
+}
+
+/**
+ * The push that already sent this content, if any
+ */
+async function getPushedIntakeqResultPush(contentKey) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('intakeq_result_pushes')
+            .select('*')
+            .eq('content_key', contentKey)
+            .eq('status', 'pushed')
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to get pushed IntakeQ result push:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update an IntakeQ result push
+ * @param {string[]} fromStatuses - Only update a push in one of these statuses (optional)
+ * @returns {Promise<Object|null>} the push, or null when its status didn't match
+ */
+async function updateIntakeqResultPush(pushId, updates, fromStatuses = null) {
+    try {
+        let query = getSupabase()
+            .from('intakeq_result_pushes')
+            .update({
+                ...updates,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', pushId);
+
+        if (fromStatuses) query = query.in('status', fromStatuses);
+
+        const { data, error } = await query.select().maybeSingle();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to update IntakeQ result push:', error);
+        throw error;
+    }
+}
+
+/**
+ * Active login accounts linked to a provider (where their alerts are sent)
+ */
+async function getProviderUsers(providerId) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('app_users')
+            .select('id, email, name, role')
+            .eq('provider_id', providerId)
+            .eq('is_active', true);
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get provider users:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get pending orders that are due for automation (the order job queue)
+ * @param {Object} options
+ * @param {string} options.portal - Only return orders for this portal
+ * @param {number} options.limit - Maximum number of orders to return
+ * @param {number} options.maxRetries - Skip orders that used up their attempts
+ */
+async function getPendingOrders(options = {}) {
+    const { portal, limit, maxRetries = 3 } = options;
+
+    try {
+        let query = getSupabase()
+            .from('portal_orders')
+            .select(`
+                *,
+                patient:patients(*),
+                provider:providers(*)
+            `)
+            .eq('status', 'pending')
+            .lt('retry_count', maxRetries)
+            .or(`next_attempt_at.is.null,next_attempt_at.lte."${new Date().toISOString()}"`)
+            .order('created_at');
+
+        if (portal) query = query.eq('portal', portal);
+        if (limit) query = query.limit(limit);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get pending orders:', error);
+        throw error;
+    }
+}
+
+/**
+ * Claim a pending order for a worker
+ * Only succeeds if the order is still pending, so two workers can never run the same order.
+ * @returns {Promise<Object|null>} - The claimed order, or null if another worker got it first
+ */
+async function claimPendingOrder(orderId, workerId) {
+    try {
+        const now = new Date().toISOString();
+        const { data, error } = await getSupabase()
+            .from('portal_orders')
+            .update({
+                status: 'processing',
+                locked_by: workerId,
+                locked_at: now,
+                updated_at: now
+            })
+            .eq('id', orderId)
+            .eq('status', 'pending')
+            .select(`
+                *,
+                patient:patients(*),
+                provider:providers(*)
+            `);
+
+        if (error) throw error;
+        return data?.[0] || null;
+    } catch (error) {
+        logger.error('Failed to claim pending order:', error);
+        throw error;
+    }
+}
+
+/**
+ * Refresh a worker's lock on an order it is still running, so it isn't taken for abandoned
+ */
+async function refreshOrderLock(orderId, workerId) {
+    try {
+        const { error } = await getSupabase()
+            .from('portal_orders')
+            .update({ locked_at: new Date().toISOString() })
+            .eq('id', orderId)
+            .eq('locked_by', workerId);
+
+        if (error) throw error;
+    } catch (error) {
+        logger.error('Failed to refresh order lock:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get orders left in 'processing' or 'preview' by a worker that is no longer running
+ * @param {string} staleBefore - ISO timestamp; a lock not refreshed since is abandoned
+ */
+async function getInterruptedOrders(staleBefore) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('portal_orders')
+            .select('id, portal, status, retry_count, locked_by, locked_at, current_step, submitted_at')
+            .in('status', ['processing', 'preview'])
+            .or(`locked_at.lt."${staleBefore}",locked_at.is.null`);
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to get interrupted orders:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get an application user by email (case-insensitive)
+ */
+async function getUserByEmail(email) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('app_users')
+            .select('*')
+            .ilike('email', email.trim())
+            .limit(1);
+
+        if (error) throw error;
+        return data?.[0] || null;
+    } catch (error) {
+        logger.error('Failed to get user by email:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get an application user by ID
+ */
+async function getUserById(userId) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('app_users')
+            .select('*')
+            .eq('id', userId)
+            .single();
+
+        if (error && error.code !== 'PGRST116') throw error;
+        return data || null;
+    } catch (error) {
+        logger.error('Failed to get user:', error);
+        throw error;
+    }
+}
+
+/**
+ * List application users (password hashes excluded)
+ */
+async function listUsers() {
+    try {
+        const { data, error } = await getSupabase()
+            .from('app_users')
+            .select('id, email, name, role, provider_id, is_active, last_login_at, created_at, updated_at')
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to list users:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create an application user
+ */
+async function createUser(userData) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('app_users')
+            .insert({
+                email: userData.email.trim().toLowerCase(),
+                password_hash: userData.passwordHash,
+                name: userData.name,
+                role: userData.role,
+                provider_id: userData.providerId || null
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to create user:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update an application user
+ */
+async function updateUser(userId, updates) {
+    try {
+        const { data, error } = await getSupabase()
+            .from('app_users')
+            .update({
+                ...updates,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', userId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Failed to update user:', error);
+        throw error;
+    }
+}
+
+/**
+ * Append an entry to the HIPAA audit trail
+ * Never throws - a failed audit write is logged loudly but must not break the request
+ */
+async function insertAuditLog(entry) {
+    try {
+        const { error } = await getSupabase()
+            .from('audit_logs')
+            .insert({
+                user_id: entry.userId || null,
+                user_email: entry.userEmail || null,
+                user_role: entry.userRole || null,
+                action: entry.action,
+                resource_type: entry.resourceType,
+                resource_id: entry.resourceId != null ? String(entry.resourceId) : null,
+                method: entry.method,
+                path: entry.path,
+                status_code: entry.statusCode,
+                ip_address: entry.ipAddress,
+                user_agent: entry.userAgent,
+                details: entry.details || null
+            });
+
+        if (error) throw error;
+    } catch (error) {
+        // Only what identifies the event - details and paths can carry patient data
+        logger.error('AUDIT WRITE FAILED:', {
+            action: entry.action,
+            resourceType: entry.resourceType,
+            resourceId: entry.resourceId,
+            userId: entry.userId,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Search the audit trail (newest first)
+ */
+async function searchAuditLogs(filters = {}) {
+    try {
+        const { userEmail, action, resourceType, resourceId, from, to, limit = 100, offset = 0 } = filters;
+
+        let query = getSupabase()
+            .from('audit_logs')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (userEmail) query = query.ilike('user_email', `%${userEmail}%`);
+        if (action) query = query.eq('action', action);
+        if (resourceType) query = query.eq('resource_type', resourceType);
+        if (resourceId) query = query.eq('resource_id', resourceId);
+        if (from) query = query.gte('created_at', from);
+        if (to) query = query.lte('created_at', to);
+
+        const { data, error, count } = await query;
+
+        if (error) throw error;
+        return { entries: data || [], total: count || 0 };
+    } catch (error) {
+        logger.error('Failed to search audit logs:', error);
         throw error;
     }
 }
@@ -359,15 +1847,73 @@ async function getPendingOrders() {
 module.exports = {
     initializeSupabase,
     getSupabase,
+    isSupabaseConfigured,
     upsertPatient,
     createPortalOrder,
     updateOrderStatus,
+    saveOrderHl7,
+    getPortalOrder,
+    getDefaultProvider,
     logAutomation,
     createNotification,
     getActiveSession,
     savePortalSession,
     getProviderByNPI,
+    getEligibilityPayers,
+    saveEligibilityCheck,
+    getRecentEligibilityCheck,
+    getPreviousEligibilityCheck,
+    getEligibilityHistory,
+    createEligibilityBatchJob,
+    updateEligibilityBatchJob,
+    getEligibilityBatchJobs,
+    upsertIntakeqClients,
+    searchIntakeqClients,
+    deleteIntakeqClientsSyncedBefore,
+    getIntakeqClientCount,
+    createIntakeqSyncRun,
+    updateIntakeqSyncRun,
+    getIntakeqSyncRuns,
+    createLabOrderDraft,
+    getLabOrderDrafts,
+    closeLabOrderDraft,
     getLabTestsByPortal,
+    listLabTestCatalog,
+    getLabTestCatalogEntry,
+    createLabTestCatalogEntry,
+    updateLabTestCatalogEntry,
+    listMedicalNecessityRules,
     savePortalResult,
-    getPendingOrders
+    getPortalResultByKey,
+    amendPortalResult,
+    getPortalResultVersions,
+    getMatchQueueItemByKey,
+    updateMatchQueueItem,
+    addToMatchQueue,
+    getMatchQueue,
+    closeMatchQueueItems,
+    createCriticalAlert,
+    getCriticalAlerts,
+    getOverdueCriticalAlerts,
+    transitionCriticalAlert,
+    logCriticalAlertEvent,
+    getReportResults,
+    getPatientIntakeqClientId,
+    getPatientTestHistory,
+    createIntakeqResultPush,
+    getIntakeqResultPushes,
+    getPushedIntakeqResultPush,
+    updateIntakeqResultPush,
+    getProviderUsers,
+    getPendingOrders,
+    claimPendingOrder,
+    refreshOrderLock,
+    getInterruptedOrders,
+    getUserByEmail,
+    getUserById,
+    listUsers,
+    createUser,
+    updateUser,
+    insertAuditLog,
+    searchAuditLogs
 };
\ No newline at end of file
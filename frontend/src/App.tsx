@@ -14,7 +14,11 @@ import NewOrder from './pages/NewOrder';
 import Orders from './pages/Orders';
 import Results from './pages/Results';
 import Patients from './pages/Patients';
+import Eligibility from './pages/Eligibility';
 import Settings from './pages/Settings';
+import Login from './pages/Login';
+import AuditLog from './pages/AuditLog';
+import ProtectedRoute from './components/ProtectedRoute';
 
 // Import contexts
 import { SocketProvider } from './contexts/SocketContext';
@@ -200,14 +204,38 @@ function App() {
             <SocketProvider>
               <Router>
                 <Routes>
-                  <Route path="/" element={<Layout />}>
+                  <Route path="/login" element={<Login />} />
+                  <Route
+                    path="/"
+                    element={
+                      <ProtectedRoute>
+                        <Layout />
+                      </ProtectedRoute>
+                    }
+                  >
                     <Route index element={<Navigate to="/dashboard" replace />} />
                     <Route path="dashboard" element={<Dashboard />} />
                     <Route path="new-order" element={<NewOrder />} />
                     <Route path="orders" element={<Orders />} />
                     <Route path="results" element={<Results />} />
                     <Route path="patients" element={<Patients />} />
-                    <Route path="settings" element={<Settings />} />
+                    <Route path="eligibility" element={<Eligibility />} />
+                    <Route
+                      path="audit-log"
+                      element={
+                        <ProtectedRoute roles={['admin']}>
+                          <AuditLog />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="settings"
+                      element={
+                        <ProtectedRoute roles={['admin']}>
+                          <Settings />
+                        </ProtectedRoute>
+                      }
+                    />
                   </Route>
                 </Routes>
               </Router>
@@ -0,0 +1,591 @@
+// Lab Test Catalog - Admin list of orderable tests with add, edit and retire
+
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Autocomplete,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Grid,
+  IconButton,
+  MenuItem,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Archive as RetireIcon,
+  Edit as EditIcon,
+  Restore as RestoreIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+import { useSnackbar } from 'notistack';
+import { format } from 'date-fns';
+
+interface AoeQuestion {
+  id: string;
+  prompt: string;
+  type: string;
+  required: boolean;
+}
+
+interface CatalogTest {
+  id: string;
+  name: string;
+  labcorpCode: string | null;
+  questCode: string | null;
+  category: string;
+  aliases: string[];
+  description: string | null;
+  specimenType: string | null;
+  container: string | null;
+  volume: string | null;
+  fasting: 'none' | 'preferred' | 'required';
+  fastingHours: number | null;
+  timing: string | null;
+  stability: string | null;
+  aoeQuestions: AoeQuestion[];
+  isActive: boolean;
+  effectiveFrom: string | null;
+  effectiveTo: string | null;
+  status: 'active' | 'scheduled' | 'ended' | 'retired';
+}
+
+interface TestForm {
+  name: string;
+  labcorpCode: string;
+  questCode: string;
+  category: string;
+  aliases: string;
+  description: string;
+  specimenType: string;
+  container: string;
+  volume: string;
+  fasting: CatalogTest['fasting'];
+  fastingHours: string;
+  timing: string;
+  stability: string;
+  aoeQuestions: string;
+  effectiveFrom: string;
+  effectiveTo: string;
+}
+
+const emptyForm: TestForm = {
+  name: '',
+  labcorpCode: '',
+  questCode: '',
+  category: '',
+  aliases: '',
+  description: '',
+  specimenType: '',
+  container: '',
+  volume: '',
+  fasting: 'none',
+  fastingHours: '',
+  timing: '',
+  stability: '',
+  aoeQuestions: '',
+  effectiveFrom: '',
+  effectiveTo: '',
+};
+
+const statusColors: Record<CatalogTest['status'], 'success' | 'info' | 'warning' | 'default'> = {
+  active: 'success',
+  scheduled: 'info',
+  ended: 'warning',
+  retired: 'default',
+};
+
+// Effective dates are plain YYYY-MM-DD; parse them as local dates, not UTC midnight
+const formatDate = (date: string) => format(new Date(`${date}T00:00:00`), 'MMM d, yyyy');
+
+const describeEffective = (test: CatalogTest) => {
+  if (test.effectiveFrom && test.effectiveTo) return `${formatDate(test.effectiveFrom)} – ${formatDate(test.effectiveTo)}`;
+  if (test.effectiveFrom) return `From ${formatDate(test.effectiveFrom)}`;
+  if (test.effectiveTo) return `Through ${formatDate(test.effectiveTo)}`;
+  return '—';
+};
+
+const describeFasting = (test: CatalogTest) => {
+  if (test.fasting === 'none') return null;
+  const hours = test.fastingHours ? `${test.fastingHours}h ` : '';
+  return `${hours}fast ${test.fasting}`;
+};
+
+const LabTestCatalog: React.FC = () => {
+  const { enqueueSnackbar } = useSnackbar();
+  const [tests, setTests] = useState<CatalogTest[]>([]);
+  const [categories, setCategories] = useState<string[]>([]);
+  const [readOnly, setReadOnly] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [filter, setFilter] = useState('');
+  const [showRetired, setShowRetired] = useState(false);
+  const [editing, setEditing] = useState<CatalogTest | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState<TestForm>(emptyForm);
+  const [formError, setFormError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchCatalog = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.get('/api/lab-test-catalog');
+      setTests(response.data.tests);
+      setCategories(response.data.categories);
+      setReadOnly(response.data.source !== 'database');
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load lab test catalog');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCatalog();
+  }, []);
+
+  const handleOpenAdd = () => {
+    setEditing(null);
+    setForm(emptyForm);
+    setFormError(null);
+    setDialogOpen(true);
+  };
+
+  const handleOpenEdit = (test: CatalogTest) => {
+    setEditing(test);
+    setForm({
+      name: test.name,
+      labcorpCode: test.labcorpCode || '',
+      questCode: test.questCode || '',
+      category: test.category,
+      aliases: test.aliases.join(', '),
+      description: test.description || '',
+      specimenType: test.specimenType || '',
+      container: test.container || '',
+      volume: test.volume || '',
+      fasting: test.fasting,
+      fastingHours: test.fastingHours ? String(test.fastingHours) : '',
+      timing: test.timing || '',
+      stability: test.stability || '',
+      aoeQuestions: test.aoeQuestions.length > 0 ? JSON.stringify(test.aoeQuestions, null, 2) : '',
+      effectiveFrom: test.effectiveFrom || '',
+      effectiveTo: test.effectiveTo || '',
+    });
+    setFormError(null);
+    setDialogOpen(true);
+  };
+
+  const handleFormChange = (field: keyof TestForm) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      setFormError('Name is required');
+      return;
+    }
+    if (!form.labcorpCode.trim() && !form.questCode.trim()) {
+      setFormError('Enter a Labcorp or Quest code');
+      return;
+    }
+
+    let aoeQuestions = [];
+    try {
+      aoeQuestions = form.aoeQuestions.trim() ? JSON.parse(form.aoeQuestions) : [];
+    } catch (err) {
+      setFormError('AOE questions must be valid JSON');
+      return;
+    }
+
+    const body = {
+      name: form.name,
+      labcorpCode: form.labcorpCode,
+      questCode: form.questCode,
+      category: form.category,
+      aliases: form.aliases.split(',').map((alias) => alias.trim()).filter(Boolean),
+      description: form.description,
+      specimenType: form.specimenType,
+      container: form.container,
+      volume: form.volume,
+      fasting: form.fasting,
+      fastingHours: form.fasting !== 'none' && form.fastingHours ? Number(form.fastingHours) : null,
+      timing: form.timing,
+      stability: form.stability,
+      aoeQuestions,
+      effectiveFrom: form.effectiveFrom || null,
+      effectiveTo: form.effectiveTo || null,
+    };
+
+    try {
+      setSaving(true);
+      setFormError(null);
+
+      if (editing) {
+        await axios.patch(`/api/lab-test-catalog/${editing.id}`, body);
+        enqueueSnackbar(`${form.name} updated`, { variant: 'success' });
+      } else {
+        await axios.post('/api/lab-test-catalog', body);
+        enqueueSnackbar(`${form.name} added to the catalog`, { variant: 'success' });
+      }
+
+      setDialogOpen(false);
+      fetchCatalog();
+    } catch (err: any) {
+      setFormError(err.response?.data?.error || 'Failed to save lab test');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRetire = async (test: CatalogTest) => {
+    if (!window.confirm(`Retire ${test.name}? It will no longer be offered when ordering.`)) return;
+
+    try {
+      await axios.post(`/api/lab-test-catalog/${test.id}/retire`);
+      enqueueSnackbar(`${test.name} retired`, { variant: 'success' });
+      fetchCatalog();
+    } catch (err: any) {
+      enqueueSnackbar(err.response?.data?.error || 'Failed to retire lab test', { variant: 'error' });
+    }
+  };
+
+  // Bring back a retired or ended test, clearing the end date that took it out
+  const handleRestore = async (test: CatalogTest) => {
+    try {
+      await axios.patch(`/api/lab-test-catalog/${test.id}`, { isActive: true, effectiveTo: null });
+      enqueueSnackbar(`${test.name} restored`, { variant: 'success' });
+      fetchCatalog();
+    } catch (err: any) {
+      enqueueSnackbar(err.response?.data?.error || 'Failed to restore lab test', { variant: 'error' });
+    }
+  };
+
+  const search = filter.trim().toLowerCase();
+  const visibleTests = tests.filter((test) => {
+    if (!showRetired && (test.status === 'retired' || test.status === 'ended')) return false;
+    if (!search) return true;
+    return [test.name, test.labcorpCode, test.questCode, test.category, ...test.aliases]
+      .some((value) => value?.toLowerCase().includes(search));
+  });
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Box>
+          <Typography variant="h6">Lab Test Catalog</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Tests offered when ordering, and the names and abbreviations recognized in notes
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={handleOpenAdd} disabled={readOnly}>
+          Add Test
+        </Button>
+      </Box>
+
+      {readOnly && !loading && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          The database is not available, so this list comes from labTestCodes.json and can't be edited.
+        </Alert>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Box display="flex" gap={2} alignItems="center" mb={2}>
+        <TextField
+          label="Filter"
+          placeholder="Name, code, category or synonym"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          size="small"
+          sx={{ minWidth: 300 }}
+        />
+        <FormControlLabel
+          control={<Switch checked={showRetired} onChange={(e) => setShowRetired(e.target.checked)} />}
+          label="Show retired"
+        />
+      </Box>
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Test</TableCell>
+              <TableCell>Category</TableCell>
+              <TableCell>Labcorp</TableCell>
+              <TableCell>Quest</TableCell>
+              <TableCell>Specimen & Prep</TableCell>
+              <TableCell>Effective</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={8} align="center">
+                  <CircularProgress size={24} />
+                </TableCell>
+              </TableRow>
+            ) : visibleTests.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={8} align="center">
+                  <Typography color="text.secondary">No tests match</Typography>
+                </TableCell>
+              </TableRow>
+            ) : (
+              visibleTests.map((test) => (
+                <TableRow key={test.id || test.labcorpCode || test.name} hover>
+                  <TableCell>
+                    <Typography variant="body2">{test.name}</Typography>
+                    {test.aliases.length > 0 && (
+                      <Typography variant="caption" color="text.secondary">
+                        {test.aliases.join(', ')}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{test.category}</TableCell>
+                  <TableCell>{test.labcorpCode || '—'}</TableCell>
+                  <TableCell>{test.questCode || '—'}</TableCell>
+                  <TableCell>
+                    <Typography variant="body2">
+                      {[test.container || test.specimenType, test.volume].filter(Boolean).join(', ') || '—'}
+                    </Typography>
+                    {(test.fasting !== 'none' || test.timing) && (
+                      <Typography variant="caption" color="text.secondary">
+                        {[describeFasting(test), test.timing].filter(Boolean).join('; ')}
+                      </Typography>
+                    )}
+                    {test.aoeQuestions.length > 0 && (
+                      <Box mt={0.5}>
+                        <Chip
+                          label={`${test.aoeQuestions.length} AOE question${test.aoeQuestions.length === 1 ? '' : 's'}`}
+                          size="small"
+                          variant="outlined"
+                          title={test.aoeQuestions.map((question) => question.prompt).join('\n')}
+                        />
+                      </Box>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{describeEffective(test)}</TableCell>
+                  <TableCell>
+                    <Chip label={test.status} color={statusColors[test.status]} size="small" />
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {!readOnly && (
+                      <>
+                        <Tooltip title="Edit">
+                          <IconButton size="small" onClick={() => handleOpenEdit(test)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        {test.status === 'retired' || test.status === 'ended' ? (
+                          <Tooltip title="Restore">
+                            <IconButton size="small" onClick={() => handleRestore(test)}>
+                              <RestoreIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        ) : (
+                          <Tooltip title="Retire">
+                            <IconButton size="small" onClick={() => handleRetire(test)}>
+                              <RetireIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing ? `Edit ${editing.name}` : 'Add Lab Test'}</DialogTitle>
+        <DialogContent>
+          {formError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {formError}
+            </Alert>
+          )}
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12}>
+              <TextField label="Name" value={form.name} onChange={handleFormChange('name')} fullWidth size="small" required />
+            </Grid>
+            <Grid item xs={6}>
+              <TextField label="Labcorp code" value={form.labcorpCode} onChange={handleFormChange('labcorpCode')} fullWidth size="small" />
+            </Grid>
+            <Grid item xs={6}>
+              <TextField label="Quest code" value={form.questCode} onChange={handleFormChange('questCode')} fullWidth size="small" />
+            </Grid>
+            <Grid item xs={12}>
+              <Autocomplete
+                freeSolo
+                options={categories}
+                inputValue={form.category}
+                onInputChange={(_, value) => setForm({ ...form, category: value })}
+                renderInput={(params) => <TextField {...params} label="Category" size="small" />}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                label="Synonyms"
+                helperText="Comma-separated abbreviations and names providers use, e.g. CMP, comprehensive metabolic"
+                value={form.aliases}
+                onChange={handleFormChange('aliases')}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField label="Description" value={form.description} onChange={handleFormChange('description')} fullWidth size="small" />
+            </Grid>
+            <Grid item xs={12}>
+              <Typography variant="subtitle2" color="text.secondary">
+                Specimen & Patient Prep
+              </Typography>
+            </Grid>
+            <Grid item xs={4}>
+              <TextField
+                label="Specimen type"
+                placeholder="Serum"
+                value={form.specimenType}
+                onChange={handleFormChange('specimenType')}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={5}>
+              <TextField
+                label="Tube / container"
+                placeholder="Gold-top SST"
+                value={form.container}
+                onChange={handleFormChange('container')}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={3}>
+              <TextField label="Volume" placeholder="1 mL" value={form.volume} onChange={handleFormChange('volume')} fullWidth size="small" />
+            </Grid>
+            <Grid item xs={6}>
+              <TextField select label="Fasting" value={form.fasting} onChange={handleFormChange('fasting')} fullWidth size="small">
+                <MenuItem value="none">Not needed</MenuItem>
+                <MenuItem value="preferred">Preferred</MenuItem>
+                <MenuItem value="required">Required</MenuItem>
+              </TextField>
+            </Grid>
+            <Grid item xs={6}>
+              <TextField
+                label="Fasting hours"
+                type="number"
+                value={form.fastingHours}
+                onChange={handleFormChange('fastingHours')}
+                disabled={form.fasting === 'none'}
+                inputProps={{ min: 1 }}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                label="Timing"
+                placeholder="Draw 12 hours after the last dose, before the morning dose"
+                value={form.timing}
+                onChange={handleFormChange('timing')}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                label="Stability"
+                placeholder="Refrigerated 7 days"
+                value={form.stability}
+                onChange={handleFormChange('stability')}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                label="Order questions (AOE)"
+                helperText={
+                  'JSON list of { id, prompt, type (text, number, date, datetime, yesno, select), required, ' +
+                  'options, placeholder, past, portalLabel }'
+                }
+                value={form.aoeQuestions}
+                onChange={handleFormChange('aoeQuestions')}
+                multiline
+                minRows={3}
+                maxRows={12}
+                fullWidth
+                size="small"
+                InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+              />
+            </Grid>
+            <Grid item xs={6}>
+              <TextField
+                label="Effective from"
+                type="date"
+                value={form.effectiveFrom}
+                onChange={handleFormChange('effectiveFrom')}
+                InputLabelProps={{ shrink: true }}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={6}>
+              <TextField
+                label="Effective through"
+                type="date"
+                value={form.effectiveTo}
+                onChange={handleFormChange('effectiveTo')}
+                InputLabelProps={{ shrink: true }}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving}
+            startIcon={saving ? <CircularProgress size={18} /> : undefined}
+          >
+            {editing ? 'Save' : 'Add Test'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default LabTestCatalog;
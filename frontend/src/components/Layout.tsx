@@ -1,6 +1,6 @@
 // Layout Component - Main application layout with navigation
 
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { Outlet, useNavigate, useLocation } from 'react-router-dom';
 import {
   Box,
@@ -18,6 +18,8 @@ import {
   Avatar,
   Badge,
   Chip,
+  Snackbar,
+  Alert,
 } from '@mui/material';
 import {
   Menu as MenuIcon,
@@ -26,29 +28,88 @@ import {
   Assignment as OrdersIcon,
   Assessment as ResultsIcon,
   People as PatientsIcon,
+  VerifiedUser as EligibilityIcon,
   Settings as SettingsIcon,
+  Policy as AuditIcon,
   ExitToApp as LogoutIcon,
   Notifications as NotificationIcon,
 } from '@mui/icons-material';
+import axios from 'axios';
 import { useSocket } from '../contexts/SocketContext';
+import { useAuth, UserRole } from '../contexts/AuthContext';
 
 const drawerWidth = 260;
 
-const menuItems = [
+const roleLabels: Record<string, string> = {
+  provider: 'Provider',
+  staff: 'Medical Assistant / Staff',
+  admin: 'Administrator',
+};
+
+const menuItems: Array<{ text: string; icon: React.ReactElement; path: string; roles?: UserRole[] }> = [
   { text: 'Dashboard', icon: <DashboardIcon />, path: '/dashboard' },
   { text: 'New Order', icon: <LabIcon />, path: '/new-order' },
   { text: 'Orders', icon: <OrdersIcon />, path: '/orders' },
   { text: 'Results', icon: <ResultsIcon />, path: '/results' },
   { text: 'Patients', icon: <PatientsIcon />, path: '/patients' },
-  { text: 'Settings', icon: <SettingsIcon />, path: '/settings' },
+  { text: 'Eligibility', icon: <EligibilityIcon />, path: '/eligibility' },
+  { text: 'Audit Log', icon: <AuditIcon />, path: '/audit-log', roles: ['admin'] },
+  { text: 'Settings', icon: <SettingsIcon />, path: '/settings', roles: ['admin'] },
 ];
 
 const Layout: React.FC = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const socket = useSocket();
+  const { user, logout, hasRole } = useAuth();
   const [mobileOpen, setMobileOpen] = useState(false);
   const [notifications, setNotifications] = useState(0);
+  const [criticalAlert, setCriticalAlert] = useState<string | null>(null);
+
+  // The bell counts critical results still waiting for acknowledgment
+  const fetchAlertCount = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/results/critical-alerts');
+      setNotifications(response.data.count);
+    } catch (error) {
+      console.error('Failed to load critical alerts:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) fetchAlertCount();
+  }, [user, fetchAlertCount]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const onCriticalResult = (data: { testName?: string; resultValue?: string; resultUnit?: string; patientName?: string; status: string }) => {
+      setCriticalAlert(
+        `${data.status === 'escalated' ? 'Escalated critical' : 'Critical'} result: ${data.testName} ${data.resultValue ?? ''} ${data.resultUnit ?? ''}${data.patientName ? ` for ${data.patientName}` : ''}`
+      );
+      fetchAlertCount();
+    };
+
+    socket.on('critical-result', onCriticalResult);
+    socket.on('critical-result-acknowledged', fetchAlertCount);
+
+    return () => {
+      socket.off('critical-result', onCriticalResult);
+      socket.off('critical-result-acknowledged', fetchAlertCount);
+    };
+  }, [socket, fetchAlertCount]);
+
+  const initials = (user?.name || '')
+    .split(' ')
+    .map(part => part[0])
+    .join('')
+    .slice(0, 2)
+    .toUpperCase();
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
 
   const handleDrawerToggle = () => {
     setMobileOpen(!mobileOpen);
@@ -91,7 +152,7 @@ const Layout: React.FC = () => {
       <Divider />
 
       <List sx={{ px: 1, py: 2 }}>
-        {menuItems.map((item) => {
+        {menuItems.filter(item => !item.roles || hasRole(...item.roles)).map((item) => {
           const isActive = location.pathname === item.path;
           return (
             <ListItem key={item.text} disablePadding sx={{ mb: 0.5 }}>
@@ -160,15 +221,18 @@ const Layout: React.FC = () => {
             bgcolor: 'secondary.main', // Terracotta
             color: 'white',
             fontWeight: 500,
-          }}>MR</Avatar>
-          <Box>
-            <Typography variant="body2" fontWeight={600} color="text.primary">
-              Dr. Reynolds
+          }}>{initials}</Avatar>
+          <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+            <Typography variant="body2" fontWeight={600} color="text.primary" noWrap>
+              {user?.name}
             </Typography>
             <Typography variant="caption" color="text.secondary">
-              MOONLIT Psychiatry
+              {user ? roleLabels[user.role] : 'MOONLIT Psychiatry'}
             </Typography>
           </Box>
+          <IconButton size="small" onClick={handleLogout} title="Sign out">
+            <LogoutIcon fontSize="small" />
+          </IconButton>
         </Box>
 
         {/* Connection Status */}
@@ -227,7 +291,7 @@ const Layout: React.FC = () => {
             {menuItems.find(item => item.path === location.pathname)?.text || 'MOONLIT Lab Portal'}
           </Typography>
 
-          <IconButton color="inherit">
+          <IconButton color="inherit" onClick={() => navigate('/results?tab=critical')}>
             <Badge badgeContent={notifications} color="error">
               <NotificationIcon />
             </Badge>
@@ -287,6 +351,31 @@ const Layout: React.FC = () => {
         <Toolbar />
         <Outlet />
       </Box>
+
+      <Snackbar
+        open={!!criticalAlert}
+        onClose={() => setCriticalAlert(null)}
+        anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Alert
+          severity="error"
+          variant="filled"
+          action={
+            <Chip
+              label="Review"
+              size="small"
+              sx={{ color: 'white', borderColor: 'white' }}
+              variant="outlined"
+              onClick={() => {
+                setCriticalAlert(null);
+                navigate('/results?tab=critical');
+              }}
+            />
+          }
+        >
+          {criticalAlert}
+        </Alert>
+      </Snackbar>
     </Box>
   );
 };
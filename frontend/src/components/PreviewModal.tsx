@@ -63,6 +63,7 @@ const PreviewModal: React.FC<PreviewModalProps> = ({
   const [orderData, setOrderData] = useState<OrderPreview | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [automationStatus, setAutomationStatus] = useState<string>('');
+  const [previewImage, setPreviewImage] = useState<string | null>(null);
 
   useEffect(() => {
     if (open && orderId) {
@@ -87,6 +88,23 @@ const PreviewModal: React.FC<PreviewModalProps> = ({
     };
   }, [open, orderId, socket]);
 
+  // Screenshots require a session, so load them through axios rather than a bare <img src>
+  useEffect(() => {
+    if (!orderData?.previewUrl) return;
+
+    let objectUrl: string | null = null;
+    axios.get(`http://localhost:3001${orderData.previewUrl}`, { responseType: 'blob' })
+      .then(response => {
+        objectUrl = URL.createObjectURL(response.data);
+        setPreviewImage(objectUrl);
+      })
+      .catch(() => setPreviewImage('/placeholder-preview.png'));
+
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [orderData?.previewUrl]);
+
   const fetchPreview = async () => {
     try {
       setLoading(true);
@@ -304,7 +322,7 @@ const PreviewModal: React.FC<PreviewModalProps> = ({
                 }}
               >
                 <img
-                  src={`http://localhost:3001${orderData.previewUrl}`}
+                  src={previewImage || '/placeholder-preview.png'}
                   alt="Order form preview"
                   style={{
                     width: '100%',
@@ -0,0 +1,45 @@
+// Protected Route - Redirects to login without a session, blocks users lacking a required role
+
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { Box, CircularProgress, Typography } from '@mui/material';
+import { useAuth, UserRole } from '../contexts/AuthContext';
+
+interface ProtectedRouteProps {
+  children: React.ReactElement;
+  roles?: UserRole[];
+}
+
+const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ children, roles }) => {
+  const { isAuthenticated, loading, hasRole } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="50vh">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (roles && !hasRole(...roles)) {
+    return (
+      <Box p={4}>
+        <Typography variant="h5" gutterBottom>
+          Access restricted
+        </Typography>
+        <Typography color="text.secondary">
+          Your account does not have permission to view this page.
+        </Typography>
+      </Box>
+    );
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
@@ -1,46 +1,106 @@
-// Auth Context - Simple auth context (expand as needed)
+// Auth Context - JWT session for the lab portal API and Socket.io
 
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import { getAuthToken, setAuthToken } from '../services/authToken';
+
+// In production, use relative URLs (same domain). In development, use localhost:3001
+const API_URL = process.env.REACT_APP_API_URL ||
+  (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3001');
+
+export type UserRole = 'provider' | 'staff' | 'admin';
+
+export interface AuthUser {
+  id: string;
+  email: string;
+  name: string;
+  role: UserRole;
+  providerId: string | null;
+}
 
 interface AuthContextValue {
-  user: any | null;
-  login: (credentials: any) => Promise<void>;
+  user: AuthUser | null;
+  token: string | null;
+  loading: boolean;
+  login: (email: string, password: string) => Promise<void>;
   logout: () => void;
+  hasRole: (...roles: UserRole[]) => boolean;
   isAuthenticated: boolean;
 }
 
 const AuthContext = createContext<AuthContextValue>({
   user: null,
+  token: null,
+  loading: true,
   login: async () => {},
   logout: () => {},
+  hasRole: () => false,
   isAuthenticated: false,
 });
 
 export const useAuth = () => useContext(AuthContext);
 
 export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
-  const [user, setUser] = useState<any>(null);
-
-  const login = async (credentials: any) => {
-    // TODO: Implement actual authentication
-    // For now, just set a mock user
-    setUser({ name: 'MOONLIT Admin', email: 'admin@moonlit.com' });
-  };
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [token, setToken] = useState<string | null>(getAuthToken());
+  const [loading, setLoading] = useState(!!getAuthToken());
 
-  const logout = () => {
+  const logout = useCallback(() => {
+    setAuthToken(null);
+    setToken(null);
     setUser(null);
+  }, []);
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    const storedToken = getAuthToken();
+    if (!storedToken) return;
+
+    axios.get(`${API_URL}/api/auth/me`)
+      .then(response => setUser(response.data.user))
+      .catch(() => logout())
+      .finally(() => setLoading(false));
+  }, [logout]);
+
+  // An expired or revoked session anywhere in the app sends the user back to login
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401 && getAuthToken()) {
+          logout();
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return () => {
+      axios.interceptors.response.eject(interceptor);
+    };
+  }, [logout]);
+
+  const login = async (email: string, password: string) => {
+    const response = await axios.post(`${API_URL}/api/auth/login`, { email, password });
+    setAuthToken(response.data.token);
+    setToken(response.data.token);
+    setUser(response.data.user);
   };
 
+  const hasRole = (...roles: UserRole[]) => !!user && roles.includes(user.role);
+
   return (
     <AuthContext.Provider
       value={{
         user,
+        token,
+        loading,
         login,
         logout,
+        hasRole,
         isAuthenticated: !!user,
       }}
     >
       {children}
     </AuthContext.Provider>
   );
-};
\ No newline at end of file
+};
@@ -2,6 +2,7 @@
 
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { io, Socket } from 'socket.io-client';
+import { useAuth } from './AuthContext';
 
 interface SocketContextValue {
   socket: Socket | null;
@@ -21,11 +22,16 @@ export const useSocket = () => {
 export const SocketProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const [socket, setSocket] = useState<Socket | null>(null);
   const [connected, setConnected] = useState(false);
+  const { token } = useAuth();
 
   useEffect(() => {
+    // The server rejects connections without a session token
+    if (!token) return;
+
     // Connect to backend Socket.io server
     const socketInstance = io('http://localhost:3001', {
       transports: ['websocket', 'polling'],
+      auth: { token },
     });
 
     socketInstance.on('connect', () => {
@@ -42,8 +48,10 @@ export const SocketProvider: React.FC<{ children: React.ReactNode }> = ({ childr
 
     return () => {
       socketInstance.disconnect();
+      setSocket(null);
+      setConnected(false);
     };
-  }, []);
+  }, [token]);
 
   return (
     <SocketContext.Provider value={{ socket, connected }}>
@@ -5,19 +5,25 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import './App.css';
 import App from './App';
 import SmartLabOrder from './pages/SmartLabOrder';
+import Login from './pages/Login';
+import ProtectedRoute from './components/ProtectedRoute';
+import { AuthProvider } from './contexts/AuthContext';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
     <React.StrictMode>
-        <BrowserRouter>
-            <Routes>
-                <Route path="/" element={<SmartLabOrder />} />
-                <Route path="/classic" element={<App />} />
-                <Route path="/smart-lab-order" element={<SmartLabOrder />} />
-                <Route path="*" element={<Navigate to="/" replace />} />
-            </Routes>
-        </BrowserRouter>
+        <AuthProvider>
+            <BrowserRouter>
+                <Routes>
+                    <Route path="/login" element={<Login />} />
+                    <Route path="/" element={<ProtectedRoute><SmartLabOrder /></ProtectedRoute>} />
+                    <Route path="/classic" element={<ProtectedRoute><App /></ProtectedRoute>} />
+                    <Route path="/smart-lab-order" element={<ProtectedRoute><SmartLabOrder /></ProtectedRoute>} />
+                    <Route path="*" element={<Navigate to="/" replace />} />
+                </Routes>
+            </BrowserRouter>
+        </AuthProvider>
     </React.StrictMode>
 );
 
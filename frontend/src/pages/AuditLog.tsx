@@ -0,0 +1,314 @@
+// Audit Log Page - Admin search and CSV export of PHI access and order actions
+
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Grid,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  Search as SearchIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+import { format } from 'date-fns';
+
+interface AuditEntry {
+  id: number;
+  created_at: string;
+  user_email: string | null;
+  user_role: string | null;
+  action: string;
+  resource_type: string;
+  resource_id: string | null;
+  method: string | null;
+  path: string | null;
+  status_code: number | null;
+  ip_address: string | null;
+  details: Record<string, any> | null;
+}
+
+interface AuditFilters {
+  user: string;
+  action: string;
+  resourceType: string;
+  resourceId: string;
+  from: string;
+  to: string;
+}
+
+const emptyFilters: AuditFilters = {
+  user: '',
+  action: '',
+  resourceType: '',
+  resourceId: '',
+  from: '',
+  to: '',
+};
+
+// Drop blank filters and turn the date inputs into a full-day ISO range
+const toQueryParams = (filters: AuditFilters) => {
+  const params: Record<string, string> = {};
+  if (filters.user) params.user = filters.user;
+  if (filters.action) params.action = filters.action;
+  if (filters.resourceType) params.resourceType = filters.resourceType;
+  if (filters.resourceId) params.resourceId = filters.resourceId;
+  if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString();
+  if (filters.to) params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+  return params;
+};
+
+const AuditLog: React.FC = () => {
+  const [filters, setFilters] = useState<AuditFilters>(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState<AuditFilters>(emptyFilters);
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await axios.get('/api/audit', {
+          params: {
+            ...toQueryParams(appliedFilters),
+            limit: rowsPerPage,
+            offset: page * rowsPerPage,
+          },
+        });
+
+        setEntries(response.data.entries);
+        setTotal(response.data.total);
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to load audit log');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEntries();
+  }, [appliedFilters, page, rowsPerPage]);
+
+  const handleFilterChange = (field: keyof AuditFilters) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    setFilters({ ...filters, [field]: e.target.value });
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setPage(0);
+    setAppliedFilters(filters);
+  };
+
+  const handleClear = () => {
+    setFilters(emptyFilters);
+    setAppliedFilters(emptyFilters);
+    setPage(0);
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+
+      const response = await axios.get('/api/audit/export', {
+        params: toQueryParams(appliedFilters),
+        responseType: 'blob',
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${format(new Date(), 'yyyy-MM-dd')}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4" fontWeight={600}>
+          Audit Log
+        </Typography>
+        <Button
+          variant="outlined"
+          startIcon={exporting ? <CircularProgress size={18} /> : <DownloadIcon />}
+          onClick={handleExport}
+          disabled={exporting}
+        >
+          Export CSV
+        </Button>
+      </Box>
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <form onSubmit={handleSearch}>
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={6} md={4}>
+              <TextField label="User email" value={filters.user} onChange={handleFilterChange('user')} fullWidth size="small" />
+            </Grid>
+            <Grid item xs={12} sm={6} md={4}>
+              <TextField
+                label="Action"
+                placeholder="e.g. patient.view"
+                value={filters.action}
+                onChange={handleFilterChange('action')}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={4}>
+              <TextField
+                label="Resource type"
+                placeholder="patient, result, lab_order"
+                value={filters.resourceType}
+                onChange={handleFilterChange('resourceType')}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={4}>
+              <TextField label="Resource ID" value={filters.resourceId} onChange={handleFilterChange('resourceId')} fullWidth size="small" />
+            </Grid>
+            <Grid item xs={12} sm={6} md={4}>
+              <TextField
+                label="From"
+                type="date"
+                value={filters.from}
+                onChange={handleFilterChange('from')}
+                InputLabelProps={{ shrink: true }}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={4}>
+              <TextField
+                label="To"
+                type="date"
+                value={filters.to}
+                onChange={handleFilterChange('to')}
+                InputLabelProps={{ shrink: true }}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+          </Grid>
+          <Box display="flex" gap={1} mt={2}>
+            <Button type="submit" variant="contained" startIcon={<SearchIcon />}>
+              Search
+            </Button>
+            <Button onClick={handleClear}>Clear</Button>
+          </Box>
+        </form>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Timestamp</TableCell>
+                <TableCell>User</TableCell>
+                <TableCell>Action</TableCell>
+                <TableCell>Resource</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>IP Address</TableCell>
+                <TableCell>Details</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    <CircularProgress size={24} />
+                  </TableCell>
+                </TableRow>
+              ) : entries.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    <Typography color="text.secondary">No audit entries match these filters</Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                entries.map((entry) => (
+                  <TableRow key={entry.id} hover>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      {format(new Date(entry.created_at), 'MMM d, yyyy h:mm:ss a')}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{entry.user_email || '—'}</Typography>
+                      {entry.user_role && (
+                        <Typography variant="caption" color="text.secondary">
+                          {entry.user_role}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={entry.action} size="small" />
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{entry.resource_type}</Typography>
+                      {entry.resource_id && (
+                        <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                          {entry.resource_id}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{entry.status_code ?? '—'}</TableCell>
+                    <TableCell>{entry.ip_address || '—'}</TableCell>
+                    <TableCell sx={{ maxWidth: 280 }}>
+                      <Typography variant="caption" sx={{ wordBreak: 'break-word' }}>
+                        {entry.details ? JSON.stringify(entry.details) : ''}
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(_, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[25, 50, 100]}
+        />
+      </Paper>
+    </Box>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,432 @@
+// Eligibility Page - Verify coverage for everyone with an appointment on a day in one batch,
+// then review who lapsed, changed plans or moved before their labs are ordered
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Grid,
+  LinearProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { PlaylistAddCheck as VerifyIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { addDays, format } from 'date-fns';
+import { useSocket } from '../contexts/SocketContext';
+
+interface BatchJob {
+  id: string;
+  appointment_date: string;
+  status: 'running' | 'completed' | 'failed';
+  total: number;
+  completed: number;
+  error_message: string | null;
+  created_at: string;
+  completed_at: string | null;
+  started_by_user: { name: string | null; email: string } | null;
+  report?: BatchReport | null;
+}
+
+interface BatchChange {
+  type: 'lapsed' | 'plan_changed' | 'address_changed';
+  detail: string;
+  from?: string | null;
+  to?: string | null;
+}
+
+interface BatchPatient {
+  intakeqId: string;
+  name: string;
+  dateOfBirth: string | null;
+  appointmentAt: string | null;
+  serviceName: string;
+  practitionerName: string;
+  payerName: string | null;
+  memberId: string | null;
+  plan: string | null;
+  status: 'eligible' | 'not_eligible' | 'unverified';
+  reason: string | null;
+  changes: BatchChange[];
+}
+
+interface BatchReport {
+  appointmentDate: string;
+  counts: Record<'patients' | 'eligible' | 'notEligible' | 'unverified' | 'lapsed' | 'planChanged' | 'addressChanged', number>;
+  patients: BatchPatient[];
+}
+
+interface BatchProgress {
+  jobId: string;
+  status: BatchJob['status'];
+  completed: number;
+  total: number;
+  error: string | null;
+}
+
+const CHANGE_SECTIONS: Array<{ type: BatchChange['type']; title: string; color: 'error' | 'warning' | 'info' }> = [
+  { type: 'lapsed', title: 'Coverage Lapsed', color: 'error' },
+  { type: 'plan_changed', title: 'Plan Changed', color: 'warning' },
+  { type: 'address_changed', title: 'Address Changed', color: 'info' },
+];
+
+const statusColor = (status: BatchJob['status']) =>
+  status === 'completed' ? 'success' : status === 'failed' ? 'error' : 'default';
+
+const formatDay = (value: string) => format(new Date(`${value}T00:00:00`), 'EEE, MMM d, yyyy');
+
+const formatTime = (value: string | null) => (value ? format(new Date(value), 'h:mm a') : '—');
+
+const PatientTable: React.FC<{ patients: BatchPatient[]; detail: (patient: BatchPatient) => React.ReactNode }> = ({
+  patients,
+  detail,
+}) => (
+  <TableContainer component={Paper} variant="outlined">
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Patient</TableCell>
+          <TableCell>Appointment</TableCell>
+          <TableCell>Payer</TableCell>
+          <TableCell>Details</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {patients.map((patient) => (
+          <TableRow key={patient.intakeqId}>
+            <TableCell>
+              {patient.name}
+              {patient.dateOfBirth && (
+                <Typography variant="caption" display="block" color="text.secondary">
+                  DOB {patient.dateOfBirth}
+                </Typography>
+              )}
+            </TableCell>
+            <TableCell sx={{ whiteSpace: 'nowrap' }}>
+              {formatTime(patient.appointmentAt)}
+              {patient.practitionerName && (
+                <Typography variant="caption" display="block" color="text.secondary">
+                  {patient.practitionerName}
+                </Typography>
+              )}
+            </TableCell>
+            <TableCell>
+              {patient.payerName || '—'}
+              {patient.memberId && (
+                <Typography variant="caption" display="block" color="text.secondary">
+                  ID {patient.memberId}
+                </Typography>
+              )}
+            </TableCell>
+            <TableCell>{detail(patient)}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  </TableContainer>
+);
+
+const BatchReportView: React.FC<{ report: BatchReport }> = ({ report }) => {
+  const unverified = report.patients.filter((patient) => patient.status === 'unverified');
+  const notEligible = report.patients.filter(
+    (patient) => patient.status === 'not_eligible' && !patient.changes.some((change) => change.type === 'lapsed')
+  );
+
+  return (
+    <Box>
+      <Box display="flex" gap={1} flexWrap="wrap" mb={3}>
+        <Chip label={`${report.counts.patients} patients`} />
+        <Chip label={`${report.counts.eligible} eligible`} color="success" variant="outlined" />
+        <Chip label={`${report.counts.lapsed} lapsed`} color="error" variant="outlined" />
+        <Chip label={`${report.counts.planChanged} plan changes`} color="warning" variant="outlined" />
+        <Chip label={`${report.counts.addressChanged} address changes`} color="info" variant="outlined" />
+        <Chip label={`${report.counts.unverified} not verified`} variant="outlined" />
+      </Box>
+
+      {CHANGE_SECTIONS.map((section) => {
+        const patients = report.patients.filter((patient) => patient.changes.some((change) => change.type === section.type));
+        if (patients.length === 0) return null;
+
+        return (
+          <Box key={section.type} mb={3}>
+            <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+              <Chip label={patients.length} color={section.color} size="small" sx={{ mr: 1 }} />
+              {section.title}
+            </Typography>
+            <PatientTable
+              patients={patients}
+              detail={(patient) =>
+                patient.changes
+                  .filter((change) => change.type === section.type)
+                  .map((change, index) => (
+                    <Box key={index}>
+                      {change.detail}
+                      {change.from && change.to && section.type === 'address_changed' && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {change.from} → {change.to}
+                        </Typography>
+                      )}
+                    </Box>
+                  ))
+              }
+            />
+          </Box>
+        );
+      })}
+
+      {notEligible.length > 0 && (
+        <Box mb={3}>
+          <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+            No Active Coverage
+          </Typography>
+          <PatientTable patients={notEligible} detail={() => 'The payer reports no active coverage'} />
+        </Box>
+      )}
+
+      {unverified.length > 0 && (
+        <Box mb={3}>
+          <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+            Could Not Verify
+          </Typography>
+          <PatientTable patients={unverified} detail={(patient) => patient.reason} />
+        </Box>
+      )}
+
+      {report.counts.lapsed + report.counts.planChanged + report.counts.addressChanged === 0 && (
+        <Alert severity="success">No coverage, plan or address changes found.</Alert>
+      )}
+    </Box>
+  );
+};
+
+const Eligibility: React.FC = () => {
+  const socket = useSocket();
+  const [date, setDate] = useState(format(addDays(new Date(), 1), 'yyyy-MM-dd'));
+  const [jobs, setJobs] = useState<BatchJob[]>([]);
+  const [selected, setSelected] = useState<BatchJob | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const selectedId = useRef<string | null>(null);
+
+  useEffect(() => {
+    selectedId.current = selected?.id || null;
+  }, [selected]);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/eligibility/batch');
+      setJobs(response.data.jobs);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load batch jobs');
+    }
+  }, []);
+
+  const openJob = useCallback(async (jobId: string) => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/eligibility/batch/${jobId}`);
+      setSelected(response.data);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load the report');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  // Progress for running jobs; the report loads as soon as the selected job finishes
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleProgress = (progress: BatchProgress) => {
+      setJobs((current) =>
+        current.map((job) =>
+          job.id === progress.jobId
+            ? {
+                ...job,
+                status: progress.status,
+                completed: progress.completed,
+                total: progress.total || job.total,
+                error_message: progress.error,
+              }
+            : job
+        )
+      );
+
+      if (progress.status !== 'running' && selectedId.current === progress.jobId) {
+        openJob(progress.jobId);
+      }
+    };
+
+    socket.on('eligibility-batch-progress', handleProgress);
+    return () => {
+      socket.off('eligibility-batch-progress', handleProgress);
+    };
+  }, [socket, openJob]);
+
+  const startBatch = async () => {
+    try {
+      setStarting(true);
+      setError(null);
+      const response = await axios.post('/api/eligibility/batch', { date });
+      const job: BatchJob = { ...response.data.job, started_by_user: null };
+      setJobs((current) => [job, ...current]);
+      setSelected(job);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to start the batch');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const running = jobs.some((job) => job.status === 'running');
+  const selectedProgress = jobs.find((job) => job.id === selected?.id) || selected;
+
+  return (
+    <Box>
+      <Typography variant="h4" fontWeight={600} gutterBottom>
+        Eligibility Verification
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={4}>
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+                Verify Appointments
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Checks coverage for every IntakeQ appointment on the day - primary insurance on file, or Utah
+                Medicaid when the chart has none.
+              </Typography>
+              <TextField
+                type="date"
+                label="Appointment date"
+                value={date}
+                onChange={(e) => setDate(e.target.value)}
+                InputLabelProps={{ shrink: true }}
+                size="small"
+                fullWidth
+                sx={{ mb: 2 }}
+              />
+              <Button
+                variant="contained"
+                startIcon={<VerifyIcon />}
+                onClick={startBatch}
+                disabled={!date || starting || running}
+                fullWidth
+              >
+                {running ? 'Batch running...' : 'Verify Coverage'}
+              </Button>
+            </CardContent>
+          </Card>
+
+          <Paper>
+            <Typography variant="subtitle1" fontWeight={600} sx={{ p: 2, pb: 1 }}>
+              Recent Batches
+            </Typography>
+            <Table size="small">
+              <TableBody>
+                {jobs.map((job) => (
+                  <TableRow
+                    key={job.id}
+                    hover
+                    selected={selected?.id === job.id}
+                    onClick={() => openJob(job.id)}
+                    sx={{ cursor: 'pointer' }}
+                  >
+                    <TableCell>
+                      {formatDay(job.appointment_date)}
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        Run {format(new Date(job.created_at), 'MMM d, h:mm a')}
+                        {job.started_by_user && ` by ${job.started_by_user.name || job.started_by_user.email}`}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right">
+                      <Chip
+                        label={job.status === 'running' ? `${job.completed}/${job.total}` : job.status}
+                        color={statusColor(job.status)}
+                        size="small"
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {jobs.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={2}>
+                      <Typography color="text.secondary">No batches run yet</Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={8}>
+          {loading ? (
+            <Box display="flex" justifyContent="center" p={4}>
+              <CircularProgress />
+            </Box>
+          ) : !selectedProgress ? (
+            <Paper sx={{ p: 3 }}>
+              <Typography color="text.secondary">Run a batch or select one to see its report</Typography>
+            </Paper>
+          ) : (
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  Appointments on {formatDay(selectedProgress.appointment_date)}
+                </Typography>
+
+                {selectedProgress.status === 'running' && (
+                  <Box mb={2}>
+                    <LinearProgress
+                      variant={selectedProgress.total ? 'determinate' : 'indeterminate'}
+                      value={selectedProgress.total ? (selectedProgress.completed / selectedProgress.total) * 100 : 0}
+                    />
+                    <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                      {selectedProgress.total
+                        ? `Checked ${selectedProgress.completed} of ${selectedProgress.total} patients`
+                        : 'Loading appointments from IntakeQ...'}
+                    </Typography>
+                  </Box>
+                )}
+
+                {selectedProgress.status === 'failed' && (
+                  <Alert severity="error">{selectedProgress.error_message || 'The batch failed'}</Alert>
+                )}
+
+                {selectedProgress.status === 'completed' && selected?.report && <BatchReportView report={selected.report} />}
+              </CardContent>
+            </Card>
+          )}
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default Eligibility;
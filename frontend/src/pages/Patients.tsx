@@ -1,17 +1,308 @@
-import React from 'react';
-import { Box, Typography, Paper } from '@mui/material';
+// Patients Page - Patient list, with each patient's eligibility history so staff can
+// see when coverage started, changed or lapsed
+
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Grid,
+  List,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import axios from 'axios';
+import { format } from 'date-fns';
+
+interface Patient {
+  id: string;
+  first_name: string;
+  last_name: string;
+  date_of_birth: string | null;
+  medicaid_id: string | null;
+}
+
+interface EligibilityCheck {
+  id: string;
+  office_ally_payer_id: string;
+  payer_name: string | null;
+  member_id: string | null;
+  is_eligible: boolean;
+  rejected: boolean;
+  plan_type: string | null;
+  coverage_start: string | null;
+  coverage_end: string | null;
+  summary: {
+    managedCarePlan?: string | null;
+    behavioralHealthPlan?: string | null;
+    errors?: { reason: string }[];
+    searchOption?: { key: string; label: string };
+  };
+  source: string | null;
+  checked_at: string;
+  checked_by_user: { name: string | null; email: string } | null;
+}
+
+const SOURCE_LABELS: Record<string, string> = {
+  order_form: 'Order form',
+  payer_check: 'Insurance check',
+  labcorp_agent: 'Labcorp automation',
+  batch: 'Batch verification',
+};
+
+// Dates without a time (DOB, coverage) must not shift a day in local time
+const formatDay = (value: string | null) => (value ? format(new Date(`${value}T00:00:00`), 'MMM d, yyyy') : '—');
+
+const planLabel = (check: EligibilityCheck) =>
+  check.summary?.managedCarePlan || (check.plan_type && check.plan_type !== 'UNKNOWN' ? check.plan_type : null);
+
+/**
+ * What changed since the previous answer from the same payer
+ * (history is newest first, so the previous answer is further down the list)
+ */
+const describeChange = (check: EligibilityCheck, history: EligibilityCheck[], index: number) => {
+  if (check.rejected) return null;
+
+  const previous = history
+    .slice(index + 1)
+    .find((older) => older.office_ally_payer_id === check.office_ally_payer_id && !older.rejected);
+  if (!previous) return null;
+
+  if (previous.is_eligible && !check.is_eligible) return { label: 'Coverage lapsed', color: 'error' as const };
+  if (!previous.is_eligible && check.is_eligible) return { label: 'Coverage started', color: 'success' as const };
+  if (check.is_eligible && planLabel(previous) !== planLabel(check)) return { label: 'Plan changed', color: 'warning' as const };
+  return null;
+};
+
+const EligibilityHistory: React.FC<{ patient: Patient }> = ({ patient }) => {
+  const [checks, setChecks] = useState<EligibilityCheck[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    axios
+      .get(`/api/patients/${patient.id}/eligibility`)
+      .then((response) => !cancelled && setChecks(response.data.checks))
+      .catch((err) => !cancelled && setError(err.response?.data?.error || 'Failed to load eligibility history'))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [patient.id]);
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6">
+          {patient.first_name} {patient.last_name}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          DOB {formatDay(patient.date_of_birth)}
+          {patient.medicaid_id && ` · Medicaid ID ${patient.medicaid_id}`}
+        </Typography>
+
+        <Typography variant="subtitle1" fontWeight={600} sx={{ mt: 2, mb: 1 }}>
+          Eligibility History
+        </Typography>
+
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" p={3}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : checks.length === 0 && !error ? (
+          <Typography color="text.secondary">No eligibility checks recorded for this patient</Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Checked</TableCell>
+                  <TableCell>Payer</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Plan</TableCell>
+                  <TableCell>Coverage</TableCell>
+                  <TableCell>By</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {checks.map((check, index) => {
+                  const change = describeChange(check, checks, index);
+                  return (
+                    <TableRow key={check.id}>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                        {format(new Date(check.checked_at), 'MMM d, yyyy h:mm a')}
+                      </TableCell>
+                      <TableCell>
+                        {check.payer_name || check.office_ally_payer_id}
+                        {check.member_id && (
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            ID {check.member_id}
+                          </Typography>
+                        )}
+                        {check.summary?.searchOption && !check.rejected && (
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            Matched by {check.summary.searchOption.label}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Box display="flex" gap={0.5} flexWrap="wrap">
+                          {check.rejected ? (
+                            <Chip label="Rejected" size="small" variant="outlined" />
+                          ) : (
+                            <Chip
+                              label={check.is_eligible ? 'Eligible' : 'Not eligible'}
+                              color={check.is_eligible ? 'success' : 'default'}
+                              size="small"
+                            />
+                          )}
+                          {change && <Chip label={change.label} color={change.color} size="small" variant="outlined" />}
+                        </Box>
+                        {check.rejected && check.summary?.errors?.[0] && (
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            {check.summary.errors[0].reason}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {planLabel(check) || '—'}
+                        {check.summary?.behavioralHealthPlan && (
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            BH: {check.summary.behavioralHealthPlan}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                        {check.coverage_start || check.coverage_end
+                          ? `${formatDay(check.coverage_start)} – ${check.coverage_end ? formatDay(check.coverage_end) : 'ongoing'}`
+                          : '—'}
+                      </TableCell>
+                      <TableCell>
+                        {check.checked_by_user?.name || check.checked_by_user?.email || SOURCE_LABELS[check.source || ''] || check.source || '—'}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
 
 const Patients: React.FC = () => {
+  const [patients, setPatients] = useState<Patient[]>([]);
+  const [selected, setSelected] = useState<Patient | null>(null);
+  const [filter, setFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchPatients = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get('/api/patients');
+      setPatients(response.data.patients);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load patients');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPatients();
+  }, [fetchPatients]);
+
+  const visible = useMemo(() => {
+    const term = filter.trim().toLowerCase();
+    if (!term) return patients;
+    return patients.filter((patient) => `${patient.first_name} ${patient.last_name}`.toLowerCase().includes(term));
+  }, [patients, filter]);
+
   return (
     <Box>
       <Typography variant="h4" fontWeight={600} gutterBottom>
         Patients
       </Typography>
-      <Paper sx={{ p: 3 }}>
-        <Typography>Patient list will be displayed here</Typography>
-      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={4}>
+          <Paper sx={{ p: 2 }}>
+            <TextField
+              label="Filter by name"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              size="small"
+              fullWidth
+              sx={{ mb: 1 }}
+            />
+            {loading ? (
+              <Box display="flex" justifyContent="center" p={3}>
+                <CircularProgress size={28} />
+              </Box>
+            ) : (
+              <List dense sx={{ maxHeight: 600, overflow: 'auto' }}>
+                {visible.map((patient) => (
+                  <ListItemButton
+                    key={patient.id}
+                    selected={selected?.id === patient.id}
+                    onClick={() => setSelected(patient)}
+                  >
+                    <ListItemText
+                      primary={`${patient.last_name}, ${patient.first_name}`}
+                      secondary={`DOB ${formatDay(patient.date_of_birth)}`}
+                    />
+                  </ListItemButton>
+                ))}
+                {visible.length === 0 && (
+                  <Typography color="text.secondary" sx={{ p: 2 }}>
+                    No patients found
+                  </Typography>
+                )}
+              </List>
+            )}
+          </Paper>
+        </Grid>
+        <Grid item xs={12} md={8}>
+          {selected ? (
+            <EligibilityHistory patient={selected} />
+          ) : (
+            <Paper sx={{ p: 3 }}>
+              <Typography color="text.secondary">Select a patient to see their eligibility history</Typography>
+            </Paper>
+          )}
+        </Grid>
+      </Grid>
     </Box>
   );
 };
 
-export default Patients;
\ No newline at end of file
+export default Patients;
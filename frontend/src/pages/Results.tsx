@@ -1,17 +1,602 @@
-import React from 'react';
-import { Box, Typography, Paper } from '@mui/material';
+// Results Page - Recent lab results, critical values waiting for acknowledgment,
+// and the manual matching queue for results the matcher could not confidently attach to a patient
+
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Autocomplete,
+  Badge,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Grid,
+  MenuItem,
+  Paper,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tabs,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import { useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { format, formatDistanceToNow } from 'date-fns';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+
+interface PortalResult {
+  id: string;
+  portal: string;
+  test_name: string;
+  result_value: string | null;
+  result_unit: string | null;
+  reference_range: string | null;
+  result_status: 'normal' | 'abnormal' | 'critical' | null;
+  result_date: string | null;
+  match_method: 'auto' | 'manual' | null;
+  match_score: number | null;
+  version: number | null;
+  report_status: string | null;
+  patient: { first_name: string; last_name: string } | null;
+}
+
+interface MatchCandidate {
+  patientId: string;
+  name: string;
+  dateOfBirth: string | null;
+  portalOrderId: string | null;
+  score: number;
+  evidence: string[];
+}
+
+interface QueuedReport {
+  reportKey: string;
+  portal: string;
+  patientName: string | null;
+  patientDob: string | null;
+  accessionNumber: string | null;
+  reason: 'no_candidates' | 'low_confidence' | 'ambiguous';
+  candidates: MatchCandidate[];
+  createdAt: string;
+  results: Array<{
+    id: string;
+    testName: string;
+    resultValue: string | null;
+    resultUnit: string | null;
+    resultStatus: string | null;
+    resultDate: string | null;
+  }>;
+}
+
+interface PatientOption {
+  id: string;
+  first_name: string;
+  last_name: string;
+  date_of_birth: string | null;
+}
+
+interface PatientOrder {
+  id: string;
+  portal: string;
+  status: string;
+  created_at: string;
+}
+
+interface CriticalAlert {
+  id: string;
+  status: 'open' | 'escalated' | 'acknowledged';
+  escalation_due_at: string;
+  escalated_at: string | null;
+  acknowledged_at: string | null;
+  acknowledgment_note: string | null;
+  created_at: string;
+  result: {
+    test_name: string;
+    result_value: string | null;
+    result_unit: string | null;
+    reference_range: string | null;
+    result_date: string | null;
+    version: number | null;
+  } | null;
+  patient: { first_name: string; last_name: string; date_of_birth: string | null; phone: string | null } | null;
+  provider: { name: string } | null;
+  events: Array<{ event: string; channel: string | null; recipient: string | null; created_at: string }>;
+}
+
+const EVENT_LABELS: Record<string, string> = {
+  created: 'Alert opened',
+  provider_notified: 'Provider notified',
+  notification_failed: 'Notification failed',
+  escalated: 'Escalated to CMO',
+  escalation_failed: 'Escalation email failed',
+  acknowledged: 'Acknowledged',
+};
+
+const TABS = ['recent', 'critical', 'matching'];
+
+const REASON_LABELS: Record<QueuedReport['reason'], string> = {
+  no_candidates: 'No matching patient',
+  low_confidence: 'Low confidence',
+  ambiguous: 'Multiple possible patients',
+};
+
+const statusColor = (status: string | null) =>
+  status === 'critical' ? 'error' : status === 'abnormal' ? 'warning' : 'success';
+
+const formatDate = (value: string | null) => (value ? format(new Date(value), 'MMM d, yyyy') : '—');
+
+const reportPath = (report: QueuedReport) =>
+  `/api/results/match-queue/${encodeURIComponent(report.portal)}/${encodeURIComponent(report.reportKey)}`;
+
+/**
+ * One critical value: the result, who has been told so far, and the acknowledgment
+ */
+const CriticalAlertCard: React.FC<{ alert: CriticalAlert; onDone: () => void }> = ({ alert, onDone }) => {
+  const { hasRole } = useAuth();
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const acknowledge = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await axios.post(`/api/results/critical-alerts/${alert.id}/acknowledge`, { note: note || undefined });
+      onDone();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to acknowledge alert');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const events = [...(alert.events || [])].sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+  return (
+    <Card sx={{ mb: 2, borderLeft: 4, borderColor: 'error.main' }}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="flex-start" mb={1}>
+          <Box>
+            <Typography variant="h6">
+              {alert.result?.test_name}:{' '}
+              <Box component="span" color="error.main">
+                {alert.result?.result_value} {alert.result?.result_unit}
+              </Box>
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {alert.patient ? `${alert.patient.first_name} ${alert.patient.last_name}` : 'Unknown patient'}
+              {alert.patient?.date_of_birth && ` · DOB ${formatDate(alert.patient.date_of_birth)}`}
+              {alert.patient?.phone && ` · ${alert.patient.phone}`}
+              {' · '}Reference {alert.result?.reference_range || '—'}
+              {' · '}Ordered by {alert.provider?.name || 'unknown provider'}
+            </Typography>
+          </Box>
+          <Chip
+            label={
+              alert.status === 'acknowledged'
+                ? 'Acknowledged'
+                : alert.status === 'escalated'
+                  ? 'Escalated to CMO'
+                  : `Escalates ${formatDistanceToNow(new Date(alert.escalation_due_at), { addSuffix: true })}`
+            }
+            color={alert.status === 'acknowledged' ? 'success' : 'error'}
+            size="small"
+          />
+        </Box>
+
+        <Table size="small" sx={{ mb: 2 }}>
+          <TableBody>
+            {events.map((event, index) => (
+              <TableRow key={index}>
+                <TableCell sx={{ whiteSpace: 'nowrap', width: 180 }}>
+                  {format(new Date(event.created_at), 'MMM d, h:mm a')}
+                </TableCell>
+                <TableCell>
+                  {EVENT_LABELS[event.event] || event.event}
+                  {event.channel && ` (${event.channel})`}
+                </TableCell>
+                <TableCell>{event.recipient || ''}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {alert.status !== 'acknowledged' && hasRole('provider', 'admin') && (
+          <Box display="flex" gap={1}>
+            <TextField
+              label="Note (e.g. patient contacted, sent to ED)"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              size="small"
+              fullWidth
+            />
+            <Button variant="contained" color="error" disabled={saving} onClick={acknowledge}>
+              Acknowledge
+            </Button>
+          </Box>
+        )}
+        {alert.status === 'acknowledged' && alert.acknowledgment_note && (
+          <Typography variant="body2">Note: {alert.acknowledgment_note}</Typography>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+/**
+ * One queued report: what the portal said, the scored candidates, and a patient search
+ * for when none of the candidates is right
+ */
+const MatchCard: React.FC<{ report: QueuedReport; onDone: () => void }> = ({ report, onDone }) => {
+  const [searchText, setSearchText] = useState('');
+  const [options, setOptions] = useState<PatientOption[]>([]);
+  const [selectedPatient, setSelectedPatient] = useState<PatientOption | null>(null);
+  const [orders, setOrders] = useState<PatientOrder[]>([]);
+  const [orderId, setOrderId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (searchText.length < 2) {
+      setOptions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get('/api/patients/search', { params: { q: searchText } });
+        setOptions(response.data.patients);
+      } catch (err) {
+        setOptions([]);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [searchText]);
+
+  useEffect(() => {
+    setOrderId('');
+    if (!selectedPatient) {
+      setOrders([]);
+      return;
+    }
+
+    axios
+      .get(`/api/patients/${selectedPatient.id}`)
+      .then((response) =>
+        setOrders((response.data.portal_orders || []).filter((order: PatientOrder) => order.portal === report.portal))
+      )
+      .catch(() => setOrders([]));
+  }, [selectedPatient, report.portal]);
+
+  const assign = async (patientId: string, portalOrderId: string | null) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await axios.post(`${reportPath(report)}/resolve`, { patientId, portalOrderId });
+      onDone();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to assign results');
+      setSaving(false);
+    }
+  };
+
+  const dismiss = async () => {
+    if (!window.confirm('Dismiss these results? They will not be attached to any patient.')) return;
+
+    try {
+      setSaving(true);
+      await axios.post(`${reportPath(report)}/dismiss`);
+      onDone();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to dismiss results');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 2 }}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="flex-start" mb={2}>
+          <Box>
+            <Typography variant="h6">{report.patientName || 'Unknown patient'}</Typography>
+            <Typography variant="body2" color="text.secondary">
+              DOB {report.patientDob ? formatDate(report.patientDob) : 'not listed'} · {report.portal}
+              {report.accessionNumber && ` · Accession ${report.accessionNumber}`} · received {formatDate(report.createdAt)}
+            </Typography>
+          </Box>
+          <Chip label={REASON_LABELS[report.reason]} color={report.reason === 'ambiguous' ? 'warning' : 'default'} size="small" />
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <Box mb={2}>
+          {report.results.map((result) => (
+            <Chip
+              key={result.id}
+              label={`${result.testName}: ${result.resultValue ?? ''} ${result.resultUnit ?? ''}`.trim()}
+              color={statusColor(result.resultStatus)}
+              variant="outlined"
+              size="small"
+              sx={{ mr: 1, mb: 1 }}
+            />
+          ))}
+        </Box>
+
+        {report.candidates.length > 0 && (
+          <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Candidate</TableCell>
+                  <TableCell>DOB</TableCell>
+                  <TableCell>Score</TableCell>
+                  <TableCell>Evidence</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {report.candidates.map((candidate) => (
+                  <TableRow key={candidate.patientId}>
+                    <TableCell>{candidate.name}</TableCell>
+                    <TableCell>{formatDate(candidate.dateOfBirth)}</TableCell>
+                    <TableCell>{candidate.score}</TableCell>
+                    <TableCell>
+                      <Typography variant="caption">{candidate.evidence.join(', ')}</Typography>
+                    </TableCell>
+                    <TableCell align="right">
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        disabled={saving}
+                        onClick={() => assign(candidate.patientId, candidate.portalOrderId)}
+                      >
+                        Assign
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={5}>
+            <Autocomplete
+              options={options}
+              value={selectedPatient}
+              onChange={(_, value) => setSelectedPatient(value)}
+              onInputChange={(_, value) => setSearchText(value)}
+              getOptionLabel={(option) =>
+                `${option.first_name} ${option.last_name}${option.date_of_birth ? ` (${formatDate(option.date_of_birth)})` : ''}`
+              }
+              isOptionEqualToValue={(option, value) => option.id === value.id}
+              filterOptions={(x) => x}
+              renderInput={(params) => <TextField {...params} label="Search for another patient" size="small" />}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              select
+              label="Originating order (optional)"
+              value={orderId}
+              onChange={(e) => setOrderId(e.target.value)}
+              disabled={!selectedPatient || orders.length === 0}
+              fullWidth
+              size="small"
+            >
+              <MenuItem value="">None</MenuItem>
+              {orders.map((order) => (
+                <MenuItem key={order.id} value={order.id}>
+                  {formatDate(order.created_at)} · {order.status}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} md={3} display="flex" gap={1}>
+            <Button
+              variant="contained"
+              disabled={!selectedPatient || saving}
+              onClick={() => selectedPatient && assign(selectedPatient.id, orderId || null)}
+            >
+              Assign
+            </Button>
+            <Button color="error" disabled={saving} onClick={dismiss}>
+              Dismiss
+            </Button>
+          </Grid>
+        </Grid>
+      </CardContent>
+    </Card>
+  );
+};
 
 const Results: React.FC = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const socket = useSocket();
+  const tab = Math.max(TABS.indexOf(searchParams.get('tab') || ''), 0);
+  const [results, setResults] = useState<PortalResult[]>([]);
+  const [alerts, setAlerts] = useState<CriticalAlert[]>([]);
+  const [reports, setReports] = useState<QueuedReport[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [resultsResponse, alertsResponse, queueResponse] = await Promise.all([
+        axios.get('/api/results'),
+        axios.get('/api/results/critical-alerts'),
+        axios.get('/api/results/match-queue'),
+      ]);
+
+      setResults(resultsResponse.data.results);
+      setAlerts(alertsResponse.data.alerts);
+      setReports(queueResponse.data.reports);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load results');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  // New or escalated critical values appear without a manual refresh
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.on('critical-result', fetchData);
+    return () => {
+      socket.off('critical-result', fetchData);
+    };
+  }, [socket, fetchData]);
+
   return (
     <Box>
-      <Typography variant="h4" fontWeight={600} gutterBottom>
-        Results
-      </Typography>
-      <Paper sx={{ p: 3 }}>
-        <Typography>Lab results will be displayed here</Typography>
-      </Paper>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4" fontWeight={600}>
+          Results
+        </Typography>
+        <Button variant="outlined" startIcon={<RefreshIcon />} onClick={fetchData} disabled={loading}>
+          Refresh
+        </Button>
+      </Box>
+
+      <Tabs value={tab} onChange={(_, value) => setSearchParams({ tab: TABS[value] })} sx={{ mb: 2 }}>
+        <Tab label="Recent Results" />
+        <Tab
+          label={
+            <Badge badgeContent={alerts.length} color="error" sx={{ pr: 1.5 }}>
+              Critical Alerts
+            </Badge>
+          }
+        />
+        <Tab
+          label={
+            <Badge badgeContent={reports.length} color="warning" sx={{ pr: 1.5 }}>
+              Needs Matching
+            </Badge>
+          }
+        />
+      </Tabs>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" p={4}>
+          <CircularProgress />
+        </Box>
+      ) : tab === 0 ? (
+        <Paper>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Patient</TableCell>
+                  <TableCell>Test</TableCell>
+                  <TableCell>Result</TableCell>
+                  <TableCell>Reference</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Portal</TableCell>
+                  <TableCell>Matched</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {results.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={8} align="center">
+                      <Typography color="text.secondary">No results yet</Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  results.map((result) => (
+                    <TableRow key={result.id} hover>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(result.result_date)}</TableCell>
+                      <TableCell>
+                        {result.patient ? `${result.patient.first_name} ${result.patient.last_name}` : '—'}
+                      </TableCell>
+                      <TableCell>{result.test_name}</TableCell>
+                      <TableCell>
+                        {result.result_value} {result.result_unit}
+                        {(result.version || 1) > 1 && (
+                          <Chip
+                            label={`${result.report_status || 'Amended'} · v${result.version}`}
+                            color="info"
+                            size="small"
+                            sx={{ ml: 1 }}
+                          />
+                        )}
+                      </TableCell>
+                      <TableCell>{result.reference_range || '—'}</TableCell>
+                      <TableCell>
+                        <Chip label={result.result_status || 'normal'} color={statusColor(result.result_status)} size="small" />
+                      </TableCell>
+                      <TableCell>{result.portal}</TableCell>
+                      <TableCell>
+                        <Typography variant="caption">
+                          {result.match_method === 'manual'
+                            ? 'Manual'
+                            : result.match_score !== null
+                              ? `Auto (${result.match_score})`
+                              : '—'}
+                        </Typography>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      ) : tab === 1 ? (
+        alerts.length === 0 ? (
+          <Paper sx={{ p: 3 }}>
+            <Typography color="text.secondary">No critical results waiting for acknowledgment</Typography>
+          </Paper>
+        ) : (
+          alerts.map((alert) => <CriticalAlertCard key={alert.id} alert={alert} onDone={fetchData} />)
+        )
+      ) : reports.length === 0 ? (
+        <Paper sx={{ p: 3 }}>
+          <Typography color="text.secondary">All results are matched to patients</Typography>
+        </Paper>
+      ) : (
+        reports.map((report) => (
+          <MatchCard key={`${report.portal}:${report.reportKey}`} report={report} onDone={fetchData} />
+        ))
+      )}
     </Box>
   );
 };
 
-export default Results;
\ No newline at end of file
+export default Results;
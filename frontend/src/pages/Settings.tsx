@@ -1,5 +1,6 @@
 import React from 'react';
 import { Box, Typography, Paper } from '@mui/material';
+import LabTestCatalog from '../components/LabTestCatalog';
 
 const Settings: React.FC = () => {
   return (
@@ -7,6 +8,7 @@ const Settings: React.FC = () => {
       <Typography variant="h4" fontWeight={600} gutterBottom>
         Settings
       </Typography>
+      <LabTestCatalog />
       <Paper sx={{ p: 3 }}>
         <Typography>Portal credentials and settings will be configured here</Typography>
       </Paper>
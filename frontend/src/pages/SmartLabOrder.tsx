@@ -2,9 +2,12 @@
 // Provider interface with IntakeQ patient search, Medicaid auto-population, and automated submission
 
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import { io, Socket } from 'socket.io-client';
+import { useAuth } from '../contexts/AuthContext';
+import { combinePrepInstructions, describeSpecimen } from '../services/testPrep';
+import { downloadPDF } from '../services/pdfGenerator';
 import './SmartLabOrder.css';
 
 // In production, use relative URLs (same domain). In development, use localhost:3001
@@ -24,6 +27,32 @@ interface Patient {
         state: string;
         zip: string;
     };
+    insurances?: Insurance[];
+    syncedAt?: string;
+}
+
+const formatSyncedAt = (value: string) =>
+    new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+interface Insurance {
+    priority: string;
+    payerName: string;
+    memberId: string;
+    groupNumber?: string;
+}
+
+// Result of a payer eligibility check for one insurance on file
+interface PayerEligibility {
+    loading: boolean;
+    isEligible?: boolean;
+    payerName?: string;
+    planType?: string;
+    memberId?: string;
+    rejection?: string;
+    checkedAt?: string;
+    cached?: boolean;
+    searchOption?: string;
+    error?: string;
 }
 
 interface LabTest {
@@ -31,6 +60,48 @@ interface LabTest {
     name: string;
     category: string;
     description?: string;
+    specimenType?: string | null;
+    container?: string | null;
+    volume?: string | null;
+    fasting?: 'none' | 'preferred' | 'required';
+    fastingHours?: number | null;
+    timing?: string | null;
+    stability?: string | null;
+    aoeQuestions?: AoeQuestion[];
+}
+
+// Ask-at-order-entry question a test needs answered (from the lab test catalog)
+interface AoeQuestion {
+    id: string;
+    prompt: string;
+    type: 'text' | 'number' | 'date' | 'datetime' | 'yesno' | 'select';
+    required: boolean;
+    options?: string[];
+    placeholder?: string;
+    past?: boolean;
+}
+
+// AOE answers keyed by test code, then question ID
+type AoeAnswers = { [testCode: string]: { [questionId: string]: string } };
+
+// Monitoring lab recommended for one of the patient's medications
+interface MedicationSuggestion {
+    code: string;
+    name: string;
+    category: string;
+    due: boolean;
+    lastDrawnAt?: string | null;
+    dueAt?: string | null;
+    medications: string[];
+    reasons: string[];
+}
+
+interface MedicationSuggestions {
+    loading: boolean;
+    medications?: string[];
+    matchedMedications?: { medication: string; matchedText: string }[];
+    suggestions?: MedicationSuggestion[];
+    error?: string;
 }
 
 interface Diagnosis {
@@ -38,14 +109,97 @@ interface Diagnosis {
     description: string;
 }
 
+// Whether each test on the order is supported by one of its diagnoses (medical necessity)
+interface NecessityTest {
+    code: string;
+    name: string;
+    status: 'supported' | 'unsupported' | 'not_checked';
+    supportedBy: string[];
+    coveredRanges: { from: string; to: string; description: string }[];
+    suggestions: { code: string; description: string; source: 'chart' | 'common' | 'rule' }[];
+    abnRequired: boolean;
+}
+
+interface NecessityCheck {
+    medicare: boolean;
+    abnRequired: boolean;
+    tests: NecessityTest[];
+}
+
+// Draft order created from an IntakeQ note that documents labs
+interface LabOrderDraft {
+    id: string;
+    patient_snapshot: Patient;
+    diagnosis_codes: string[];
+    detected_tests: { code: string; name: string; matchedText: string }[];
+    note_excerpt?: string;
+    note_date?: string;
+    practitioner_name?: string;
+    created_at: string;
+}
+
 interface OrderStatus {
     orderId: string;
     status: string;
     message?: string;
+    currentStep?: string;
+    confirmationNumber?: string;
+    errorMessage?: string;
+    createdAt?: string;
+    processingStartedAt?: string;
+    submittedAt?: string;
+    completedAt?: string;
+    failedAt?: string;
+    updatedAt?: string;
 }
 
+// Human-readable labels for the automation steps recorded by LabcorpAgent
+const ORDER_STEP_LABELS: { [step: string]: string } = {
+    initializing: 'Starting browser',
+    logging_in: 'Logging into Labcorp Link',
+    opening_order_form: 'Opening new order form',
+    entering_patient_info: 'Entering patient details',
+    selecting_tests: 'Adding lab tests',
+    answering_aoe: 'Answering order questions',
+    adding_diagnoses: 'Adding diagnosis codes',
+    linking_diagnoses: 'Linking diagnoses to tests',
+    generating_preview: 'Generating preview',
+    submitting: 'Submitting order'
+};
+
+const formatTimestamp = (value?: string) => (value ? new Date(value).toLocaleString() : null);
+
+// Problems with the AOE answers for the selected tests, keyed by "testCode.questionId"
+const validateAoeAnswers = (tests: LabTest[], answers: AoeAnswers) => {
+    const errors: { [field: string]: string } = {};
+    for (const test of tests) {
+        for (const question of test.aoeQuestions || []) {
+            const value = (answers[test.code]?.[question.id] || '').trim();
+            const field = `${test.code}.${question.id}`;
+            if (!value) {
+                if (question.required) errors[field] = 'Required';
+            } else if (question.type === 'number' && !Number.isFinite(Number(value))) {
+                errors[field] = 'Enter a number';
+            } else if (question.past && new Date(question.type === 'date' ? `${value}T00:00:00` : value) > new Date()) {
+                errors[field] = "Can't be in the future";
+            }
+        }
+    }
+    return errors;
+};
+
+const formatAoeAnswer = (question: AoeQuestion, value: string) => {
+    if (question.type === 'yesno') return value === 'yes' ? 'Yes' : 'No';
+    if (question.type === 'datetime') return new Date(value).toLocaleString();
+    return value;
+};
+
 const SmartLabOrder: React.FC = () => {
     const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
+    // Order in the URL when the page was opened; later URL updates come from this page itself
+    const [initialOrderId] = useState<string | null>(() => searchParams.get('orderId'));
+    const { user, token, logout } = useAuth();
 
     // State management
     const [step, setStep] = useState<number>(1);
@@ -57,10 +211,24 @@ const SmartLabOrder: React.FC = () => {
     const [selectedPatient, setSelectedPatient] = useState<Patient | null>(null);
     const [isSearching, setIsSearching] = useState<boolean>(false);
 
+    // Local IntakeQ client index the search runs against
+    const [patientIndexSyncedAt, setPatientIndexSyncedAt] = useState<string | null>(null);
+    const [isSyncingPatients, setIsSyncingPatients] = useState<boolean>(false);
+
+    // Draft orders from IntakeQ notes waiting for review, and the one being worked on
+    const [drafts, setDrafts] = useState<LabOrderDraft[]>([]);
+    const [draftId, setDraftId] = useState<string | null>(null);
+
     // Medicaid eligibility
     const [medicaidEligibility, setMedicaidEligibility] = useState<any>(null);
     const [isCheckingEligibility, setIsCheckingEligibility] = useState<boolean>(false);
 
+    // Eligibility for the other insurances on file (commercial, Medicare), keyed by priority
+    const [payerEligibility, setPayerEligibility] = useState<{ [priority: string]: PayerEligibility }>({});
+
+    // Monitoring labs for the patient's medications (from IntakeQ)
+    const [medicationSuggestions, setMedicationSuggestions] = useState<MedicationSuggestions | null>(null);
+
     // Available options
     const [availableTests, setAvailableTests] = useState<LabTest[]>([]);
     const [groupedTests, setGroupedTests] = useState<{ [category: string]: LabTest[] }>({});
@@ -69,6 +237,12 @@ const SmartLabOrder: React.FC = () => {
     // Selected items
     const [selectedTests, setSelectedTests] = useState<LabTest[]>([]);
     const [selectedDiagnoses, setSelectedDiagnoses] = useState<string[]>([]);
+    const [aoeAnswers, setAoeAnswers] = useState<AoeAnswers>({});
+    const [aoeErrors, setAoeErrors] = useState<{ [field: string]: string }>({});
+    // Diagnoses each test points at, by test code; a test without an entry points at all of them
+    const [diagnosisPointers, setDiagnosisPointers] = useState<{ [testCode: string]: string[] }>({});
+    const [necessity, setNecessity] = useState<NecessityCheck | null>(null);
+    const [isCheckingNecessity, setIsCheckingNecessity] = useState<boolean>(false);
 
     // Search for tests and diagnoses (fuzzy search)
     const [testSearch, setTestSearch] = useState<string>('');
@@ -85,8 +259,18 @@ const SmartLabOrder: React.FC = () => {
     useEffect(() => {
         loadAvailableTests();
         loadAvailableDiagnoses();
+        loadPatientIndexStatus();
+        loadDrafts();
     }, []);
 
+    // Restore a submitted order from the URL (survives page reloads)
+    useEffect(() => {
+        if (initialOrderId) {
+            loadOrderStatus(initialOrderId);
+            setStep(4);
+        }
+    }, [initialOrderId]);
+
     // Debug: Log when selectedPatient changes
     useEffect(() => {
         console.log('selectedPatient state changed:', selectedPatient);
@@ -94,18 +278,116 @@ const SmartLabOrder: React.FC = () => {
 
     // Setup Socket.io for real-time updates
     useEffect(() => {
-        const newSocket = io(API_URL);
+        const newSocket = io(API_URL, { auth: { token } });
         setSocket(newSocket);
 
         newSocket.on('order-status', (status: OrderStatus) => {
             console.log('Order status update:', status);
-            setOrderStatus(status);
+            // Socket events carry a progress message; the persisted order holds the real status
+            loadOrderStatus(status.orderId, status.status);
         });
 
+        // New drafts from IntakeQ, or drafts someone else ordered or dismissed
+        newSocket.on('lab-order-draft', () => loadDrafts());
+
         return () => {
             newSocket.close();
         };
-    }, []);
+    }, [token]);
+
+    // Re-join the order room whenever we reconnect with an order in progress
+    useEffect(() => {
+        const orderId = orderStatus?.orderId;
+        if (!socket || !orderId) return;
+
+        const joinRoom = () => socket.emit('join-order-room', orderId);
+        joinRoom();
+        socket.on('connect', joinRoom);
+
+        return () => {
+            socket.off('connect', joinRoom);
+        };
+    }, [socket, orderStatus?.orderId]);
+
+    const loadOrderStatus = async (orderId: string, message?: string) => {
+        try {
+            const response = await axios.get(`${API_URL}/api/lab-orders/status/${orderId}`);
+            setOrderStatus(prev => ({
+                ...response.data,
+                message: message || prev?.message
+            }));
+        } catch (error) {
+            console.error('Failed to load order status:', error);
+            setOrderStatus(prev => prev || { orderId, status: 'unknown', message: 'Could not load order status' });
+        }
+    };
+
+    const loadPatientIndexStatus = async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/lab-orders/intakeq-sync`);
+            setPatientIndexSyncedAt(response.data.lastSyncedAt);
+        } catch (error) {
+            console.error('Failed to load IntakeQ sync status:', error);
+        }
+    };
+
+    // Pull patients added or changed in IntakeQ since the last sync, then repeat the search
+    const handleSyncPatients = async () => {
+        setIsSyncingPatients(true);
+        try {
+            const response = await axios.post(`${API_URL}/api/lab-orders/intakeq-sync`);
+            setPatientIndexSyncedAt(response.data.run.completed_at);
+            if (searchName.trim()) {
+                await handleSearchPatients();
+            }
+        } catch (error: any) {
+            console.error('IntakeQ sync failed:', error);
+            alert(error.response?.data?.error || 'Failed to sync patients from IntakeQ');
+        } finally {
+            setIsSyncingPatients(false);
+        }
+    };
+
+    const loadDrafts = async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/lab-orders/drafts`);
+            setDrafts(response.data.drafts || []);
+        } catch (error) {
+            console.error('Failed to load draft orders:', error);
+        }
+    };
+
+    // Start an order from a draft: the note's tests and diagnoses are preselected for review
+    const handleStartDraft = async (draft: LabOrderDraft) => {
+        const draftTests = draft.detected_tests
+            .map(detected => availableTests.find(test => test.code === detected.code))
+            .filter((test): test is LabTest => !!test);
+
+        setDraftId(draft.id);
+        setSelectedTests(draftTests);
+        setSelectedDiagnoses(draft.diagnosis_codes || []);
+        setDiagnosisPointers({});
+        setAoeAnswers({});
+        setAoeErrors({});
+        setSearchResults([]);
+        setPayerEligibility({});
+        await handleSelectPatient(draft.patient_snapshot);
+    };
+
+    const handleDismissDraft = async (draft: LabOrderDraft) => {
+        if (!window.confirm(`Dismiss the draft order for ${draft.patient_snapshot.firstName} ${draft.patient_snapshot.lastName}?`)) {
+            return;
+        }
+
+        try {
+            await axios.post(`${API_URL}/api/lab-orders/drafts/${draft.id}/dismiss`);
+            setDrafts(prev => prev.filter(d => d.id !== draft.id));
+        } catch (error: any) {
+            console.error('Failed to dismiss draft:', error);
+            alert(error.response?.data?.error || 'Failed to dismiss draft order');
+            loadDrafts();
+        }
+    };
 
     const loadAvailableTests = async () => {
         try {
@@ -136,7 +418,9 @@ const SmartLabOrder: React.FC = () => {
 
         // Clear previous selection and eligibility data
         setSelectedPatient(null);
+        setDraftId(null);
         setMedicaidEligibility(null);
+        setPayerEligibility({});
         setIsSearching(true);
 
         try {
@@ -147,6 +431,9 @@ const SmartLabOrder: React.FC = () => {
             });
             const patients = response.data.patients || [];
             setSearchResults(patients);
+            if (response.data.lastSyncedAt) {
+                setPatientIndexSyncedAt(response.data.lastSyncedAt);
+            }
 
             if (patients.length === 0) {
                 alert('No patients found matching your search');
@@ -168,12 +455,17 @@ const SmartLabOrder: React.FC = () => {
 
         setSelectedPatient(patient);
         setIsCheckingEligibility(true);
+        loadMedicationSuggestions(patient.intakeqId);
+
+        // A Medicaid ID on the chart lets Medicaid find the patient even when the name doesn't match
+        const medicaidInsurance = patient.insurances?.find(insurance => /medicaid/i.test(insurance.payerName));
 
         try {
             const response = await axios.post(`${API_URL}/api/lab-orders/check-eligibility`, {
                 firstName: patient.firstName,
                 lastName: patient.lastName,
                 dateOfBirth: patient.dateOfBirth,
+                medicaidId: medicaidInsurance?.memberId,
                 intakeqPhone: patient.phone
             });
             setMedicaidEligibility(response.data);
@@ -190,6 +482,69 @@ const SmartLabOrder: React.FC = () => {
         }
     };
 
+    const loadMedicationSuggestions = async (intakeqId: string) => {
+        setMedicationSuggestions({ loading: true });
+        try {
+            const response = await axios.get(`${API_URL}/api/lab-orders/medication-suggestions/${intakeqId}`);
+            setMedicationSuggestions({ loading: false, ...response.data });
+        } catch (error: any) {
+            console.error('Failed to load medication suggestions:', error);
+            setMedicationSuggestions({
+                loading: false,
+                error: error.response?.data?.error || 'Could not read medications from IntakeQ'
+            });
+        }
+    };
+
+    // Add suggested tests that aren't selected yet
+    const handleAddSuggestedTests = (suggestions: MedicationSuggestion[]) => {
+        const additions = suggestions
+            .filter(suggestion => !selectedTests.some(test => test.code === suggestion.code))
+            .map(suggestion => availableTests.find(test => test.code === suggestion.code)
+                || { code: suggestion.code, name: suggestion.name, category: suggestion.category });
+        setSelectedTests([...selectedTests, ...additions]);
+    };
+
+    // refresh skips the server's same-day cache ("Check Again")
+    const handleCheckPayerEligibility = async (insurance: Insurance, refresh = false) => {
+        if (!selectedPatient) return;
+
+        setPayerEligibility(prev => ({ ...prev, [insurance.priority]: { loading: true } }));
+
+        try {
+            const response = await axios.post(`${API_URL}/api/lab-orders/check-payer-eligibility`, {
+                firstName: selectedPatient.firstName,
+                lastName: selectedPatient.lastName,
+                dateOfBirth: selectedPatient.dateOfBirth,
+                memberId: insurance.memberId,
+                payerName: insurance.payerName,
+                refresh
+            });
+            setPayerEligibility(prev => ({
+                ...prev,
+                [insurance.priority]: {
+                    loading: false,
+                    isEligible: response.data.isEligible,
+                    payerName: response.data.payer?.name,
+                    planType: response.data.planType,
+                    memberId: response.data.memberId,
+                    rejection: response.data.errors?.[0]?.reason,
+                    checkedAt: response.data.checkedAt,
+                    cached: response.data.cached,
+                    searchOption: response.data.searchOption?.label
+                }
+            }));
+        } catch (error: any) {
+            setPayerEligibility(prev => ({
+                ...prev,
+                [insurance.priority]: {
+                    loading: false,
+                    error: error.response?.data?.error || 'Failed to check eligibility'
+                }
+            }));
+        }
+    };
+
     // Fuzzy search filter for tests with acronym support
     const filterTests = (searchTerm: string) => {
         if (!searchTerm.trim()) {
@@ -271,6 +626,21 @@ const SmartLabOrder: React.FC = () => {
 
     const handleRemoveTest = (testCode: string) => {
         setSelectedTests(selectedTests.filter(t => t.code !== testCode));
+        const { [testCode]: removed, ...remaining } = aoeAnswers;
+        setAoeAnswers(remaining);
+        const { [testCode]: removedPointers, ...remainingPointers } = diagnosisPointers;
+        setDiagnosisPointers(remainingPointers);
+    };
+
+    const handleAoeAnswerChange = (testCode: string, questionId: string, value: string) => {
+        setAoeAnswers({
+            ...aoeAnswers,
+            [testCode]: { ...aoeAnswers[testCode], [questionId]: value }
+        });
+        if (aoeErrors[`${testCode}.${questionId}`]) {
+            const { [`${testCode}.${questionId}`]: cleared, ...remaining } = aoeErrors;
+            setAoeErrors(remaining);
+        }
     };
 
     const handleAddDiagnosis = (diagnosis: Diagnosis) => {
@@ -283,6 +653,30 @@ const SmartLabOrder: React.FC = () => {
 
     const handleRemoveDiagnosis = (diagnosisCode: string) => {
         setSelectedDiagnoses(selectedDiagnoses.filter(d => d !== diagnosisCode));
+        const pointers: { [testCode: string]: string[] } = {};
+        for (const [testCode, codes] of Object.entries(diagnosisPointers)) {
+            pointers[testCode] = codes.filter(code => code !== diagnosisCode);
+        }
+        setDiagnosisPointers(pointers);
+    };
+
+    // The selected diagnoses a test points at, in diagnosis order
+    const pointersFor = (testCode: string, diagnoses = selectedDiagnoses, pointers = diagnosisPointers) =>
+        pointers[testCode] ? diagnoses.filter(code => pointers[testCode].includes(code)) : diagnoses;
+
+    const handleToggleDiagnosisPointer = (testCode: string, diagnosisCode: string) => {
+        const current = pointersFor(testCode);
+        const next = current.includes(diagnosisCode)
+            ? current.filter(code => code !== diagnosisCode)
+            : selectedDiagnoses.filter(code => code === diagnosisCode || current.includes(code));
+
+        // Pointing at everything is the default, so later diagnoses reach the test too
+        if (next.length === selectedDiagnoses.length) {
+            const { [testCode]: removed, ...remaining } = diagnosisPointers;
+            setDiagnosisPointers(remaining);
+        } else {
+            setDiagnosisPointers({ ...diagnosisPointers, [testCode]: next });
+        }
     };
 
     const handleReviewOrder = () => {
@@ -296,7 +690,62 @@ const SmartLabOrder: React.FC = () => {
             return;
         }
 
+        const errors = validateAoeAnswers(selectedTests, aoeAnswers);
+        setAoeErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            alert('Please answer the order questions for the selected tests');
+            return;
+        }
+
+        const unlinked = selectedTests.filter(test => pointersFor(test.code).length === 0);
+        if (unlinked.length > 0) {
+            alert(`Please link at least one diagnosis to: ${unlinked.map(test => test.name).join(', ')}`);
+            return;
+        }
+
         setStep(3); // Move to confirmation page
+        checkMedicalNecessity(selectedDiagnoses);
+    };
+
+    // Advisory only - a failed check never blocks the order
+    const checkMedicalNecessity = async (diagnoses: string[], pointers = diagnosisPointers) => {
+        setIsCheckingNecessity(true);
+        setNecessity(null);
+        try {
+            const response = await axios.post(`${API_URL}/api/lab-orders/medical-necessity`, {
+                tests: selectedTests.map(test => ({
+                    code: test.code,
+                    name: test.name,
+                    diagnosisPointers: pointersFor(test.code, diagnoses, pointers)
+                })),
+                diagnoses,
+                patient: {
+                    intakeqId: selectedPatient?.intakeqId,
+                    insurances: selectedPatient?.insurances || []
+                }
+            });
+            setNecessity(response.data);
+        } catch (error) {
+            console.error('Failed to check medical necessity:', error);
+        } finally {
+            setIsCheckingNecessity(false);
+        }
+    };
+
+    // Add a qualifying code for a test, linking it to that test if the test has its own pointers
+    const handleAddSuggestedDiagnosis = (testCode: string, suggestion: Diagnosis) => {
+        if (!availableDiagnoses.some(d => d.code === suggestion.code)) {
+            setAvailableDiagnoses([...availableDiagnoses, { code: suggestion.code, description: suggestion.description }]);
+        }
+        const diagnoses = selectedDiagnoses.includes(suggestion.code)
+            ? selectedDiagnoses
+            : [...selectedDiagnoses, suggestion.code];
+        const pointers = diagnosisPointers[testCode]
+            ? { ...diagnosisPointers, [testCode]: [...diagnosisPointers[testCode], suggestion.code] }
+            : diagnosisPointers;
+        setSelectedDiagnoses(diagnoses);
+        setDiagnosisPointers(pointers);
+        checkMedicalNecessity(diagnoses, pointers);
     };
 
     const handleSubmitOrder = async () => {
@@ -311,6 +760,7 @@ const SmartLabOrder: React.FC = () => {
             const orderData = {
                 providerName: providerName || 'MOONLIT Provider',
                 patient: {
+                    intakeqId: selectedPatient.intakeqId,
                     firstName: selectedPatient.firstName,
                     lastName: selectedPatient.lastName,
                     dateOfBirth: selectedPatient.dateOfBirth,
@@ -318,23 +768,35 @@ const SmartLabOrder: React.FC = () => {
                     medicaidId: medicaidEligibility?.medicaidId || null,
                     address: medicaidEligibility?.demographics?.address || selectedPatient.address
                 },
-                tests: selectedTests,
+                tests: selectedTests.map(test => ({
+                    ...test,
+                    aoeAnswers: aoeAnswers[test.code],
+                    diagnosisPointers: pointersFor(test.code)
+                })),
                 diagnoses: selectedDiagnoses,
-                useMedicaidData: medicaidEligibility?.isEligible || false
+                eligibility: medicaidEligibility,
+                useMedicaidData: medicaidEligibility?.isEligible || false,
+                draftId
             };
 
             const response = await axios.post(`${API_URL}/api/lab-orders/submit`, orderData);
 
             setOrderStatus(response.data);
-            setStep(4); // Move to status page
+            setSearchParams({ orderId: response.data.orderId });
+            setStep(4); // Move to status page (Socket.io room is joined by the effect above)
 
-            // Join Socket.io room for real-time updates
-            if (socket && response.data.orderId) {
-                socket.emit('join-order-room', response.data.orderId);
-            }
-
-        } catch (error) {
+        } catch (error: any) {
             console.error('Failed to submit order:', error);
+            if (error.response?.data?.aoeErrors) {
+                alert(`Order questions need attention:\n${error.response.data.aoeErrors.join('\n')}`);
+                setStep(2);
+                return;
+            }
+            if (error.response?.data?.pointerErrors) {
+                alert(`Diagnosis links need attention:\n${error.response.data.pointerErrors.join('\n')}`);
+                setStep(2);
+                return;
+            }
             alert('Failed to submit lab order. Please try again or submit manually.');
         } finally {
             setIsSubmitting(false);
@@ -347,15 +809,44 @@ const SmartLabOrder: React.FC = () => {
         setSearchResults([]);
         setSelectedPatient(null);
         setMedicaidEligibility(null);
+        setPayerEligibility({});
         setSelectedTests([]);
         setSelectedDiagnoses([]);
+        setDiagnosisPointers({});
+        setAoeAnswers({});
+        setAoeErrors({});
+        setNecessity(null);
+        setMedicationSuggestions(null);
+        setDraftId(null);
         setOrderStatus(null);
+        setSearchParams({});
+        loadDrafts();
     };
 
     const handleEditSelection = () => {
         setStep(2);
     };
 
+    // Paper requisition for the order just placed, e.g. to fax when automation fails
+    const handleDownloadRequisition = () => {
+        if (!selectedPatient) return;
+
+        downloadPDF({
+            requisitionNumber: orderStatus?.orderId,
+            providerName: providerName || undefined,
+            patientName: `${selectedPatient.firstName} ${selectedPatient.lastName}`,
+            patientDOB: selectedPatient.dateOfBirth,
+            patientPhone: medicaidEligibility?.demographics?.phone || selectedPatient.phone,
+            medicaidId: medicaidEligibility?.medicaidId || 'N/A',
+            insuranceProvider: selectedPatient.insurances?.[0]?.payerName,
+            tests: selectedTests.map(test => ({ ...test, diagnosisPointers: pointersFor(test.code) })),
+            diagnoses: selectedDiagnoses.map(code => ({
+                code,
+                description: availableDiagnoses.find(d => d.code === code)?.description
+            }))
+        });
+    };
+
     return (
         <div className="smart-lab-order">
             <div className="page-header">
@@ -378,6 +869,25 @@ const SmartLabOrder: React.FC = () => {
                     >
                         ← Back to Classic View
                     </button>
+                    {user && (
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                            <span style={{ color: '#6b7280' }}>Signed in as <strong>{user.name}</strong></span>
+                            <button
+                                onClick={logout}
+                                style={{
+                                    background: 'transparent',
+                                    color: '#6366f1',
+                                    padding: '0.5rem 1rem',
+                                    borderRadius: '0.5rem',
+                                    border: '1px solid #6366f1',
+                                    cursor: 'pointer',
+                                    fontWeight: '500'
+                                }}
+                            >
+                                Sign Out
+                            </button>
+                        </div>
+                    )}
                 </div>
                 <h1>Smart Lab Order</h1>
                 <p>Submit lab orders with automatic Medicaid verification and Labcorp integration</p>
@@ -408,11 +918,85 @@ const SmartLabOrder: React.FC = () => {
                     <div className="step-content">
                         <h2>Step 1: Select Patient</h2>
 
+                        {drafts.length > 0 && (
+                            <div style={{ marginBottom: '2rem' }}>
+                                <h3>Drafts to Review ({drafts.length})</h3>
+                                <p style={{ color: '#6b7280', marginBottom: '1rem' }}>
+                                    Created from IntakeQ notes that document labs - check the tests and diagnoses before submitting
+                                </p>
+                                {drafts.map(draft => (
+                                    <div
+                                        key={draft.id}
+                                        style={{
+                                            border: '1px solid #e5e7eb',
+                                            borderLeft: '4px solid #f59e0b',
+                                            borderRadius: '0.5rem',
+                                            padding: '1rem',
+                                            marginBottom: '0.75rem',
+                                            background: '#fffbeb'
+                                        }}
+                                    >
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
+                                            <div style={{ flex: 1 }}>
+                                                <h4 style={{ margin: 0 }}>
+                                                    {draft.patient_snapshot.firstName} {draft.patient_snapshot.lastName}
+                                                    <span style={{ color: '#6b7280', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                                                        DOB: {draft.patient_snapshot.dateOfBirth || 'N/A'}
+                                                    </span>
+                                                </h4>
+                                                <p style={{ color: '#6b7280', fontSize: '0.875rem', margin: '0.25rem 0 0.5rem' }}>
+                                                    {draft.practitioner_name || 'IntakeQ note'}
+                                                    {' · '}
+                                                    {formatSyncedAt(draft.note_date || draft.created_at)}
+                                                </p>
+                                                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.375rem', marginBottom: '0.5rem' }}>
+                                                    {draft.detected_tests.length === 0 && (
+                                                        <span style={{ color: '#92400e', fontSize: '0.875rem' }}>Labs ordered - no tests named in the note</span>
+                                                    )}
+                                                    {draft.detected_tests.map(test => (
+                                                        <span key={test.code} style={{ background: '#dbeafe', color: '#1e40af', padding: '0.125rem 0.5rem', borderRadius: '9999px', fontSize: '0.8rem' }}>
+                                                            {test.name}
+                                                        </span>
+                                                    ))}
+                                                    {draft.diagnosis_codes.map(code => (
+                                                        <span key={code} style={{ background: '#f3f4f6', color: '#374151', padding: '0.125rem 0.5rem', borderRadius: '9999px', fontSize: '0.8rem' }}>
+                                                            {code}
+                                                        </span>
+                                                    ))}
+                                                </div>
+                                                {draft.note_excerpt && (
+                                                    <p style={{ fontStyle: 'italic', color: '#4b5563', fontSize: '0.875rem', whiteSpace: 'pre-line', margin: 0 }}>
+                                                        "{draft.note_excerpt}"
+                                                    </p>
+                                                )}
+                                            </div>
+                                            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                                                <button
+                                                    className="btn btn-primary"
+                                                    onClick={() => handleStartDraft(draft)}
+                                                    disabled={isCheckingEligibility}
+                                                >
+                                                    {isCheckingEligibility && draftId === draft.id ? 'Checking...' : 'Start Order'}
+                                                </button>
+                                                <button
+                                                    className="btn btn-secondary"
+                                                    onClick={() => handleDismissDraft(draft)}
+                                                    disabled={isCheckingEligibility}
+                                                >
+                                                    Dismiss
+                                                </button>
+                                            </div>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
                         <div className="search-section">
                             <div className="form-group">
                                 <label>Patient Name *</label>
                                 <small style={{ color: '#6b7280', marginTop: '0.25rem', marginBottom: '0.5rem', display: 'block' }}>
-                                    Searches both first and last names
+                                    Searches first and last names; add a date of birth (MM/DD/YYYY) or phone number to narrow it down
                                 </small>
                                 <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center' }}>
                                     <input
@@ -420,7 +1004,7 @@ const SmartLabOrder: React.FC = () => {
                                         value={searchName}
                                         onChange={(e) => setSearchName(e.target.value)}
                                         onKeyPress={(e) => e.key === 'Enter' && handleSearchPatients()}
-                                        placeholder="Enter patient first or last name"
+                                        placeholder="Name, DOB or phone"
                                         style={{
                                             fontSize: '1rem',
                                             padding: '0.75rem',
@@ -443,6 +1027,26 @@ const SmartLabOrder: React.FC = () => {
                                         {isSearching ? 'Searching...' : 'Search'}
                                     </button>
                                 </div>
+                                <small style={{ color: '#6b7280', marginTop: '0.5rem', display: 'block' }}>
+                                    {patientIndexSyncedAt
+                                        ? `Patient list synced from IntakeQ ${formatSyncedAt(patientIndexSyncedAt)}`
+                                        : 'Patient list not synced yet - searching IntakeQ directly'}
+                                    <button
+                                        onClick={handleSyncPatients}
+                                        disabled={isSyncingPatients}
+                                        style={{
+                                            background: 'none',
+                                            border: 'none',
+                                            color: '#2563eb',
+                                            cursor: isSyncingPatients ? 'not-allowed' : 'pointer',
+                                            marginLeft: '0.5rem',
+                                            padding: 0,
+                                            fontSize: 'inherit'
+                                        }}
+                                    >
+                                        {isSyncingPatients ? 'Syncing...' : 'Sync now'}
+                                    </button>
+                                </small>
                             </div>
                         </div>
 
@@ -488,6 +1092,11 @@ const SmartLabOrder: React.FC = () => {
                                                 <p>DOB: {patient.dateOfBirth || 'N/A'}</p>
                                                 <p>Phone: {patient.phone || 'N/A'}</p>
                                                 {patient.email && <p>Email: {patient.email}</p>}
+                                                {patient.syncedAt && (
+                                                    <p style={{ color: '#9ca3af', fontSize: '0.8rem' }}>
+                                                        Synced {formatSyncedAt(patient.syncedAt)}
+                                                    </p>
+                                                )}
                                             </div>
                                         </label>
                                     ))}
@@ -583,6 +1192,11 @@ const SmartLabOrder: React.FC = () => {
                                                 • Medicaid ID: {medicaidEligibility.medicaidId}
                                             </span>
                                         )}
+                                        {medicaidEligibility?.searchOption && !medicaidEligibility.rejected && (
+                                            <span style={{ marginLeft: '1rem' }}>
+                                                • Matched by {medicaidEligibility.searchOption.label}
+                                            </span>
+                                        )}
                                         {medicaidEligibility?.demographics?.phone && (
                                             <span style={{ marginLeft: '1rem' }}>
                                                 • Phone: {medicaidEligibility.demographics.phone}
@@ -606,6 +1220,175 @@ const SmartLabOrder: React.FC = () => {
                             </div>
                         )}
 
+                        {/* Insurance on file - check any payer, not just Medicaid */}
+                        {selectedPatient?.insurances && selectedPatient.insurances.length > 0 && (
+                            <div style={{
+                                background: 'white',
+                                padding: '1rem 1.25rem',
+                                borderRadius: '0.5rem',
+                                marginBottom: '2rem',
+                                border: '1px solid #e5e7eb'
+                            }}>
+                                <h3 style={{ margin: '0 0 0.75rem 0', fontSize: '1rem' }}>Insurance on File</h3>
+                                {selectedPatient.insurances.map((insurance) => {
+                                    const check = payerEligibility[insurance.priority];
+                                    return (
+                                        <div
+                                            key={insurance.priority}
+                                            style={{
+                                                display: 'flex',
+                                                justifyContent: 'space-between',
+                                                alignItems: 'center',
+                                                padding: '0.5rem 0',
+                                                borderTop: '1px solid #f3f4f6'
+                                            }}
+                                        >
+                                            <div>
+                                                <strong>{insurance.payerName}</strong>
+                                                <span style={{ color: '#6b7280', fontSize: '0.875rem', marginLeft: '0.5rem' }}>
+                                                    ({insurance.priority}{insurance.memberId ? ` • ID ${insurance.memberId}` : ''})
+                                                </span>
+                                                {check && !check.loading && (
+                                                    <div style={{
+                                                        fontSize: '0.875rem',
+                                                        marginTop: '0.25rem',
+                                                        color: check.error ? '#b91c1c' : check.isEligible ? '#047857' : '#92400e'
+                                                    }}>
+                                                        {check.error
+                                                            ? check.error
+                                                            : check.isEligible
+                                                                ? `✓ Active coverage with ${check.payerName}${check.planType && check.planType !== 'UNKNOWN' ? ` (${check.planType})` : ''}`
+                                                                : check.rejection
+                                                                    ? `${check.payerName}: ${check.rejection}`
+                                                                    : `No active coverage found with ${check.payerName}`}
+                                                        {check.searchOption && !check.error && !check.rejection && (
+                                                            <span style={{ color: '#6b7280', marginLeft: '0.5rem' }}>
+                                                                • matched by {check.searchOption}
+                                                            </span>
+                                                        )}
+                                                        {check.cached && check.checkedAt && (
+                                                            <span style={{ color: '#6b7280', marginLeft: '0.5rem' }}>
+                                                                (checked at {new Date(check.checkedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })})
+                                                            </span>
+                                                        )}
+                                                    </div>
+                                                )}
+                                            </div>
+                                            <button
+                                                onClick={() => handleCheckPayerEligibility(insurance, !!check)}
+                                                disabled={check?.loading}
+                                                style={{
+                                                    background: 'white',
+                                                    border: '1px solid #d1d5db',
+                                                    padding: '0.375rem 0.75rem',
+                                                    borderRadius: '0.375rem',
+                                                    cursor: check?.loading ? 'not-allowed' : 'pointer',
+                                                    fontWeight: '500',
+                                                    whiteSpace: 'nowrap'
+                                                }}
+                                            >
+                                                {check?.loading ? 'Checking...' : check ? 'Check Again' : 'Check Eligibility'}
+                                            </button>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        )}
+
+                        {/* Monitoring labs for the patient's medications */}
+                        {medicationSuggestions && (
+                            <div style={{
+                                background: 'white',
+                                padding: '1rem 1.25rem',
+                                borderRadius: '0.5rem',
+                                marginBottom: '2rem',
+                                border: '1px solid #e5e7eb'
+                            }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
+                                    <h3 style={{ margin: 0 }}>Suggested Monitoring Labs</h3>
+                                    {medicationSuggestions.suggestions?.some(suggestion => suggestion.due && !selectedTests.some(test => test.code === suggestion.code)) && (
+                                        <button
+                                            className="btn btn-primary"
+                                            onClick={() => handleAddSuggestedTests(medicationSuggestions.suggestions!.filter(suggestion => suggestion.due))}
+                                        >
+                                            Add All Due
+                                        </button>
+                                    )}
+                                </div>
+
+                                {medicationSuggestions.loading && (
+                                    <p style={{ color: '#6b7280', margin: 0 }}>Reading medications from IntakeQ...</p>
+                                )}
+                                {medicationSuggestions.error && (
+                                    <p style={{ color: '#b91c1c', margin: 0 }}>{medicationSuggestions.error}</p>
+                                )}
+                                {!medicationSuggestions.loading && !medicationSuggestions.error && (
+                                    <p style={{ color: '#6b7280', fontSize: '0.875rem', marginTop: 0 }}>
+                                        {medicationSuggestions.medications?.length
+                                            ? `Medications in IntakeQ: ${medicationSuggestions.medications.join(', ')}`
+                                            : 'No medications found in IntakeQ'}
+                                    </p>
+                                )}
+                                {medicationSuggestions.suggestions?.length === 0 && medicationSuggestions.medications?.length ? (
+                                    <p style={{ color: '#6b7280', margin: 0 }}>No monitoring labs apply to these medications.</p>
+                                ) : null}
+
+                                {medicationSuggestions.suggestions?.map(suggestion => {
+                                    const isSelected = selectedTests.some(test => test.code === suggestion.code);
+                                    return (
+                                        <div
+                                            key={suggestion.code}
+                                            style={{
+                                                display: 'flex',
+                                                justifyContent: 'space-between',
+                                                alignItems: 'center',
+                                                gap: '1rem',
+                                                padding: '0.625rem 0',
+                                                borderTop: '1px solid #f3f4f6'
+                                            }}
+                                        >
+                                            <div>
+                                                <div>
+                                                    <strong>{suggestion.name}</strong>
+                                                    <span style={{
+                                                        marginLeft: '0.5rem',
+                                                        padding: '0.125rem 0.5rem',
+                                                        borderRadius: '9999px',
+                                                        fontSize: '0.75rem',
+                                                        fontWeight: '600',
+                                                        background: suggestion.due ? '#fef3c7' : '#ecfdf5',
+                                                        color: suggestion.due ? '#92400e' : '#065f46'
+                                                    }}>
+                                                        {suggestion.due
+                                                            ? 'Due'
+                                                            : `Next due ${suggestion.dueAt ? new Date(suggestion.dueAt).toLocaleDateString() : ''}`}
+                                                    </span>
+                                                </div>
+                                                {suggestion.reasons.map(reason => (
+                                                    <div key={reason} style={{ color: '#6b7280', fontSize: '0.85rem' }}>{reason}</div>
+                                                ))}
+                                            </div>
+                                            <button
+                                                onClick={() => handleAddSuggestedTests([suggestion])}
+                                                disabled={isSelected}
+                                                style={{
+                                                    background: 'white',
+                                                    border: '1px solid #d1d5db',
+                                                    padding: '0.375rem 0.75rem',
+                                                    borderRadius: '0.375rem',
+                                                    cursor: isSelected ? 'default' : 'pointer',
+                                                    fontWeight: '500',
+                                                    whiteSpace: 'nowrap'
+                                                }}
+                                            >
+                                                {isSelected ? '✓ Added' : 'Add'}
+                                            </button>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        )}
+
                         {/* Tests Section - Fuzzy Search */}
                         <div className="tests-section" style={{ marginBottom: '3rem' }}>
                             <h3 style={{ marginBottom: '1rem' }}>Select Lab Tests</h3>
@@ -717,6 +1500,76 @@ const SmartLabOrder: React.FC = () => {
                                     </div>
                                 )}
                             </div>
+
+                            {/* Order questions (AOE) for the selected tests */}
+                            {selectedTests.some(test => test.aoeQuestions && test.aoeQuestions.length > 0) && (
+                                <div style={{
+                                    marginTop: '1rem',
+                                    padding: '1rem',
+                                    background: '#fffbeb',
+                                    border: '1px solid #fde68a',
+                                    borderRadius: '0.5rem'
+                                }}>
+                                    <h4 style={{ margin: '0 0 0.25rem' }}>Order Questions</h4>
+                                    <p style={{ margin: '0 0 1rem', color: '#6b7280', fontSize: '0.875rem' }}>
+                                        Labcorp asks these at order entry. Required questions are marked *.
+                                    </p>
+                                    {selectedTests.filter(test => test.aoeQuestions && test.aoeQuestions.length > 0).map(test => (
+                                        <div key={test.code} style={{ marginBottom: '1rem' }}>
+                                            <strong>{test.name}</strong>
+                                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: '0.75rem', marginTop: '0.5rem' }}>
+                                                {test.aoeQuestions!.map(question => {
+                                                    const value = aoeAnswers[test.code]?.[question.id] || '';
+                                                    const error = aoeErrors[`${test.code}.${question.id}`];
+                                                    const inputStyle = {
+                                                        width: '100%',
+                                                        padding: '0.5rem',
+                                                        border: `1px solid ${error ? '#ef4444' : '#d1d5db'}`,
+                                                        borderRadius: '0.375rem',
+                                                        fontSize: '0.875rem'
+                                                    };
+                                                    const onChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) =>
+                                                        handleAoeAnswerChange(test.code, question.id, e.target.value);
+
+                                                    return (
+                                                        <label key={question.id} style={{ display: 'block', fontSize: '0.875rem' }}>
+                                                            <span style={{ display: 'block', marginBottom: '0.25rem' }}>
+                                                                {question.prompt}{question.required && ' *'}
+                                                            </span>
+                                                            {question.type === 'yesno' || question.type === 'select' ? (
+                                                                <select value={value} onChange={onChange} style={inputStyle}>
+                                                                    <option value="">Select...</option>
+                                                                    {question.type === 'yesno' ? (
+                                                                        <>
+                                                                            <option value="yes">Yes</option>
+                                                                            <option value="no">No</option>
+                                                                        </>
+                                                                    ) : (
+                                                                        question.options?.map(option => (
+                                                                            <option key={option} value={option}>{option}</option>
+                                                                        ))
+                                                                    )}
+                                                                </select>
+                                                            ) : (
+                                                                <input
+                                                                    type={question.type === 'datetime' ? 'datetime-local' : question.type}
+                                                                    value={value}
+                                                                    onChange={onChange}
+                                                                    placeholder={question.placeholder}
+                                                                    style={inputStyle}
+                                                                />
+                                                            )}
+                                                            {error && (
+                                                                <span style={{ color: '#ef4444', fontSize: '0.75rem' }}>{error}</span>
+                                                            )}
+                                                        </label>
+                                                    );
+                                                })}
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
                         </div>
 
                         {/* Diagnoses Section - Fuzzy Search */}
@@ -832,6 +1685,56 @@ const SmartLabOrder: React.FC = () => {
                                     </div>
                                 )}
                             </div>
+
+                            {/* Diagnosis pointers - which diagnoses each test is ordered for */}
+                            {selectedTests.length > 0 && selectedDiagnoses.length > 1 && (
+                                <div style={{
+                                    marginTop: '1rem',
+                                    padding: '1rem',
+                                    background: '#f9fafb',
+                                    border: '1px solid #e5e7eb',
+                                    borderRadius: '0.5rem',
+                                    overflowX: 'auto'
+                                }}>
+                                    <h4 style={{ margin: '0 0 0.25rem' }}>Diagnoses per Test</h4>
+                                    <p style={{ margin: '0 0 1rem', color: '#6b7280', fontSize: '0.875rem' }}>
+                                        Each test is linked to every diagnosis unless you narrow it here.
+                                    </p>
+                                    <table style={{ borderCollapse: 'collapse', fontSize: '0.875rem', width: '100%' }}>
+                                        <thead>
+                                            <tr>
+                                                <th style={{ textAlign: 'left', padding: '0.5rem' }}>Test</th>
+                                                {selectedDiagnoses.map(code => (
+                                                    <th key={code} style={{ padding: '0.5rem', whiteSpace: 'nowrap' }}>{code}</th>
+                                                ))}
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {selectedTests.map(test => {
+                                                const pointers = pointersFor(test.code);
+                                                return (
+                                                    <tr key={test.code} style={{ borderTop: '1px solid #e5e7eb' }}>
+                                                        <td style={{ padding: '0.5rem', color: pointers.length === 0 ? '#ef4444' : undefined }}>
+                                                            {test.name}
+                                                            {pointers.length === 0 && ' - link at least one diagnosis'}
+                                                        </td>
+                                                        {selectedDiagnoses.map(code => (
+                                                            <td key={code} style={{ padding: '0.5rem', textAlign: 'center' }}>
+                                                                <input
+                                                                    type="checkbox"
+                                                                    checked={pointers.includes(code)}
+                                                                    onChange={() => handleToggleDiagnosisPointer(test.code, code)}
+                                                                    aria-label={`${test.name}: ${code}`}
+                                                                />
+                                                            </td>
+                                                        ))}
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
                         </div>
 
                         {/* Navigation buttons */}
@@ -897,6 +1800,24 @@ const SmartLabOrder: React.FC = () => {
                                 </div>
                             </div>
 
+                            {/* Medicare ABN */}
+                            {necessity?.abnRequired && (
+                                <div style={{
+                                    background: '#fef2f2',
+                                    border: '2px solid #ef4444',
+                                    padding: '1rem 1.5rem',
+                                    borderRadius: '0.5rem',
+                                    marginBottom: '1.5rem',
+                                    color: '#991b1b'
+                                }}>
+                                    <strong>⚠ Medicare ABN required</strong>
+                                    <div style={{ marginTop: '0.25rem' }}>
+                                        No selected diagnosis supports {necessity.tests.filter(t => t.abnRequired).map(t => t.name).join(', ')}.
+                                        Have the patient sign an Advance Beneficiary Notice before the draw, or add a qualifying diagnosis below.
+                                    </div>
+                                </div>
+                            )}
+
                             {/* Selected Tests */}
                             <div className="review-section" style={{
                                 background: '#eff6ff',
@@ -907,6 +1828,11 @@ const SmartLabOrder: React.FC = () => {
                                 <h3 style={{ marginBottom: '1rem', borderBottom: '2px solid #bfdbfe', paddingBottom: '0.5rem' }}>
                                     Selected Tests ({selectedTests.length})
                                 </h3>
+                                {isCheckingNecessity && (
+                                    <div style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: '0.5rem' }}>
+                                        Checking that the diagnoses support each test...
+                                    </div>
+                                )}
                                 <ul style={{ listStyle: 'none', padding: 0 }}>
                                     {selectedTests.map((test, index) => (
                                         <li key={test.code} style={{
@@ -917,15 +1843,128 @@ const SmartLabOrder: React.FC = () => {
                                             display: 'flex',
                                             justifyContent: 'space-between'
                                         }}>
-                                            <span>
+                                            <div>
                                                 <strong>{index + 1}.</strong> {test.name}
-                                            </span>
+                                                {selectedDiagnoses.length > 1 && (
+                                                    <div style={{ fontSize: '0.875rem', color: '#4b5563', marginTop: '0.25rem' }}>
+                                                        Diagnoses: {pointersFor(test.code)
+                                                            .map(code => `${selectedDiagnoses.indexOf(code) + 1}. ${code}`)
+                                                            .join(', ')}
+                                                    </div>
+                                                )}
+                                                {(test.aoeQuestions || [])
+                                                    .filter(question => aoeAnswers[test.code]?.[question.id])
+                                                    .map(question => (
+                                                        <div key={question.id} style={{ fontSize: '0.875rem', color: '#4b5563', marginTop: '0.25rem' }}>
+                                                            {question.prompt}: {formatAoeAnswer(question, aoeAnswers[test.code][question.id])}
+                                                        </div>
+                                                    ))}
+                                                {(() => {
+                                                    const result = necessity?.tests.find(t => t.code === test.code);
+                                                    if (!result || result.status === 'not_checked') return null;
+
+                                                    if (result.status === 'supported') {
+                                                        return (
+                                                            <div style={{ fontSize: '0.875rem', color: '#047857', marginTop: '0.25rem' }}>
+                                                                ✓ Supported by {result.supportedBy.join(', ')}
+                                                            </div>
+                                                        );
+                                                    }
+
+                                                    return (
+                                                        <div style={{
+                                                            fontSize: '0.875rem',
+                                                            color: '#92400e',
+                                                            background: '#fffbeb',
+                                                            border: '1px solid #fcd34d',
+                                                            borderRadius: '0.375rem',
+                                                            padding: '0.5rem 0.75rem',
+                                                            marginTop: '0.5rem'
+                                                        }}>
+                                                            <div>
+                                                                <strong>⚠ No selected diagnosis supports this test</strong>
+                                                                {result.abnRequired ? ' - Medicare will likely deny it, so an ABN is needed' : ' - the claim may be denied'}
+                                                            </div>
+                                                            <div style={{ marginTop: '0.25rem' }}>
+                                                                Covered for: {result.coveredRanges.map(range => range.description).join('; ')}
+                                                            </div>
+                                                            {result.suggestions.length > 0 && (
+                                                                <div style={{ marginTop: '0.5rem', display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+                                                                    {result.suggestions.map(suggestion => (
+                                                                        <button
+                                                                            key={suggestion.code}
+                                                                            onClick={() => handleAddSuggestedDiagnosis(test.code, suggestion)}
+                                                                            disabled={isSubmitting || isCheckingNecessity}
+                                                                            style={{
+                                                                                background: 'white',
+                                                                                border: '1px solid #f59e0b',
+                                                                                borderRadius: '0.375rem',
+                                                                                padding: '0.25rem 0.5rem',
+                                                                                fontSize: '0.8rem',
+                                                                                cursor: 'pointer'
+                                                                            }}
+                                                                        >
+                                                                            + {suggestion.code} {suggestion.description}
+                                                                            {suggestion.source === 'chart' && ' (on chart)'}
+                                                                        </button>
+                                                                    ))}
+                                                                </div>
+                                                            )}
+                                                        </div>
+                                                    );
+                                                })()}
+                                            </div>
                                             <span style={{ color: '#6b7280' }}>Code: {test.code}</span>
                                         </li>
                                     ))}
                                 </ul>
                             </div>
 
+                            {/* Specimen & Patient Prep */}
+                            {(() => {
+                                const prep = combinePrepInstructions(selectedTests);
+                                if (prep.specimens.length === 0 && prep.patientInstructions.length === 0) return null;
+
+                                return (
+                                    <div className="review-section" style={{
+                                        background: '#f0fdf4',
+                                        padding: '1.5rem',
+                                        borderRadius: '0.5rem',
+                                        marginBottom: '1.5rem'
+                                    }}>
+                                        <h3 style={{ marginBottom: '1rem', borderBottom: '2px solid #bbf7d0', paddingBottom: '0.5rem' }}>
+                                            Specimen & Patient Prep
+                                        </h3>
+                                        <div style={{ marginBottom: '1rem' }}>
+                                            <strong>Tell the patient:</strong>
+                                            {prep.patientInstructions.length > 0 ? (
+                                                <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+                                                    {prep.patientInstructions.map(instruction => (
+                                                        <li key={instruction} style={{ marginBottom: '0.25rem' }}>
+                                                            {instruction}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            ) : (
+                                                <span style={{ color: '#6b7280' }}> No fasting or timing requirements</span>
+                                            )}
+                                        </div>
+                                        {prep.specimens.length > 0 && (
+                                            <div>
+                                                <strong>Specimens:</strong>
+                                                <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+                                                    {prep.specimens.map(specimen => (
+                                                        <li key={specimen.container} style={{ marginBottom: '0.25rem' }}>
+                                                            {describeSpecimen(specimen)}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })()}
+
                             {/* Selected Diagnoses */}
                             <div className="review-section" style={{
                                 background: '#fef9e7',
@@ -994,25 +2033,66 @@ const SmartLabOrder: React.FC = () => {
                     <div className="step-content">
                         <h2>Order Status</h2>
 
-                        {orderStatus && (
-                            <div className={`status-card ${orderStatus.status}`} style={{
-                                padding: '2rem',
-                                borderRadius: '0.5rem',
-                                background: orderStatus.status === 'processing' ? '#eff6ff' : orderStatus.status === 'completed' ? '#ecfdf5' : '#fef2f2',
-                                border: `2px solid ${orderStatus.status === 'processing' ? '#3b82f6' : orderStatus.status === 'completed' ? '#10b981' : '#ef4444'}`,
-                                marginBottom: '2rem'
-                            }}>
-                                <h3 style={{ marginBottom: '1rem' }}>
-                                    {orderStatus.status === 'processing' && '⏳ Processing Order...'}
-                                    {orderStatus.status === 'completed' && '✓ Order Submitted Successfully'}
-                                    {orderStatus.status === 'failed' && '✗ Order Submission Failed'}
-                                </h3>
-                                <p><strong>Order ID:</strong> {orderStatus.orderId}</p>
-                                {orderStatus.message && <p>{orderStatus.message}</p>}
-                            </div>
-                        )}
+                        {orderStatus && (() => {
+                            const isFailed = orderStatus.status === 'failed' || orderStatus.status === 'needs_review';
+                            const isDone = orderStatus.status === 'completed' || orderStatus.status === 'preview';
+                            const accent = isFailed ? '#ef4444' : isDone ? '#10b981' : '#3b82f6';
+                            const timeline = [
+                                { label: 'Created', value: orderStatus.createdAt },
+                                { label: 'Automation started', value: orderStatus.processingStartedAt },
+                                { label: 'Submitted', value: orderStatus.submittedAt },
+                                { label: 'Completed', value: orderStatus.completedAt },
+                                { label: 'Failed', value: orderStatus.failedAt }
+                            ].filter(entry => entry.value);
+
+                            return (
+                                <div className={`status-card ${orderStatus.status}`} style={{
+                                    padding: '2rem',
+                                    borderRadius: '0.5rem',
+                                    background: isFailed ? '#fef2f2' : isDone ? '#ecfdf5' : '#eff6ff',
+                                    border: `2px solid ${accent}`,
+                                    marginBottom: '2rem'
+                                }}>
+                                    <h3 style={{ marginBottom: '1rem' }}>
+                                        {(orderStatus.status === 'pending' || orderStatus.status === 'processing') && '⏳ Processing Order...'}
+                                        {orderStatus.status === 'preview' && '👁 Preview Ready - Awaiting Confirmation'}
+                                        {orderStatus.status === 'completed' && '✓ Order Submitted Successfully'}
+                                        {orderStatus.status === 'failed' && '✗ Order Submission Failed'}
+                                        {orderStatus.status === 'needs_review' && '⚠ Check the Portal - Order May Already Be Placed'}
+                                        {orderStatus.status === 'cancelled' && 'Order Cancelled'}
+                                    </h3>
+                                    <p><strong>Order ID:</strong> {orderStatus.orderId}</p>
+                                    {orderStatus.currentStep && !isDone && (
+                                        <p><strong>Current step:</strong> {ORDER_STEP_LABELS[orderStatus.currentStep] || orderStatus.currentStep}</p>
+                                    )}
+                                    {orderStatus.confirmationNumber && (
+                                        <p><strong>Confirmation #:</strong> {orderStatus.confirmationNumber}</p>
+                                    )}
+                                    {orderStatus.message && <p>{orderStatus.message}</p>}
+                                    {isFailed && orderStatus.errorMessage && (
+                                        <p style={{ color: '#b91c1c' }}><strong>Last error:</strong> {orderStatus.errorMessage}</p>
+                                    )}
+                                    {timeline.length > 0 && (
+                                        <ul style={{ listStyle: 'none', padding: 0, marginTop: '1rem', color: '#6b7280', fontSize: '0.875rem' }}>
+                                            {timeline.map(entry => (
+                                                <li key={entry.label}>{entry.label}: {formatTimestamp(entry.value)}</li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </div>
+                            );
+                        })()}
 
-                        <div className="status-actions" style={{ textAlign: 'center' }}>
+                        <div className="status-actions" style={{ display: 'flex', justifyContent: 'center', gap: '1rem' }}>
+                            {selectedPatient && selectedTests.length > 0 && (
+                                <button
+                                    className="btn btn-secondary"
+                                    onClick={handleDownloadRequisition}
+                                    style={{ fontSize: '1.1rem', padding: '0.75rem 2rem' }}
+                                >
+                                    Download Requisition PDF
+                                </button>
+                            )}
                             <button
                                 className="btn btn-primary"
                                 onClick={handleStartNew}
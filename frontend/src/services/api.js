@@ -1,4 +1,6 @@
 // frontend/src/services/api.js
+import { authHeader } from './authToken';
+
 // In production, use relative URLs (same domain). In development, use localhost:3001
 const API_BASE = process.env.REACT_APP_API_URL ||
     (process.env.NODE_ENV === 'production' ? '/api' : 'http://localhost:3001/api');
@@ -11,27 +13,36 @@ const handleResponse = async (response) => {
     return response.json();
 };
 
+// Every API call carries the session token
+const apiFetch = (url, options = {}) => fetch(url, {
+    ...options,
+    headers: {
+        ...options.headers,
+        ...authHeader()
+    }
+});
+
 export const api = {
     // Provider endpoints
     getProviders: async () => {
-        const response = await fetch(`${API_BASE}/providers`);
+        const response = await apiFetch(`${API_BASE}/providers`);
         return handleResponse(response);
     },
 
     // Lab tests endpoints
     getLabTests: async () => {
-        const response = await fetch(`${API_BASE}/lab-tests`);
+        const response = await apiFetch(`${API_BASE}/lab-tests`);
         return handleResponse(response);
     },
 
     // Templates endpoints
     getTemplates: async () => {
-        const response = await fetch(`${API_BASE}/templates`);
+        const response = await apiFetch(`${API_BASE}/templates`);
         return handleResponse(response);
     },
 
     applyTemplate: async (templateId, labCompany = 'labcorp') => {
-        const response = await fetch(`${API_BASE}/templates/${templateId}/apply`, {
+        const response = await apiFetch(`${API_BASE}/templates/${templateId}/apply`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -44,23 +55,23 @@ export const api = {
     // ICD-10 diagnosis endpoints
     searchICD10: async (query) => {
         if (!query || query.length < 2) return [];
-        const response = await fetch(`${API_BASE}/icd10/search?query=${encodeURIComponent(query)}`);
+        const response = await apiFetch(`${API_BASE}/icd10/search?query=${encodeURIComponent(query)}`);
         return handleResponse(response);
     },
 
     getPsychiatricDiagnoses: async () => {
-        const response = await fetch(`${API_BASE}/icd10/psychiatric`);
+        const response = await apiFetch(`${API_BASE}/icd10/psychiatric`);
         return handleResponse(response);
     },
 
     // Payers endpoints
     getPayers: async () => {
-        const response = await fetch(`${API_BASE}/payers`);
+        const response = await apiFetch(`${API_BASE}/payers`);
         return handleResponse(response);
     },
 
     getMedicaidPayers: async () => {
-        const response = await fetch(`${API_BASE}/payers/medicaid`);
+        const response = await apiFetch(`${API_BASE}/payers/medicaid`);
         return handleResponse(response);
     },
 
@@ -69,18 +80,18 @@ export const api = {
         const url = labCompany
             ? `${API_BASE}/locations?lab_company=${labCompany}`
             : `${API_BASE}/locations`;
-        const response = await fetch(url);
+        const response = await apiFetch(url);
         return handleResponse(response);
     },
 
     // Requisitions endpoints
     getRequisitions: async () => {
-        const response = await fetch(`${API_BASE}/requisitions`);
+        const response = await apiFetch(`${API_BASE}/requisitions`);
         return handleResponse(response);
     },
 
     createRequisition: async (requisitionData) => {
-        const response = await fetch(`${API_BASE}/requisitions`, {
+        const response = await apiFetch(`${API_BASE}/requisitions`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
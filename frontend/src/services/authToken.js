@@ -0,0 +1,25 @@
+// frontend/src/services/authToken.js
+// Stores the session token and attaches it to every axios request
+import axios from 'axios';
+
+const TOKEN_STORAGE_KEY = 'moonlit_auth_token';
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_STORAGE_KEY);
+
+export const setAuthToken = (token) => {
+    if (token) {
+        localStorage.setItem(TOKEN_STORAGE_KEY, token);
+        axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+    } else {
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+        delete axios.defaults.headers.common.Authorization;
+    }
+};
+
+export const authHeader = () => {
+    const token = getAuthToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Restore the header before any component makes its first request
+setAuthToken(getAuthToken());
@@ -1,6 +1,24 @@
 // frontend/src/services/pdfGenerator.js
 import { jsPDF } from 'jspdf';
 import 'jspdf-autotable';
+import { combinePrepInstructions, describeSpecimen } from './testPrep';
+
+// Diagnoses numbered in order: requisitionData.diagnoses, or the single diagnosisCode
+const requisitionDiagnoses = (requisitionData) => {
+    if (requisitionData.diagnoses && requisitionData.diagnoses.length > 0) return requisitionData.diagnoses;
+    if (!requisitionData.diagnosisCode) return [];
+    return [{ code: requisitionData.diagnosisCode, description: requisitionData.diagnosisDescription }];
+};
+
+// A test's diagnosis pointers as diagnosis numbers ("1, 3"); a test without them points at all
+const pointerNumbers = (test, diagnoses) => {
+    const codes = diagnoses.map(diagnosis => diagnosis.code);
+    const pointers = test.diagnosisPointers && test.diagnosisPointers.length > 0 ? test.diagnosisPointers : codes;
+    return codes
+        .map((code, index) => (pointers.includes(code) ? index + 1 : null))
+        .filter(Boolean)
+        .join(', ');
+};
 
 export const generateLabRequisitionPDF = (requisitionData) => {
     const doc = new jsPDF();
@@ -68,15 +86,26 @@ export const generateLabRequisitionPDF = (requisitionData) => {
 
     yPos += 14;
 
-    // Diagnosis - Compact
+    // Diagnosis - Compact; numbered when there are several so tests can point at them
+    const diagnoses = requisitionDiagnoses(requisitionData);
     doc.setFont(undefined, 'bold');
     doc.setFontSize(10);
-    doc.text('DIAGNOSIS:', 18, yPos);
-    doc.setFont(undefined, 'normal');
-    doc.setFontSize(9);
-    doc.text(`${requisitionData.diagnosisCode} - ${requisitionData.diagnosisDescription || 'See attached'}`, 45, yPos);
-
-    yPos += 8;
+    if (diagnoses.length > 1) {
+        doc.text('DIAGNOSES:', 18, yPos);
+        doc.setFont(undefined, 'normal');
+        doc.setFontSize(9);
+        diagnoses.forEach((diagnosis, index) => {
+            doc.text(`${index + 1}. ${diagnosis.code} - ${diagnosis.description || 'See attached'}`, 45, yPos);
+            yPos += 4;
+        });
+        yPos += 4;
+    } else {
+        doc.text('DIAGNOSIS:', 18, yPos);
+        doc.setFont(undefined, 'normal');
+        doc.setFontSize(9);
+        doc.text(`${diagnoses[0]?.code || 'N/A'} - ${diagnoses[0]?.description || 'See attached'}`, 45, yPos);
+        yPos += 8;
+    }
 
     // Tests Table - Compact with smaller font
     doc.setFont(undefined, 'bold');
@@ -88,12 +117,15 @@ export const generateLabRequisitionPDF = (requisitionData) => {
     if (requisitionData.tests && requisitionData.tests.length > 0) {
         const testData = requisitionData.tests.map((test) => [
             test.code || 'N/A',
-            test.name
+            test.name,
+            pointerNumbers(test, diagnoses),
+            [test.container, test.volume].filter(Boolean).join(', '),
+            test.stability || ''
         ]);
 
         doc.autoTable({
             startY: yPos,
-            head: [['Code', 'Test Name']],
+            head: [['Code', 'Test Name', 'Dx', 'Specimen', 'Stability']],
             body: testData,
             theme: 'plain',
             headStyles: {
@@ -108,13 +140,39 @@ export const generateLabRequisitionPDF = (requisitionData) => {
                 cellPadding: 2
             },
             columnStyles: {
-                0: { cellWidth: 25 },
-                1: { cellWidth: 'auto' }
+                0: { cellWidth: 20 },
+                1: { cellWidth: 'auto' },
+                2: { cellWidth: 14 },
+                3: { cellWidth: 40 },
+                4: { cellWidth: 40 }
             },
             margin: { left: 18, right: 15 }
         });
 
         yPos = doc.lastAutoTable.finalY + 8;
+
+        // Specimen & Patient Prep - combined for all tests
+        const prep = combinePrepInstructions(requisitionData.tests);
+        const prepLines = [
+            ...prep.patientInstructions,
+            ...prep.specimens.map(specimen => `Collect: ${describeSpecimen(specimen)}`)
+        ];
+
+        if (prepLines.length > 0) {
+            doc.setFont(undefined, 'bold');
+            doc.setFontSize(10);
+            doc.text('SPECIMEN & PATIENT PREP:', 18, yPos);
+            yPos += 4;
+
+            doc.setFont(undefined, 'normal');
+            doc.setFontSize(9);
+            for (const line of prepLines) {
+                const wrapped = doc.splitTextToSize(`• ${line}`, pageWidth - 40);
+                doc.text(wrapped, 18, yPos);
+                yPos += wrapped.length * 4;
+            }
+            yPos += 4;
+        }
     }
 
     // Special Instructions (if any) - Compact
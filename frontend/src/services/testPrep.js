@@ -0,0 +1,74 @@
+// frontend/src/services/testPrep.js
+// Combined specimen requirements and patient prep for the tests on an order, from the
+// catalog fields each test carries (specimenType, container, volume, fasting, fastingHours,
+// timing, stability). Used by the SmartLabOrder review step and the requisition PDF.
+
+const FASTING_RANK = { none: 0, preferred: 1, required: 2 };
+
+const joinNames = (names) => names.join(', ');
+
+/**
+ * Combine the prep for a set of tests
+ * @param {Array<Object>} tests - Catalog tests
+ * @returns {{ fasting: { level: string, hours: number|null, tests: string[] }|null,
+ *   timing: Array<{ test: string, text: string }>,
+ *   specimens: Array<{ container: string, specimenType: string|null, tests: Array<{ name: string, volume: string|null }> }>,
+ *   stability: Array<{ test: string, text: string }>,
+ *   patientInstructions: string[] }}
+ */
+export const combinePrepInstructions = (tests = []) => {
+    // The strictest fasting rule wins: required over preferred, then the longest fast
+    const fastingTests = tests.filter(test => FASTING_RANK[test.fasting] > 0);
+    let fasting = null;
+    if (fastingTests.length > 0) {
+        const level = fastingTests.some(test => test.fasting === 'required') ? 'required' : 'preferred';
+        const hours = Math.max(0, ...fastingTests.map(test => test.fastingHours || 0)) || null;
+        fasting = { level, hours, tests: fastingTests.map(test => test.name) };
+    }
+
+    const timing = tests
+        .filter(test => test.timing)
+        .map(test => ({ test: test.name, text: test.timing }));
+
+    // One entry per tube, so the draw site knows how many to pull
+    const specimens = [];
+    for (const test of tests.filter(t => t.container || t.specimenType)) {
+        const container = test.container || test.specimenType;
+        let specimen = specimens.find(entry => entry.container === container);
+        if (!specimen) {
+            specimen = { container, specimenType: test.specimenType || null, tests: [] };
+            specimens.push(specimen);
+        }
+        specimen.tests.push({ name: test.name, volume: test.volume || null });
+    }
+
+    const stability = tests
+        .filter(test => test.stability)
+        .map(test => ({ test: test.name, text: test.stability }));
+
+    const patientInstructions = [];
+    if (fasting) {
+        const duration = fasting.hours ? ` for ${fasting.hours} hours` : '';
+        patientInstructions.push(fasting.level === 'required'
+            ? `Fast${duration} before the draw - water only (${joinNames(fasting.tests)})`
+            : `Fasting${duration} before the draw is preferred (${joinNames(fasting.tests)})`);
+    }
+    for (const rule of timing) {
+        patientInstructions.push(`${rule.test}: ${rule.text}`);
+    }
+
+    return { fasting, timing, specimens, stability, patientInstructions };
+};
+
+/**
+ * "Gold-top SST (Serum): Lipid Panel 1 mL, TSH 1 mL"
+ */
+export const describeSpecimen = (specimen) => {
+    const type = specimen.specimenType && specimen.specimenType !== specimen.container
+        ? ` (${specimen.specimenType})`
+        : '';
+    const tests = specimen.tests
+        .map(test => (test.volume ? `${test.name} ${test.volume}` : test.name))
+        .join(', ');
+    return `${specimen.container}${type}: ${tests}`;
+};